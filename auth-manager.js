@@ -9,6 +9,8 @@ class AuthManager {
         this.auth = null;
         this.initialized = false;
         this.initPromise = null;
+        // Users whose device data has been offered to their account
+        this.migratedKey = 'localDataMigrated';
     }
 
     /**
@@ -205,7 +207,7 @@ class AuthManager {
             }
 
             if (password.length < 6) {
-                throw { code: 'auth/weak-password', 'Password must be at least 6 characters' };
+                throw { code: 'auth/weak-password', message: 'Password must be at least 6 characters' };
             }
 
             if (password !== confirmPassword) {
@@ -300,7 +302,8 @@ class AuthManager {
                 },
                 settings: {
                     theme: 'light',
-                    language: 'en',
+                    // The language picked before signing up
+                    language: window.I18n ? window.I18n.locale : 'en',
                     notifications: true,
                     speechEnabled: true
                 },
@@ -308,8 +311,8 @@ class AuthManager {
                 lastUpdated: new Date().toISOString()
             };
 
-            // Use updateDocument to create/update user profile at correct path
-            await FirebaseCore.updateDocument(`users/${uid}`, userData);
+            // Merged in, so it creates the document and keeps anything synced into it first
+            await FirebaseCore.setDocument(`users/${uid}`, userData, { merge: true });
             console.log('User profile created successfully at users/' + uid);
         } catch (error) {
             console.warn('Could not create user profile in Firestore:', error.message);
@@ -318,57 +321,83 @@ class AuthManager {
     }
 
     /**
-     * Migrate localStorage data to cloud on first login
+     * Add the data saved on this device to the cloud, once per user and only if they
+     * confirm it is theirs. Goes through DataSync so writes are journaled and checked for
+     * conflicts; a form is only sent when the device copy was saved after the cloud one.
      */
     async _migrateLocalData(userId) {
-        try {
-            // Check for local data
-            const localData = {
-                userData: localStorage.getItem('userData'),
-                formData: localStorage.getItem('n400FormData'),
-                documents: localStorage.getItem('documentsData'),
-                theme: localStorage.getItem('theme'),
-                speechEnabled: localStorage.getItem('speechEnabled')
-            };
-
-            // If local data exists, migrate it
-            if (localData.userData || localData.formData || localData.documents) {
-                const migrationData = {};
+        const migrated = this._migratedUsers();
+        if (migrated.includes(userId) || !window.dataSync) return;
 
-                if (localData.userData) {
-                    migrationData.profile = JSON.parse(localData.userData);
+        try {
+            if (!(await window.dataSync.whenUser(userId))) return;
+            const cloud = (await window.dataSync.getUserData()) || {};
+            const cloudForms = cloud.forms || {};
+
+            // Device form copies saved after the cloud copy (one saved copy per registered form)
+            const formIds = window.FormRegistry ? FormRegistry.list().map(form => form.id) : [];
+            const forms = [];
+            formIds.forEach(formId => {
+                const saved = JSON.parse(localStorage.getItem(FormRegistry.storageKey(formId)) || 'null');
+                if (!saved) return;
+                const progress = cloudForms[formId] && cloudForms[formId]._progress;
+                const cloudSaved = progress ? progress.lastSaved : null;
+                if (!cloudSaved || (saved.lastSaved && saved.lastSaved > cloudSaved)) {
+                    forms.push({ formId: formId, data: saved });
                 }
+            });
 
-                if (localData.formData) {
-                    migrationData.forms = { n400: JSON.parse(localData.formData) };
-                }
+            const fields = {};
+            const userData = localStorage.getItem('userData');
+            if (userData && !cloud.profile) {
+                fields.profile = JSON.parse(userData);
+            }
 
-                if (localData.documents) {
-                    migrationData.documents = JSON.parse(localData.documents);
-                }
+            const documents = localStorage.getItem('documentsData');
+            if (documents && !cloud.documents) {
+                fields.documents = JSON.parse(documents);
+            }
 
-                if (localData.theme) {
-                    migrationData.settings = { theme: localData.theme };
+            const hasData = forms.length > 0 || Object.keys(fields).length > 0;
+            if (hasData && window.dataSync.confirmDeviceData()) {
+                for (const form of forms) {
+                    await window.dataSync.saveForm(form.formId, form.data);
                 }
-
-                if (localData.speechEnabled !== null) {
-                    migrationData.settings = migrationData.settings || {};
-                    migrationData.settings.speechEnabled = localData.speechEnabled === 'true';
+                for (const [fieldPath, value] of Object.entries(fields)) {
+                    await window.dataSync.saveFormData('users', userId, fieldPath, value);
                 }
-
-                migrationData.lastUpdated = new Date().toISOString();
-
-                // Save to Firestore using updateDocument
-                await FirebaseCore.updateDocument(`users/${userId}`, migrationData);
-
                 console.log('Local data migrated to cloud successfully');
                 showToast('Your data has been synced to the cloud!');
             }
+
+            // Display preferences of this device - nothing personal, so not asked about. Written
+            // as field paths so the rest of the cloud settings is kept
+            const settings = cloud.settings || {};
+            const theme = localStorage.getItem('theme');
+            if (theme && theme !== settings.theme) {
+                await window.dataSync.saveFormData('users', userId, 'settings.theme', theme);
+            }
+
+            const speechEnabled = localStorage.getItem('speechEnabled');
+            if (speechEnabled !== null && (speechEnabled === 'true') !== settings.speechEnabled) {
+                await window.dataSync.saveFormData('users', userId, 'settings.speechEnabled', speechEnabled === 'true');
+            }
+
+            // Asked once - declined data stays on the device
+            localStorage.setItem(this.migratedKey, JSON.stringify(migrated.concat(userId)));
         } catch (error) {
             console.error('Error migrating local data:', error);
         }
     }
 
+    _migratedUsers() {
+        try {
+            return JSON.parse(localStorage.getItem(this.migratedKey) || '[]');
+        } catch (error) {
+            return [];
+        }
+    }
+
     /**
      * Get user profile from Firestore
      */
@@ -442,7 +471,7 @@ class AuthManager {
         if (errorEl) {
             errorEl.textContent = message;
             errorEl.style.display = 'block';
-        } else {
+        } else if (typeof showToast === 'function') {
             showToast(message);
         }
     }
@@ -0,0 +1,228 @@
+/**
+ * Visa Guide AI - Case Context
+ * The signed-in user's own case, gathered for the chatbot: completion and missing
+ * required fields of each started form, uploaded vs required documents and upcoming
+ * deadlines. Every item carries a deep link into the Forms Center (wizard step or
+ * document upload slot) so answers can send the user straight to it.
+ */
+
+const CaseContext = {
+    FORMS_PAGE: 'visa-guide-forms.html',
+
+    // Deadlines further out than this are left out
+    DEADLINE_WINDOW_DAYS: 180,
+
+    /**
+     * Gather the user's case
+     * @param {Object} options - { today }
+     * @returns {Promise<Object>} - { forms, documents, deadlines, hasData }
+     *   forms     - [{ id, name, fullName, percentage, status, currentStep, missing: [{ id, label, step, stepNumber, stepTitle }], values, link }]
+     *   documents - { uploaded: [{ type, name, fileName, uploadedAt }], required: [{ type, name, forms, reasons, status, uploaded, link }], missing }
+     *   deadlines - [{ label, detail, date, daysLeft, form, link }] soonest first - form is the form's name
+     */
+    gather: async function(options) {
+        options = options || {};
+
+        const forms = FormRegistry.list()
+            .map(schema => this.formStatus(schema.id, this._loadFormData(schema.id)))
+            .filter(Boolean);
+        const uploaded = await DocumentChecklist.loadUploaded();
+        const documents = this.documentStatus(forms, uploaded);
+        const deadlines = this.deadlines(forms, options);
+
+        return {
+            forms: forms,
+            documents: documents,
+            deadlines: deadlines,
+            hasData: forms.length > 0 || uploaded.length > 0
+        };
+    },
+
+    /**
+     * Completion of one form
+     * @param {string} formId - Registered form id
+     * @param {Object} formData - Saved data { <step>: { <field>: value }, currentStep, status }
+     * @returns {Object|null} - null when nothing has been saved for the form
+     */
+    formStatus: function(formId, formData) {
+        const schema = FormRegistry.get(formId);
+        const values = FormValidator.flatten(this._stepData(formData));
+        if (!schema || Object.keys(values).length === 0) return null;
+
+        const missing = [];
+        schema.steps.forEach((step, index) => {
+            step.fields.forEach(field => {
+                if (FormValidator.isVisible(field, values) && FormValidator.isRequired(field, values) &&
+                    FormValidator.isEmpty(values[field.id])) {
+                    missing.push({
+                        id: field.id,
+                        label: field.reviewLabel || field.label,
+                        step: step.id,
+                        stepNumber: index + 1,
+                        stepTitle: step.title
+                    });
+                }
+            });
+        });
+
+        const percentage = FormRegistry.computeProgress(formId, formData);
+        const status = formData.status || (formData._progress && formData._progress.status) ||
+            (percentage > 0 ? 'in-progress' : 'not-started');
+
+        return {
+            id: formId,
+            name: schema.name,
+            fullName: schema.fullName,
+            percentage: status === 'completed' ? 100 : percentage,
+            status: status,
+            currentStep: formData.currentStep || (formData._progress && formData._progress.currentStep) || 1,
+            missing: missing,
+            values: values,
+            link: this.formLink(formId, missing.length > 0 ? missing[0].stepNumber : null)
+        };
+    },
+
+    /**
+     * Required documents of the started forms against the uploaded ones (DocumentChecklist)
+     * @param {Array} forms - Results of formStatus()
+     * @param {Array} uploaded - [{ type, name, fileName, uploadedAt, status, fileCount, slots }]
+     * @returns {Object} - { uploaded, required: [{ type, name, forms, reasons, status, uploaded, missingSlots, link }], missing }
+     */
+    documentStatus: function(forms, uploaded) {
+        const checklist = DocumentChecklist.combine(forms.map(form => DocumentChecklist.forForm(form.id, form.values, uploaded)));
+
+        const required = checklist.items.map(item => ({
+            type: item.type,
+            name: item.name,
+            forms: item.forms,
+            reasons: item.reasons,
+            status: item.status,
+            uploaded: item.status === 'ready',
+            missingSlots: item.missingSlots,
+            link: this.uploadLink(item.type)
+        }));
+        return {
+            uploaded: uploaded.filter(doc => doc.status !== 'expired'),
+            required: required,
+            missing: required.filter(doc => !doc.uploaded)
+        };
+    },
+
+    /**
+     * Upcoming dates from the saved forms: when the user can file (eligibility engine)
+     * and travel that needs a travel document first
+     */
+    deadlines: function(forms, options) {
+        const today = this._today(options);
+        const horizon = new Date(today);
+        horizon.setDate(horizon.getDate() + this.DEADLINE_WINDOW_DAYS);
+        const deadlines = [];
+
+        const add = (form, label, detail, date, link) => {
+            if (!date || date < today || date > horizon) return;
+            deadlines.push({
+                label: label,
+                detail: detail,
+                date: date,
+                daysLeft: Math.round((date - today) / (24 * 60 * 60 * 1000)),
+                form: form.name,
+                link: link
+            });
+        };
+
+        forms.forEach(form => {
+            if (typeof EligibilityEngine !== 'undefined' && EligibilityEngine.paths[form.id]) {
+                const result = EligibilityEngine.evaluate(form.id, Object.assign({}, form.values, { today: options && options.today }));
+                if (result.status === 'not-yet') {
+                    const timing = result.rules.find(rule => rule.timing && +rule.date === +result.earliestFilingDate);
+                    add(form, 'Earliest ' + form.name + ' filing date', timing ? timing.detail : result.summary,
+                        result.earliestFilingDate, this.formLink(form.id));
+                }
+            }
+
+            if (form.id === 'i131' && form.values.intendedDepartureDate) {
+                add(form, 'Planned trip - ' + form.name + ' must be approved before you leave', 'File early: travel before approval can abandon a pending green card application.',
+                    FormValidator.parseDate(form.values.intendedDepartureDate), form.link);
+            }
+        });
+
+        return deadlines.sort((a, b) => a.date - b.date);
+    },
+
+    /**
+     * Plain-text summary for the remote provider's system prompt. Field labels,
+     * document names and dates only - no answers from the forms.
+     */
+    summarize: function(context) {
+        if (!context || !context.hasData) return '';
+
+        const lines = [];
+        context.forms.forEach(form => {
+            lines.push('* ' + form.name + ': ' + form.percentage + '% complete' +
+                (form.missing.length > 0 ? ', missing ' + form.missing.map(field => field.label).join(', ') : ''));
+        });
+        if (context.documents.uploaded.length > 0) {
+            lines.push('* Uploaded documents: ' + context.documents.uploaded.map(doc => doc.name).join(', '));
+        }
+        if (context.documents.missing.length > 0) {
+            lines.push('* Documents still needed: ' + context.documents.missing.map(doc => doc.name).join(', '));
+        }
+        context.deadlines.forEach(deadline => {
+            lines.push('* ' + deadline.label + ': ' + this.formatDate(deadline.date) + ' (' + deadline.daysLeft + ' days)');
+        });
+        return lines.join('\n');
+    },
+
+    /**
+     * Link to a form in the Forms Center, optionally at a wizard step (1-based)
+     */
+    formLink: function(formId, stepNumber) {
+        return this.FORMS_PAGE + '?form=' + encodeURIComponent(formId) + (stepNumber ? '&step=' + stepNumber : '');
+    },
+
+    /**
+     * Link to a document's upload slot in the Forms Center
+     */
+    uploadLink: function(docType) {
+        return this.FORMS_PAGE + '?tab=documents&upload=' + encodeURIComponent(docType);
+    },
+
+    formatDate: function(date) {
+        return I18n.formatDate(date);
+    },
+
+    // ============ PRIVATE ============
+
+    /**
+     * Saved data of a form - this device first, then the cloud snapshot (like EligibilityEngine.gatherFacts)
+     */
+    _loadFormData: function(formId) {
+        try {
+            const saved = JSON.parse(localStorage.getItem(FormRegistry.storageKey(formId)) || 'null');
+            if (saved) return saved;
+        } catch (error) {
+            console.warn('Could not read saved data for ' + formId + ':', error);
+        }
+
+        const serverData = window.dataSync && window.dataSync.serverData;
+        return (serverData && serverData.forms && serverData.forms[formId]) || {};
+    },
+
+    _stepData: function(formData) {
+        const steps = {};
+        Object.entries(formData || {}).forEach(([key, value]) => {
+            if (/^step\d+$/.test(key)) {
+                steps[key] = value;
+            }
+        });
+        return steps;
+    },
+
+    _today: function(options) {
+        const now = options && options.today ? FormValidator.parseDate(options.today) : new Date();
+        return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    }
+};
+
+// Export to global scope
+window.CaseContext = CaseContext;
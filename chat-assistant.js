@@ -0,0 +1,696 @@
+/**
+ * Visa Guide AI - Chat Assistant
+ * Answer pipeline for the chatbot: an intent classifier picks the intent of a message,
+ * matching knowledge base passages and the user's own case (CaseContext) are gathered,
+ * the first available provider answers it, and every answer is a structured response
+ * { text, links, actions, citations } that the chat page renders. Providers, in order: the optional remote provider (an
+ * OpenAI-compatible endpoint set in chatProviderConfig, given the passages as sources),
+ * the knowledge base provider (quotes a clearly matching passage) and the built-in
+ * offline rules.
+ *
+ * Languages: the remote provider is asked to reply in the user's language, and the
+ * offline greeting, navigation, civics and fallback replies come from the i18n.js catalogs.
+ * Knowledge base passages and the other offline answers are English - every response
+ * carries the language it is written in (lang) so the page can say so.
+ */
+
+// Remote provider settings for this deployment - leave endpoint empty to answer offline only.
+// The endpoint should be a proxy you control: an API key placed here is visible to every visitor.
+const chatProviderConfig = {
+    endpoint: '',
+    model: 'gpt-4o-mini',
+    apiKey: '',
+    timeoutMs: 15000,
+    // Send a summary of the user's case (form completion, document names, dates - no form answers)
+    shareCaseContext: true,
+    systemPrompt: 'You are Visa Guide AI, an assistant for U.S. immigration questions. Answer clearly and briefly, ' +
+        'use plain text with "* " bullet lists, and remind users that your answers are guidance, not legal advice. ' +
+        'When sources are provided, base your answer on them and cite them as [1], [2].'
+};
+
+const ChatAssistant = {
+    // Providers in the order they are tried
+    providers: [],
+
+    config: Object.assign({}, chatProviderConfig),
+
+    /**
+     * Intents in priority order - the first match wins.
+     * Intent: { id, pattern, local, topic }
+     *   local - always answered by the offline provider (navigation, personal verdicts, the user's case)
+     *   topic - knowledge base topic preferred for this intent
+     */
+    intents: [
+        { id: 'greeting', pattern: /^(hi|hello|hey|good morning|good afternoon|good evening|howdy|hola|buen[oa]s|你好|您好|مرحبا|السلام عليكم|سلام|درود)/i, local: true },
+        {
+            id: 'navigate',
+            pattern: [
+                /send me to|take me to|go to|open|show me|where is|find|find me/i,
+                /(want|need|would like).*?(form|forms|page|dashboard|center)/i,
+                /i want.*?fill|i need.*?fill|let me.*?fill/i,
+                /access|launch|start.*?(form|application)/i
+            ],
+            local: true
+        },
+        {
+            id: 'myCase',
+            pattern: /what('?s| is) (missing|left)|missing (from|in|on) my|(have|did) i (upload|fill|complete|finish)|my (progress|deadlines?|uploads?|uploaded|documents?|forms?|n-?400|i-?\d{3})|(upcoming|next) deadlines?/i,
+            local: true
+        },
+        { id: 'eligibility', pattern: /eligible|eligibility|can i qualify|do i qualify|check my eligibility/i, local: true },
+        { id: 'documents', pattern: /document|documents|need|required|checklist|what do i need|missing|prepare/i, topic: 'documents' },
+        { id: 'forms', pattern: /form|forms|application/i, topic: 'forms' },
+        { id: 'interview', pattern: /interview|interview prep|stamping|consulate|embassy|prepare/i },
+        { id: 'deadlines', pattern: /deadline|due date|when|timeframe|timeline|how long/i },
+        { id: 'status', pattern: /status|case|check my|track|where is/i },
+        { id: 'fees', pattern: /fee|fees|cost|price|payment|how much/i, topic: 'fees' },
+        { id: 'civics', pattern: /civics|test|study|learn|questions|history|government/i },
+        { id: 'h1b', pattern: /h1b|h-1b|cap|lottery|renew|transfer/i },
+        { id: 'greenCard', pattern: /green.?card|employment.?based|eb-1|eb-2|eb-3|priority date/i }
+    ],
+
+    // Score multiplier for knowledge base passages in the classified intent's topic
+    TOPIC_BOOST: 1.5,
+
+    /**
+     * Register an answer provider
+     * @param {Object} provider - { id, name, isAvailable(request), respond(request) }
+     *   respond resolves to { text, links?, actions? } or null to pass to the next provider
+     * @param {Object} options - { first: true } to try it before the providers already registered
+     */
+    registerProvider: function(provider, options) {
+        if (!provider || !provider.id || typeof provider.respond !== 'function') {
+            throw new Error('Chat provider needs an id and a respond(request) function');
+        }
+
+        this.providers = this.providers.filter(p => p.id !== provider.id);
+        if (options && options.first) {
+            this.providers.unshift(provider);
+        } else {
+            this.providers.push(provider);
+        }
+        return provider;
+    },
+
+    /**
+     * Override deployment settings (e.g. from a page that knows its proxy endpoint)
+     * @param {Object} options - Keys of chatProviderConfig
+     */
+    configure: function(options) {
+        Object.assign(this.config, options || {});
+    },
+
+    /**
+     * Classify a message
+     * @param {string} message - User message
+     * @returns {Object} - { id, local, topic } - id 'fallback' when nothing matches
+     */
+    classify: function(message) {
+        const text = String(message || '').toLowerCase();
+        const intent = this.intents.find(candidate => {
+            const patterns = Array.isArray(candidate.pattern) ? candidate.pattern : [candidate.pattern];
+            return patterns.some(pattern => pattern.test(text));
+        });
+
+        return intent ? { id: intent.id, local: !!intent.local, topic: intent.topic || null } : { id: 'fallback', local: false, topic: null };
+    },
+
+    /**
+     * Answer a message with the first provider that can
+     * @param {string} message - User message
+     * @param {Object} context - { history: [{ role, content }], user, topic, locale, case } - case defaults to CaseContext.gather()
+     * @returns {Promise<Object>} - { text, links: [{ label, href, icon, primary }], actions: [{ label, prompt }],
+     *                              citations: [{ title, source, url, reviewed, stale }], intent, provider, lang }
+     */
+    respond: async function(message, context) {
+        context = context || {};
+        const request = {
+            message: message,
+            text: String(message || '').toLowerCase(),
+            intent: this.classify(message),
+            history: context.history || [],
+            user: context.user || null,
+            topic: context.topic || 'general',
+            locale: context.locale || 'en'
+        };
+        request.passages = this._retrieve(request);
+        request.case = context.case || await this._caseContext();
+
+        for (const provider of this.providers) {
+            if (typeof provider.isAvailable === 'function' && !provider.isAvailable(request)) continue;
+
+            try {
+                const response = await provider.respond(request);
+                if (response) {
+                    return this._normalize(response, request, provider);
+                }
+            } catch (error) {
+                console.warn('Chat provider "' + provider.id + '" failed, trying the next one:', error.message);
+            }
+        }
+
+        return this._normalize(this.localize(request, 'sorry', { text: 'Sorry, I could not answer that right now. Please try again.' }), request, { id: 'none' });
+    },
+
+    /**
+     * A canned reply in the user's language when the i18n.js catalog has 'chat.reply.<key>'
+     * for request.locale: the text and CHAT_LINKS labels are translated, action labels too
+     * (from action.i18n) while their prompts stay English for the classifier. Otherwise the
+     * English reply unchanged.
+     * @param {Object} request - The request being answered
+     * @param {string} key - Reply key in the catalog
+     * @param {Object} response - The English response
+     * @param {Object} params - Values for the reply's {placeholders}
+     */
+    localize: function(request, key, response, params) {
+        const locale = request.locale;
+        const translated = locale !== 'en' && typeof I18n !== 'undefined' && I18n.has('chat.reply.' + key, locale);
+        const actions = (response.actions || []).map(action => ({
+            label: translated && action.i18n ? I18n.t(action.i18n, null, locale) : action.label,
+            prompt: action.prompt
+        }));
+        if (!translated) {
+            return Object.assign({}, response, { actions: actions });
+        }
+
+        return Object.assign({}, response, {
+            text: I18n.t('chat.reply.' + key, params, locale),
+            links: (response.links || []).map(link => {
+                const id = Object.keys(CHAT_LINKS).find(name => CHAT_LINKS[name].href === link.href);
+                return id ? Object.assign({}, link, { label: I18n.t('chat.link.' + id, null, locale) }) : link;
+            }),
+            actions: actions,
+            lang: locale
+        });
+    },
+
+    // ============ PRIVATE ============
+
+    /**
+     * Knowledge base passages for a request - none for local intents. Passages in the
+     * intent's topic score TOPIC_BOOST times higher.
+     */
+    _retrieve: function(request) {
+        if (request.intent.local || typeof KnowledgeBase === 'undefined') return [];
+
+        const topic = request.intent.topic;
+        return KnowledgeBase.search(request.message, { limit: 6 })
+            .map(result => topic && result.passage.topic === topic
+                ? Object.assign({}, result, { score: result.score * this.TOPIC_BOOST })
+                : result)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 3);
+    },
+
+    /**
+     * The user's case, or null when CaseContext is not loaded or fails
+     */
+    _caseContext: async function() {
+        if (typeof CaseContext === 'undefined') return null;
+
+        try {
+            return await CaseContext.gather();
+        } catch (error) {
+            console.warn('Could not gather the case context:', error);
+            return null;
+        }
+    },
+
+    _normalize: function(response, request, provider) {
+        return {
+            text: String(response.text || ''),
+            links: Array.isArray(response.links) ? response.links : [],
+            actions: Array.isArray(response.actions) ? response.actions : [],
+            citations: Array.isArray(response.citations) ? response.citations : [],
+            intent: request.intent.id,
+            provider: provider.id,
+            lang: response.lang || 'en'
+        };
+    }
+};
+
+// ============ OFFLINE PROVIDER ============
+
+const CHAT_LINKS = {
+    forms: { label: 'Go to Forms Center', href: 'visa-guide-forms.html', icon: 'fa-file-alt' },
+    dashboard: { label: 'View My Dashboard', href: 'visa-guide-dashboard.html', icon: 'fa-chart-pie' },
+    civics: { label: 'Start Civics Practice', href: 'visa-guide-civics.html', icon: 'fa-graduation-cap' }
+};
+
+function chatLink(key, overrides) {
+    return Object.assign({}, CHAT_LINKS[key], overrides || {});
+}
+
+/**
+ * Rule-based answers, one handler per intent. Handlers get the request and return a response.
+ */
+const OfflineChatProvider = {
+    id: 'offline',
+    name: 'Built-in answers',
+
+    isAvailable: function() {
+        return true;
+    },
+
+    respond: function(request) {
+        const handler = this.handlers[request.intent.id] || this.handlers.fallback;
+        return handler.call(this, request);
+    },
+
+    handlers: {
+        greeting: function(request) {
+            const name = request.user && request.user.firstName ? request.user.firstName : 'there';
+            const key = request.user && request.user.firstName ? 'greeting' : 'greetingGuest';
+            return ChatAssistant.localize(request, key, {
+                text: 'Hello ' + name + '! Great to see you!\n\nI am your Visa Guide AI assistant. I can help you with:\n\n* Eligibility questions - "Am I eligible for green card?"\n* Document requirements - "What documents do I need for H-1B?"\n* Form guidance - "Help me fill out I-485"\n* Interview prep - "Tell me about citizenship interview"\n* Case status - "Check my case progress"\n* Deadlines - "When is my next deadline?"\n\nWhat would you like help with today?',
+                links: [chatLink('forms'), chatLink('civics'), chatLink('dashboard')],
+                actions: [
+                    { label: 'Check green card eligibility', prompt: 'Am I eligible for a green card?', i18n: 'chat.quick.eligibility' },
+                    { label: 'N-400 documents', prompt: 'What documents do I need for citizenship?', i18n: 'chat.quick.n400Docs' }
+                ]
+            }, { name: name });
+        },
+
+        navigate: function(request) {
+            const text = request.text;
+
+            if (/form|forms|application/i.test(text)) {
+                return ChatAssistant.localize(request, 'navigateForms', {
+                    text: 'I will take you to the Forms Center where you can access and fill out all available immigration forms.\n\nThe Forms Center includes:\n* All USCIS forms (N-400, I-485, I-130, I-140, etc.)\n* Step-by-step filing instructions\n* Document checklists for each form\n* Fee information\n\nWould you like guidance on a specific form?',
+                    links: [chatLink('forms', { primary: true })]
+                });
+            }
+
+            if (/dashboard|overview|summary|progress|my page|my account/i.test(text)) {
+                return ChatAssistant.localize(request, 'navigateDashboard', {
+                    text: 'I will take you to your Dashboard where you can see your complete immigration progress.\n\nYour Dashboard shows:\n* Overall progress on your immigration journey\n* Upcoming deadlines\n* Document checklists\n* Case status updates\n\nLet me know if you need help with anything specific!',
+                    links: [chatLink('dashboard', { label: 'Go to Dashboard', primary: true })]
+                });
+            }
+
+            if (/civics|quiz|test|study|learn|practice|question/i.test(text)) {
+                const test = this._civicsTest();
+                return ChatAssistant.localize(request, 'navigateCivics', {
+                    text: 'I will take you to the Civics Practice section where you can study and prepare for your citizenship test.\n\nCivics Practice includes:\n* All ' + test.questions + ' official questions of the ' + test.name + '\n* An interview simulator that asks them out loud, like the officer\n* Study mode and quizzes\n* Progress tracking\n\nGood luck with your preparation!',
+                    links: [chatLink('civics', { label: 'Go to Civics Practice', primary: true })]
+                }, test);
+            }
+
+            return ChatAssistant.localize(request, 'navigate', {
+                text: 'I would be happy to help you navigate to the right place! What would you like to access?\n\n* **Forms Center** - For immigration forms and applications\n* **Dashboard** - For your progress and deadlines\n* **Civics Practice** - For citizenship test preparation\n\nJust let me know what you need!',
+                links: [
+                    chatLink('forms', { label: 'Forms Center' }),
+                    chatLink('dashboard', { label: 'Dashboard' }),
+                    chatLink('civics', { label: 'Civics Practice' })
+                ]
+            });
+        },
+
+        eligibility: function(request) {
+            const text = request.text;
+
+            // Personal verdict when the user has saved answers for the matching form
+            const eligibilityPath = /citizenship|n-400|naturalization/i.test(text) ? 'n400' :
+                /green.?card|adjustment|i-485/i.test(text) ? 'i485' :
+                /i-130|relative|family petition/i.test(text) ? 'i130' : null;
+
+            if (eligibilityPath && typeof EligibilityEngine !== 'undefined') {
+                const facts = EligibilityEngine.gatherFacts(eligibilityPath);
+                if (Object.keys(facts).length > 0) {
+                    const result = EligibilityEngine.evaluate(eligibilityPath, facts);
+                    return {
+                        text: 'Here is what your saved answers show:\n\n' + EligibilityEngine.describe(result) + '\n\nThis is guidance, not legal advice.',
+                        links: [
+                            chatLink('forms', { label: 'Update Your Answers' }),
+                            chatLink('dashboard', { label: 'See All Paths', href: 'visa-guide-dashboard.html#eligibilitySection' })
+                        ]
+                    };
+                }
+            }
+
+            let interestInfo;
+            if (/h1b|h-1b/i.test(text)) {
+                interestInfo = 'For H-1B Eligibility:\n* Bachelor\'s degree or equivalent in specialty occupation\n* Employer willing to sponsor your petition\n* Labor Condition Application (LCA) filed by employer\n* Subject to annual cap (85,000 slots)\n* Must maintain status throughout employment';
+            } else if (/green.?card|adjustment|i-485|eb-1|eb-2|eb-3/i.test(text)) {
+                interestInfo = 'For Green Card Eligibility:\n* Employment-based: Job offer from US employer\n* Family-based: US citizen or permanent resident relative\n* Self-petition: EB-1A (extraordinary ability) or EB-2 NIW\n* Priority date must be current per Visa Bulletin\n* Medical examination required\n* Police certificates required';
+            } else if (/citizenship|n-400|naturalization/i.test(text)) {
+                interestInfo = 'For Citizenship Eligibility:\n* 5 years continuous residence in US, OR\n* 3 years if married to US citizen\n* Physical presence in US (30+ months)\n* Good moral character\n* Pass English and civics test\n* Must be 18 or older';
+            } else {
+                interestInfo = 'To determine your eligibility:\n* What type of immigration benefit are you seeking?\n* What is your current visa status?\n* How long have you been in the US?\n\nOr I can check your profile for personalized advice.';
+            }
+
+            return {
+                text: 'Let me help you check your eligibility\n\n' + interestInfo + '\n\nWould you like me to help with any specific eligibility question?',
+                links: [
+                    chatLink('dashboard', { label: 'Update Your Profile' }),
+                    chatLink('forms', { label: 'View Required Forms' })
+                ]
+            };
+        },
+
+        // Questions about the user's own forms, documents and dates, answered from request.case
+        myCase: function(request) {
+            const context = request.case;
+            if (!context || !context.hasData) {
+                return ChatAssistant.localize(request, 'noCase', {
+                    text: 'I do not see any saved forms or uploaded documents yet.\n\nStart a form in the Forms Center and I can tell you which answers are missing, which documents you still need and your upcoming dates.',
+                    links: [chatLink('forms', { primary: true })]
+                });
+            }
+
+            if (/document|upload|evidence|file/i.test(request.text)) {
+                return this._caseDocuments(context);
+            }
+            if (/deadline|due|date|when/i.test(request.text)) {
+                return this._caseDeadlines(context);
+            }
+            return this._caseForms(context, request.text);
+        },
+
+        // Specific checklists come from the knowledge base - this asks which application
+        documents: function(request) {
+            // Documents the user's own forms still need come first
+            if (request.case && request.case.documents.missing.length > 0) {
+                return this._caseDocuments(request.case);
+            }
+
+            return {
+                text: 'Here are common documents you may need:\n\nBasic Documents:\n* Valid passport\n* I-94 arrival/departure record\n* Employment authorization document\n* Social Security card\n* Tax returns\n* Birth certificate\n* Marriage certificate\n* Educational credentials\n\nWhat type of application are you preparing for? I can give you a specific checklist.',
+                links: [chatLink('dashboard', { label: 'Check Your Document Status' })],
+                actions: [
+                    { label: 'N-400 documents', prompt: 'What documents do I need for citizenship?' },
+                    { label: 'I-485 documents', prompt: 'What documents do I need for a green card?' },
+                    { label: 'H-1B stamping documents', prompt: 'What documents do I need for H-1B stamping?' }
+                ]
+            };
+        },
+
+        // Form details come from the knowledge base - this lists the forms to choose from
+        forms: function(request) {
+            const started = request.case ? request.case.forms : [];
+            const links = started.slice(0, 2).map(form => ({ label: 'Continue ' + form.name, href: form.link, icon: 'fa-edit' }));
+
+            return {
+                text: 'Here are the main immigration forms available:\n\nCommon Forms:\n* N-400 - Citizenship application\n* I-485 - Green card (adjustment of status)\n* I-130 - Family petition\n* I-140 - Employment petition\n* I-131 - Advance parole\n* I-765 - Work authorization\n\nWhich form would you like help with?',
+                links: [chatLink('forms', { primary: true })].concat(links),
+                actions: started.slice(0, 2).map(form => ({ label: 'What is missing from my ' + form.name + '?', prompt: 'What is missing from my ' + form.name + '?' }))
+                    .concat([
+                        { label: 'N-400', prompt: 'Tell me about the N-400 form' },
+                        { label: 'I-485', prompt: 'Tell me about the I-485 form' },
+                        { label: 'I-130', prompt: 'Tell me about the I-130 form' }
+                    ])
+            };
+        },
+
+        interview: function() {
+            return {
+                text: 'Interview Preparation Guide:\n\nFor Citizenship Interview:\n* Duration: 20-30 minutes with officer\n* Questions about N-400 application\n* English test (reading/writing)\n* Civics test (the 2008 or 2025 version, depending on when you filed)\n\nFor Visa Stamping:\n* Bring all supporting documents\n* Expect questions about job, employer, intentions\n* Officer may ask about ties to home country\n* Stay calm and be honest\n\nCommon Questions:\n* "Why do you want to become a US citizen?"\n* "How long have you been in the US?"\n* "What do you do for work?"\n\nWould you like me to help with specific interview questions?',
+                links: [chatLink('civics', { label: 'Practice Civics Questions' })]
+            };
+        },
+
+        status: function() {
+            return {
+                text: 'Case Status Tracking:\n\nTo check your case:\n1. Go to the USCIS Case Status Online page\n2. Enter your 13-character receipt number\n3. View current status and updates\n\nReceipt Number Format:\n* Starts with 3 letters (EAC, WAC, SRC, etc.)\n* Followed by 10 numbers\n\nCommon Statuses:\n* "Case Received" - Initial acknowledgment\n* "Case Is Being Actively Reviewed" - Processing\n* "Request for Evidence Sent" - RFE issued\n* "Interview Scheduled" - Next step\n* "Case Approved" - Success!\n\nWould you like help understanding a specific status?',
+                links: [
+                    { label: 'USCIS Case Status Online', href: 'https://egov.uscis.gov/', icon: 'fa-external-link-alt' },
+                    chatLink('dashboard', { label: 'View Your Dashboard' })
+                ]
+            };
+        },
+
+        civics: function(request) {
+            const test = this._civicsTest();
+            return ChatAssistant.localize(request, 'civics', {
+                text: 'Civics Test Preparation:\n\nTest Format (' + test.name + ', for applications filed now):\n* The officer asks up to ' + test.asked + ' questions out loud from a list of ' + test.questions + '\n* You answer in your own words - there are no answer choices\n* You pass with ' + test.passAt + ' correct answers\n* If you are 65 or older and have been a permanent resident for 20 years, you are asked ' + test.seniorAsked + ' of ' + test.seniorQuestions + ' special questions and need ' + test.seniorPassAt + ' correct\n* Filed earlier? Your interview uses the test for your filing date\n\nTopics Covered:\n' + test.topics + '\n\nWould you like to start practicing now?',
+                links: [chatLink('civics', { label: 'Start Practice Quiz', primary: true })]
+            }, test);
+        },
+
+        fallback: function(request) {
+            return ChatAssistant.localize(request, 'fallback', {
+                text: 'I understand you are asking about "' + request.message + '". Here is how I can help:\n\nTopics I Can Assist With:\n\n📋 **Visa Questions**\n* H-1B, L-1, O-1, F-1, etc.\n\n💳 **Green Cards**\n* Employment-based (EB-1, EB-2, EB-3)\n* Family-based\n\n📄 **Forms**\n* N-400, I-485, I-130, I-140, etc.\n\n📋 **Documents**\n* Required documents\n* Checklists\n\n📅 **Timelines**\n* Processing times\n* Deadlines\n\n🎓 **Citizenship**\n* Civics test prep\n* Interview tips\n\nCan you provide more details about your question? For example:\n- What visa type are you applying for?\n- What stage of the process are you in?\n- What specific help do you need?\n\nI am here to help!',
+                links: [
+                    chatLink('forms', { label: 'Forms Center' }),
+                    chatLink('dashboard', { label: 'Your Dashboard' }),
+                    chatLink('civics', { label: 'Civics Practice' })
+                ]
+            }, { message: request.message });
+        }
+    },
+
+    // ============ PRIVATE ============
+
+    /**
+     * The civics test for an application filed today, from the question bank - the reply
+     * params { name, questions, asked, passAt, seniorQuestions, seniorAsked, seniorPassAt, topics }
+     */
+    _civicsTest: function() {
+        const id = CivicsInterview.currentTest();
+        const rules = CivicsInterview.rules(id);
+        const senior = CivicsInterview.rules(id, true);
+        const questions = CIVICS_QUESTION_BANK.questions.filter(question => question.test === id);
+        const topics = questions.map(question => question.category).filter((category, index, all) => all.indexOf(category) === index);
+
+        return {
+            name: rules.name,
+            questions: questions.length,
+            asked: rules.asked,
+            passAt: rules.passAt,
+            seniorQuestions: questions.filter(question => question.senior).length,
+            seniorAsked: senior.asked,
+            seniorPassAt: senior.passAt,
+            topics: topics.map(topic => '* ' + topic).join('\n')
+        };
+    },
+
+    // Answers built from the user's case (request.case, see CaseContext.gather)
+    _caseForms: function(context, text) {
+        const compact = text.replace(/[^a-z0-9]/g, '');
+        const named = FormRegistry.list().find(schema => compact.includes(schema.name.toLowerCase().replace(/[^a-z0-9]/g, '')));
+        const forms = named ? context.forms.filter(form => form.id === named.id) : context.forms;
+
+        if (named && forms.length === 0) {
+            return {
+                text: 'You have not started the ' + named.name + ' (' + named.fullName + ') yet. Open it in the Forms Center and I will keep track of what is missing.',
+                links: [{ label: 'Start ' + named.name, href: CaseContext.formLink(named.id), icon: 'fa-edit', primary: true }]
+            };
+        }
+        if (forms.length === 0) {
+            return this._caseDocuments(context);
+        }
+
+        const sections = forms.map(form => {
+            const lines = ['**' + form.name + ' ' + form.fullName + '** - ' + form.percentage + '% complete'];
+            if (form.missing.length === 0) {
+                lines.push('All required answers are filled in. Review the form and generate the PDF when you are ready.');
+                return lines.join('\n');
+            }
+
+            lines.push('Required answers still missing:');
+            const steps = [];
+            form.missing.forEach(field => {
+                let step = steps.find(s => s.number === field.stepNumber);
+                if (!step) {
+                    step = { number: field.stepNumber, title: field.stepTitle, labels: [] };
+                    steps.push(step);
+                }
+                step.labels.push(field.label);
+            });
+            steps.forEach(step => lines.push('* Step ' + step.number + ' (' + step.title + '): ' + step.labels.join(', ')));
+            return lines.join('\n');
+        });
+
+        return {
+            text: sections.join('\n\n'),
+            links: forms.slice(0, 3).map((form, i) => ({
+                label: form.missing.length > 0 ? 'Continue ' + form.name + ' at step ' + form.missing[0].stepNumber : 'Review ' + form.name,
+                href: form.missing.length > 0 ? form.link : CaseContext.formLink(form.id),
+                icon: 'fa-edit',
+                primary: i === 0
+            })),
+            actions: [
+                { label: 'Which documents have I uploaded?', prompt: 'Which documents have I uploaded?' },
+                { label: 'My upcoming deadlines', prompt: 'What are my upcoming deadlines?' }
+            ]
+        };
+    },
+
+    _caseDocuments: function(context) {
+        const documents = context.documents;
+        const lines = [];
+
+        if (documents.uploaded.length > 0) {
+            lines.push('**Uploaded documents**');
+            documents.uploaded.forEach(doc => lines.push('* ' + doc.name + (doc.uploadedAt ? ' (uploaded ' + doc.uploadedAt + ')' : '')));
+        } else {
+            lines.push('You have not uploaded any documents yet.');
+        }
+
+        if (documents.missing.length > 0) {
+            lines.push('', '**Still needed for your forms**');
+            documents.missing.forEach(doc => lines.push('* ' + doc.name + ' - for ' + doc.forms.join(', ') +
+                (doc.reasons.length > 0 ? ' (' + doc.reasons.join('; ') + ')' : '') +
+                (doc.missingSlots.length > 0 ? ' - still needed: ' + doc.missingSlots.join(', ') : '')));
+        } else if (documents.required.length > 0) {
+            lines.push('', 'Every document your saved forms need is uploaded.');
+        } else {
+            lines.push('', 'Start a form and I can tell you which documents it needs.');
+        }
+
+        return {
+            text: lines.join('\n'),
+            links: documents.missing.slice(0, 3).map((doc, i) => ({ label: 'Upload ' + doc.name, href: doc.link, icon: 'fa-upload', primary: i === 0 }))
+                .concat([chatLink('forms', { label: 'All Documents', href: CaseContext.FORMS_PAGE + '?tab=documents' })]),
+            actions: [{ label: 'What is missing from my forms?', prompt: 'What is missing from my forms?' }]
+        };
+    },
+
+    _caseDeadlines: function(context) {
+        if (context.deadlines.length === 0) {
+            return {
+                text: 'No dates are coming up in the next ' + CaseContext.DEADLINE_WINDOW_DAYS + ' days based on your saved forms.\n\nUSCIS deadlines such as a Request for Evidence response date are printed on the notice you receive - keep those in your calendar too.',
+                links: [chatLink('dashboard', { label: 'View My Dashboard' })],
+                actions: [{ label: 'What is missing from my forms?', prompt: 'What is missing from my forms?' }]
+            };
+        }
+
+        return {
+            text: '**Your upcoming dates**\n\n' + context.deadlines.map(deadline =>
+                '* ' + deadline.label + ' - ' + CaseContext.formatDate(deadline.date) + ' (' +
+                (deadline.daysLeft === 0 ? 'today' : deadline.daysLeft + ' days') + ')\n  ' + deadline.detail).join('\n'),
+            links: context.deadlines.slice(0, 2).map((deadline, i) => ({ label: 'Open ' + deadline.form, href: deadline.link, icon: 'fa-calendar-check', primary: i === 0 }))
+        };
+    }
+};
+
+// ============ REMOTE PROVIDER ============
+
+/**
+ * OpenAI-compatible chat completions endpoint (POST { model, messages } -> choices[0].message.content).
+ * Only used when chatProviderConfig.endpoint is set; local intents stay offline.
+ */
+const RemoteChatProvider = {
+    id: 'remote',
+    name: 'OpenAI-compatible endpoint',
+
+    isAvailable: function(request) {
+        return !!ChatAssistant.config.endpoint && !request.intent.local &&
+            (typeof navigator === 'undefined' || navigator.onLine !== false);
+    },
+
+    respond: async function(request) {
+        const config = ChatAssistant.config;
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), config.timeoutMs) : null;
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.apiKey) {
+            headers.Authorization = 'Bearer ' + config.apiKey;
+        }
+
+        try {
+            const response = await fetch(config.endpoint, {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify({ model: config.model, messages: this.buildMessages(request) }),
+                signal: controller ? controller.signal : undefined
+            });
+            if (!response.ok) {
+                throw new Error('Chat endpoint returned ' + response.status);
+            }
+
+            const data = await response.json();
+            const content = data && data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+            if (!content) {
+                throw new Error('Chat endpoint returned no answer');
+            }
+
+            return {
+                text: content.trim(),
+                citations: request.passages.map(result => KnowledgeBase.cite(result.passage)),
+                lang: request.locale
+            };
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+    },
+
+    /**
+     * System prompt, the last turns of the conversation and the new message
+     */
+    buildMessages: function(request) {
+        let system = ChatAssistant.config.systemPrompt;
+        if (request.passages.length > 0) {
+            system += '\n\nSources:\n' + request.passages.map((result, i) =>
+                '[' + (i + 1) + '] ' + result.passage.title + ' (' + result.passage.source.name + ', reviewed ' + result.passage.reviewed + ')\n' +
+                result.passage.text).join('\n\n');
+        }
+        if (ChatAssistant.config.shareCaseContext && request.case && typeof CaseContext !== 'undefined') {
+            const summary = CaseContext.summarize(request.case);
+            if (summary) {
+                system += '\n\nThe user\'s case, from their saved forms and uploads:\n' + summary;
+            }
+        }
+        if (request.locale !== 'en' && typeof I18n !== 'undefined') {
+            system += '\n\nReply in the user\'s language: ' + I18n.languageName(request.locale) + ' (' + I18n.speechLang(request.locale) +
+                '). Keep form numbers, visa categories and the titles of English sources as they are.';
+        }
+        const messages = [{ role: 'system', content: system }];
+
+        request.history.slice(-10).forEach(turn => {
+            messages.push({ role: turn.role === 'user' ? 'user' : 'assistant', content: String(turn.content) });
+        });
+
+        // The page records the user's message before asking for an answer
+        const last = messages[messages.length - 1];
+        if (!last || last.role !== 'user' || last.content !== request.message) {
+            messages.push({ role: 'user', content: request.message });
+        }
+        return messages;
+    }
+};
+
+// ============ KNOWLEDGE BASE PROVIDER ============
+
+/**
+ * Quotes the best knowledge base passage with its citation. Passes when no passage
+ * clearly wins, so the offline rules can ask a follow-up question instead.
+ */
+const KnowledgeChatProvider = {
+    id: 'knowledge',
+    name: 'Knowledge base',
+
+    // The best passage needs this score and a lead of LEAD over the next one
+    MIN_SCORE: 2,
+    LEAD: 1.2,
+
+    isAvailable: function(request) {
+        return request.passages.length > 0;
+    },
+
+    respond: function(request) {
+        const best = request.passages[0];
+        const next = request.passages[1];
+        if (best.score < this.MIN_SCORE || (next && best.score < next.score * this.LEAD)) {
+            return null;
+        }
+
+        const passage = best.passage;
+        return {
+            text: '**' + passage.title + '**\n\n' + passage.text,
+            links: passage.link ? [passage.link] : [],
+            citations: [KnowledgeBase.cite(passage)]
+        };
+    }
+};
+
+ChatAssistant.registerProvider(RemoteChatProvider);
+ChatAssistant.registerProvider(KnowledgeChatProvider);
+ChatAssistant.registerProvider(OfflineChatProvider);
+
+// Export to global scope
+window.ChatAssistant = ChatAssistant;
+window.OfflineChatProvider = OfflineChatProvider;
+window.RemoteChatProvider = RemoteChatProvider;
+window.KnowledgeChatProvider = KnowledgeChatProvider;
@@ -0,0 +1,255 @@
+/**
+ * Visa Guide AI - Chat History
+ * Saved chat conversations: named threads per topic, search across past messages and
+ * export to Markdown or PDF (Latin text only, see toPdf). Threads are stored through
+ * DataSync (users/{uid}/conversations, one document per message in each thread's
+ * messages subcollection; localStorage when signed out).
+ *
+ * Thread: { id, title, topic, createdAt, lastMessageAt, messages: [{ role, text, links, actions, citations, lang, time }] }
+ */
+
+const ChatHistory = {
+    // Characters of context shown around a search match
+    SNIPPET_RADIUS: 60,
+
+    threads: [],
+    store: null,
+
+    /**
+     * Load saved threads
+     * @param {Object} store - DataSync instance (or any { loadConversations, saveConversation, deleteConversation })
+     * @returns {Promise<Array>} - Threads, most recent first
+     */
+    load: async function(store) {
+        this.store = store || null;
+        this.threads = this.store ? await this.store.loadConversations() : [];
+        return this.threads;
+    },
+
+    /**
+     * Start an empty thread (saved once it has a message)
+     * @param {string} topic - Chat topic id
+     * @param {string} title - Thread name
+     */
+    create: function(topic, title) {
+        const now = new Date().toISOString();
+        const thread = {
+            id: Date.now().toString(36) + Math.random().toString(36).slice(2, 8),
+            title: title || 'Conversation',
+            topic: topic || 'general',
+            createdAt: now,
+            lastMessageAt: now,
+            messages: []
+        };
+        this.threads.unshift(thread);
+        return thread;
+    },
+
+    get: function(threadId) {
+        return this.threads.find(thread => thread.id === threadId) || null;
+    },
+
+    /**
+     * Threads of one topic, most recent first
+     */
+    forTopic: function(topic) {
+        return this.threads.filter(thread => thread.topic === topic);
+    },
+
+    /**
+     * Append a message and save the thread
+     * @param {string} role - 'user' or 'bot'
+     * @param {string|Object} content - Text, or a ChatAssistant response { text, links, actions, citations }
+     * @returns {Object} - The stored message
+     */
+    addMessage: function(threadId, role, content) {
+        const thread = this.get(threadId);
+        if (!thread) return null;
+
+        const response = typeof content === 'string' ? { text: content } : (content || {});
+        // JSON round trip drops undefined values, which Firestore rejects
+        const message = JSON.parse(JSON.stringify({
+            role: role,
+            text: String(response.text || ''),
+            links: response.links || [],
+            actions: response.actions || [],
+            citations: response.citations || [],
+            lang: response.lang,
+            time: new Date().toISOString()
+        }));
+
+        thread.messages.push(message);
+        thread.lastMessageAt = message.time;
+        this.threads = [thread].concat(this.threads.filter(t => t !== thread));
+        this._save(thread);
+        return message;
+    },
+
+    /**
+     * Delete a thread
+     */
+    remove: async function(threadId) {
+        this.threads = this.threads.filter(thread => thread.id !== threadId);
+        if (this.store) {
+            await this.store.deleteConversation(threadId);
+        }
+    },
+
+    /**
+     * Find past messages containing every word of the query
+     * @returns {Array} - [{ thread, index, message, snippet }] newest first
+     */
+    search: function(query) {
+        const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        if (words.length === 0) return [];
+
+        const results = [];
+        this.threads.forEach(thread => {
+            thread.messages.forEach((message, index) => {
+                const text = message.text.toLowerCase();
+                if (words.every(word => text.includes(word))) {
+                    results.push({ thread: thread, index: index, message: message, snippet: this._snippet(message.text, words[0]) });
+                }
+            });
+        });
+
+        return results.sort((a, b) => (a.message.time < b.message.time ? 1 : a.message.time > b.message.time ? -1 : 0));
+    },
+
+    /**
+     * Thread as a Markdown document, with links and sources under each answer
+     */
+    toMarkdown: function(thread) {
+        const lines = ['# ' + thread.title, '', '_Started ' + this._formatDate(thread.createdAt) + '_', ''];
+
+        thread.messages.forEach(message => {
+            lines.push('**' + (message.role === 'user' ? 'You' : 'Visa Guide AI') + '** - ' + this._formatDate(message.time), '');
+            lines.push(message.text, '');
+
+            const links = message.links.filter(link => /^https?:/.test(link.href));
+            if (links.length > 0) {
+                links.forEach(link => lines.push('- [' + link.label + '](' + link.href + ')'));
+                lines.push('');
+            }
+            if (message.citations.length > 0) {
+                lines.push('Sources:');
+                message.citations.forEach(citation => {
+                    lines.push('- [' + citation.title + '](' + citation.url + ') - last reviewed ' + (citation.reviewed || 'unknown'));
+                });
+                lines.push('');
+            }
+        });
+
+        return lines.join('\n');
+    },
+
+    /**
+     * Thread as a PDF (needs jsPDF, and PdfFiller for its Latin text). The standard
+     * Helvetica font only has Latin letters, so text goes through PdfFiller.latinText():
+     * accents are dropped, Arabic and Persian digits become 0-9 and other scripts print
+     * as '?' under a note pointing to the Markdown export, which keeps everything.
+     * @param {Object} thread
+     * @param {Object} report - Optional, receives { transliterated, lost }
+     * @returns {Object} - jsPDF document
+     */
+    toPdf: function(thread, report) {
+        if (!window.jspdf || !window.jspdf.jsPDF) {
+            throw new Error('PDF export is not available - jsPDF did not load');
+        }
+
+        const doc = new window.jspdf.jsPDF();
+        const margin = 15;
+        const width = doc.internal.pageSize.getWidth() - margin * 2;
+        const bottom = doc.internal.pageSize.getHeight() - margin;
+        let y = margin;
+
+        const result = report || {};
+        result.transliterated = false;
+        result.lost = false;
+        const latin = text => {
+            const converted = PdfFiller.latinText(text);
+            result.transliterated = result.transliterated || converted.changed;
+            result.lost = result.lost || converted.lost;
+            return converted.text;
+        };
+        // Numeric, 24-hour dates: no month names or AM/PM markers the font cannot print
+        const date = iso => latin(I18n.formatDate(new Date(iso), {
+            year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+        }));
+
+        const lines = [];
+        const write = (text, size, style) => lines.push({ text: latin(text), size: size, style: style });
+
+        write(thread.title, 16, 'bold');
+        write('Started ' + date(thread.createdAt), 9);
+        lines.push({ space: 4 });
+
+        thread.messages.forEach(message => {
+            write((message.role === 'user' ? 'You' : 'Visa Guide AI') + ' - ' + date(message.time), 10, 'bold');
+            write(message.text.replace(/\*\*/g, ''), 10);
+            message.citations.forEach(citation => {
+                write('Source: ' + citation.title + ' (' + citation.url + '), last reviewed ' + (citation.reviewed || 'unknown'), 8, 'italic');
+            });
+            lines.push({ space: 3 });
+        });
+
+        if (result.lost) {
+            lines.splice(2, 0, {
+                text: 'Characters the PDF font cannot show are printed as "?". Export the conversation as Markdown to keep the full text.',
+                size: 8,
+                style: 'italic'
+            });
+        }
+
+        lines.forEach(line => {
+            if (line.space) {
+                y += line.space;
+                return;
+            }
+            doc.setFont('helvetica', line.style || 'normal');
+            doc.setFontSize(line.size);
+            doc.splitTextToSize(line.text, width).forEach(part => {
+                if (y > bottom) {
+                    doc.addPage();
+                    y = margin;
+                }
+                doc.text(part, margin, y);
+                y += line.size * 0.5;
+            });
+        });
+
+        return doc;
+    },
+
+    /**
+     * File name for an exported thread
+     */
+    fileName: function(thread, extension) {
+        const slug = thread.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'conversation';
+        return slug + '.' + extension;
+    },
+
+    // ============ PRIVATE ============
+
+    _save: function(thread) {
+        if (!this.store) return;
+        this.store.saveConversation(thread).catch(error => {
+            console.error('Error saving conversation:', error);
+        });
+    },
+
+    _snippet: function(text, word) {
+        text = text.replace(/\*\*/g, '');
+        const at = text.toLowerCase().indexOf(word);
+        const start = Math.max(0, at - this.SNIPPET_RADIUS);
+        const end = Math.min(text.length, at + word.length + this.SNIPPET_RADIUS);
+        return (start > 0 ? '...' : '') + text.slice(start, end).replace(/\s+/g, ' ') + (end < text.length ? '...' : '');
+    },
+
+    _formatDate: function(iso) {
+        return I18n.formatDate(new Date(iso), { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' });
+    }
+};
+
+// Export to global scope
+window.ChatHistory = ChatHistory;
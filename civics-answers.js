@@ -0,0 +1,315 @@
+/**
+ * Visa Guide AI - Civics Answers
+ * Fills in the answers to the civics questions that depend on where the applicant lives
+ * or who holds office now (the `dynamic` questions) from the officeholder data in
+ * civics-officeholders.js. The applicant's state and ZIP code come from their saved N-400,
+ * or from the state they chose on the civics page.
+ *
+ * Location: { state, zip, representative, source }
+ *   state          - two-letter code from CIVICS_OFFICEHOLDERS.states, or null
+ *   representative - U.S. Representative named by the applicant (states with several districts)
+ *   source         - 'chosen' | 'n400' | null
+ */
+
+const CivicsAnswers = {
+    // Form whose saved home address gives the applicant's state
+    ADDRESS_FORM: 'n400',
+
+    /**
+     * Where the applicant lives
+     * @param {Object} chosen - { state, zip, representative } picked on the civics page (optional)
+     * @returns {Object} - Location
+     */
+    location: function(chosen) {
+        chosen = chosen || {};
+        const saved = this._savedAddress();
+        const states = this._data().states;
+        const state = [chosen.state, saved.state].find(code => code && states[code]) || null;
+
+        return {
+            state: state,
+            // The N-400 ZIP code only belongs to the N-400 state
+            zip: chosen.zip || (state && state === saved.state ? saved.zip : null),
+            representative: chosen.representative || null,
+            source: !state ? null : state === chosen.state ? 'chosen' : 'n400'
+        };
+    },
+
+    /**
+     * States, D.C. and territories for a state picker
+     * @returns {Array} - [{ code, name }] by name
+     */
+    states: function() {
+        const states = this._data().states;
+        return Object.keys(states)
+            .map(code => ({ code: code, name: states[code].name }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    /**
+     * Acceptable answers to a question, with dynamic answers filled in for a location
+     * @param {Object} question - Bank question ({ answers, dynamic })
+     * @param {Object} location - Location from location()
+     * @returns {Object} - { answers, resolved, lookup }
+     *   resolved - false when the answer needs something we do not know (the state, or the
+     *              representative of a state with several districts); answers is then empty
+     *   lookup   - where the applicant can look the answer up
+     */
+    resolve: function(question, location) {
+        if (!question.dynamic) {
+            return { answers: question.answers, resolved: true, lookup: null };
+        }
+
+        const data = this._data();
+        const federal = data.federal;
+        const state = location && location.state ? data.states[location.state] : null;
+        const answers = (() => {
+            switch (question.dynamic) {
+                case 'president':
+                    return this._answerNames(federal.president);
+                case 'vicePresident':
+                    return this._answerNames(federal.vicePresident)
+                        .concat(this._answerNames(federal.vicePresident).map(name => 'Vice President ' + name));
+                case 'presidentParty':
+                    return federal.presidentParty === 'Democratic'
+                        ? ['Democratic (Party)', 'Democrat']
+                        : [federal.presidentParty + ' (Party)'];
+                case 'speaker':
+                    return this._answerNames(federal.speaker);
+                case 'chiefJustice':
+                    return this._answerNames(federal.chiefJustice);
+                case 'senator':
+                    if (!state) return null;
+                    return state.territory
+                        ? ['(It has) no (U.S.) senators', '(It) does not have (U.S.) senators', 'None']
+                        : [].concat(...state.senators.map(person => this._answerNames(person)));
+                case 'representative':
+                    if (!state) return null;
+                    if (state.territory) {
+                        return this._answerNames(state.delegate)
+                            .concat(['(It has) no (voting) representative', '(It) does not have a (voting) representative']);
+                    }
+                    if (state.atLarge) return this._answerNames(state.atLarge);
+                    return location.representative ? this._answerNames(location.representative) : null;
+                case 'governor':
+                    if (!state) return null;
+                    return state.governor
+                        ? this._answerNames(state.governor)
+                        : ['(D.C. has) no governor', '(It) does not have a governor'];
+                case 'stateCapital':
+                    if (!state) return null;
+                    return state.capital
+                        ? [state.capital]
+                        : ['(D.C. is) not a state', '(It) does not have a capital', 'no capital'];
+                default:
+                    return null;
+            }
+        })();
+
+        return {
+            answers: answers || [],
+            resolved: !!answers,
+            lookup: this.lookup(question.dynamic, location)
+        };
+    },
+
+    /**
+     * Multiple-choice options for a dynamic practice question: the right answer and three
+     * from other states (or other officeholders) in random order
+     * @param {string} dynamic - Dynamic answer type
+     * @param {Object} location - Location from location()
+     * @returns {Object|null} - { options, a }, or null while the answer cannot be resolved
+     */
+    choices: function(dynamic, location) {
+        const resolved = this.resolve({ dynamic: dynamic, answers: [] }, location);
+        if (!resolved.resolved) return null;
+
+        const correct = resolved.answers[0].replace(/[()]/g, '');
+        const wrong = this._shuffle(this._others(dynamic, location).filter(option => resolved.answers.indexOf(option) === -1 && option !== correct))
+            .slice(0, 3);
+        const options = this._shuffle([correct].concat(wrong));
+        return { options: options, a: options.indexOf(correct) };
+    },
+
+    /**
+     * Multiple-choice options for any bank question. The right option is the first acceptable
+     * answer (or the first `count` of them); wrong ones are answers to other questions, on the
+     * same subject where possible. Dynamic questions use choices().
+     * @param {Object} question - Bank question
+     * @param {Array} questions - Questions to take wrong answers from (the same test version)
+     * @param {Object} location - Location from location()
+     * @returns {Object|null} - { options, a }, or null while the answer cannot be resolved
+     */
+    options: function(question, questions, location) {
+        if (question.dynamic) return this.choices(question.dynamic, location);
+
+        const count = question.count || 1;
+        const acceptable = question.answers.map(answer => this._key(this.display(answer)));
+        // Leave out anything the interview would accept as an answer to this question
+        const isRight = answer => acceptable.indexOf(this._key(answer)) !== -1 ||
+            (typeof CivicsInterview !== 'undefined' && CivicsInterview.grade({ answers: question.answers }, answer).correct);
+
+        // Same subcategory first, then the same category, then the whole test. "Name three"
+        // questions mix in answers from other categories only, so a wrong option cannot
+        // turn out to be another right answer (July 4 for Independence Day)
+        const sources = count === 1
+            ? [
+                questions.filter(other => other.subcategory === question.subcategory),
+                questions.filter(other => other.category === question.category),
+                questions
+            ]
+            : [questions.filter(other => other.category !== question.category)];
+
+        const wrong = [];
+        const seen = {};
+        sources.forEach(list => {
+            const candidates = [].concat(...list
+                .filter(other => other.id !== question.id && !other.dynamic)
+                .map(other => other.answers.map(answer => this.display(answer))));
+            this._shuffle(candidates).forEach(answer => {
+                const key = this._key(answer);
+                if (wrong.length >= 3 || seen[key]) return;
+                seen[key] = true;
+                if (!isRight(answer)) wrong.push(answer);
+            });
+        });
+
+        const right = question.answers.slice(0, count).map(answer => this.display(answer));
+        const correct = right.join(', ');
+        // "Name three" questions: each wrong option swaps one right answer for a wrong one
+        const options = this._shuffle([correct].concat([0, 1, 2].map(i => {
+            if (count === 1) return wrong[i];
+            const swapped = right.slice();
+            swapped[i % count] = wrong[i];
+            return swapped.join(', ');
+        }).filter(Boolean)));
+        return { options: options, a: options.indexOf(correct) };
+    },
+
+    /**
+     * An acceptable answer as it reads on its own: optional words in parentheses are left out
+     */
+    display: function(answer) {
+        return answer.replace(/\s*\([^)]*\)/g, '').replace(/\s+([.,])/g, '$1').trim();
+    },
+
+    /**
+     * Whether the officeholder data may be out of date
+     * @param {Object} options - { today }
+     * @returns {Object} - { effectiveDate, ageDays, outOfDate, source }
+     */
+    freshness: function(options) {
+        const data = this._data();
+        const value = options && options.today;
+        const today = value ? new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? value + 'T00:00:00' : value) : new Date();
+        const ageDays = Math.floor((today - new Date(data.effectiveDate + 'T00:00:00')) / 86400000);
+
+        return {
+            effectiveDate: data.effectiveDate,
+            ageDays: ageDays,
+            outOfDate: ageDays > data.maxAgeDays,
+            source: data.source
+        };
+    },
+
+    /**
+     * Whether the applicant has to name their U.S. Representative (a state with several districts)
+     */
+    needsRepresentative: function(location) {
+        const state = location && location.state ? this._data().states[location.state] : null;
+        return !!state && !state.territory && !state.atLarge;
+    },
+
+    /**
+     * Where the applicant can look up an answer: the House's ZIP code lookup for the
+     * representative, otherwise the officeholder data's source
+     */
+    lookup: function(dynamic, location) {
+        const data = this._data();
+        if (dynamic === 'representative') {
+            return data.representativeLookup + encodeURIComponent((location && location.zip) || '');
+        }
+        return data.source ? data.source.url : null;
+    },
+
+    // ============ PRIVATE ============
+
+    _data: function() {
+        return typeof CIVICS_OFFICEHOLDERS !== 'undefined' ? CIVICS_OFFICEHOLDERS : { federal: {}, states: {} };
+    },
+
+    /**
+     * Home state and ZIP code from the saved N-400 - this device first, then the cloud snapshot (like CaseContext)
+     */
+    _savedAddress: function() {
+        let formData = null;
+        try {
+            const key = typeof FormRegistry !== 'undefined' ? FormRegistry.storageKey(this.ADDRESS_FORM) : this.ADDRESS_FORM + 'FormData';
+            formData = JSON.parse(localStorage.getItem(key) || 'null');
+        } catch (error) {
+            console.warn('Could not read the saved N-400:', error);
+        }
+        if (!formData) {
+            const serverData = window.dataSync && window.dataSync.serverData;
+            formData = (serverData && serverData.forms && serverData.forms[this.ADDRESS_FORM]) || {};
+        }
+
+        const address = { state: null, zip: null };
+        Object.keys(formData).filter(key => /^step\d+$/.test(key)).forEach(key => {
+            const step = formData[key] || {};
+            address.state = address.state || step.currentState || null;
+            address.zip = address.zip || step.currentZip || null;
+        });
+        return address;
+    },
+
+    // Full name and the surname on its own ("Padilla" is as good as "Alex Padilla")
+    _answerNames: function(person) {
+        if (!person) return [];
+        const name = typeof person === 'string' ? person : person.name;
+        const short = typeof person === 'string'
+            ? name.replace(/,?\s+(Jr\.?|Sr\.?|II|III|IV)$/, '').split(/\s+/).pop()
+            : person.short;
+        return short && short !== name ? [name, short] : [name];
+    },
+
+    // Wrong answers for a multiple-choice question
+    _others: function(dynamic, location) {
+        const data = this._data();
+        const states = Object.keys(data.states)
+            .filter(code => !location || code !== location.state)
+            .map(code => data.states[code]);
+        const name = person => (typeof person === 'string' ? person : person.name);
+
+        switch (dynamic) {
+            case 'governor':
+                return states.filter(state => state.governor).map(state => name(state.governor));
+            case 'stateCapital':
+                return states.filter(state => state.capital).map(state => state.capital);
+            case 'representative':
+                return states.filter(state => state.atLarge || state.delegate).map(state => name(state.atLarge || state.delegate));
+            case 'presidentParty':
+                return ['Republican', 'Democratic', 'Libertarian', 'Green'];
+            default:
+                // Senators and the federal officeholders - other senators' names
+                return [].concat(...states.map(state => state.senators.map(name)));
+        }
+    },
+
+    // Compare answers without case, a leading article or trailing punctuation
+    _key: function(answer) {
+        return answer.toLowerCase().replace(/^(the|a|an)\s+/, '').replace(/[.!]+$/, '').trim();
+    },
+
+    _shuffle: function(items) {
+        const result = items.slice();
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+};
+
+// Export to global scope
+window.CivicsAnswers = CivicsAnswers;
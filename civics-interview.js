@@ -0,0 +1,281 @@
+/**
+ * Visa Guide AI - Civics Interview Simulator
+ * Runs the civics portion of the naturalization interview the way an officer does:
+ * questions drawn at random from the chosen test version's pool (civics-questions.js),
+ * free-text answers - typed or spoken - graded against every acceptable answer, and the
+ * version's stop rules: the interview ends as soon as the applicant has passed or can no
+ * longer pass.
+ *
+ * Session: { test, senior, rules, questions, answers, correct, incorrect, done, passed }
+ *   senior  - the 65/20 special consideration: only the senior questions, with their rules
+ *   answers - [{ question, answer, correct, matched, needed }] in the order asked
+ */
+
+const CivicsInterview = {
+    // Filler that does not change the meaning of an answer
+    STOP_WORDS: ['a', 'an', 'the', 'of', 'to', 'and', 'or', 'in', 'on', 'at', 'for', 'by', 'from', 'with', 'as',
+        'is', 'are', 'was', 'were', 'be', 'it', 'its', 'that', 'this', 'there', 'their', 'they', 'them', 'he', 'she',
+        'i', 'im', 'my', 'we', 'you', 'your', 'our', 'so', 'well', 'um', 'uh', 'think', 'believe', 'maybe', 'answer',
+        'because', 'called'],
+
+    // Words that turn an answer into a different one ("Vice President", "not free")
+    MODIFIERS: ['not', 'no', 'never', 'vice', 'anti', 'non'],
+
+    NUMBER_WORDS: {
+        zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+        eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+        eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70,
+        eighty: 80, ninety: 90,
+        first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9,
+        tenth: 10, fourteenth: 14, fifteenth: 15, sixteenth: 16, nineteenth: 19, twentieth: 20
+    },
+
+    /**
+     * Test versions from the question bank ({ name, asked, passAt, filedBefore?, filedFrom? } by id)
+     */
+    tests: function() {
+        return typeof CIVICS_QUESTION_BANK !== 'undefined' ? CIVICS_QUESTION_BANK.tests : {};
+    },
+
+    /**
+     * The test version for an application filed today
+     */
+    currentTest: function() {
+        const tests = this.tests();
+        const today = new Date().toISOString().slice(0, 10);
+        return Object.keys(tests).find(id => !tests[id].filedBefore || today < tests[id].filedBefore) || null;
+    },
+
+    /**
+     * How many questions are asked and how many must be right
+     * @param {string} test - Test version
+     * @param {boolean} senior - 65/20 special consideration
+     * @returns {Object|null} - { name, asked, passAt }, or null for an unknown version
+     */
+    rules: function(test, senior) {
+        const version = this.tests()[test];
+        if (!version) return null;
+
+        const rules = senior && version.senior ? version.senior : version;
+        return { name: version.name, asked: rules.asked, passAt: rules.passAt };
+    },
+
+    /**
+     * Questions the simulator can ask for a test version. Answers that depend on where the
+     * applicant lives or who holds office (dynamic) are filled in by CivicsAnswers; questions
+     * it cannot answer for the location are left out.
+     * @param {string} test - Test version
+     * @param {Object} location - CivicsAnswers location (optional)
+     * @param {boolean} senior - Only the 65/20 questions
+     */
+    pool: function(test, location, senior) {
+        const questions = typeof CIVICS_QUESTION_BANK !== 'undefined' ? CIVICS_QUESTION_BANK.questions : [];
+        return questions
+            .filter(question => question.test === test && (!senior || question.senior))
+            .map(question => (question.dynamic ? this._resolve(question, location) : question))
+            .filter(question => question && question.answers.length > 0);
+    },
+
+    /**
+     * Start an interview
+     * @param {string} test - Test version ('2008' | '2025')
+     * @param {Object} location - CivicsAnswers location for the dynamic questions (optional)
+     * @param {Object} options - { senior }
+     * @returns {Object|null} - Session, or null for an unknown version or an empty pool
+     */
+    start: function(test, location, options) {
+        const senior = !!(options && options.senior);
+        const rules = this.rules(test, senior);
+        const pool = this.pool(test, location, senior);
+        if (!rules || pool.length === 0) return null;
+
+        return {
+            test: test,
+            senior: senior,
+            rules: rules,
+            questions: this._shuffle(pool).slice(0, rules.asked),
+            answers: [],
+            correct: 0,
+            incorrect: 0,
+            done: false,
+            passed: false
+        };
+    },
+
+    /**
+     * The question the officer asks next, or null once the interview is over
+     */
+    current: function(session) {
+        return session.done ? null : session.questions[session.answers.length] || null;
+    },
+
+    /**
+     * Grade the answer to the current question and apply the stop rules
+     * @returns {Object} - { question, answer, correct, matched, needed }
+     */
+    answer: function(session, text) {
+        const question = this.current(session);
+        if (!question) return null;
+
+        const result = Object.assign({ question: question, answer: String(text || '').trim() }, this.grade(question, text));
+        session.answers.push(result);
+        if (result.correct) {
+            session.correct++;
+        } else {
+            session.incorrect++;
+        }
+
+        const rules = session.rules;
+        if (session.correct >= rules.passAt) {
+            session.done = true;
+            session.passed = true;
+        } else if (session.incorrect > rules.asked - rules.passAt || session.answers.length >= session.questions.length) {
+            session.done = true;
+        }
+        return result;
+    },
+
+    /**
+     * Grade a free-text answer against every acceptable answer
+     * @param {Object} question - Bank question ({ answers, count })
+     * @param {string} text - What the applicant said or typed
+     * @returns {Object} - { correct, matched (acceptable answers found), needed }
+     */
+    grade: function(question, text) {
+        const needed = question.count || 1;
+        const words = this._tokens(text);
+        const matched = words.length === 0 ? [] : question.answers.filter(answer =>
+            this._variants(answer).some(variant => this._matches(words, variant)));
+
+        return { correct: matched.length >= needed, matched: matched, needed: needed };
+    },
+
+    /**
+     * Summary for the results screen and test history
+     * @returns {Object} - { test, senior, date, asked, correct, incorrect, passed }
+     */
+    result: function(session) {
+        return {
+            test: session.test,
+            senior: session.senior,
+            date: new Date().toISOString(),
+            asked: session.answers.length,
+            correct: session.correct,
+            incorrect: session.incorrect,
+            passed: session.passed
+        };
+    },
+
+    // ============ PRIVATE ============
+
+    // A dynamic question with its answers for the location, or null when they are unknown
+    _resolve: function(question, location) {
+        if (typeof CivicsAnswers === 'undefined') return null;
+
+        const resolved = CivicsAnswers.resolve(question, location);
+        return resolved.resolved ? Object.assign({}, question, { answers: resolved.answers }) : null;
+    },
+
+    // Every wording of an acceptable answer - words in parentheses are optional
+    _variants: function(answer) {
+        let variants = [''];
+        answer.split(/(\([^)]*\))/).forEach(part => {
+            if (/^\(.*\)$/.test(part)) {
+                const optional = part.slice(1, -1);
+                variants = variants.concat(variants.map(variant => variant + ' ' + optional));
+            } else {
+                variants = variants.map(variant => variant + part);
+            }
+        });
+        return variants.map(variant => this._tokens(variant)).filter(tokens => tokens.length > 0);
+    },
+
+    // Answer words: lower case, without accents, punctuation or filler, with numbers as digits
+    _tokens: function(text) {
+        const words = String(text || '')
+            .toLowerCase()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/n['’]t\b/g, ' not')
+            .replace(/['’]s\b/g, '')
+            .replace(/['’.]/g, '')
+            .replace(/&/g, ' and ')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim()
+            .split(/\s+/)
+            .filter(Boolean)
+            .map(word => word.replace(/^(\d+)(st|nd|rd|th)$/, '$1'));
+
+        return this._numbers(words)
+            .filter(word => this.STOP_WORDS.indexOf(word) === -1)
+            .map(word => this._stem(word));
+    },
+
+    // Replace spelled-out numbers ("four hundred thirty-five") with digits
+    _numbers: function(words) {
+        const result = [];
+        let current = null;
+
+        words.forEach((word, index) => {
+            const value = this.NUMBER_WORDS[word];
+            if (value !== undefined) {
+                current = (current || 0) + value;
+            } else if (current !== null && word === 'hundred') {
+                current *= 100;
+            } else if (current !== null && word === 'and' && this.NUMBER_WORDS[words[index + 1]] !== undefined) {
+                return;
+            } else {
+                if (current !== null) result.push(String(current));
+                current = null;
+                result.push(word);
+            }
+        });
+
+        if (current !== null) result.push(String(current));
+        return result;
+    },
+
+    _stem: function(word) {
+        return word.length > 3 && /[^s]s$/.test(word) ? word.slice(0, -1) : word;
+    },
+
+    // Whether the applicant's words contain an answer wording: every word of a short answer,
+    // three quarters of a long one, and no word that changes its meaning
+    _matches: function(words, variant) {
+        const extraModifier = words.some(word => this.MODIFIERS.indexOf(word) !== -1 && variant.indexOf(word) === -1);
+        if (extraModifier) return false;
+
+        const found = variant.filter(token => words.some(word => this._sameWord(word, token))).length;
+        return variant.length <= 3 ? found === variant.length : found >= Math.ceil(variant.length * 0.75);
+    },
+
+    // Equal, or a small misspelling of a longer word (numbers must match exactly)
+    _sameWord: function(a, b) {
+        if (a === b) return true;
+        if (/\d/.test(a) || /\d/.test(b) || Math.min(a.length, b.length) < 4) return false;
+        return this._distance(a, b) <= (Math.min(a.length, b.length) >= 8 ? 2 : 1);
+    },
+
+    _distance: function(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const row = [i];
+            for (let j = 1; j <= b.length; j++) {
+                row[j] = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            }
+            previous = row;
+        }
+        return previous[b.length];
+    },
+
+    _shuffle: function(items) {
+        const result = items.slice();
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+};
+
+// Export to global scope
+window.CivicsInterview = CivicsInterview;
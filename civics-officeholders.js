@@ -0,0 +1,97 @@
+/**
+ * Visa Guide AI - Civics Officeholders
+ * Who holds the offices the civics test asks about, for answering the questions whose
+ * answer depends on where the applicant lives or who is in office now (the `dynamic`
+ * questions in civics-questions.js). CivicsAnswers resolves those questions from this data.
+ *
+ * Officeholders change with elections, appointments and resignations. When updating,
+ * change the names and set effectiveDate to the day the list was checked; the app warns
+ * once the data is more than maxAgeDays old.
+ *
+ * Person: 'Full Name', or { name, short } when the surname is more than the last word
+ *   short - what an applicant would say on its own ("Cortez Masto")
+ *
+ * State: { name, capital, governor, senators, atLarge?, delegate?, territory? }
+ *   atLarge   - the state's only U.S. Representative
+ *   delegate  - the non-voting Delegate or Resident Commissioner (D.C. and territories)
+ *   territory - not a state: no senators and no voting representative
+ */
+
+const CIVICS_OFFICEHOLDERS = {
+    effectiveDate: '2025-06-01',
+    maxAgeDays: 180,
+    source: { name: 'USA.gov - Elected officials', url: 'https://www.usa.gov/elected-officials' },
+    representativeLookup: 'https://ziplook.house.gov/htbin/findrep_house?ZIP=',
+
+    federal: {
+        president: 'Donald J. Trump',
+        presidentParty: 'Republican',
+        vicePresident: 'JD Vance',
+        speaker: 'Mike Johnson',
+        chiefJustice: 'John Roberts'
+    },
+
+    states: {
+        AL: { name: 'Alabama', capital: 'Montgomery', governor: 'Kay Ivey', senators: ['Tommy Tuberville', 'Katie Britt'] },
+        AK: { name: 'Alaska', capital: 'Juneau', governor: 'Mike Dunleavy', senators: ['Lisa Murkowski', 'Dan Sullivan'], atLarge: 'Nick Begich' },
+        AZ: { name: 'Arizona', capital: 'Phoenix', governor: 'Katie Hobbs', senators: ['Mark Kelly', 'Ruben Gallego'] },
+        AR: { name: 'Arkansas', capital: 'Little Rock', governor: { name: 'Sarah Huckabee Sanders', short: 'Huckabee Sanders' }, senators: ['John Boozman', 'Tom Cotton'] },
+        CA: { name: 'California', capital: 'Sacramento', governor: 'Gavin Newsom', senators: ['Alex Padilla', 'Adam Schiff'] },
+        CO: { name: 'Colorado', capital: 'Denver', governor: 'Jared Polis', senators: ['Michael Bennet', 'John Hickenlooper'] },
+        CT: { name: 'Connecticut', capital: 'Hartford', governor: 'Ned Lamont', senators: ['Richard Blumenthal', 'Chris Murphy'] },
+        DE: { name: 'Delaware', capital: 'Dover', governor: 'Matt Meyer', senators: ['Chris Coons', { name: 'Lisa Blunt Rochester', short: 'Blunt Rochester' }], atLarge: 'Sarah McBride' },
+        FL: { name: 'Florida', capital: 'Tallahassee', governor: 'Ron DeSantis', senators: ['Rick Scott', 'Ashley Moody'] },
+        GA: { name: 'Georgia', capital: 'Atlanta', governor: 'Brian Kemp', senators: ['Jon Ossoff', 'Raphael Warnock'] },
+        HI: { name: 'Hawaii', capital: 'Honolulu', governor: 'Josh Green', senators: ['Brian Schatz', 'Mazie Hirono'] },
+        ID: { name: 'Idaho', capital: 'Boise', governor: 'Brad Little', senators: ['Mike Crapo', 'Jim Risch'] },
+        IL: { name: 'Illinois', capital: 'Springfield', governor: 'JB Pritzker', senators: ['Dick Durbin', 'Tammy Duckworth'] },
+        IN: { name: 'Indiana', capital: 'Indianapolis', governor: 'Mike Braun', senators: ['Todd Young', 'Jim Banks'] },
+        IA: { name: 'Iowa', capital: 'Des Moines', governor: 'Kim Reynolds', senators: ['Chuck Grassley', 'Joni Ernst'] },
+        KS: { name: 'Kansas', capital: 'Topeka', governor: 'Laura Kelly', senators: ['Jerry Moran', 'Roger Marshall'] },
+        KY: { name: 'Kentucky', capital: 'Frankfort', governor: 'Andy Beshear', senators: ['Mitch McConnell', 'Rand Paul'] },
+        LA: { name: 'Louisiana', capital: 'Baton Rouge', governor: 'Jeff Landry', senators: ['Bill Cassidy', 'John Kennedy'] },
+        ME: { name: 'Maine', capital: 'Augusta', governor: 'Janet Mills', senators: ['Susan Collins', 'Angus King'] },
+        MD: { name: 'Maryland', capital: 'Annapolis', governor: 'Wes Moore', senators: [{ name: 'Chris Van Hollen', short: 'Van Hollen' }, 'Angela Alsobrooks'] },
+        MA: { name: 'Massachusetts', capital: 'Boston', governor: 'Maura Healey', senators: ['Elizabeth Warren', 'Ed Markey'] },
+        MI: { name: 'Michigan', capital: 'Lansing', governor: 'Gretchen Whitmer', senators: ['Gary Peters', 'Elissa Slotkin'] },
+        MN: { name: 'Minnesota', capital: 'Saint Paul', governor: 'Tim Walz', senators: ['Amy Klobuchar', 'Tina Smith'] },
+        MS: { name: 'Mississippi', capital: 'Jackson', governor: 'Tate Reeves', senators: ['Roger Wicker', 'Cindy Hyde-Smith'] },
+        MO: { name: 'Missouri', capital: 'Jefferson City', governor: 'Mike Kehoe', senators: ['Josh Hawley', 'Eric Schmitt'] },
+        MT: { name: 'Montana', capital: 'Helena', governor: 'Greg Gianforte', senators: ['Steve Daines', 'Tim Sheehy'] },
+        NE: { name: 'Nebraska', capital: 'Lincoln', governor: 'Jim Pillen', senators: ['Deb Fischer', 'Pete Ricketts'] },
+        NV: { name: 'Nevada', capital: 'Carson City', governor: 'Joe Lombardo', senators: [{ name: 'Catherine Cortez Masto', short: 'Cortez Masto' }, 'Jacky Rosen'] },
+        NH: { name: 'New Hampshire', capital: 'Concord', governor: 'Kelly Ayotte', senators: ['Jeanne Shaheen', 'Maggie Hassan'] },
+        NJ: { name: 'New Jersey', capital: 'Trenton', governor: 'Phil Murphy', senators: ['Cory Booker', 'Andy Kim'] },
+        NM: { name: 'New Mexico', capital: 'Santa Fe', governor: { name: 'Michelle Lujan Grisham', short: 'Lujan Grisham' }, senators: ['Martin Heinrich', 'Ben Ray Luján'] },
+        NY: { name: 'New York', capital: 'Albany', governor: 'Kathy Hochul', senators: ['Chuck Schumer', 'Kirsten Gillibrand'] },
+        NC: { name: 'North Carolina', capital: 'Raleigh', governor: 'Josh Stein', senators: ['Thom Tillis', 'Ted Budd'] },
+        ND: { name: 'North Dakota', capital: 'Bismarck', governor: 'Kelly Armstrong', senators: ['John Hoeven', 'Kevin Cramer'], atLarge: 'Julie Fedorchak' },
+        OH: { name: 'Ohio', capital: 'Columbus', governor: 'Mike DeWine', senators: ['Bernie Moreno', 'Jon Husted'] },
+        OK: { name: 'Oklahoma', capital: 'Oklahoma City', governor: 'Kevin Stitt', senators: ['James Lankford', 'Markwayne Mullin'] },
+        OR: { name: 'Oregon', capital: 'Salem', governor: 'Tina Kotek', senators: ['Ron Wyden', 'Jeff Merkley'] },
+        PA: { name: 'Pennsylvania', capital: 'Harrisburg', governor: 'Josh Shapiro', senators: ['John Fetterman', 'Dave McCormick'] },
+        RI: { name: 'Rhode Island', capital: 'Providence', governor: 'Dan McKee', senators: ['Jack Reed', 'Sheldon Whitehouse'] },
+        SC: { name: 'South Carolina', capital: 'Columbia', governor: 'Henry McMaster', senators: ['Lindsey Graham', 'Tim Scott'] },
+        SD: { name: 'South Dakota', capital: 'Pierre', governor: 'Larry Rhoden', senators: ['John Thune', 'Mike Rounds'], atLarge: 'Dusty Johnson' },
+        TN: { name: 'Tennessee', capital: 'Nashville', governor: 'Bill Lee', senators: ['Marsha Blackburn', 'Bill Hagerty'] },
+        TX: { name: 'Texas', capital: 'Austin', governor: 'Greg Abbott', senators: ['John Cornyn', 'Ted Cruz'] },
+        UT: { name: 'Utah', capital: 'Salt Lake City', governor: 'Spencer Cox', senators: ['Mike Lee', 'John Curtis'] },
+        VT: { name: 'Vermont', capital: 'Montpelier', governor: 'Phil Scott', senators: ['Bernie Sanders', 'Peter Welch'], atLarge: 'Becca Balint' },
+        VA: { name: 'Virginia', capital: 'Richmond', governor: 'Glenn Youngkin', senators: ['Mark Warner', 'Tim Kaine'] },
+        WA: { name: 'Washington', capital: 'Olympia', governor: 'Bob Ferguson', senators: ['Patty Murray', 'Maria Cantwell'] },
+        WV: { name: 'West Virginia', capital: 'Charleston', governor: 'Patrick Morrisey', senators: ['Shelley Moore Capito', 'Jim Justice'] },
+        WI: { name: 'Wisconsin', capital: 'Madison', governor: 'Tony Evers', senators: ['Ron Johnson', 'Tammy Baldwin'] },
+        WY: { name: 'Wyoming', capital: 'Cheyenne', governor: 'Mark Gordon', senators: ['John Barrasso', 'Cynthia Lummis'], atLarge: 'Harriet Hageman' },
+
+        // Not states - USCIS accepts "has no senators / no voting representative / no governor (D.C.)"
+        DC: { name: 'District of Columbia', capital: null, governor: null, senators: [], delegate: 'Eleanor Holmes Norton', territory: true },
+        PR: { name: 'Puerto Rico', capital: 'San Juan', governor: { name: 'Jenniffer González-Colón', short: 'González' }, senators: [], delegate: { name: 'Pablo José Hernández Rivera', short: 'Hernández' }, territory: true },
+        GU: { name: 'Guam', capital: 'Hagåtña', governor: { name: 'Lou Leon Guerrero', short: 'Leon Guerrero' }, senators: [], delegate: 'James Moylan', territory: true },
+        VI: { name: 'U.S. Virgin Islands', capital: 'Charlotte Amalie', governor: 'Albert Bryan Jr.', senators: [], delegate: 'Stacey Plaskett', territory: true },
+        AS: { name: 'American Samoa', capital: 'Pago Pago', governor: 'Pula Nikolao Pula', senators: [], delegate: { name: 'Amata Coleman Radewagen', short: 'Radewagen' }, territory: true },
+        MP: { name: 'Northern Mariana Islands', capital: 'Saipan', governor: 'Arnold Palacios', senators: [], delegate: 'Kimberlyn King-Hinds', territory: true }
+    }
+};
+
+// Export to global scope
+window.CIVICS_OFFICEHOLDERS = CIVICS_OFFICEHOLDERS;
@@ -0,0 +1,251 @@
+/**
+ * Visa Guide AI - Civics Progress
+ * The user's civics study progress - scheduler cards, interview and English test history,
+ * settings and the days they studied. It is kept on this device and, when signed in, in the `civics` section
+ * of the user document through DataSync, so it follows the user to other devices and
+ * feeds the readiness widget on the dashboard.
+ *
+ * Progress: { cards, interviews, englishCards, englishTests, settings, location, days, categories,
+ *             today, lastDate, updatedAt }
+ *   englishCards - scheduler cards for the English test sentences, by sentence id
+ *   englishTests - reading and writing test history (EnglishTest.result)
+ *   days         - local dates studied ('YYYY-MM-DD'), oldest first
+ *   categories   - accuracy per category for the chosen test version (CivicsScheduler.categories)
+ *   updatedAt    - ISO time of the last save; settings and location follow the newer copy
+ */
+
+const CivicsProgress = {
+    STORAGE_KEY: 'civicsStats',
+
+    // Interviews and English tests kept in the test history
+    HISTORY_LIMIT: 20,
+
+    // Study days kept for the streak
+    DAYS_KEPT: 90,
+
+    // Chance of answering a question that has never been studied
+    NEW_RECALL: 0.3,
+
+    /**
+     * Progress saved on this device
+     * @returns {Object} - Progress (empty when nothing is saved)
+     */
+    load: function() {
+        try {
+            return this._normalize(JSON.parse(localStorage.getItem(this.STORAGE_KEY) || 'null'));
+        } catch (error) {
+            console.warn('Could not read civics progress:', error);
+            return this._normalize(null);
+        }
+    },
+
+    /**
+     * Save progress on this device and, when signed in, to the user document
+     * @param {Object} progress - Progress without updatedAt and categories
+     * @returns {Object} - The saved progress
+     */
+    save: function(progress) {
+        const saved = Object.assign(this._normalize(progress), {
+            categories: this.categories(progress),
+            updatedAt: new Date().toISOString()
+        });
+
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(saved));
+        } catch (error) {
+            console.warn('Could not save civics progress:', error);
+        }
+        if (window.dataSync && window.dataSync.userId) {
+            window.dataSync.saveCivics(saved);
+        }
+        return saved;
+    },
+
+    /**
+     * Combine progress from this device with the copy in the user document. Each card keeps
+     * the copy answered more often, test history and study days are combined, and settings
+     * and location come from whichever copy was saved last.
+     * @returns {Object} - Merged progress
+     */
+    merge: function(local, remote) {
+        local = this._normalize(local);
+        remote = this._normalize(remote);
+        const newer = (remote.updatedAt || '') > (local.updatedAt || '') ? remote : local;
+
+        return Object.assign({}, newer, {
+            cards: this._mergeCards(local.cards, remote.cards),
+            interviews: this._mergeHistory(local.interviews, remote.interviews),
+            englishCards: this._mergeCards(local.englishCards, remote.englishCards),
+            englishTests: this._mergeHistory(local.englishTests, remote.englishTests),
+            days: this._days(local.days.concat(remote.days)),
+            categories: newer.categories,
+            updatedAt: newer.updatedAt
+        });
+    },
+
+    /**
+     * Record that the user studied today
+     * @param {Object} progress - Progress to update
+     * @param {Object} options - { today }
+     */
+    studied: function(progress, options) {
+        progress.days = this._days((progress.days || []).concat(this._dateKey(options)));
+        return progress;
+    },
+
+    /**
+     * Days in a row the user has studied, up to today (or yesterday, until today is studied)
+     */
+    streak: function(days, options) {
+        const studied = {};
+        (days || []).forEach(day => { studied[day] = true; });
+
+        const date = this._today(options);
+        if (!studied[this._dateKey({ today: date })]) date.setDate(date.getDate() - 1);
+
+        let streak = 0;
+        while (studied[this._dateKey({ today: date })]) {
+            streak++;
+            date.setDate(date.getDate() - 1);
+        }
+        return streak;
+    },
+
+    /**
+     * The test version, rules and questions the progress applies to
+     * @returns {Object} - { test, senior, rules, questions }
+     */
+    scope: function(progress) {
+        const settings = (progress && progress.settings) || {};
+        const test = CivicsInterview.tests()[settings.test] ? settings.test : CivicsInterview.currentTest();
+        const senior = !!settings.senior;
+        const location = typeof CivicsAnswers !== 'undefined' ? CivicsAnswers.location(progress && progress.location) : null;
+
+        return {
+            test: test,
+            senior: senior,
+            rules: CivicsInterview.rules(test, senior),
+            questions: CivicsInterview.pool(test, location, senior)
+        };
+    },
+
+    /**
+     * Accuracy per category for the chosen test version, weakest first
+     * @returns {Array} - [{ category, strength, total, studied, accuracy }]
+     */
+    categories: function(progress) {
+        if (typeof CivicsScheduler === 'undefined' || typeof CivicsInterview === 'undefined') return [];
+        return CivicsScheduler.categories(this.scope(progress).questions, (progress && progress.cards) || {});
+    },
+
+    /**
+     * How ready the user is for the civics test
+     * @param {Object} progress - Progress
+     * @param {Object} options - { today }
+     * @returns {Object} - { test, senior, rules, probability, studied, total, weakest, streak, lastInterview }
+     *   probability - chance of passing an interview now (0-1)
+     *   weakest     - up to three categories that need the most work
+     */
+    readiness: function(progress, options) {
+        progress = this._normalize(progress);
+        const scope = this.scope(progress);
+        const categories = CivicsScheduler.categories(scope.questions, progress.cards);
+        const studied = scope.questions.filter(question => progress.cards[question.id] && progress.cards[question.id].seen);
+
+        return {
+            test: scope.test,
+            senior: scope.senior,
+            rules: scope.rules,
+            probability: this._passProbability(scope.questions, progress.cards, scope.rules),
+            studied: studied.length,
+            total: scope.questions.length,
+            weakest: categories.filter(entry => entry.strength < 1).slice(0, 3),
+            streak: this.streak(progress.days, options),
+            lastInterview: progress.interviews[progress.interviews.length - 1] || null
+        };
+    },
+
+    // ============ PRIVATE ============
+
+    _normalize: function(progress) {
+        return Object.assign({
+            cards: {},
+            interviews: [],
+            englishCards: {},
+            englishTests: [],
+            settings: {},
+            location: {},
+            days: [],
+            categories: [],
+            updatedAt: null
+        }, progress || {});
+    },
+
+    // Each card from the copy answered more often, or answered last when both were seen as often
+    _mergeCards: function(local, remote) {
+        const cards = Object.assign({}, local);
+        Object.keys(remote).forEach(id => {
+            const mine = cards[id];
+            const theirs = remote[id];
+            if (!mine || (theirs.seen || 0) > (mine.seen || 0) ||
+                ((theirs.seen || 0) === (mine.seen || 0) && (theirs.last || '') > (mine.last || ''))) {
+                cards[id] = theirs;
+            }
+        });
+        return cards;
+    },
+
+    // Test history from both copies, once per date, the most recent HISTORY_LIMIT
+    _mergeHistory: function(local, remote) {
+        const entries = {};
+        local.concat(remote).forEach(entry => { entries[entry.date] = entry; });
+        return Object.keys(entries).sort().map(date => entries[date]).slice(-this.HISTORY_LIMIT);
+    },
+
+    // Chance of answering a question right now: smoothed accuracy, at least the scheduler's
+    // strength, and half as likely when it was missed last time
+    _recall: function(card) {
+        if (!card || !card.seen) return this.NEW_RECALL;
+
+        const accuracy = ((card.correct || 0) + 1) / (card.seen + 2);
+        return card.reps === 0 ? accuracy / 2 : Math.max(accuracy, CivicsScheduler.strength(card));
+    },
+
+    // Chance of at least passAt right answers out of asked questions drawn from the pool,
+    // each answered with the pool's average recall
+    _passProbability: function(questions, cards, rules) {
+        if (!rules || questions.length === 0) return 0;
+
+        const recall = questions.reduce((sum, question) => sum + this._recall(cards[question.id]), 0) / questions.length;
+        const asked = Math.min(rules.asked, questions.length);
+        let probability = 0;
+        let combinations = 1;
+        for (let right = 0; right <= asked; right++) {
+            if (right > 0) combinations = combinations * (asked - right + 1) / right;
+            if (right >= rules.passAt) {
+                probability += combinations * Math.pow(recall, right) * Math.pow(1 - recall, asked - right);
+            }
+        }
+        return Math.min(1, probability);
+    },
+
+    // Unique days, oldest first, the most recent DAYS_KEPT
+    _days: function(days) {
+        return days.filter((day, index) => days.indexOf(day) === index).sort().slice(-this.DAYS_KEPT);
+    },
+
+    _today: function(options) {
+        const value = options && options.today;
+        const now = !value ? new Date() : /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(value + 'T00:00:00') : new Date(value);
+        return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    },
+
+    _dateKey: function(options) {
+        const date = this._today(options);
+        const pad = n => (n < 10 ? '0' : '') + n;
+        return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
+    }
+};
+
+// Export to global scope
+window.CivicsProgress = CivicsProgress;
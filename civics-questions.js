@@ -0,0 +1,288 @@
+/**
+ * Visa Guide AI - Civics Question Bank
+ * The official civics questions for each version of the naturalization test with every
+ * answer USCIS accepts, from the USCIS study materials. The interview simulator
+ * (civics-interview.js) asks from this bank and grades against the answer lists.
+ *
+ * Test: { name, filedBefore?, filedFrom?, asked, passAt, senior }
+ *   The officer asks up to `asked` questions and stops at `passAt` correct answers or as
+ *   soon as passing is no longer possible.
+ *   senior - { asked, passAt } for applicants 65 or older with 20 years as a permanent
+ *            resident (the "65/20" special consideration), asked only the `senior` questions
+ *
+ * Question: { id, test, number, category, subcategory, question, answers, count?, dynamic?, senior? }
+ *   id      - permanent ('<test>-<number>'); study progress is saved against it
+ *   answers - acceptable answers; words in parentheses are optional
+ *   count   - how many different answers the question asks for (default 1)
+ *   senior  - one of the 20 questions for the 65/20 special consideration (marked * by USCIS)
+ *   dynamic - the answer depends on where the applicant lives or who holds office now
+ *             ('senator' | 'representative' | 'governor' | 'stateCapital' | 'president' |
+ *             'vicePresident' | 'presidentParty' | 'speaker' | 'chiefJustice'), so answers is empty
+ */
+
+const CIVICS_QUESTION_BANK = {
+    version: '2025.11',
+    source: { name: 'USCIS Study for the Test', url: 'https://www.uscis.gov/citizenship/find-study-materials-and-resources/study-for-the-test' },
+
+    tests: {
+        '2008': {
+            name: '2008 Civics Test',
+            filedBefore: '2025-10-20',
+            asked: 10,
+            passAt: 6,
+            senior: { asked: 10, passAt: 6 }
+        },
+        '2025': {
+            name: '2025 Civics Test',
+            filedFrom: '2025-10-20',
+            asked: 20,
+            passAt: 12,
+            senior: { asked: 10, passAt: 6 }
+        }
+    },
+
+    questions: [
+        // ============ 2008 - AMERICAN GOVERNMENT ============
+        { id: '2008-1', test: '2008', number: 1, category: 'American Government', subcategory: 'Principles of American Democracy', question: 'What is the supreme law of the land?', answers: ['the Constitution'] },
+        { id: '2008-2', test: '2008', number: 2, category: 'American Government', subcategory: 'Principles of American Democracy', question: 'What does the Constitution do?', answers: ['sets up the government', 'defines the government', 'protects basic rights of Americans'] },
+        { id: '2008-3', test: '2008', number: 3, category: 'American Government', subcategory: 'Principles of American Democracy', question: 'The idea of self-government is in the first three words of the Constitution. What are these words?', answers: ['We the People'] },
+        { id: '2008-4', test: '2008', number: 4, category: 'American Government', subcategory: 'Principles of American Democracy', question: 'What is an amendment?', answers: ['a change (to the Constitution)', 'an addition (to the Constitution)'] },
+        { id: '2008-5', test: '2008', number: 5, category: 'American Government', subcategory: 'Principles of American Democracy', question: 'What do we call the first ten amendments to the Constitution?', answers: ['the Bill of Rights'] },
+        { id: '2008-6', test: '2008', number: 6, category: 'American Government', subcategory: 'Principles of American Democracy', question: 'What is one right or freedom from the First Amendment?', answers: ['speech', 'religion', 'assembly', 'press', 'petition the government'], senior: true },
+        { id: '2008-7', test: '2008', number: 7, category: 'American Government', subcategory: 'Principles of American Democracy', question: 'How many amendments does the Constitution have?', answers: ['twenty-seven (27)'] },
+        { id: '2008-8', test: '2008', number: 8, category: 'American Government', subcategory: 'Principles of American Democracy', question: 'What did the Declaration of Independence do?', answers: ['announced our independence (from Great Britain)', 'declared our independence (from Great Britain)', 'said that the United States is free (from Great Britain)'] },
+        { id: '2008-9', test: '2008', number: 9, category: 'American Government', subcategory: 'Principles of American Democracy', question: 'What are two rights in the Declaration of Independence?', answers: ['life', 'liberty', 'pursuit of happiness'], count: 2 },
+        { id: '2008-10', test: '2008', number: 10, category: 'American Government', subcategory: 'Principles of American Democracy', question: 'What is freedom of religion?', answers: ['You can practice any religion, or not practice a religion.'] },
+        { id: '2008-11', test: '2008', number: 11, category: 'American Government', subcategory: 'Principles of American Democracy', question: 'What is the economic system in the United States?', answers: ['capitalist economy', 'market economy'], senior: true },
+        { id: '2008-12', test: '2008', number: 12, category: 'American Government', subcategory: 'Principles of American Democracy', question: 'What is the "rule of law"?', answers: ['Everyone must follow the law.', 'Leaders must obey the law.', 'Government must obey the law.', 'No one is above the law.'] },
+        { id: '2008-13', test: '2008', number: 13, category: 'American Government', subcategory: 'System of Government', question: 'Name one branch or part of the government.', answers: ['Congress', 'legislative', 'President', 'executive', 'the courts', 'judicial'], senior: true },
+        { id: '2008-14', test: '2008', number: 14, category: 'American Government', subcategory: 'System of Government', question: 'What stops one branch of government from becoming too powerful?', answers: ['checks and balances', 'separation of powers'] },
+        { id: '2008-15', test: '2008', number: 15, category: 'American Government', subcategory: 'System of Government', question: 'Who is in charge of the executive branch?', answers: ['the President'] },
+        { id: '2008-16', test: '2008', number: 16, category: 'American Government', subcategory: 'System of Government', question: 'Who makes federal laws?', answers: ['Congress', 'Senate and House (of Representatives)', '(U.S. or national) legislature'] },
+        { id: '2008-17', test: '2008', number: 17, category: 'American Government', subcategory: 'System of Government', question: 'What are the two parts of the U.S. Congress?', answers: ['the Senate and House (of Representatives)'], senior: true },
+        { id: '2008-18', test: '2008', number: 18, category: 'American Government', subcategory: 'System of Government', question: 'How many U.S. Senators are there?', answers: ['one hundred (100)'] },
+        { id: '2008-19', test: '2008', number: 19, category: 'American Government', subcategory: 'System of Government', question: 'We elect a U.S. Senator for how many years?', answers: ['six (6)'] },
+        { id: '2008-20', test: '2008', number: 20, category: 'American Government', subcategory: 'System of Government', question: 'Who is one of your state\'s U.S. Senators now?', answers: [], dynamic: 'senator', senior: true },
+        { id: '2008-21', test: '2008', number: 21, category: 'American Government', subcategory: 'System of Government', question: 'The House of Representatives has how many voting members?', answers: ['four hundred thirty-five (435)'] },
+        { id: '2008-22', test: '2008', number: 22, category: 'American Government', subcategory: 'System of Government', question: 'We elect a U.S. Representative for how many years?', answers: ['two (2)'] },
+        { id: '2008-23', test: '2008', number: 23, category: 'American Government', subcategory: 'System of Government', question: 'Name your U.S. Representative.', answers: [], dynamic: 'representative' },
+        { id: '2008-24', test: '2008', number: 24, category: 'American Government', subcategory: 'System of Government', question: 'Who does a U.S. Senator represent?', answers: ['all people of the state'] },
+        { id: '2008-25', test: '2008', number: 25, category: 'American Government', subcategory: 'System of Government', question: 'Why do some states have more Representatives than other states?', answers: ['(because of) the state\'s population', '(because) they have more people', '(because) some states have more people'] },
+        { id: '2008-26', test: '2008', number: 26, category: 'American Government', subcategory: 'System of Government', question: 'We elect a President for how many years?', answers: ['four (4)'] },
+        { id: '2008-27', test: '2008', number: 27, category: 'American Government', subcategory: 'System of Government', question: 'In what month do we vote for President?', answers: ['November'], senior: true },
+        { id: '2008-28', test: '2008', number: 28, category: 'American Government', subcategory: 'System of Government', question: 'What is the name of the President of the United States now?', answers: [], dynamic: 'president', senior: true },
+        { id: '2008-29', test: '2008', number: 29, category: 'American Government', subcategory: 'System of Government', question: 'What is the name of the Vice President of the United States now?', answers: [], dynamic: 'vicePresident' },
+        { id: '2008-30', test: '2008', number: 30, category: 'American Government', subcategory: 'System of Government', question: 'If the President can no longer serve, who becomes President?', answers: ['the Vice President'] },
+        { id: '2008-31', test: '2008', number: 31, category: 'American Government', subcategory: 'System of Government', question: 'If both the President and the Vice President can no longer serve, who becomes President?', answers: ['the Speaker of the House'] },
+        { id: '2008-32', test: '2008', number: 32, category: 'American Government', subcategory: 'System of Government', question: 'Who is the Commander in Chief of the military?', answers: ['the President'] },
+        { id: '2008-33', test: '2008', number: 33, category: 'American Government', subcategory: 'System of Government', question: 'Who signs bills to become laws?', answers: ['the President'] },
+        { id: '2008-34', test: '2008', number: 34, category: 'American Government', subcategory: 'System of Government', question: 'Who vetoes bills?', answers: ['the President'] },
+        { id: '2008-35', test: '2008', number: 35, category: 'American Government', subcategory: 'System of Government', question: 'What does the President\'s Cabinet do?', answers: ['advises the President'] },
+        { id: '2008-36', test: '2008', number: 36, category: 'American Government', subcategory: 'System of Government', question: 'What are two Cabinet-level positions?', answers: ['Secretary of Agriculture', 'Secretary of Commerce', 'Secretary of Defense', 'Secretary of Education', 'Secretary of Energy', 'Secretary of Health and Human Services', 'Secretary of Homeland Security', 'Secretary of Housing and Urban Development', 'Secretary of the Interior', 'Secretary of Labor', 'Secretary of State', 'Secretary of Transportation', 'Secretary of the Treasury', 'Secretary of Veterans Affairs', 'Attorney General', 'Vice President'], count: 2 },
+        { id: '2008-37', test: '2008', number: 37, category: 'American Government', subcategory: 'System of Government', question: 'What does the judicial branch do?', answers: ['reviews laws', 'explains laws', 'resolves disputes (disagreements)', 'decides if a law goes against the Constitution'] },
+        { id: '2008-38', test: '2008', number: 38, category: 'American Government', subcategory: 'System of Government', question: 'What is the highest court in the United States?', answers: ['the Supreme Court'] },
+        { id: '2008-39', test: '2008', number: 39, category: 'American Government', subcategory: 'System of Government', question: 'How many justices are on the Supreme Court?', answers: ['nine (9)'] },
+        { id: '2008-40', test: '2008', number: 40, category: 'American Government', subcategory: 'System of Government', question: 'Who is the Chief Justice of the United States now?', answers: [], dynamic: 'chiefJustice' },
+        { id: '2008-41', test: '2008', number: 41, category: 'American Government', subcategory: 'System of Government', question: 'Under our Constitution, some powers belong to the federal government. What is one power of the federal government?', answers: ['to print money', 'to declare war', 'to create an army', 'to make treaties'] },
+        { id: '2008-42', test: '2008', number: 42, category: 'American Government', subcategory: 'System of Government', question: 'Under our Constitution, some powers belong to the states. What is one power of the states?', answers: ['provide schooling and education', 'provide protection (police)', 'provide safety (fire departments)', 'give a driver\'s license', 'approve zoning and land use'] },
+        { id: '2008-43', test: '2008', number: 43, category: 'American Government', subcategory: 'System of Government', question: 'Who is the Governor of your state now?', answers: [], dynamic: 'governor' },
+        { id: '2008-44', test: '2008', number: 44, category: 'American Government', subcategory: 'System of Government', question: 'What is the capital of your state?', answers: [], dynamic: 'stateCapital', senior: true },
+        { id: '2008-45', test: '2008', number: 45, category: 'American Government', subcategory: 'System of Government', question: 'What are the two major political parties in the United States?', answers: ['Democratic and Republican'], senior: true },
+        { id: '2008-46', test: '2008', number: 46, category: 'American Government', subcategory: 'System of Government', question: 'What is the political party of the President now?', answers: [], dynamic: 'presidentParty' },
+        { id: '2008-47', test: '2008', number: 47, category: 'American Government', subcategory: 'System of Government', question: 'What is the name of the Speaker of the House of Representatives now?', answers: [], dynamic: 'speaker' },
+        { id: '2008-48', test: '2008', number: 48, category: 'American Government', subcategory: 'Rights and Responsibilities', question: 'There are four amendments to the Constitution about who can vote. Describe one of them.', answers: ['Citizens eighteen (18) and older (can vote).', 'You don\'t have to pay (a poll tax) to vote.', 'Any citizen can vote.', 'Women and men can vote.', 'A male citizen of any race (can vote).'] },
+        { id: '2008-49', test: '2008', number: 49, category: 'American Government', subcategory: 'Rights and Responsibilities', question: 'What is one responsibility that is only for United States citizens?', answers: ['serve on a jury', 'vote in a federal election'], senior: true },
+        { id: '2008-50', test: '2008', number: 50, category: 'American Government', subcategory: 'Rights and Responsibilities', question: 'Name one right only for United States citizens.', answers: ['vote in a federal election', 'run for federal office'] },
+        { id: '2008-51', test: '2008', number: 51, category: 'American Government', subcategory: 'Rights and Responsibilities', question: 'What are two rights of everyone living in the United States?', answers: ['freedom of expression', 'freedom of speech', 'freedom of assembly', 'freedom to petition the government', 'freedom of religion', 'the right to bear arms'], count: 2 },
+        { id: '2008-52', test: '2008', number: 52, category: 'American Government', subcategory: 'Rights and Responsibilities', question: 'What do we show loyalty to when we say the Pledge of Allegiance?', answers: ['the United States', 'the flag'] },
+        { id: '2008-53', test: '2008', number: 53, category: 'American Government', subcategory: 'Rights and Responsibilities', question: 'What is one promise you make when you become a United States citizen?', answers: ['give up loyalty to other countries', 'defend the Constitution and laws of the United States', 'obey the laws of the United States', 'serve in the U.S. military (if needed)', 'serve (do important work for) the nation (if needed)', 'be loyal to the United States'] },
+        { id: '2008-54', test: '2008', number: 54, category: 'American Government', subcategory: 'Rights and Responsibilities', question: 'How old do citizens have to be to vote for President?', answers: ['eighteen (18) and older'], senior: true },
+        { id: '2008-55', test: '2008', number: 55, category: 'American Government', subcategory: 'Rights and Responsibilities', question: 'What are two ways that Americans can participate in their democracy?', answers: ['vote', 'join a political party', 'help with a campaign', 'join a civic group', 'join a community group', 'give an elected official your opinion on an issue', 'call Senators and Representatives', 'publicly support or oppose an issue or policy', 'run for office', 'write to a newspaper'], count: 2 },
+        { id: '2008-56', test: '2008', number: 56, category: 'American Government', subcategory: 'Rights and Responsibilities', question: 'When is the last day you can send in federal income tax forms?', answers: ['April 15'], senior: true },
+        { id: '2008-57', test: '2008', number: 57, category: 'American Government', subcategory: 'Rights and Responsibilities', question: 'When must all men register for the Selective Service?', answers: ['at age eighteen (18)', 'between eighteen (18) and twenty-six (26)'] },
+
+        // ============ 2008 - AMERICAN HISTORY ============
+        { id: '2008-58', test: '2008', number: 58, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'What is one reason colonists came to America?', answers: ['freedom', 'political liberty', 'religious freedom', 'economic opportunity', 'practice their religion', 'escape persecution'] },
+        { id: '2008-59', test: '2008', number: 59, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'Who lived in America before the Europeans arrived?', answers: ['American Indians', 'Native Americans'] },
+        { id: '2008-60', test: '2008', number: 60, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'What group of people was taken to America and sold as slaves?', answers: ['Africans', 'people from Africa'] },
+        { id: '2008-61', test: '2008', number: 61, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'Why did the colonists fight the British?', answers: ['because of high taxes', 'taxation without representation', 'because the British army stayed in their houses (boarding, quartering)', 'because they didn\'t have self-government'] },
+        { id: '2008-62', test: '2008', number: 62, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'Who wrote the Declaration of Independence?', answers: ['(Thomas) Jefferson'] },
+        { id: '2008-63', test: '2008', number: 63, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'When was the Declaration of Independence adopted?', answers: ['July 4, 1776'] },
+        { id: '2008-64', test: '2008', number: 64, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'There were 13 original states. Name three.', answers: ['New Hampshire', 'Massachusetts', 'Rhode Island', 'Connecticut', 'New York', 'New Jersey', 'Pennsylvania', 'Delaware', 'Maryland', 'Virginia', 'North Carolina', 'South Carolina', 'Georgia'], count: 3 },
+        { id: '2008-65', test: '2008', number: 65, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'What happened at the Constitutional Convention?', answers: ['The Constitution was written.', 'The Founding Fathers wrote the Constitution.'] },
+        { id: '2008-66', test: '2008', number: 66, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'When was the Constitution written?', answers: ['1787'] },
+        { id: '2008-67', test: '2008', number: 67, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'The Federalist Papers supported the passage of the U.S. Constitution. Name one of the writers.', answers: ['(James) Madison', '(Alexander) Hamilton', '(John) Jay', 'Publius'] },
+        { id: '2008-68', test: '2008', number: 68, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'What is one thing Benjamin Franklin is famous for?', answers: ['U.S. diplomat', 'oldest member of the Constitutional Convention', 'first Postmaster General of the United States', 'writer of "Poor Richard\'s Almanac"', 'started the first free libraries'] },
+        { id: '2008-69', test: '2008', number: 69, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'Who is the "Father of Our Country"?', answers: ['(George) Washington'] },
+        { id: '2008-70', test: '2008', number: 70, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'Who was the first President?', answers: ['(George) Washington'], senior: true },
+        { id: '2008-71', test: '2008', number: 71, category: 'American History', subcategory: '1800s', question: 'What territory did the United States buy from France in 1803?', answers: ['the Louisiana Territory', 'Louisiana'] },
+        { id: '2008-72', test: '2008', number: 72, category: 'American History', subcategory: '1800s', question: 'Name one war fought by the United States in the 1800s.', answers: ['War of 1812', 'Mexican-American War', 'Civil War', 'Spanish-American War'] },
+        { id: '2008-73', test: '2008', number: 73, category: 'American History', subcategory: '1800s', question: 'Name the U.S. war between the North and the South.', answers: ['the Civil War', 'the War between the States'] },
+        { id: '2008-74', test: '2008', number: 74, category: 'American History', subcategory: '1800s', question: 'Name one problem that led to the Civil War.', answers: ['slavery', 'economic reasons', 'states\' rights'] },
+        { id: '2008-75', test: '2008', number: 75, category: 'American History', subcategory: '1800s', question: 'What was one important thing that Abraham Lincoln did?', answers: ['freed the slaves (Emancipation Proclamation)', 'saved (or preserved) the Union', 'led the United States during the Civil War'], senior: true },
+        { id: '2008-76', test: '2008', number: 76, category: 'American History', subcategory: '1800s', question: 'What did the Emancipation Proclamation do?', answers: ['freed the slaves', 'freed slaves in the Confederacy', 'freed slaves in the Confederate states', 'freed slaves in most Southern states'] },
+        { id: '2008-77', test: '2008', number: 77, category: 'American History', subcategory: '1800s', question: 'What did Susan B. Anthony do?', answers: ['fought for women\'s rights', 'fought for civil rights'] },
+        { id: '2008-78', test: '2008', number: 78, category: 'American History', subcategory: 'Recent American History and Other Important Historical Information', question: 'Name one war fought by the United States in the 1900s.', answers: ['World War I', 'World War II', 'Korean War', 'Vietnam War', '(Persian) Gulf War'], senior: true },
+        { id: '2008-79', test: '2008', number: 79, category: 'American History', subcategory: 'Recent American History and Other Important Historical Information', question: 'Who was President during World War I?', answers: ['(Woodrow) Wilson'] },
+        { id: '2008-80', test: '2008', number: 80, category: 'American History', subcategory: 'Recent American History and Other Important Historical Information', question: 'Who was President during the Great Depression and World War II?', answers: ['(Franklin) Roosevelt'] },
+        { id: '2008-81', test: '2008', number: 81, category: 'American History', subcategory: 'Recent American History and Other Important Historical Information', question: 'Who did the United States fight in World War II?', answers: ['Japan, Germany, and Italy'] },
+        { id: '2008-82', test: '2008', number: 82, category: 'American History', subcategory: 'Recent American History and Other Important Historical Information', question: 'Before he was President, Eisenhower was a general. What war was he in?', answers: ['World War II'] },
+        { id: '2008-83', test: '2008', number: 83, category: 'American History', subcategory: 'Recent American History and Other Important Historical Information', question: 'During the Cold War, what was the main concern of the United States?', answers: ['Communism'] },
+        { id: '2008-84', test: '2008', number: 84, category: 'American History', subcategory: 'Recent American History and Other Important Historical Information', question: 'What movement tried to end racial discrimination?', answers: ['civil rights (movement)'] },
+        { id: '2008-85', test: '2008', number: 85, category: 'American History', subcategory: 'Recent American History and Other Important Historical Information', question: 'What did Martin Luther King, Jr. do?', answers: ['fought for civil rights', 'worked for equality for all Americans'], senior: true },
+        { id: '2008-86', test: '2008', number: 86, category: 'American History', subcategory: 'Recent American History and Other Important Historical Information', question: 'What major event happened on September 11, 2001, in the United States?', answers: ['Terrorists attacked the United States.'] },
+        { id: '2008-87', test: '2008', number: 87, category: 'American History', subcategory: 'Recent American History and Other Important Historical Information', question: 'Name one American Indian tribe in the United States.', answers: ['Cherokee', 'Navajo', 'Sioux', 'Chippewa', 'Choctaw', 'Pueblo', 'Apache', 'Iroquois', 'Creek', 'Blackfeet', 'Seminole', 'Cheyenne', 'Arawak', 'Shawnee', 'Mohegan', 'Huron', 'Oneida', 'Lakota', 'Crow', 'Teton', 'Hopi', 'Inuit'] },
+
+        // ============ 2008 - INTEGRATED CIVICS ============
+        { id: '2008-88', test: '2008', number: 88, category: 'Integrated Civics', subcategory: 'Geography', question: 'Name one of the two longest rivers in the United States.', answers: ['Missouri (River)', 'Mississippi (River)'] },
+        { id: '2008-89', test: '2008', number: 89, category: 'Integrated Civics', subcategory: 'Geography', question: 'What ocean is on the West Coast of the United States?', answers: ['Pacific (Ocean)'] },
+        { id: '2008-90', test: '2008', number: 90, category: 'Integrated Civics', subcategory: 'Geography', question: 'What ocean is on the East Coast of the United States?', answers: ['Atlantic (Ocean)'] },
+        { id: '2008-91', test: '2008', number: 91, category: 'Integrated Civics', subcategory: 'Geography', question: 'Name one U.S. territory.', answers: ['Puerto Rico', 'U.S. Virgin Islands', 'American Samoa', 'Northern Mariana Islands', 'Guam'] },
+        { id: '2008-92', test: '2008', number: 92, category: 'Integrated Civics', subcategory: 'Geography', question: 'Name one state that borders Canada.', answers: ['Maine', 'New Hampshire', 'Vermont', 'New York', 'Pennsylvania', 'Ohio', 'Michigan', 'Minnesota', 'North Dakota', 'Montana', 'Idaho', 'Washington', 'Alaska'] },
+        { id: '2008-93', test: '2008', number: 93, category: 'Integrated Civics', subcategory: 'Geography', question: 'Name one state that borders Mexico.', answers: ['California', 'Arizona', 'New Mexico', 'Texas'] },
+        { id: '2008-94', test: '2008', number: 94, category: 'Integrated Civics', subcategory: 'Geography', question: 'What is the capital of the United States?', answers: ['Washington, D.C.'], senior: true },
+        { id: '2008-95', test: '2008', number: 95, category: 'Integrated Civics', subcategory: 'Geography', question: 'Where is the Statue of Liberty?', answers: ['New York (Harbor)', 'Liberty Island', 'New Jersey', 'near New York City', 'on the Hudson (River)'], senior: true },
+        { id: '2008-96', test: '2008', number: 96, category: 'Integrated Civics', subcategory: 'Symbols', question: 'Why does the flag have 13 stripes?', answers: ['because there were 13 original colonies', 'because the stripes represent the original colonies'] },
+        { id: '2008-97', test: '2008', number: 97, category: 'Integrated Civics', subcategory: 'Symbols', question: 'Why does the flag have 50 stars?', answers: ['because there is one star for each state', 'because each star represents a state', 'because there are 50 states'], senior: true },
+        { id: '2008-98', test: '2008', number: 98, category: 'Integrated Civics', subcategory: 'Symbols', question: 'What is the name of the national anthem?', answers: ['The Star-Spangled Banner'] },
+        { id: '2008-99', test: '2008', number: 99, category: 'Integrated Civics', subcategory: 'Holidays', question: 'When do we celebrate Independence Day?', answers: ['July 4'], senior: true },
+        { id: '2008-100', test: '2008', number: 100, category: 'Integrated Civics', subcategory: 'Holidays', question: 'Name two national U.S. holidays.', answers: ['New Year\'s Day', 'Martin Luther King, Jr. Day', 'Presidents\' Day', 'Memorial Day', 'Juneteenth', 'Independence Day', 'Labor Day', 'Columbus Day', 'Veterans Day', 'Thanksgiving', 'Christmas'], count: 2 },
+
+        // ============ 2025 - AMERICAN GOVERNMENT ============
+        { id: '2025-1', test: '2025', number: 1, category: 'American Government', subcategory: 'Principles of American Government', question: 'What is the form of government of the United States?', answers: ['Republic', 'Constitution-based federal republic', 'Representative democracy'], senior: true },
+        { id: '2025-2', test: '2025', number: 2, category: 'American Government', subcategory: 'Principles of American Government', question: 'What is the supreme law of the land?', answers: ['(U.S.) Constitution'] },
+        { id: '2025-3', test: '2025', number: 3, category: 'American Government', subcategory: 'Principles of American Government', question: 'Name one thing the U.S. Constitution does.', answers: ['Forms the government', 'Defines powers of government', 'Defines the parts of government', 'Protects the rights of the people'] },
+        { id: '2025-4', test: '2025', number: 4, category: 'American Government', subcategory: 'Principles of American Government', question: 'The U.S. Constitution starts with the words "We the People." What does "We the People" mean?', answers: ['Self-government', 'Popular sovereignty', 'Consent of the governed', 'People should govern themselves', '(Example of) social contract'] },
+        { id: '2025-5', test: '2025', number: 5, category: 'American Government', subcategory: 'Principles of American Government', question: 'How are changes made to the U.S. Constitution?', answers: ['Amendments', 'The amendment process'] },
+        { id: '2025-6', test: '2025', number: 6, category: 'American Government', subcategory: 'Principles of American Government', question: 'What does the Bill of Rights protect?', answers: ['(The basic) rights of Americans', '(The basic) rights of people living in the United States'] },
+        { id: '2025-7', test: '2025', number: 7, category: 'American Government', subcategory: 'Principles of American Government', question: 'How many amendments does the U.S. Constitution have?', answers: ['Twenty-seven (27)'] },
+        { id: '2025-8', test: '2025', number: 8, category: 'American Government', subcategory: 'Principles of American Government', question: 'Why is the Declaration of Independence important?', answers: ['It says America is free from British control.', 'It says all people are created equal.', 'It identifies inherent rights.', 'It identifies individual freedoms.'] },
+        { id: '2025-9', test: '2025', number: 9, category: 'American Government', subcategory: 'Principles of American Government', question: 'What founding document said the American colonies were free from Britain?', answers: ['Declaration of Independence'] },
+        { id: '2025-10', test: '2025', number: 10, category: 'American Government', subcategory: 'Principles of American Government', question: 'Name two important ideas from the Declaration of Independence and the U.S. Constitution.', answers: ['Equality', 'Liberty', 'Social contract', 'Natural rights', 'Limited government', 'Self-government'], count: 2 },
+        { id: '2025-11', test: '2025', number: 11, category: 'American Government', subcategory: 'Principles of American Government', question: 'The words "Life, Liberty, and the pursuit of Happiness" are in what founding document?', answers: ['Declaration of Independence'], senior: true },
+        { id: '2025-12', test: '2025', number: 12, category: 'American Government', subcategory: 'Principles of American Government', question: 'What is the economic system of the United States?', answers: ['Capitalism', 'Free market economy'], senior: true },
+        { id: '2025-13', test: '2025', number: 13, category: 'American Government', subcategory: 'Principles of American Government', question: 'What is the rule of law?', answers: ['Everyone must follow the law.', 'Leaders must obey the law.', 'Government must obey the law.', 'No one is above the law.'] },
+        { id: '2025-14', test: '2025', number: 14, category: 'American Government', subcategory: 'Principles of American Government', question: 'Many documents influenced the U.S. Constitution. Name one.', answers: ['Declaration of Independence', 'Articles of Confederation', 'Federalist Papers', 'Anti-Federalist Papers', 'Virginia Declaration of Rights', 'Fundamental Orders of Connecticut', 'Mayflower Compact', 'Iroquois Great Law of Peace'] },
+        { id: '2025-15', test: '2025', number: 15, category: 'American Government', subcategory: 'Principles of American Government', question: 'There are three branches of government. Why?', answers: ['So one part does not become too powerful', 'Checks and balances', 'Separation of powers'] },
+        { id: '2025-16', test: '2025', number: 16, category: 'American Government', subcategory: 'System of Government', question: 'Name the three branches of government.', answers: ['Legislative, executive, and judicial', 'Congress, president, and the courts'], senior: true },
+        { id: '2025-17', test: '2025', number: 17, category: 'American Government', subcategory: 'System of Government', question: 'The President of the United States is in charge of which branch of government?', answers: ['Executive branch'] },
+        { id: '2025-18', test: '2025', number: 18, category: 'American Government', subcategory: 'System of Government', question: 'What part of the federal government writes laws?', answers: ['(U.S.) Congress', '(U.S. or national) legislature', 'Legislative branch'] },
+        { id: '2025-19', test: '2025', number: 19, category: 'American Government', subcategory: 'System of Government', question: 'What are the two parts of the U.S. Congress?', answers: ['Senate and House (of Representatives)'], senior: true },
+        { id: '2025-20', test: '2025', number: 20, category: 'American Government', subcategory: 'System of Government', question: 'Name one power of the U.S. Congress.', answers: ['Writes laws', 'Declares war', 'Makes the federal budget'], senior: true },
+        { id: '2025-21', test: '2025', number: 21, category: 'American Government', subcategory: 'System of Government', question: 'How many U.S. senators are there?', answers: ['One hundred (100)'] },
+        { id: '2025-22', test: '2025', number: 22, category: 'American Government', subcategory: 'System of Government', question: 'How long is a term for a U.S. senator?', answers: ['Six (6) years'] },
+        { id: '2025-23', test: '2025', number: 23, category: 'American Government', subcategory: 'System of Government', question: 'Who is one of your state\'s U.S. senators now?', answers: [], dynamic: 'senator', senior: true },
+        { id: '2025-24', test: '2025', number: 24, category: 'American Government', subcategory: 'System of Government', question: 'How many voting members are in the House of Representatives?', answers: ['Four hundred thirty-five (435)'] },
+        { id: '2025-25', test: '2025', number: 25, category: 'American Government', subcategory: 'System of Government', question: 'How long is a term for a member of the House of Representatives?', answers: ['Two (2) years'] },
+        { id: '2025-26', test: '2025', number: 26, category: 'American Government', subcategory: 'System of Government', question: 'Why do U.S. representatives serve shorter terms than U.S. senators?', answers: ['To more closely follow public opinion'] },
+        { id: '2025-27', test: '2025', number: 27, category: 'American Government', subcategory: 'System of Government', question: 'How many senators does each state have?', answers: ['Two (2)'] },
+        { id: '2025-28', test: '2025', number: 28, category: 'American Government', subcategory: 'System of Government', question: 'Why does each state have two senators?', answers: ['Equal representation (for small states)', 'The Great Compromise', 'Connecticut Compromise'] },
+        { id: '2025-29', test: '2025', number: 29, category: 'American Government', subcategory: 'System of Government', question: 'Name your U.S. representative.', answers: [], dynamic: 'representative' },
+        { id: '2025-30', test: '2025', number: 30, category: 'American Government', subcategory: 'System of Government', question: 'What is the name of the Speaker of the House of Representatives now?', answers: [], dynamic: 'speaker' },
+        { id: '2025-31', test: '2025', number: 31, category: 'American Government', subcategory: 'System of Government', question: 'Who does a U.S. senator represent?', answers: ['Citizens of their state', 'People of their state'] },
+        { id: '2025-32', test: '2025', number: 32, category: 'American Government', subcategory: 'System of Government', question: 'Who elects U.S. senators?', answers: ['Citizens from their state'] },
+        { id: '2025-33', test: '2025', number: 33, category: 'American Government', subcategory: 'System of Government', question: 'Who does a member of the House of Representatives represent?', answers: ['Citizens in their (congressional) district', 'Citizens in their district', 'People from their (congressional) district'] },
+        { id: '2025-34', test: '2025', number: 34, category: 'American Government', subcategory: 'System of Government', question: 'Who elects members of the House of Representatives?', answers: ['Citizens from their (congressional) district'] },
+        { id: '2025-35', test: '2025', number: 35, category: 'American Government', subcategory: 'System of Government', question: 'Some states have more representatives than other states. Why?', answers: ['(Because of) the state\'s population', '(Because) they have more people', '(Because) some states have more people'] },
+        { id: '2025-36', test: '2025', number: 36, category: 'American Government', subcategory: 'System of Government', question: 'The President of the United States is elected for how many years?', answers: ['Four (4) years'] },
+        { id: '2025-37', test: '2025', number: 37, category: 'American Government', subcategory: 'System of Government', question: 'The President of the United States can serve only two terms. Why?', answers: ['(Because of) the 22nd Amendment', 'To keep the president from becoming too powerful'] },
+        { id: '2025-38', test: '2025', number: 38, category: 'American Government', subcategory: 'System of Government', question: 'What is the name of the President of the United States now?', answers: [], dynamic: 'president', senior: true },
+        { id: '2025-39', test: '2025', number: 39, category: 'American Government', subcategory: 'System of Government', question: 'What is the name of the Vice President of the United States now?', answers: [], dynamic: 'vicePresident' },
+        { id: '2025-40', test: '2025', number: 40, category: 'American Government', subcategory: 'System of Government', question: 'If the president can no longer serve, who becomes president?', answers: ['The Vice President (of the United States)'] },
+        { id: '2025-41', test: '2025', number: 41, category: 'American Government', subcategory: 'System of Government', question: 'Name one power of the president.', answers: ['Signs bills into law', 'Vetoes bills', 'Enforces laws', 'Commander in Chief (of the military)', 'Chief diplomat', 'Appoints federal judges'] },
+        { id: '2025-42', test: '2025', number: 42, category: 'American Government', subcategory: 'System of Government', question: 'Who is Commander in Chief of the U.S. military?', answers: ['the President (of the United States)'] },
+        { id: '2025-43', test: '2025', number: 43, category: 'American Government', subcategory: 'System of Government', question: 'Who signs bills to become laws?', answers: ['the President (of the United States)'] },
+        { id: '2025-44', test: '2025', number: 44, category: 'American Government', subcategory: 'System of Government', question: 'Who vetoes bills?', answers: ['the President (of the United States)'] },
+        { id: '2025-45', test: '2025', number: 45, category: 'American Government', subcategory: 'System of Government', question: 'Who appoints federal judges?', answers: ['the President (of the United States)'] },
+        { id: '2025-46', test: '2025', number: 46, category: 'American Government', subcategory: 'System of Government', question: 'The executive branch has many parts. Name one.', answers: ['President (of the United States)', 'Cabinet', 'Federal departments and agencies'] },
+        { id: '2025-47', test: '2025', number: 47, category: 'American Government', subcategory: 'System of Government', question: 'What does the President\'s Cabinet do?', answers: ['Advises the President (of the United States)'] },
+        { id: '2025-48', test: '2025', number: 48, category: 'American Government', subcategory: 'System of Government', question: 'What are two Cabinet-level positions?', answers: ['Attorney General', 'Secretary of Agriculture', 'Secretary of Commerce', 'Secretary of Education', 'Secretary of Energy', 'Secretary of Health and Human Services', 'Secretary of Homeland Security', 'Secretary of Housing and Urban Development', 'Secretary of the Interior', 'Secretary of Labor', 'Secretary of State', 'Secretary of Transportation', 'Secretary of the Treasury', 'Secretary of Veterans Affairs', 'Secretary of War', 'Secretary of Defense', 'Vice President', 'White House Chief of Staff', 'Administrator of the Environmental Protection Agency', 'Director of the Office of Management and Budget', 'United States Trade Representative', 'Ambassador to the United Nations', 'Administrator of the Small Business Administration', 'Director of National Intelligence', 'Director of the Central Intelligence Agency'], count: 2 },
+        { id: '2025-49', test: '2025', number: 49, category: 'American Government', subcategory: 'System of Government', question: 'Why is the Electoral College important?', answers: ['It decides who is elected president.', 'It provides a compromise between the popular election of the president and congressional selection.'] },
+        { id: '2025-50', test: '2025', number: 50, category: 'American Government', subcategory: 'System of Government', question: 'What is one part of the judicial branch?', answers: ['Supreme Court', 'Federal Courts'] },
+        { id: '2025-51', test: '2025', number: 51, category: 'American Government', subcategory: 'System of Government', question: 'What does the judicial branch do?', answers: ['Reviews laws', 'Explains laws', 'Resolves disputes (disagreements) about the law', 'Decides if a law goes against the (U.S.) Constitution'] },
+        { id: '2025-52', test: '2025', number: 52, category: 'American Government', subcategory: 'System of Government', question: 'What is the highest court in the United States?', answers: ['Supreme Court'] },
+        { id: '2025-53', test: '2025', number: 53, category: 'American Government', subcategory: 'System of Government', question: 'How many seats are on the Supreme Court?', answers: ['Nine (9)'] },
+        { id: '2025-54', test: '2025', number: 54, category: 'American Government', subcategory: 'System of Government', question: 'How many Supreme Court justices are usually needed to decide a case?', answers: ['Five (5)'] },
+        { id: '2025-55', test: '2025', number: 55, category: 'American Government', subcategory: 'System of Government', question: 'How long do Supreme Court justices serve?', answers: ['(For) life', 'Lifetime appointment', '(Until) retirement'] },
+        { id: '2025-56', test: '2025', number: 56, category: 'American Government', subcategory: 'System of Government', question: 'Supreme Court justices serve for life. Why?', answers: ['To be independent (of politics)', 'To limit outside (political) influence'] },
+        { id: '2025-57', test: '2025', number: 57, category: 'American Government', subcategory: 'System of Government', question: 'Who is the Chief Justice of the United States now?', answers: [], dynamic: 'chiefJustice' },
+        { id: '2025-58', test: '2025', number: 58, category: 'American Government', subcategory: 'System of Government', question: 'Name one power that is only for the federal government.', answers: ['Print paper money', 'Mint coins', 'Declare war', 'Create an army', 'Make treaties', 'Set foreign policy'] },
+        { id: '2025-59', test: '2025', number: 59, category: 'American Government', subcategory: 'System of Government', question: 'Name one power that is only for the states.', answers: ['Provide schooling and education', 'Provide protection (police)', 'Provide safety (fire departments)', 'Give a driver\'s license', 'Approve zoning and land use'] },
+        { id: '2025-60', test: '2025', number: 60, category: 'American Government', subcategory: 'System of Government', question: 'What is the purpose of the 10th Amendment?', answers: ['(It states that the) powers not given to the federal government belong to the states or to the people'] },
+        { id: '2025-61', test: '2025', number: 61, category: 'American Government', subcategory: 'System of Government', question: 'Who is the governor of your state now?', answers: [], dynamic: 'governor', senior: true },
+        { id: '2025-62', test: '2025', number: 62, category: 'American Government', subcategory: 'System of Government', question: 'What is the capital of your state?', answers: [], dynamic: 'stateCapital', senior: true },
+        { id: '2025-63', test: '2025', number: 63, category: 'American Government', subcategory: 'Rights and Responsibilities', question: 'There are four amendments to the U.S. Constitution about who can vote. Describe one of them.', answers: ['Citizens eighteen (18) and older (can vote).', 'You don\'t have to pay (a poll tax) to vote.', 'Any citizen can vote.', 'Women and men can vote.', 'A male citizen of any race (can vote).'] },
+        { id: '2025-64', test: '2025', number: 64, category: 'American Government', subcategory: 'Rights and Responsibilities', question: 'Who can vote in federal elections, run for federal office, and serve on a jury in the United States?', answers: ['Citizens', 'Citizens of the United States', 'U.S. citizens'] },
+        { id: '2025-65', test: '2025', number: 65, category: 'American Government', subcategory: 'Rights and Responsibilities', question: 'What are three rights of everyone living in the United States?', answers: ['Freedom of expression', 'Freedom of speech', 'Freedom of assembly', 'Freedom to petition the government', 'Freedom of religion', 'The right to bear arms'], count: 3 },
+        { id: '2025-66', test: '2025', number: 66, category: 'American Government', subcategory: 'Rights and Responsibilities', question: 'What do we show loyalty to when we say the Pledge of Allegiance?', answers: ['The United States', 'The flag'] },
+        { id: '2025-67', test: '2025', number: 67, category: 'American Government', subcategory: 'Rights and Responsibilities', question: 'Name two promises that new citizens make in the Oath of Allegiance.', answers: ['Give up loyalty to other countries', 'Defend the (U.S.) Constitution', 'Obey the laws of the United States', 'Serve in the military (if needed)', 'Serve (help, do important work for) the nation (if needed)', 'Be loyal to the United States'], count: 2 },
+        { id: '2025-68', test: '2025', number: 68, category: 'American Government', subcategory: 'Rights and Responsibilities', question: 'How can people become United States citizens?', answers: ['Be born in the United States, under the conditions set by the 14th Amendment', 'Naturalize', 'Derive citizenship (under conditions set by Congress)'] },
+        { id: '2025-69', test: '2025', number: 69, category: 'American Government', subcategory: 'Rights and Responsibilities', question: 'What are two examples of civic participation in the United States?', answers: ['Vote', 'Run for office', 'Join a political party', 'Help with a campaign', 'Join a civic group', 'Join a community group', 'Give an elected official your opinion (on an issue)', 'Contact elected officials', 'Support or oppose an issue or policy', 'Write to a newspaper'], count: 2 },
+        { id: '2025-70', test: '2025', number: 70, category: 'American Government', subcategory: 'Rights and Responsibilities', question: 'What is one way Americans can serve their country?', answers: ['Vote', 'Pay taxes', 'Obey the law', 'Serve in the military', 'Run for office', 'Work for local, state, or federal government'] },
+        { id: '2025-71', test: '2025', number: 71, category: 'American Government', subcategory: 'Rights and Responsibilities', question: 'Why is it important to pay federal taxes?', answers: ['Required by law', 'All people pay to fund the federal government', 'Required by the (U.S.) Constitution (16th Amendment)', 'Civic duty'] },
+        { id: '2025-72', test: '2025', number: 72, category: 'American Government', subcategory: 'Rights and Responsibilities', question: 'It is important for all men age 18 through 25 to register for the Selective Service. Name one reason why.', answers: ['Required by law', 'Civic duty', 'Makes the draft fair, if needed'] },
+
+        // ============ 2025 - AMERICAN HISTORY ============
+        { id: '2025-73', test: '2025', number: 73, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'The colonists came to America for many reasons. Name one.', answers: ['Freedom', 'Political liberty', 'Religious freedom', 'Economic opportunity', 'Escape persecution'] },
+        { id: '2025-74', test: '2025', number: 74, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'Who lived in America before the Europeans arrived?', answers: ['American Indians', 'Native Americans'], senior: true },
+        { id: '2025-75', test: '2025', number: 75, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'What group of people was taken and sold as slaves?', answers: ['Africans', 'People from Africa'] },
+        { id: '2025-76', test: '2025', number: 76, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'What war did the Americans fight to win independence from Britain?', answers: ['American Revolution', 'The (American) Revolutionary War', 'War for (American) Independence'] },
+        { id: '2025-77', test: '2025', number: 77, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'Name one reason why the Americans declared independence from Britain.', answers: ['High taxes', 'Taxation without representation', 'British soldiers stayed in Americans\' houses (boarding, quartering)', 'They did not have self-government', 'Boston Massacre', 'Boston Tea Party (Tea Act)', 'Stamp Act', 'Sugar Act', 'Townshend Acts', 'Intolerable (Coercive) Acts'] },
+        { id: '2025-78', test: '2025', number: 78, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'Who wrote the Declaration of Independence?', answers: ['(Thomas) Jefferson'] },
+        { id: '2025-79', test: '2025', number: 79, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'When was the Declaration of Independence adopted?', answers: ['July 4, 1776'] },
+        { id: '2025-80', test: '2025', number: 80, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'The American Revolution had many important events. Name one.', answers: ['(Battle of) Bunker Hill', 'Declaration of Independence', 'Washington Crossing the Delaware (Battle of Trenton)', '(Battle of) Saratoga', 'Valley Forge (Encampment)', '(Battle of) Yorktown (British surrender at Yorktown)'] },
+        { id: '2025-81', test: '2025', number: 81, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'There were 13 original states. Name five.', answers: ['New Hampshire', 'Massachusetts', 'Rhode Island', 'Connecticut', 'New York', 'New Jersey', 'Pennsylvania', 'Delaware', 'Maryland', 'Virginia', 'North Carolina', 'South Carolina', 'Georgia'], count: 5 },
+        { id: '2025-82', test: '2025', number: 82, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'What founding document was written in 1787?', answers: ['(U.S.) Constitution'] },
+        { id: '2025-83', test: '2025', number: 83, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'The Federalist Papers supported the passage of the U.S. Constitution. Name one of the writers.', answers: ['(James) Madison', '(Alexander) Hamilton', '(John) Jay', 'Publius'] },
+        { id: '2025-84', test: '2025', number: 84, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'Why were the Federalist Papers important?', answers: ['They helped people understand the (U.S.) Constitution.', 'They supported passing the (U.S.) Constitution.'] },
+        { id: '2025-85', test: '2025', number: 85, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'Benjamin Franklin is famous for many things. Name one.', answers: ['Founded the first free public libraries', 'First Postmaster General of the United States', 'Helped write the Declaration of Independence', 'Inventor', 'U.S. diplomat'] },
+        { id: '2025-86', test: '2025', number: 86, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'George Washington is famous for many things. Name one.', answers: ['"Father of Our Country"', 'First president of the United States', 'General of the Continental Army', 'President of the Constitutional Convention'], senior: true },
+        { id: '2025-87', test: '2025', number: 87, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'Thomas Jefferson is famous for many things. Name one.', answers: ['Writer of the Declaration of Independence', 'Third president of the United States', 'Doubled the size of the United States (Louisiana Purchase)', 'First Secretary of State', 'Founded the University of Virginia', 'Writer of the Virginia Statute on Religious Freedom'] },
+        { id: '2025-88', test: '2025', number: 88, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'James Madison is famous for many things. Name one.', answers: ['"Father of the Constitution"', 'Fourth president of the United States', 'President during the War of 1812', 'One of the writers of the Federalist Papers'] },
+        { id: '2025-89', test: '2025', number: 89, category: 'American History', subcategory: 'Colonial Period and Independence', question: 'Alexander Hamilton is famous for many things. Name one.', answers: ['First Secretary of the Treasury', 'One of the writers of the Federalist Papers', 'Helped establish the First Bank of the United States', 'Aide to General George Washington', 'Member of the Continental Congress'] },
+        { id: '2025-90', test: '2025', number: 90, category: 'American History', subcategory: '1800s', question: 'What territory did the United States buy from France in 1803?', answers: ['Louisiana Territory', 'Louisiana'] },
+        { id: '2025-91', test: '2025', number: 91, category: 'American History', subcategory: '1800s', question: 'Name one war fought by the United States in the 1800s.', answers: ['War of 1812', 'Mexican-American War', 'Civil War', 'Spanish-American War'] },
+        { id: '2025-92', test: '2025', number: 92, category: 'American History', subcategory: '1800s', question: 'Name the U.S. war between the North and the South.', answers: ['The Civil War'] },
+        { id: '2025-93', test: '2025', number: 93, category: 'American History', subcategory: '1800s', question: 'The Civil War had many important events. Name one.', answers: ['(Battle of) Fort Sumter', 'Emancipation Proclamation', '(Battle of) Vicksburg', '(Battle of) Gettysburg', 'Sherman\'s March', '(Surrender at) Appomattox', '(Battle of) Antietam', 'Sharpsburg', 'Lincoln was assassinated'] },
+        { id: '2025-94', test: '2025', number: 94, category: 'American History', subcategory: '1800s', question: 'Abraham Lincoln is famous for many things. Name one.', answers: ['Freed the slaves (Emancipation Proclamation)', 'Saved (or preserved) the Union', 'Led the United States during the Civil War', '16th president of the United States', 'Delivered the Gettysburg Address'], senior: true },
+        { id: '2025-95', test: '2025', number: 95, category: 'American History', subcategory: '1800s', question: 'What did the Emancipation Proclamation do?', answers: ['Freed the slaves', 'Freed slaves in the Confederacy', 'Freed slaves in the Confederate states', 'Freed slaves in most Southern states'] },
+        { id: '2025-96', test: '2025', number: 96, category: 'American History', subcategory: '1800s', question: 'What U.S. war ended slavery?', answers: ['The Civil War'] },
+        { id: '2025-97', test: '2025', number: 97, category: 'American History', subcategory: '1800s', question: 'What amendment says all persons born or naturalized in the United States, and subject to the jurisdiction thereof, are U.S. citizens?', answers: ['(The) 14th Amendment'] },
+        { id: '2025-98', test: '2025', number: 98, category: 'American History', subcategory: '1800s', question: 'When did all men get the right to vote?', answers: ['After the Civil War', 'During Reconstruction', '(With the) 15th Amendment', '1870'] },
+        { id: '2025-99', test: '2025', number: 99, category: 'American History', subcategory: '1800s', question: 'Name one leader of the women\'s rights movement in the 1800s.', answers: ['Susan B. Anthony', 'Elizabeth Cady Stanton', 'Sojourner Truth', 'Harriet Tubman', 'Lucretia Mott', 'Lucy Stone'] },
+        { id: '2025-100', test: '2025', number: 100, category: 'American History', subcategory: 'Recent American History and Other Important Historical Information', question: 'Name one war fought by the United States in the 1900s.', answers: ['World War I', 'World War II', 'Korean War', 'Vietnam War', '(Persian) Gulf War'], senior: true },
+        { id: '2025-101', test: '2025', number: 101, category: 'American History', subcategory: 'Recent American History and Other Important Historical Information', question: 'Why did the United States enter World War I?', answers: ['Because Germany attacked U.S. (civilian) ships', 'To support the Allied Powers (England, France, Italy, and Russia)', 'To oppose the Central Powers (Germany, Austria-Hungary, the Ottoman Empire, and Bulgaria)'] },
+        { id: '2025-102', test: '2025', number: 102, category: 'American History', subcategory: 'Recent American History and Other Important Historical Information', question: 'When did all women get the right to vote?', answers: ['1920', 'After World War I', '(With the) 19th Amendment'] },
+        { id: '2025-103', test: '2025', number: 103, category: 'American History', subcategory: 'Recent American History and Other Important Historical Information', question: 'What was the Great Depression?', answers: ['Longest economic recession in modern history'] },
+        { id: '2025-104', test: '2025', number: 104, category: 'American History', subcategory: 'Recent American History and Other Important Historical Information', question: 'When did the Great Depression start?', answers: ['The Great Crash (1929)', 'Stock market crash of 1929'] },
+        { id: '2025-105', test: '2025', number: 105, category: 'American History', subcategory: 'Recent American History and Other Important Historical Information', question: 'Who was president during the Great Depression and World War II?', answers: ['(Franklin) Roosevelt'] },
+        { id: '2025-106', test: '2025', number: 106, category: 'American History', subcategory: 'Recent American History and Other Important Historical Information', question: 'Why did the United States enter World War II?', answers: ['(Bombing of) Pearl Harbor', 'Japanese attacked Pearl Harbor', 'To support the Allied Powers (England, France, and Russia)', 'To oppose the Axis Powers (Germany, Italy, and Japan)'] },
+        { id: '2025-107', test: '2025', number: 107, category: 'American History', subcategory: 'Recent American History and Other Important Historical Information', question: 'Dwight Eisenhower is famous for many things. Name one.', answers: ['General during World War II', 'President at the end of (during) the Korean War', '34th president of the United States', 'Signed the Federal-Aid Highway Act of 1956', 'Created the Interstate System'] },
+        { id: '2025-108', test: '2025', number: 108, category: 'American History', subcategory: 'Recent American History and Other Important Historical Information', question: 'Who was the United States\' main rival during the Cold War?', answers: ['Soviet Union', 'USSR', 'Russia'] },
+        { id: '2025-109', test: '2025', number: 109, category: 'American History', subcategory: 'Recent American History and Other Important Historical Information', question: 'During the Cold War, what was one main concern of the United States?', answers: ['Communism', 'Nuclear war'] },
+        { id: '2025-110', test: '2025', number: 110, category: 'American History', subcategory: 'Recent American History and Other Important Historical Information', question: 'Why did the United States enter the Korean War?', answers: ['To stop the spread of communism'] },
+        { id: '2025-111', test: '2025', number: 111, category: 'American History', subcategory: 'Recent American History and Other Important Historical Information', question: 'Why did the United States enter the Vietnam War?', answers: ['To stop the spread of communism'] },
+        { id: '2025-112', test: '2025', number: 112, category: 'American History', subcategory: 'Recent American History and Other Important Historical Information', question: 'What did the civil rights movement do?', answers: ['Fought to end racial discrimination'] },
+        { id: '2025-113', test: '2025', number: 113, category: 'American History', subcategory: 'Recent American History and Other Important Historical Information', question: 'Martin Luther King, Jr. is famous for many things. Name one.', answers: ['Fought for civil rights', 'Worked for equality for all Americans', 'Worked to ensure that people would "not be judged by the color of their skin, but by the content of their character"'], senior: true },
+        { id: '2025-114', test: '2025', number: 114, category: 'American History', subcategory: 'Recent American History and Other Important Historical Information', question: 'Why did the United States enter the Persian Gulf War?', answers: ['To force the Iraqi military from Kuwait'] },
+        { id: '2025-115', test: '2025', number: 115, category: 'American History', subcategory: 'Recent American History and Other Important Historical Information', question: 'What major event happened on September 11, 2001 in the United States?', answers: ['Terrorists attacked the United States', 'Terrorists took over two planes and crashed them into the World Trade Center in New York City', 'Terrorists took over a plane and crashed into the Pentagon in Arlington, Virginia', 'Terrorists took over a plane originally aimed at Washington, D.C., and crashed in a field in Pennsylvania'] },
+        { id: '2025-116', test: '2025', number: 116, category: 'American History', subcategory: 'Recent American History and Other Important Historical Information', question: 'Name one U.S. military conflict after the September 11, 2001 attacks.', answers: ['(Global) War on Terror', 'War in Afghanistan', 'War in Iraq'] },
+        { id: '2025-117', test: '2025', number: 117, category: 'American History', subcategory: 'Recent American History and Other Important Historical Information', question: 'Name one American Indian tribe in the United States.', answers: ['Apache', 'Blackfeet', 'Cayuga', 'Cherokee', 'Cheyenne', 'Chippewa', 'Choctaw', 'Creek', 'Crow', 'Hopi', 'Huron', 'Inupiat', 'Lakota', 'Mohawk', 'Mohegan', 'Navajo', 'Oneida', 'Onondaga', 'Pueblo', 'Seminole', 'Seneca', 'Shawnee', 'Shoshone', 'Sioux', 'Teton', 'Tuscarora'] },
+        { id: '2025-118', test: '2025', number: 118, category: 'American History', subcategory: 'Recent American History and Other Important Historical Information', question: 'Name one example of an American innovation.', answers: ['Light bulb', 'Automobile (cars, internal combustion engine)', 'Skyscrapers', 'Airplane', 'Assembly line', 'Landing on the moon', 'Integrated circuit (IC)'] },
+
+        // ============ 2025 - SYMBOLS AND HOLIDAYS ============
+        { id: '2025-119', test: '2025', number: 119, category: 'Symbols and Holidays', subcategory: 'Symbols', question: 'What is the capital of the United States?', answers: ['Washington, D.C.'], senior: true },
+        { id: '2025-120', test: '2025', number: 120, category: 'Symbols and Holidays', subcategory: 'Symbols', question: 'Where is the Statue of Liberty?', answers: ['New York (Harbor)', 'Liberty Island', 'New Jersey', 'near New York City', 'on the Hudson (River)'], senior: true },
+        { id: '2025-121', test: '2025', number: 121, category: 'Symbols and Holidays', subcategory: 'Symbols', question: 'Why does the flag have 13 stripes?', answers: ['(Because there were) 13 original colonies', '(Because the stripes) represent the original colonies'] },
+        { id: '2025-122', test: '2025', number: 122, category: 'Symbols and Holidays', subcategory: 'Symbols', question: 'Why does the flag have 50 stars?', answers: ['(Because there is) one star for each state', '(Because) each star represents a state', '(Because there are) 50 states'], senior: true },
+        { id: '2025-123', test: '2025', number: 123, category: 'Symbols and Holidays', subcategory: 'Symbols', question: 'What is the name of the national anthem?', answers: ['The Star-Spangled Banner'] },
+        { id: '2025-124', test: '2025', number: 124, category: 'Symbols and Holidays', subcategory: 'Symbols', question: 'The Nation\'s first motto was "E Pluribus Unum." What does that mean?', answers: ['Out of many, one', 'We all become one'] },
+        { id: '2025-125', test: '2025', number: 125, category: 'Symbols and Holidays', subcategory: 'Holidays', question: 'What is Independence Day?', answers: ['A holiday to celebrate U.S. independence (from Britain)', 'The country\'s birthday'], senior: true },
+        { id: '2025-126', test: '2025', number: 126, category: 'Symbols and Holidays', subcategory: 'Holidays', question: 'Name three national U.S. holidays.', answers: ['New Year\'s Day', 'Martin Luther King, Jr. Day', 'Presidents Day', 'Washington\'s Birthday', 'Memorial Day', 'Juneteenth', 'Independence Day', 'Labor Day', 'Columbus Day', 'Veterans Day', 'Thanksgiving (Day)', 'Christmas (Day)'], count: 3, senior: true },
+        { id: '2025-127', test: '2025', number: 127, category: 'Symbols and Holidays', subcategory: 'Holidays', question: 'What is Memorial Day?', answers: ['A holiday to honor soldiers who died in military service'] },
+        { id: '2025-128', test: '2025', number: 128, category: 'Symbols and Holidays', subcategory: 'Holidays', question: 'What is Veterans Day?', answers: ['A holiday to honor people in the (U.S.) military', 'A holiday to honor people who have served (in the U.S. military)'] }
+    ]
+};
+
+// Export to global scope
+window.CIVICS_QUESTION_BANK = CIVICS_QUESTION_BANK;
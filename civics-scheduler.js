@@ -0,0 +1,237 @@
+/**
+ * Visa Guide AI - Civics Study Scheduler
+ * SM-2 spaced repetition for the civics questions. Each question has a card keyed by
+ * its id; grading an answer updates the card's ease and interval and sets the date it
+ * is due again, so questions come back shortly before they would be forgotten.
+ * Sessions start with due questions from the weakest categories.
+ *
+ * Card: { ease, interval, reps, lapses, due, last, added, seen, correct }
+ *   interval - days until the next review (0 = due again today)
+ *   reps     - correct answers in a row; a wrong answer resets it
+ *   due, last, added - local dates as 'YYYY-MM-DD'
+ */
+
+const CivicsScheduler = {
+    DEFAULT_EASE: 2.5,
+    MIN_EASE: 1.3,
+
+    // A question counts as mastered once its interval reaches three weeks
+    MASTERED_INTERVAL: 21,
+
+    // New questions introduced per day in the "Due today" mode
+    NEW_PER_DAY: 10,
+
+    // SM-2 quality (0-5) for a multiple-choice answer
+    GRADES: {
+        wrong: 1,
+        right: 4
+    },
+
+    /**
+     * A card for a question that has never been answered
+     */
+    newCard: function() {
+        return {
+            ease: this.DEFAULT_EASE,
+            interval: 0,
+            reps: 0,
+            lapses: 0,
+            due: null,
+            last: null,
+            added: null,
+            seen: 0,
+            correct: 0
+        };
+    },
+
+    /**
+     * Grade an answer and schedule the next review
+     * @param {Object} card - Current card (or null for a new question)
+     * @param {number} quality - SM-2 quality 0-5; below 3 is a lapse
+     * @param {Object} options - { today }
+     * @returns {Object} - Updated copy of the card
+     */
+    grade: function(card, quality, options) {
+        const today = this._today(options);
+        const next = Object.assign(this.newCard(), card || {});
+        const passed = quality >= 3;
+
+        if (passed) {
+            next.reps++;
+            next.interval = next.reps === 1 ? 1 : next.reps === 2 ? 6 : Math.round(next.interval * next.ease);
+            next.correct++;
+        } else {
+            next.reps = 0;
+            next.interval = 1;
+            next.lapses++;
+        }
+
+        next.ease = Math.max(this.MIN_EASE, next.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+        next.ease = Math.round(next.ease * 100) / 100;
+        next.seen++;
+        next.last = this._dateKey(today);
+        next.added = next.added || next.last;
+        next.due = this._dateKey(this._addDays(today, next.interval));
+        return next;
+    },
+
+    /**
+     * Put a question back in today's queue and restart its repetitions ("Mark for review")
+     */
+    again: function(card, options) {
+        const today = this._dateKey(this._today(options));
+        const next = Object.assign(this.newCard(), card || {});
+        next.reps = 0;
+        next.interval = 0;
+        next.due = today;
+        next.added = next.added || today;
+        return next;
+    },
+
+    /**
+     * 'new' (never answered), 'review' (missed or marked), 'learning' or 'mastered'
+     */
+    status: function(card) {
+        if (!card || !card.added) return 'new';
+        if (card.reps === 0) return 'review';
+        return card.interval >= this.MASTERED_INTERVAL ? 'mastered' : 'learning';
+    },
+
+    /**
+     * Whether a question that has been studied is due for review
+     */
+    isDue: function(card, options) {
+        return !!(card && card.due) && card.due <= this._dateKey(this._today(options));
+    },
+
+    /**
+     * Progress toward mastery, 0 (new or missed) to 1 (mastered)
+     */
+    strength: function(card) {
+        if (!card || !card.reps) return 0;
+        return Math.min(1, card.interval / this.MASTERED_INTERVAL);
+    },
+
+    /**
+     * Categories from weakest to strongest
+     * @param {Array} questions - [{ id, category }]
+     * @param {Object} cards - Cards by question id
+     * @returns {Array} - [{ category, strength, total, studied, accuracy }]
+     */
+    categories: function(questions, cards) {
+        const byCategory = {};
+
+        questions.forEach(question => {
+            const card = cards[question.id];
+            const entry = byCategory[question.category] = byCategory[question.category] ||
+                { category: question.category, strength: 0, total: 0, studied: 0, seen: 0, correct: 0 };
+
+            entry.total++;
+            entry.strength += this.strength(card);
+            if (card && card.seen) {
+                entry.studied++;
+                entry.seen += card.seen;
+                entry.correct += card.correct;
+            }
+        });
+
+        return Object.keys(byCategory)
+            .map(key => {
+                const entry = byCategory[key];
+                return {
+                    category: entry.category,
+                    strength: entry.strength / entry.total,
+                    total: entry.total,
+                    studied: entry.studied,
+                    accuracy: entry.seen ? entry.correct / entry.seen : null
+                };
+            })
+            .sort((a, b) => a.strength - b.strength || (a.accuracy || 0) - (b.accuracy || 0));
+    },
+
+    /**
+     * Choose the questions for a study session
+     * @param {Array} questions - Question bank ({ id, category, ... })
+     * @param {Object} cards - Cards by question id
+     * @param {Object} options - { count, dueOnly, newLimit, today }
+     *   dueOnly - only due questions plus today's allowance of new ones
+     * @returns {Array} - Questions in study order: due (most overdue first), then new, then
+     *                    the rest by next due date - weakest categories first within each group
+     */
+    session: function(questions, cards, options) {
+        options = options || {};
+        const today = this._dateKey(this._today(options));
+        const rank = {};
+        this.categories(questions, cards).forEach((entry, index) => { rank[entry.category] = index; });
+
+        const byWeakness = (a, b) => rank[a.category] - rank[b.category];
+        const dueDate = question => cards[question.id].due || today;
+
+        const due = [];
+        const fresh = [];
+        const later = [];
+        questions.forEach(question => {
+            const card = cards[question.id];
+            if (!card || !card.added) fresh.push(question);
+            else if (this.isDue(card, options)) due.push(question);
+            else later.push(question);
+        });
+
+        due.sort((a, b) => dueDate(a).localeCompare(dueDate(b)) || byWeakness(a, b));
+        fresh.sort(byWeakness);
+        later.sort((a, b) => dueDate(a).localeCompare(dueDate(b)) || byWeakness(a, b));
+
+        if (options.dueOnly) {
+            const limit = options.newLimit !== undefined ? options.newLimit : this.NEW_PER_DAY;
+            return due.concat(fresh.slice(0, Math.max(0, limit - this.addedOn(cards, today))));
+        }
+
+        const ordered = due.concat(fresh, later);
+        return options.count ? ordered.slice(0, options.count) : ordered;
+    },
+
+    /**
+     * Counts for the progress display
+     * @returns {Object} - { total, new, review, learning, mastered, learned, due }
+     *   learned - learning + mastered; due - questions the "Due today" mode would ask
+     */
+    summary: function(questions, cards, options) {
+        const counts = { total: questions.length, new: 0, review: 0, learning: 0, mastered: 0 };
+        questions.forEach(question => {
+            counts[this.status(cards[question.id])]++;
+        });
+
+        counts.learned = counts.learning + counts.mastered;
+        counts.due = this.session(questions, cards, Object.assign({}, options, { dueOnly: true })).length;
+        return counts;
+    },
+
+    /**
+     * Number of questions first studied on a date
+     */
+    addedOn: function(cards, dateKey) {
+        return Object.keys(cards).filter(id => cards[id] && cards[id].added === dateKey).length;
+    },
+
+    // ============ PRIVATE ============
+
+    _today: function(options) {
+        const value = options && options.today;
+        const now = !value ? new Date() : /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(value + 'T00:00:00') : new Date(value);
+        return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    },
+
+    _addDays: function(date, days) {
+        const result = new Date(date);
+        result.setDate(result.getDate() + days);
+        return result;
+    },
+
+    _dateKey: function(date) {
+        const pad = n => (n < 10 ? '0' : '') + n;
+        return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate());
+    }
+};
+
+// Export to global scope
+window.CivicsScheduler = CivicsScheduler;
@@ -10,6 +10,7 @@ class DataSync {
         this.auth = null;
         this.userId = null;
         this.unsubscribers = [];
+        this.syncUserId = null;
         this.syncStatus = 'synced'; // synced, syncing, offline, error
         this.syncListeners = [];
         this.initialized = false;
@@ -18,6 +19,45 @@ class DataSync {
         this.writeDebounceMs = 500;
         this.pendingWrites = new Map();
         
+        // Durable offline write journal - replayed in order with backoff
+        this.journalKey = 'syncWriteJournal';
+        this.conflictsKey = 'syncConflicts';
+        this.writeJournal = this._loadJSON(this.journalKey, []);
+        // Fallback writes each user chose to leave on the device: { <key>: [userId] }
+        this.localWritesKeptKey = 'syncLocalWritesKept';
+        // Whether the signed-in user said the device's signed-out data is theirs
+        this.deviceDataAnswer = null;
+        // whenUser() callers waiting for a sign-in
+        this.userWaiters = [];
+        this.conflicts = this._loadJSON(this.conflictsKey, []);
+        this.conflictListeners = [];
+        this.replayTimer = null;
+        this.replayInProgress = false;
+        this.replayBaseDelayMs = 1000;
+        this.replayMaxDelayMs = 5 * 60 * 1000;
+        
+        // Form bound to the page's inputs (see FormRegistry)
+        this.activeFormId = 'n400';
+        
+        // Field-level three-way merge state for synced form inputs, keyed <userId>/<formId>/<field>
+        this.fieldBaseKey = 'syncFieldBase';
+        this.fieldBase = this._loadJSON(this.fieldBaseKey, {});
+        this.fieldConflicts = new Map();
+        
+        // Chat conversations saved while signed out
+        this.conversationsKey = 'chatConversations';
+        // Messages already stored per cloud conversation id
+        this.savedMessageCounts = {};
+        
+        // Server copy as of the latest snapshot - the base for queued edits
+        this.serverData = null;
+        this.serverLastUpdated = null;
+        
+        // Typed change router - one users/{uid} subscription, handlers per section
+        this.sections = ['profile', 'forms', 'progress', 'documents', 'settings', 'civics'];
+        this.sectionHandlers = {};
+        this._registerDefaultHandlers();
+        
         // Initialize
         this._init();
     }
@@ -55,6 +95,7 @@ class DataSync {
                     this._stopSync();
                     this._notifySyncListeners('offline', 'Not connected');
                 }
+                this._resolveUserWaiters();
             });
         }
         
@@ -82,26 +123,44 @@ class DataSync {
             return;
         }
         
-        console.log('Starting data sync for user:', this.userId);
-        
-        // Subscribe to user profile changes
-        this._subscribeToProfile();
+        // Signed in as someone else without signing out first
+        if (this.syncUserId && this.syncUserId !== this.userId) {
+            this._stopSync();
+        }
         
-        // Subscribe to forms data
-        this._subscribeToForms();
+        console.log('Starting data sync for user:', this.userId);
         
-        // Subscribe to documents
-        this._subscribeToDocuments();
+        // Single subscription to the user document, routed per section
+        this._subscribeToUserDocument();
         
-        // Subscribe to settings
-        this._subscribeToSettings();
+        // Queue what was saved while signed out (if it is this user's), then replay everything queued offline
+        this._claimLocalWrites();
+        this._replayJournal(true);
         
         // Initial sync complete
         setTimeout(() => {
-            this._notifySyncListeners('synced', 'All changes saved');
+            if (this._getUserJournal().length === 0 && this.getConflicts().length === 0) {
+                this._notifySyncListeners('synced', 'All changes saved');
+            }
         }, 1500);
     }
     
+    /**
+     * Wait until DataSync has picked up a sign-in (auth listeners run in no fixed order)
+     * @param {string} userId - Expected user id
+     * @returns {Promise<boolean>} - false when a different user (or nobody) signed in instead
+     */
+    whenUser(userId) {
+        if (this.userId === userId) return Promise.resolve(true);
+        return new Promise(resolve => this.userWaiters.push({ userId: userId, resolve: resolve }));
+    }
+    
+    _resolveUserWaiters() {
+        const waiters = this.userWaiters;
+        this.userWaiters = [];
+        waiters.forEach(waiter => waiter.resolve(waiter.userId === this.userId));
+    }
+    
     /**
      * Stop syncing and cleanup
      */
@@ -110,110 +169,122 @@ class DataSync {
             if (typeof unsub === 'function') unsub();
         });
         this.unsubscribers = [];
+        this.syncUserId = null;
+        this.serverData = null;
+        this.serverLastUpdated = null;
+        this.fieldBase = {};
+        localStorage.removeItem(this.fieldBaseKey);
+        this.savedMessageCounts = {};
+        this.deviceDataAnswer = null;
+        if (this.replayTimer) {
+            clearTimeout(this.replayTimer);
+            this.replayTimer = null;
+        }
         console.log('Data sync stopped');
     }
     
     /**
-     * Subscribe to user profile changes
+     * Subscribe to the user document and route changed sections to their handlers
      */
-    _subscribeToProfile() {
+    _subscribeToUserDocument() {
         if (!this.db || !this.userId) return;
         
+        // Already listening - the snapshot listener reconnects by itself
+        if (this.syncUserId === this.userId) return;
+        
         try {
-            const profileDocRef = this.db.collection('users').doc(this.userId);
+            const userDocRef = this.db.collection('users').doc(this.userId);
             
-            const unsubscribe = profileDocRef.onSnapshot((doc) => {
+            const unsubscribe = userDocRef.onSnapshot((doc) => {
                 if (doc.exists && doc.data()) {
                     const data = doc.data();
-                    this._updateProfileUI(data);
+                    const previous = this.serverData;
+                    this.serverData = data;
+                    this.serverLastUpdated = data.lastUpdated || this.serverLastUpdated;
+                    this._routeChanges(previous, data);
                 }
             }, (error) => {
-                console.error('Error subscribing to profile:', error);
+                console.error('Error subscribing to user document:', error);
             });
             
             this.unsubscribers.push(unsubscribe);
+            this.syncUserId = this.userId;
         } catch (error) {
-            console.error('Error subscribing to profile:', error);
+            console.error('Error subscribing to user document:', error);
         }
     }
     
     /**
-     * Subscribe to forms data changes
+     * Dispatch only the sections that differ between two snapshots - a removed
+     * section is dispatched with an undefined value
      */
-    _subscribeToForms() {
-        if (!this.db || !this.userId) return;
+    _routeChanges(previous, next) {
+        const sections = new Set(this.sections.concat(Object.keys(this.sectionHandlers)));
         
-        try {
-            const formsDocRef = this.db.collection('users').doc(this.userId);
+        sections.forEach(section => {
+            const before = previous ? previous[section] : undefined;
+            const after = next[section];
+            if (JSON.stringify(before) === JSON.stringify(after)) return;
             
-            const unsubscribe = formsDocRef.onSnapshot((doc) => {
-                if (doc.exists && doc.data()) {
-                    const data = doc.data();
-                    // Check if it has forms data
-                    if (data.forms || data.progress) {
-                        this._updateFormsUI(data);
-                    }
-                }
-            }, (error) => {
-                console.error('Error subscribing to forms:', error);
-            });
-            
-            this.unsubscribers.push(unsubscribe);
-        } catch (error) {
-            console.error('Error subscribing to forms:', error);
-        }
+            this._dispatchSection(section, after, next, before);
+        });
     }
     
     /**
-     * Subscribe to documents changes
+     * Call every handler registered for a section
      */
-    _subscribeToDocuments() {
-        if (!this.db || !this.userId) return;
-        
-        try {
-            const docsDocRef = this.db.collection('users').doc(this.userId);
-            
-            const unsubscribe = docsDocRef.onSnapshot((doc) => {
-                if (doc.exists && doc.data()) {
-                    const data = doc.data();
-                    if (data.documents) {
-                        this._updateDocumentsUI(data);
-                    }
-                }
-            }, (error) => {
-                console.error('Error subscribing to documents:', error);
-            });
-            
-            this.unsubscribers.push(unsubscribe);
-        } catch (error) {
-            console.error('Error subscribing to documents:', error);
-        }
+    _dispatchSection(section, value, data, previousValue) {
+        (this.sectionHandlers[section] || []).forEach(handler => {
+            try {
+                handler(value, data, previousValue);
+            } catch (error) {
+                console.error('Error in ' + section + ' handler:', error);
+            }
+        });
     }
     
     /**
-     * Subscribe to settings changes
+     * Built-in UI updaters, routed like any page handler
      */
-    _subscribeToSettings() {
-        if (!this.db || !this.userId) return;
+    _registerDefaultHandlers() {
+        this.on('profile', (profile, data) => this._updateProfileUI(data));
+        this.on('forms', (forms, data) => this._updateFormsUI(data));
+        this.on('progress', (progress, data) => this._updateFormsUI(data));
+        this.on('documents', (documents) => this._updateDocumentsUI({ documents: documents || [] }));
+        this.on('settings', (settings) => this._applySettings(settings || {}));
+    }
+    
+    /**
+     * Subscribe to changes of one section of the user document (profile, forms,
+     * progress, documents, settings, civics, ...). The handler receives (value, data, previousValue)
+     * and is called right away with the current value if a snapshot has arrived.
+     * Returns an unsubscribe function.
+     */
+    on(section, handler) {
+        if (typeof handler !== 'function') return () => {};
         
-        try {
-            const settingsDocRef = this.db.collection('users').doc(this.userId);
-            
-            const unsubscribe = settingsDocRef.onSnapshot((doc) => {
-                if (doc.exists && doc.data()) {
-                    const data = doc.data();
-                    if (data.settings) {
-                        this._applySettings(data.settings);
-                    }
-                }
-            }, (error) => {
-                console.error('Error subscribing to settings:', error);
-            });
-            
-            this.unsubscribers.push(unsubscribe);
-        } catch (error) {
-            console.error('Error subscribing to settings:', error);
+        if (!this.sectionHandlers[section]) {
+            this.sectionHandlers[section] = [];
         }
+        this.sectionHandlers[section].push(handler);
+        
+        if (this.serverData && this.serverData[section] !== undefined) {
+            try {
+                handler(this.serverData[section], this.serverData, undefined);
+            } catch (error) {
+                console.error('Error in ' + section + ' handler:', error);
+            }
+        }
+        
+        return () => this.off(section, handler);
+    }
+    
+    /**
+     * Remove a section handler
+     */
+    off(section, handler) {
+        if (!this.sectionHandlers[section]) return;
+        this.sectionHandlers[section] = this.sectionHandlers[section].filter(h => h !== handler);
     }
     
     /**
@@ -235,21 +306,9 @@ class DataSync {
         }
         
         const timeoutId = setTimeout(async () => {
-            try {
-                const data = {};
-                data[fieldName] = value;
-                data.lastUpdated = new Date().toISOString();
-                
-                // Use Firestore updateDocument
-                await FirebaseCore.updateDocument(`users/${this.userId}`, data);
-                
-                this._notifySyncListeners('synced', 'All changes saved');
-            } catch (error) {
-                console.error('Error saving data:', error);
-                this._notifySyncListeners('error', 'Sync failed');
-                // Fallback to localStorage
-                this._saveToLocalStorage(collection, docId, fieldName, value);
-            }
+            const data = {};
+            data[fieldName] = value;
+            await this._writeOrQueue(data);
             this.pendingWrites.delete(key);
         }, this.writeDebounceMs);
         
@@ -257,33 +316,117 @@ class DataSync {
     }
     
     /**
-     * Save complete form data
+     * Save complete form data for one form
      */
-    async saveCompleteFormData(formData) {
+    async saveCompleteFormData(formData, formId = this.activeFormId) {
+        return await this.saveForm(formId, formData);
+    }
+    
+    /**
+     * Save a form by id - each step goes to forms.<formId>.<step>, progress to forms.<formId>._progress
+     * @param {string} formId - Registered form id (e.g. 'n400')
+     * @param {Object} formData - { <step>: { <field>: value }, currentStep?, status? }
+     */
+    async saveForm(formId, formData) {
+        const schema = typeof FormRegistry !== 'undefined' ? FormRegistry.get(formId) : null;
+        if (!schema) {
+            console.error('Unknown form:', formId);
+            return { success: false, error: new Error('Unknown form: ' + formId) };
+        }
+        
+        const fields = {};
+        schema.steps.forEach(step => {
+            if (formData[step.id]) {
+                fields[`forms.${formId}.${step.id}`] = formData[step.id];
+            }
+        });
+        
+        const percentage = FormRegistry.computeProgress(formId, formData);
+        fields[`forms.${formId}._progress`] = {
+            percentage: formData.status === 'completed' ? 100 : percentage,
+            status: formData.status || (percentage > 0 ? 'in-progress' : 'not-started'),
+            currentStep: formData.currentStep || 1,
+            // A device copy saved earlier keeps its own time, so the newer save still wins
+            lastSaved: formData.lastSaved || new Date().toISOString()
+        };
+        
         if (!this.userId) {
-            // Fallback to localStorage
-            localStorage.setItem('formData', JSON.stringify(formData));
-            return;
+            // Fallback to localStorage - moved into the journal and replayed on sign-in
+            Object.entries(fields).forEach(([fieldPath, value]) => {
+                this._saveToLocalStorage('forms', formId, fieldPath, value);
+            });
+            return { success: false, local: true };
         }
         
         this._notifySyncListeners('syncing', 'Saving...');
         
-        try {
-            const data = {
-                forms: formData,
-                lastUpdated: new Date().toISOString()
-            };
-            
-            await FirebaseCore.updateDocument(`users/${this.userId}`, data);
-            this._notifySyncListeners('synced', 'All changes saved');
-            return { success: true };
-        } catch (error) {
-            console.error('Error saving form data:', error);
-            this._notifySyncListeners('error', 'Sync failed');
-            // Fallback to localStorage
-            localStorage.setItem('formData', JSON.stringify(formData));
-            return { success: false, error: error };
+        return await this._writeOrQueue(fields);
+    }
+    
+    /**
+     * Load a form by id from the latest snapshot (or Firestore), with unsynced local writes on top
+     * @param {string} formId - Registered form id
+     * @returns {Promise<Object>} - { <step>: { <field>: value }, _progress }
+     */
+    async loadForm(formId) {
+        let formData = {};
+        
+        if (this.userId) {
+            const data = this.serverData || await this.getUserData();
+            if (data && data.forms && data.forms[formId]) {
+                formData = JSON.parse(JSON.stringify(data.forms[formId]));
+            }
+        }
+        
+        // Overlay writes that have not reached the cloud yet
+        const prefix = `forms.${formId}.`;
+        const pending = [];
+        const fallback = this._loadJSON(`forms_${formId}`, null);
+        if (fallback) {
+            pending.push(fallback);
         }
+        this._getUserJournal().forEach(entry => pending.push(entry.fields));
+        
+        pending.forEach(fields => {
+            Object.entries(fields).forEach(([fieldPath, value]) => {
+                if (fieldPath.startsWith(prefix)) {
+                    formData[fieldPath.slice(prefix.length)] = value;
+                }
+            });
+        });
+        
+        return formData;
+    }
+    
+    /**
+     * Bind a form's fields to the page inputs so remote changes merge into them
+     * @param {string} formId - Registered form id
+     */
+    bindForm(formId) {
+        if (this.activeFormId === formId) return;
+        
+        this.fieldConflicts.forEach((conflict, fieldId) => this._clearFieldConflict(fieldId));
+        this.activeFormId = formId;
+        
+        if (this.serverData) {
+            this._updateFormsUI(this.serverData);
+        }
+    }
+    
+    /**
+     * Get saved progress of every form that has data
+     * @returns {Object} - { <formId>: { percentage, status, currentStep, lastSaved } }
+     */
+    getFormProgress() {
+        const progress = {};
+        const forms = (this.serverData && this.serverData.forms) || {};
+        
+        Object.entries(forms).forEach(([formId, formData]) => {
+            if (formData && formData._progress) {
+                progress[formId] = formData._progress;
+            }
+        });
+        return progress;
     }
     
     /**
@@ -296,21 +439,31 @@ class DataSync {
             return;
         }
         
-        try {
-            const data = {
-                progress: progressData,
-                lastUpdated: new Date().toISOString()
-            };
-            
-            await FirebaseCore.updateDocument(`users/${this.userId}`, data);
-            console.log('Progress saved to Firestore');
-            return { success: true };
-        } catch (error) {
-            console.error('Error saving progress:', error);
-            // Fallback to localStorage
-            localStorage.setItem('progressData', JSON.stringify(progressData));
-            return { success: false, error: error };
+        return await this._writeOrQueue({ progress: progressData });
+    }
+    
+    /**
+     * Save civics study progress (CivicsProgress) - debounced, since every answer saves
+     */
+    async saveCivics(civics) {
+        if (!this.userId) {
+            // CivicsProgress keeps the device copy - it is merged into the cloud after sign-in
+            return { success: false, local: true };
         }
+        
+        this._notifySyncListeners('syncing', 'Saving...');
+        
+        if (this.pendingWrites.has('civics')) {
+            clearTimeout(this.pendingWrites.get('civics'));
+        }
+        
+        const timeoutId = setTimeout(async () => {
+            this.pendingWrites.delete('civics');
+            await this._writeOrQueue({ civics: civics });
+        }, this.writeDebounceMs);
+        
+        this.pendingWrites.set('civics', timeoutId);
+        return { success: true, pending: true };
     }
     
     /**
@@ -323,23 +476,408 @@ class DataSync {
             return;
         }
         
+        return await this._writeOrQueue({ settings: settings });
+    }
+    
+    /**
+     * Load saved chat conversations, most recent first. Signed in they come from
+     * users/{uid}/conversations, each with its messages in a messages subcollection;
+     * signed out from localStorage.
+     * @returns {Promise<Array>} - [{ id, title, topic, createdAt, lastMessageAt, messages }]
+     */
+    async loadConversations() {
+        let conversations = this.userId ? [] : this._loadJSON(this.conversationsKey, []);
+        
+        if (this.userId) {
+            try {
+                const path = `users/${this.userId}/conversations`;
+                conversations = await FirebaseCore.getCollection(path);
+                for (const conversation of conversations) {
+                    const messages = await FirebaseCore.getCollection(`${path}/${conversation.id}/messages`);
+                    this.savedMessageCounts[conversation.id] = messages.length;
+                    // Threads saved before messages had their own documents keep them inline
+                    if (messages.length > 0 || !Array.isArray(conversation.messages)) {
+                        conversation.messages = messages
+                            .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+                            .map(({ id, updatedAt, ...message }) => message);
+                    }
+                }
+            } catch (error) {
+                console.error('Error loading conversations:', error);
+            }
+        }
+        
+        return conversations
+            .slice()
+            .sort((a, b) => (a.lastMessageAt < b.lastMessageAt ? 1 : a.lastMessageAt > b.lastMessageAt ? -1 : 0));
+    }
+    
+    /**
+     * Conversations saved on this device while signed out that the signed-in user
+     * has not yet been asked about (see adoptConversations / keepConversationsOnDevice)
+     * @returns {Array}
+     */
+    getUnclaimedConversations() {
+        if (!this.userId) return [];
+        return this._loadJSON(this.conversationsKey, [])
+            .filter(conversation => !(conversation.keptBy || []).includes(this.userId));
+    }
+    
+    /**
+     * Move the unclaimed device conversations into the signed-in user's account
+     */
+    async adoptConversations() {
+        if (!this.userId) return { success: false };
+        
+        const unclaimed = this.getUnclaimedConversations();
         try {
-            const data = {
-                settings: settings,
-                lastUpdated: new Date().toISOString()
-            };
-            
-            await FirebaseCore.updateDocument(`users/${this.userId}`, data);
-            console.log('Settings saved to Firestore');
-            return { success: true };
+            for (const { keptBy, ...conversation } of unclaimed) {
+                await this._uploadConversation(conversation);
+            }
         } catch (error) {
-            console.error('Error saving settings:', error);
+            console.error('Error adopting conversations:', error);
+            return { success: false, error: error };
+        }
+        
+        const ids = unclaimed.map(conversation => conversation.id);
+        const remaining = this._loadJSON(this.conversationsKey, []).filter(c => !ids.includes(c.id));
+        if (remaining.length > 0) {
+            this._saveJSON(this.conversationsKey, remaining);
+        } else {
+            localStorage.removeItem(this.conversationsKey);
+        }
+        return { success: true, count: ids.length };
+    }
+    
+    /**
+     * Leave the unclaimed device conversations out of the signed-in user's account
+     * (they stay on the device and the user is not asked again)
+     */
+    keepConversationsOnDevice() {
+        if (!this.userId) return;
+        
+        const conversations = this._loadJSON(this.conversationsKey, []);
+        conversations.forEach(conversation => {
+            conversation.keptBy = (conversation.keptBy || []).concat(this.userId)
+                .filter((userId, index, list) => list.indexOf(userId) === index);
+        });
+        this._saveJSON(this.conversationsKey, conversations);
+    }
+    
+    /**
+     * Save one chat conversation. Signed in only messages not yet stored are written,
+     * each as its own document, so a long thread never outgrows a Firestore document.
+     */
+    async saveConversation(conversation) {
+        if (!this.userId) {
             // Fallback to localStorage
-            localStorage.setItem('settings', JSON.stringify(settings));
+            const conversations = this._loadJSON(this.conversationsKey, []).filter(c => c.id !== conversation.id);
+            conversations.push(conversation);
+            this._saveJSON(this.conversationsKey, conversations);
+            return { success: false, local: true };
+        }
+        
+        try {
+            await this._uploadConversation(conversation);
+            return { success: true };
+        } catch (error) {
+            console.error('Error saving conversation:', error);
             return { success: false, error: error };
         }
     }
     
+    /**
+     * Delete a chat conversation and its messages
+     */
+    async deleteConversation(conversationId) {
+        if (!this.userId) {
+            const conversations = this._loadJSON(this.conversationsKey, []).filter(c => c.id !== conversationId);
+            this._saveJSON(this.conversationsKey, conversations);
+            return { success: false, local: true };
+        }
+        
+        try {
+            const path = `users/${this.userId}/conversations/${conversationId}`;
+            const messages = await FirebaseCore.getCollection(`${path}/messages`);
+            for (const message of messages) {
+                await FirebaseCore.deleteDocument(`${path}/messages/${message.id}`);
+            }
+            await FirebaseCore.deleteDocument(path);
+            delete this.savedMessageCounts[conversationId];
+            return { success: true };
+        } catch (error) {
+            console.error('Error deleting conversation:', error);
+            return { success: false, error: error };
+        }
+    }
+    
+    /**
+     * Write a conversation's details and the messages added since the last save.
+     * Message documents are named by position so they sort in order and rewriting one is harmless.
+     */
+    async _uploadConversation(conversation) {
+        const path = `users/${this.userId}/conversations/${conversation.id}`;
+        const { messages, ...details } = conversation;
+        const from = this.savedMessageCounts[conversation.id] || 0;
+        const list = messages || [];
+        
+        // Claimed before writing so a save started meanwhile only writes what comes after
+        this.savedMessageCounts[conversation.id] = list.length;
+        try {
+            for (let index = from; index < list.length; index++) {
+                await FirebaseCore.setDocument(`${path}/messages/${String(index).padStart(6, '0')}`, list[index]);
+            }
+            await FirebaseCore.setDocument(path, { ...details, messageCount: list.length });
+        } catch (error) {
+            this.savedMessageCounts[conversation.id] = Math.min(this.savedMessageCounts[conversation.id], from);
+            throw error;
+        }
+    }
+    
+    /**
+     * Write fields to the user document, queueing them in the journal when offline or on failure
+     */
+    async _writeOrQueue(fields) {
+        const queuedAt = new Date().toISOString();
+        
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+            this._enqueueWrite(fields, queuedAt);
+            this._notifySyncListeners('offline', 'Saved offline - will sync when reconnected');
+            return { success: false, queued: true };
+        }
+        
+        // Older queued writes go first - written directly this one would be overwritten by
+        // them, or reported as conflicting with them
+        if (this._getUserJournal().length > 0) {
+            this._enqueueWrite(fields, queuedAt);
+            if (!this.replayTimer) {
+                this._replayJournal();
+            }
+            return { success: false, queued: true };
+        }
+        
+        try {
+            await FirebaseCore.updateDocument(`users/${this.userId}`, { ...fields, lastUpdated: queuedAt });
+            this.serverLastUpdated = queuedAt;
+            this._acknowledgeFields(fields);
+            this._notifySyncListeners('synced', 'All changes saved');
+            return { success: true };
+        } catch (error) {
+            console.error('Error saving data:', error);
+            this._enqueueWrite(fields, queuedAt);
+            this._notifySyncListeners('error', 'Sync failed - will retry');
+            this._scheduleReplay();
+            return { success: false, queued: true, error: error };
+        }
+    }
+    
+    /**
+     * Append a write to the durable journal
+     */
+    _enqueueWrite(fields, queuedAt) {
+        // Remember what the server held for each field so replay can tell a real conflict
+        let baseValues = null;
+        if (this.serverData) {
+            baseValues = {};
+            Object.keys(fields).forEach(fieldPath => {
+                baseValues[fieldPath] = this._getFieldValue(this.serverData, fieldPath);
+            });
+        }
+        
+        this.writeJournal.push({
+            id: Date.now().toString(36) + Math.random().toString(36).slice(2, 8),
+            userId: this.userId,
+            fields: fields,
+            queuedAt: queuedAt || new Date().toISOString(),
+            baseLastUpdated: this.serverLastUpdated,
+            baseValues: baseValues,
+            attempts: 0
+        });
+        this._saveJSON(this.journalKey, this.writeJournal);
+    }
+    
+    /**
+     * Queued writes that belong to the signed-in user, oldest first
+     */
+    _getUserJournal() {
+        return this.writeJournal.filter(entry => entry.userId === this.userId);
+    }
+    
+    /**
+     * Schedule the next replay attempt with exponential backoff
+     */
+    _scheduleReplay() {
+        if (this.replayTimer || !this.userId) return;
+        
+        const journal = this._getUserJournal();
+        if (journal.length === 0) return;
+        
+        const attempts = journal[0].attempts || 0;
+        const delay = Math.min(this.replayBaseDelayMs * Math.pow(2, attempts), this.replayMaxDelayMs);
+        
+        this.replayTimer = setTimeout(() => {
+            this.replayTimer = null;
+            this._replayJournal();
+        }, delay);
+    }
+    
+    /**
+     * Replay queued writes in order. A queued edit older than the server copy's
+     * lastUpdated is moved to the conflict list instead of overwriting newer cloud data.
+     */
+    async _replayJournal(resetBackoff = false) {
+        if (!this.userId || this.replayInProgress) return;
+        
+        if (resetBackoff && this.replayTimer) {
+            clearTimeout(this.replayTimer);
+            this.replayTimer = null;
+        }
+        
+        if (this._getUserJournal().length === 0) return;
+        
+        this.replayInProgress = true;
+        this._notifySyncListeners('syncing', 'Syncing offline changes...');
+        
+        try {
+            while (this.userId) {
+                const entry = this._getUserJournal()[0];
+                if (!entry) break;
+                
+                if (resetBackoff) {
+                    entry.attempts = 0;
+                }
+                
+                try {
+                    const doc = await FirebaseCore.getDocument(`users/${this.userId}`);
+                    const serverLastUpdated = doc.exists && doc.data ? doc.data.lastUpdated : null;
+                    
+                    if (serverLastUpdated && serverLastUpdated > entry.queuedAt &&
+                        this._changedRemotely(entry, doc.data)) {
+                        this._recordConflict(entry, doc.data);
+                    } else {
+                        // A new account may not have its user document yet
+                        if (!doc.exists) {
+                            await FirebaseCore.setDocument(`users/${this.userId}`, {}, { merge: true });
+                        }
+                        
+                        // Never move lastUpdated backwards past a newer server write
+                        const lastUpdated = serverLastUpdated && serverLastUpdated > entry.queuedAt
+                            ? serverLastUpdated
+                            : entry.queuedAt;
+                        await FirebaseCore.updateDocument(`users/${this.userId}`, {
+                            ...entry.fields,
+                            lastUpdated: lastUpdated
+                        });
+                        this.serverLastUpdated = lastUpdated;
+                        this._acknowledgeFields(entry.fields);
+                    }
+                    
+                    this.writeJournal = this.writeJournal.filter(e => e.id !== entry.id);
+                    this._saveJSON(this.journalKey, this.writeJournal);
+                } catch (error) {
+                    console.error('Error replaying queued write:', error);
+                    entry.attempts = (entry.attempts || 0) + 1;
+                    this._saveJSON(this.journalKey, this.writeJournal);
+                    this._notifySyncListeners('error', 'Sync failed - will retry');
+                    this._scheduleReplay();
+                    return;
+                }
+            }
+            
+            if (this.conflicts.some(c => c.userId === this.userId)) {
+                this._notifySyncListeners('conflict', 'Some offline changes conflict with newer cloud data');
+            } else {
+                this._notifySyncListeners('synced', 'All changes saved');
+            }
+        } finally {
+            this.replayInProgress = false;
+        }
+    }
+    
+    /**
+     * Check whether any field of a queued write was changed on the server since it was queued
+     */
+    _changedRemotely(entry, serverData) {
+        // Without a known base (e.g. saved while signed out), any field the newer server copy
+        // holds a different value for counts as a conflict - one it does not have cannot
+        return Object.keys(entry.fields).some(fieldPath => {
+            const value = this._getFieldValue(serverData, fieldPath);
+            const remote = JSON.stringify(value);
+            if (!entry.baseValues && value === undefined) return false;
+            return (!entry.baseValues || remote !== JSON.stringify(entry.baseValues[fieldPath])) &&
+                remote !== JSON.stringify(entry.fields[fieldPath]);
+        });
+    }
+    
+    /**
+     * Keep a stale queued write aside so the user can decide which version wins
+     */
+    _recordConflict(entry, serverData) {
+        const remote = {};
+        Object.keys(entry.fields).forEach(fieldPath => {
+            remote[fieldPath] = this._getFieldValue(serverData, fieldPath);
+        });
+        
+        const conflict = {
+            id: entry.id,
+            type: 'write',
+            userId: entry.userId,
+            local: entry.fields,
+            remote: remote,
+            localUpdated: entry.queuedAt,
+            remoteUpdated: serverData.lastUpdated,
+            detectedAt: new Date().toISOString()
+        };
+        
+        this.conflicts.push(conflict);
+        this._saveJSON(this.conflictsKey, this.conflicts);
+        console.warn('Offline write conflicts with newer cloud data:', conflict);
+        
+        this._notifyConflictListeners(conflict);
+    }
+    
+    /**
+     * Notify conflict listeners
+     */
+    _notifyConflictListeners(conflict) {
+        this.conflictListeners.forEach(listener => {
+            if (typeof listener === 'function') {
+                listener(conflict);
+            }
+        });
+    }
+    
+    /**
+     * Read a dotted field path from a data object
+     */
+    _getFieldValue(data, fieldPath) {
+        return fieldPath.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), data);
+    }
+    
+    /**
+     * Load JSON from localStorage
+     */
+    _loadJSON(key, fallback) {
+        try {
+            const raw = localStorage.getItem(key);
+            return raw ? JSON.parse(raw) : fallback;
+        } catch (error) {
+            console.warn('Could not read ' + key + ' from localStorage:', error);
+            return fallback;
+        }
+    }
+    
+    /**
+     * Save JSON to localStorage
+     */
+    _saveJSON(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+            console.warn('Could not save ' + key + ' to localStorage:', error);
+        }
+    }
+    
     /**
      * Save data to localStorage as fallback
      */
@@ -350,6 +888,16 @@ class DataSync {
         data[fieldName] = value;
         data._lastUpdated = new Date().toISOString();
         localStorage.setItem(key, JSON.stringify(data));
+        
+        // New answers - anyone who declined the old ones is asked again
+        this._forgetKeptLocalWrite(key);
+    }
+    
+    _forgetKeptLocalWrite(key) {
+        const kept = this._loadJSON(this.localWritesKeptKey, {});
+        if (!kept[key]) return;
+        delete kept[key];
+        this._saveJSON(this.localWritesKeptKey, kept);
     }
     
     /**
@@ -390,48 +938,29 @@ class DataSync {
      * Update forms UI with synced data
      */
     _updateFormsUI(data) {
-        // Handle forms data from Firestore
-        const formsData = data.forms || data;
-        
-        // Map Firestore data to form fields
-        const fieldMappings = {
-            'lastName': 'lastName',
-            'firstName': 'firstName',
-            'middleName': 'middleName',
-            'dob': 'dob',
-            'birthCountry': 'birthCountry',
-            'nationality': 'nationality',
-            'aNumber': 'aNumber',
-            'eligibilityBasis': 'eligibilityBasis',
-            'currentAddress': 'currentAddress',
-            'currentCity': 'currentCity',
-            'currentState': 'currentState',
-            'currentZip': 'currentZip'
-        };
+        // Handle forms data from Firestore - forms.<formId>.<step>.<field>
+        const formId = this.activeFormId;
+        const formData = (data.forms && data.forms[formId]) || {};
         
-        Object.entries(fieldMappings).forEach(([firestoreField, elementId]) => {
-            if (formsData[firestoreField]) {
-                const el = document.getElementById(elementId);
-                if (el && document.activeElement !== el) {
-                    el.value = formsData[firestoreField];
-                }
+        if (typeof FormRegistry === 'undefined') {
+            console.warn('FormRegistry not found. Make sure form-registry.js is loaded.');
+            return;
+        }
+        
+        // Merge each registered field into its input
+        FormRegistry.getFields(formId).forEach(field => {
+            const stepData = formData[field.step];
+            if (stepData && stepData[field.id] !== undefined) {
+                this._mergeField(field.id, this._fieldText(stepData[field.id]), this._fieldBaseKey(formId, field.id));
             }
         });
         
         // Update progress if available
-        const progressData = data.progress || formsData._progress;
+        const progressData = formData._progress;
         if (progressData) {
             const progressEl = document.getElementById('formProgress');
             if (progressEl) {
-                const percentage = progressData.overallPercentage || progressData;
-                progressEl.textContent = `Progress: ${percentage}%`;
-            }
-            
-            // Update progress bar if exists
-            const progressBar = document.getElementById('progress-fill');
-            if (progressBar) {
-                const percentage = progressData.overallPercentage || progressData;
-                progressBar.style.width = `${percentage}%`;
+                progressEl.textContent = `Progress: ${progressData.percentage || 0}%`;
             }
         }
         
@@ -439,26 +968,148 @@ class DataSync {
     }
     
     /**
-     * Update documents UI with synced data
+     * Three-way merge of a remote field value into its input.
+     * Base is the last value both sides agreed on: a change on only one side wins,
+     * a change on both sides is raised as a conflict and the local edit is kept.
+     */
+    _mergeField(fieldId, remote, baseKey) {
+        const el = document.getElementById(fieldId);
+        if (!el) return;
+        
+        const local = el.value;
+        const hasBase = Object.prototype.hasOwnProperty.call(this.fieldBase, baseKey);
+        const base = hasBase ? this.fieldBase[baseKey] : null;
+        
+        if (local === remote) {
+            this._setFieldBase(baseKey, remote);
+            this._clearFieldConflict(fieldId);
+            return;
+        }
+        
+        // Only the local side changed - keep the user's edit
+        if (hasBase && remote === base) return;
+        
+        // Only the remote side changed - take it
+        if ((hasBase && local === base) || (!hasBase && local === '')) {
+            el.value = remote;
+            this._setFieldBase(baseKey, remote);
+            this._clearFieldConflict(fieldId);
+            return;
+        }
+        
+        this._raiseFieldConflict(fieldId, local, remote, base);
+    }
+    
+    /**
+     * Remember the agreed value of a field
+     */
+    _setFieldBase(baseKey, value) {
+        if (this.fieldBase[baseKey] === value) return;
+        this.fieldBase[baseKey] = value;
+        this._saveJSON(this.fieldBaseKey, this.fieldBase);
+    }
+    
+    /**
+     * Merge base key of a form field for the signed-in user
+     */
+    _fieldBaseKey(formId, fieldId) {
+        return `${this.userId}/${formId}/${fieldId}`;
+    }
+    
+    /**
+     * A saved field value as its input holds it - list fields (e.g. trips) as JSON
+     */
+    _fieldText(value) {
+        if (value == null) return '';
+        return Array.isArray(value) ? JSON.stringify(value) : String(value);
+    }
+    
+    /**
+     * Once the cloud has acknowledged a write, the form fields it carried are agreed values
+     */
+    _acknowledgeFields(fields) {
+        Object.entries(fields).forEach(([fieldPath, value]) => {
+            const [root, formId, step] = fieldPath.split('.');
+            if (root !== 'forms' || !formId || !step || step === '_progress') return;
+            if (!value || typeof value !== 'object') return;
+            
+            Object.entries(value).forEach(([fieldId, fieldValue]) => {
+                this._setFieldBase(this._fieldBaseKey(formId, fieldId), this._fieldText(fieldValue));
+            });
+        });
+    }
+    
+    /**
+     * Record a field edited on both sides and tell conflict listeners
+     */
+    _raiseFieldConflict(fieldId, local, remote, base) {
+        const existing = this.fieldConflicts.get(fieldId);
+        if (existing && existing.local === local && existing.remote === remote) return;
+        
+        const conflict = {
+            id: 'field:' + fieldId,
+            type: 'field',
+            userId: this.userId,
+            formId: this.activeFormId,
+            field: fieldId,
+            local: local,
+            remote: remote,
+            base: base,
+            detectedAt: new Date().toISOString()
+        };
+        this.fieldConflicts.set(fieldId, conflict);
+        this._notifyConflictListeners(conflict);
+    }
+    
+    /**
+     * Drop a field conflict that no longer applies
+     */
+    _clearFieldConflict(fieldId) {
+        const conflict = this.fieldConflicts.get(fieldId);
+        if (!conflict) return;
+        
+        this.fieldConflicts.delete(fieldId);
+        this._notifyConflictListeners({ ...conflict, resolved: true });
+    }
+    
+    /**
+     * Get unresolved field conflicts from remote snapshots
+     */
+    getFieldConflicts() {
+        return Array.from(this.fieldConflicts.values());
+    }
+    
+    /**
+     * Resolve a field conflict - 'local' keeps what the user typed, 'remote' takes the other device's value
+     */
+    resolveFieldConflict(fieldId, keep) {
+        const conflict = this.fieldConflicts.get(fieldId);
+        if (!conflict) return false;
+        
+        const el = document.getElementById(fieldId);
+        if (keep === 'remote' && el) {
+            el.value = conflict.remote;
+            el.dispatchEvent(new Event('change', { bubbles: true }));
+        }
+        
+        // The remote value becomes the base, so keeping local reads as a plain local edit
+        this._setFieldBase(this._fieldBaseKey(conflict.formId, fieldId), conflict.remote);
+        this._clearFieldConflict(fieldId);
+        return true;
+    }
+    
+    /**
+     * Update documents UI with synced data - the page counts the list against its checklist
      */
     _updateDocumentsUI(data) {
         const documentsData = data.documents || data;
         
         if (documentsData && Array.isArray(documentsData)) {
-            // Update document list if it exists
+            // Update document list and stats if they exist
             const docList = document.getElementById('documentList');
             if (docList) {
                 this._refreshDocumentList(documentsData);
             }
-            
-            // Update stats
-            const uploaded = documentsData.filter(d => d.status === 'uploaded').length;
-            const total = documentsData.length;
-            const uploadedEl = document.getElementById('uploadedDocs');
-            const totalEl = document.getElementById('totalDocs');
-            
-            if (uploadedEl) uploadedEl.textContent = uploaded;
-            if (totalEl) totalEl.textContent = total;
         }
         
         console.log('Documents UI updated');
@@ -487,6 +1138,9 @@ class DataSync {
         // Apply language setting
         if (settings.language) {
             localStorage.setItem('language', settings.language);
+            if (window.I18n) {
+                window.I18n.setLocale(settings.language, { save: false });
+            }
         }
         
         // Apply notification setting
@@ -504,7 +1158,7 @@ class DataSync {
         const docList = document.getElementById('documentList');
         if (!docList) return;
         
-        // This would call the populateDocuments function from forms page
+        // The forms page merges the list into its checklist
         if (typeof window.refreshDocumentsUI === 'function') {
             window.refreshDocumentsUI(documents);
         }
@@ -539,7 +1193,8 @@ class DataSync {
             'synced': '<span class="sync-icon synced">✓</span>',
             'syncing': '<span class="sync-icon syncing">↻</span>',
             'offline': '<span class="sync-icon offline">☁</span>',
-            'error': '<span class="sync-icon error">!</span>'
+            'error': '<span class="sync-icon error">!</span>',
+            'conflict': '<span class="sync-icon error">⚠</span>'
         };
         
         if (statusIcon) statusIcon.innerHTML = icons[status] || icons['synced'];
@@ -568,10 +1223,55 @@ class DataSync {
         return {
             status: this.syncStatus,
             userId: this.userId,
-            pendingWrites: this.pendingWrites.size
+            pendingWrites: this.pendingWrites.size,
+            queuedWrites: this._getUserJournal().length,
+            conflicts: this.getConflicts().length
         };
     }
     
+    /**
+     * Add listener for conflicts - type 'write' for offline writes overtaken by newer
+     * cloud data, type 'field' for a form field edited here and on another device
+     */
+    addConflictListener(callback) {
+        this.conflictListeners.push(callback);
+    }
+    
+    /**
+     * Remove conflict listener
+     */
+    removeConflictListener(callback) {
+        this.conflictListeners = this.conflictListeners.filter(l => l !== callback);
+    }
+    
+    /**
+     * Get unresolved write conflicts for the current user
+     */
+    getConflicts() {
+        return this.conflicts.filter(c => c.userId === this.userId);
+    }
+    
+    /**
+     * Resolve a write conflict - 'local' re-applies the offline edit, 'remote' discards it
+     */
+    async resolveConflict(conflictId, keep) {
+        const conflict = this.conflicts.find(c => c.id === conflictId);
+        if (!conflict) return { success: false, error: new Error('Conflict not found') };
+        
+        if (keep === 'local') {
+            const result = await this._writeOrQueue(conflict.local);
+            if (!result.success && !result.queued) return result;
+        }
+        
+        this.conflicts = this.conflicts.filter(c => c.id !== conflictId);
+        this._saveJSON(this.conflictsKey, this.conflicts);
+        
+        if (this.getConflicts().length === 0 && this._getUserJournal().length === 0) {
+            this._notifySyncListeners('synced', 'All changes saved');
+        }
+        return { success: true };
+    }
+    
     /**
      * Force sync all pending data
      */
@@ -580,34 +1280,107 @@ class DataSync {
         
         this._notifySyncListeners('syncing', 'Syncing...');
         
-        // Process pending localStorage writes
-        const localKeys = Object.keys(localStorage).filter(k => 
-            k.startsWith('forms_') || k.startsWith('documents_') || k.startsWith('profile_') ||
-            k === 'formData' || k === 'progressData' || k === 'settings'
+        this._claimLocalWrites();
+        
+        await this._replayJournal(true);
+        return this._getUserJournal().length === 0;
+    }
+    
+    /**
+     * Ask once per sign-in whether the data saved on this device while signed out belongs
+     * to the signed-in user - on a shared device it may be someone else's
+     * @returns {boolean} - true to add it to the account
+     */
+    confirmDeviceData() {
+        if (!this.userId) return false;
+        if (this.deviceDataAnswer && this.deviceDataAnswer.userId === this.userId) {
+            return this.deviceDataAnswer.adopt;
+        }
+        
+        const message = window.I18n
+            ? window.I18n.t('sync.adoptLocal')
+            : 'This device has answers saved while signed out. Add them to your account?';
+        const adopt = confirm(message);
+        this.deviceDataAnswer = { userId: this.userId, adopt: adopt };
+        return adopt;
+    }
+    
+    /**
+     * localStorage fallback writes the signed-in user has not been asked about yet
+     */
+    _getUnclaimedLocalWrites() {
+        const kept = this._loadJSON(this.localWritesKeptKey, {});
+        return Object.keys(localStorage).filter(k =>
+            (k.startsWith('forms_') || k.startsWith('documents_') || k.startsWith('profile_') ||
+            k === 'formData' || k === 'progressData' || k === 'settings') &&
+            !(kept[k] || []).includes(this.userId)
         );
+    }
+    
+    /**
+     * Move the fallback writes into the journal once the user confirms they are theirs,
+     * otherwise leave them on the device and do not ask this user about them again
+     */
+    _claimLocalWrites() {
+        if (!this.userId) return;
+        
+        const keys = this._getUnclaimedLocalWrites();
+        if (keys.length === 0) return;
+        
+        if (this.confirmDeviceData()) {
+            this._adoptLocalWrites(keys);
+            return;
+        }
+        
+        const kept = this._loadJSON(this.localWritesKeptKey, {});
+        keys.forEach(key => {
+            kept[key] = (kept[key] || []).concat(this.userId);
+        });
+        this._saveJSON(this.localWritesKeptKey, kept);
+    }
+    
+    /**
+     * Move localStorage fallback writes (saved while signed out) into the signed-in
+     * user's journal so they replay in order
+     */
+    _adoptLocalWrites(localKeys) {
+        if (!this.userId) return;
         
         for (const key of localKeys) {
             try {
                 const data = JSON.parse(localStorage.getItem(key));
+                let fields = null;
+                let queuedAt = null;
                 
                 // Determine what type of data this is
                 if (key === 'formData') {
-                    await FirebaseCore.updateDocument(`users/${this.userId}`, { forms: data });
+                    fields = { forms: data };
                 } else if (key === 'progressData') {
-                    await FirebaseCore.updateDocument(`users/${this.userId}`, { progress: data });
+                    fields = { progress: data };
                 } else if (key === 'settings') {
-                    await FirebaseCore.updateDocument(`users/${this.userId}`, { settings: data });
+                    fields = { settings: data };
+                } else if (data && typeof data === 'object') {
+                    // Field-level fallback written by _saveToLocalStorage
+                    queuedAt = data._lastUpdated || null;
+                    fields = { ...data };
+                    delete fields._lastUpdated;
                 }
                 
-                // Remove from localStorage after successful sync
+                if (fields && Object.keys(fields).length > 0) {
+                    this._enqueueWrite(fields, queuedAt);
+                }
+                
+                // The journal now holds it durably
                 localStorage.removeItem(key);
+                this._forgetKeptLocalWrite(key);
             } catch (error) {
-                console.error('Error syncing', key, ':', error);
+                console.error('Error queueing', key, ':', error);
             }
         }
         
-        this._notifySyncListeners('synced', 'All changes saved');
-        return true;
+        // Sort so legacy fallback writes replay in the order they were made
+        this.writeJournal.sort((a, b) => (a.queuedAt < b.queuedAt ? -1 : a.queuedAt > b.queuedAt ? 1 : 0));
+        this._saveJSON(this.journalKey, this.writeJournal);
     }
     
     /**
@@ -0,0 +1,230 @@
+/**
+ * Visa Guide AI - Document Checklist
+ * The supporting documents each form needs for the user's own answers. A form's
+ * `documents` (form-registry.js) lists the types it always needs and the ones its answers
+ * call for with requiredIf; entries for the same type add up, so a type is needed when any
+ * of its conditions holds and carries every reason that applies. Uploads are counted against
+ * DocumentManager's file rules, so "three tax returns" needs three, and an upload past its
+ * expiry date (DocumentExpiry) counts as expired.
+ *
+ * Checklist: { formId, name, items, required, ready, missing, complete }
+ *   required - number of documents needed; ready - how many of them are done
+ *   missing  - items not ready yet
+ * Item: { type, name, reasons, conditional, status, uploaded, needed, missingSlots, forms }
+ *   status       - 'ready' | 'partial' (some files uploaded) | 'expired' | 'missing'
+ *   conditional  - needed only because of an answer (no entry needs it always)
+ *   missingSlots - tax years or countries still without a file (DocumentManager.checkFiles)
+ *   forms        - names of the forms that need it (only on the list from combine)
+ */
+
+const DocumentChecklist = {
+    /**
+     * The documents a form needs for its answers
+     * @param {string} formId - Registered form id
+     * @param {Object} values - The form's answers { <field>: value } (FormValidator.flatten)
+     * @param {Array} uploaded - [{ type, status, fileCount, slots, dates }] uploaded documents. Records from
+     *   DocumentManager (with fileCount) are checked against the type's file rule; one upload in the
+     *   Forms Center checklist on this device covers its type.
+     * @returns {Object|null} - Checklist, or null for an unknown form
+     */
+    forForm: function(formId, values, uploaded) {
+        const schema = FormRegistry.get(formId);
+        if (!schema) return null;
+
+        const items = {};
+        (schema.documents || []).forEach(entry => {
+            const rule = typeof entry === 'string' ? { type: entry } : entry;
+            if (rule.requiredIf && !FormValidator.matches(rule.requiredIf, values || {})) return;
+
+            if (!items[rule.type]) {
+                items[rule.type] = this._item(rule.type, uploaded);
+            }
+            const item = items[rule.type];
+            item.conditional = item.conditional && !!rule.requiredIf;
+            const reason = rule.reason && FormRegistry.text(formId, 'reason.' + rule.type + '.' + (rule.requiredIf || {}).field, rule.reason);
+            if (reason && item.reasons.indexOf(reason) === -1) {
+                item.reasons.push(reason);
+            }
+        });
+
+        return Object.assign({ formId: formId, name: schema.name }, this._totals(Object.values(items)));
+    },
+
+    /**
+     * The documents of several forms on one list
+     * @param {Array} checklists - Results of forForm()
+     * @returns {Object} - { forms (the checklists), items, required, ready, missing, complete }
+     */
+    combine: function(checklists) {
+        const items = {};
+        checklists.filter(Boolean).forEach(checklist => {
+            checklist.items.forEach(item => {
+                if (!items[item.type]) {
+                    items[item.type] = Object.assign({}, item, { reasons: [], conditional: true, forms: [] });
+                }
+                const combined = items[item.type];
+                combined.forms.push(checklist.name);
+                combined.conditional = combined.conditional && item.conditional;
+                item.reasons.forEach(reason => {
+                    if (combined.reasons.indexOf(reason) === -1) combined.reasons.push(reason);
+                });
+            });
+        });
+
+        return Object.assign({ forms: checklists.filter(Boolean) }, this._totals(Object.values(items)));
+    },
+
+    /**
+     * Answers saved for a form - this device first, then the cloud copy
+     * @param {string} formId - Registered form id
+     * @returns {Object|null} - { <field>: value }, or null when nothing is saved
+     */
+    savedValues: function(formId) {
+        let formData = null;
+        try {
+            formData = JSON.parse(localStorage.getItem(FormRegistry.storageKey(formId)) || 'null');
+        } catch (error) {
+            console.warn('Could not read saved answers for ' + formId + ':', error);
+        }
+        if (!formData && window.dataSync && window.dataSync.serverData && window.dataSync.serverData.forms) {
+            formData = window.dataSync.serverData.forms[formId] || null;
+        }
+        if (!formData) return null;
+
+        const steps = {};
+        Object.keys(formData).forEach(key => {
+            if (/^step\d+$/.test(key)) steps[key] = formData[key];
+        });
+        const values = FormValidator.flatten(steps);
+        return Object.keys(values).length > 0 ? values : null;
+    },
+
+    /**
+     * Uploaded documents - DocumentManager's when signed in, plus those in the Forms Center checklist
+     * on this device for types DocumentManager has none of
+     * @returns {Promise<Array>} - [{ type, name, fileName, uploadedAt, status, fileCount, slots, dates }]
+     *   dates - [{ fileId, slot, issuedOn, expiresOn }] of the files with dates entered
+     */
+    loadUploaded: async function() {
+        const user = typeof FirebaseCore !== 'undefined' && FirebaseCore.isInitialized() ? FirebaseCore.getCurrentUser() : null;
+        let stored = [];
+
+        if (user && typeof DocumentManager !== 'undefined') {
+            try {
+                const documents = await DocumentManager.getAllDocuments();
+                stored = documents
+                    .filter(doc => doc.status !== 'deleted')
+                    .map(doc => ({
+                        type: doc.docType || doc.id,
+                        name: this.documentName(doc.docType || doc.id),
+                        fileName: doc.fileName || '',
+                        uploadedAt: DocumentManager.formatDate(doc.uploadedAt),
+                        status: 'uploaded',
+                        fileCount: doc.fileCount === undefined ? 1 : doc.fileCount,
+                        slots: doc.slots || [],
+                        dates: doc.dates || []
+                    }));
+            } catch (error) {
+                console.warn('Could not load uploaded documents:', error);
+            }
+        }
+
+        return stored.concat(this.localUploaded().filter(doc => !stored.some(entry => entry.type === doc.type)));
+    },
+
+    /**
+     * Uploaded (and expired) documents in the Forms Center checklist on this device - entries
+     * without a file are sample data
+     * @returns {Array} - [{ type, name, fileName, uploadedAt, status, dates }]
+     */
+    localUploaded: function() {
+        let checklist = [];
+        try {
+            checklist = JSON.parse(localStorage.getItem('documentsData') || '[]');
+        } catch (error) {
+            console.warn('Could not read the document checklist:', error);
+        }
+
+        return (Array.isArray(checklist) ? checklist : [])
+            .filter(doc => (doc.status === 'uploaded' || doc.status === 'expired') && doc.url)
+            .map(doc => ({
+                type: doc.docType || this._documentType(doc.name),
+                name: doc.name,
+                fileName: doc.fileName || '',
+                uploadedAt: doc.date || '',
+                status: doc.status,
+                dates: doc.issuedOn || doc.expiresOn ? [{ issuedOn: doc.issuedOn || null, expiresOn: doc.expiresOn || null }] : []
+            }));
+    },
+
+    /**
+     * Display name of a document type
+     */
+    documentName: function(type) {
+        if (typeof DocumentManager !== 'undefined') {
+            return DocumentManager.getDocumentName(type);
+        }
+        return type;
+    },
+
+    // ============ PRIVATE ============
+
+    _item: function(type, uploaded) {
+        const entry = (uploaded || []).find(doc => doc.type === type) || null;
+        const files = this._files(entry);
+        const check = typeof DocumentManager !== 'undefined'
+            ? DocumentManager.checkFiles(type, files)
+            : { needed: 1, uploaded: files.length, missing: [], complete: files.length > 0 };
+
+        let status = 'missing';
+        if (entry && (entry.status === 'expired' || (typeof DocumentExpiry !== 'undefined' && DocumentExpiry.isExpired(entry)))) {
+            status = 'expired';
+        } else if (entry && (check.complete || entry.fileCount === undefined)) {
+            // One upload in the Forms Center checklist covers its type
+            status = 'ready';
+        } else if (files.length > 0) {
+            status = 'partial';
+        }
+
+        return {
+            type: type,
+            name: this.documentName(type),
+            reasons: [],
+            conditional: true,
+            status: status,
+            uploaded: files.length,
+            needed: check.needed,
+            missingSlots: status === 'ready' ? [] : check.missing
+        };
+    },
+
+    // The uploaded files of a type as DocumentManager.checkFiles counts them
+    _files: function(entry) {
+        if (!entry || entry.status !== 'uploaded') return [];
+
+        const slots = entry.slots || [];
+        const count = Math.max(entry.fileCount === undefined ? 1 : entry.fileCount, slots.length);
+        return Array.from({ length: count }, (_, i) => ({ slot: slots[i] || null }));
+    },
+
+    _totals: function(items) {
+        const missing = items.filter(item => item.status !== 'ready');
+        return {
+            items: items,
+            required: items.length,
+            ready: items.length - missing.length,
+            missing: missing,
+            complete: missing.length === 0
+        };
+    },
+
+    _documentType: function(name) {
+        if (typeof DocumentManager === 'undefined') return name;
+
+        const type = Object.keys(DocumentManager.DOCUMENT_TYPES).find(key => DocumentManager.DOCUMENT_TYPES[key] === name);
+        return type || name;
+    }
+};
+
+// Export to global scope
+window.DocumentChecklist = DocumentChecklist;
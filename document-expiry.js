@@ -0,0 +1,158 @@
+/**
+ * Visa Guide AI - Document Expiry
+ * When uploaded documents stop being good evidence. A document carries the dates printed on
+ * it (issuedOn, expiresOn - entered by hand or read by DocumentScanner), and RULES say how
+ * long each type stays usable and how early it should be renewed:
+ *   renewBefore - act this long before the printed expiry (the passport six-month rule)
+ *   validFor    - usable this long after issue, whatever the document says (I-693, police certificates)
+ *
+ * Entry: { type, name, fileId, slot, issuedOn, expiresOn, actionBy, daysLeft, status, note }
+ *   expiresOn - the earlier of the printed date and the end of validFor ('YYYY-MM-DD')
+ *   actionBy  - the date to renew or replace the document by
+ *   daysLeft  - days until actionBy (negative once it has passed)
+ *   status    - 'expired' | 'renew' (actionBy has passed) | 'expiring' (actionBy within ALERT_DAYS)
+ *               | 'valid' | 'unknown' (no dates entered)
+ */
+
+const DocumentExpiry = {
+    // How far ahead an upcoming renewal shows on the dashboard and in notifications
+    ALERT_DAYS: 90,
+
+    RULES: {
+        'passport': {
+            renewBefore: { months: 6 },
+            note: 'Many countries, and U.S. consulates, need a passport valid at least six months beyond your stay'
+        },
+        'green_card': {
+            renewBefore: { months: 6 },
+            note: 'File Form I-90 to renew your card within six months of its expiration date'
+        },
+        'ead': {
+            renewBefore: { days: 180 },
+            note: 'File Form I-765 to renew up to 180 days before your card expires'
+        },
+        'i94': {
+            renewBefore: { days: 45 },
+            note: 'An extension or change of status must be filed before your authorized stay ends'
+        },
+        'medical_exam': {
+            validFor: { days: 60 },
+            note: 'USCIS accepts Form I-693 only when the civil surgeon signed it no more than 60 days before you file'
+        },
+        'police_certificate': {
+            validFor: { months: 12 },
+            note: 'Police certificates are generally accepted for one year after they are issued'
+        }
+    },
+
+    /**
+     * Whether a document type has an expiry rule (the user is asked for its dates)
+     */
+    tracks: function(docType) {
+        return !!this.RULES[docType];
+    },
+
+    /**
+     * How long a document stays usable
+     * @param {string} docType - DocumentManager type
+     * @param {Object} dates - { issuedOn, expiresOn } 'YYYY-MM-DD', either may be empty
+     * @param {Date} asOf - The day to judge by (today when left out)
+     * @returns {Object} - Entry (without fileId and slot)
+     */
+    evaluate: function(docType, dates, asOf) {
+        const rule = this.RULES[docType] || {};
+        const issued = FormValidator.parseDate(dates && dates.issuedOn);
+        let expires = FormValidator.parseDate(dates && dates.expiresOn);
+
+        if (rule.validFor && issued) {
+            const end = this._add(issued, rule.validFor, 1);
+            if (!expires || end < expires) expires = end;
+        }
+
+        const entry = {
+            type: docType,
+            name: this._documentName(docType),
+            issuedOn: issued ? this._iso(issued) : null,
+            expiresOn: expires ? this._iso(expires) : null,
+            actionBy: null,
+            daysLeft: null,
+            status: 'unknown',
+            note: rule.note || ''
+        };
+        if (!expires) return entry;
+
+        const today = asOf || FormValidator.today();
+        const actionBy = rule.renewBefore ? this._add(expires, rule.renewBefore, -1) : expires;
+        entry.actionBy = this._iso(actionBy);
+        entry.daysLeft = Math.round((actionBy - today) / 86400000);
+
+        if (expires < today) {
+            entry.status = 'expired';
+        } else if (actionBy <= today) {
+            entry.status = 'renew';
+        } else if (entry.daysLeft <= this.ALERT_DAYS) {
+            entry.status = 'expiring';
+        } else {
+            entry.status = 'valid';
+        }
+        return entry;
+    },
+
+    /**
+     * Every dated file of the uploaded documents
+     * @param {Array} uploaded - DocumentChecklist.loadUploaded() records, each with
+     *   dates: [{ fileId, slot, issuedOn, expiresOn }]
+     * @param {Date} asOf - The day to judge by (today when left out)
+     * @returns {Array} - Entries, soonest actionBy first
+     */
+    forDocuments: function(uploaded, asOf) {
+        const entries = [];
+        (uploaded || []).forEach(doc => {
+            (doc.dates || []).forEach(dates => {
+                const entry = this.evaluate(doc.type, dates, asOf);
+                if (entry.status === 'unknown') return;
+                entries.push(Object.assign(entry, { fileId: dates.fileId || null, slot: dates.slot || null }));
+            });
+        });
+        return entries.sort((a, b) => a.actionBy.localeCompare(b.actionBy));
+    },
+
+    /**
+     * Documents to renew or replace - expired, past their renewal date, or coming up within ALERT_DAYS
+     * @param {Array} uploaded - As for forDocuments()
+     * @param {Date} asOf - The day to judge by (today when left out)
+     * @returns {Array} - Entries, soonest actionBy first
+     */
+    alerts: function(uploaded, asOf) {
+        return this.forDocuments(uploaded, asOf).filter(entry => entry.status !== 'valid');
+    },
+
+    /**
+     * Whether any dated file of an uploaded document has expired
+     * @param {Object} doc - A DocumentChecklist.loadUploaded() record
+     */
+    isExpired: function(doc, asOf) {
+        return (doc && doc.dates || []).some(dates => this.evaluate(doc.type, dates, asOf).status === 'expired');
+    },
+
+    // ============ PRIVATE ============
+
+    // date plus (sign 1) or minus (sign -1) { months } or { days }
+    _add: function(date, period, sign) {
+        const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        if (period.months) result.setMonth(result.getMonth() + sign * period.months);
+        if (period.days) result.setDate(result.getDate() + sign * period.days);
+        return result;
+    },
+
+    _iso: function(date) {
+        return date.getFullYear() + '-' + String(date.getMonth() + 1).padStart(2, '0') + '-' + String(date.getDate()).padStart(2, '0');
+    },
+
+    _documentName: function(type) {
+        return typeof DocumentManager !== 'undefined' ? DocumentManager.getDocumentName(type) : type;
+    }
+};
+
+// Export to global scope
+window.DocumentExpiry = DocumentExpiry;
@@ -1,6 +1,20 @@
 /**
  * Visa Guide AI - Document Manager Module
  * Handles real file storage using Firebase Storage and Firestore
+ *
+ * A document type holds one or more files (three tax returns, a police certificate for
+ * each country), and every file keeps its earlier uploads as versions that can be restored
+ * or deleted:
+ *   users/{uid}/documents/{docType}               - summary of the type (latest file, fileCount, slots, dates)
+ *   users/{uid}/documents/{docType}/files/{fileId} - File
+ *
+ * File: { id, docType, slot, current, versions, createdAt, updatedAt }
+ *   slot     - what the file is for under the type's rule ('2023', 'Mexico'), or null
+ *   current  - id of the version in use
+ *   versions - [{ id, fileName, fileUrl, storagePath, mimeType, fileSize, uploadedAt, issuedOn, expiresOn, encryption }], oldest first
+ *              issuedOn / expiresOn are the dates printed on that copy ('YYYY-MM-DD' or null, see DocumentExpiry)
+ *              encryption is set when the copy was encrypted in the browser (DocumentVault) - Storage
+ *              then holds only ciphertext, and fileUrl has to be decrypted before it is shown
  */
 
 // Document Manager Configuration
@@ -20,7 +34,18 @@ const DocumentManager = {
         'police_certificate': 'Police Certificates',
         'tax_returns': 'Tax Returns (Last 3 years)',
         'marriage_certificate': 'Marriage Certificate',
-        'medical_exam': 'Medical Examination (I-693)'
+        'medical_exam': 'Medical Examination (I-693)',
+        'green_card': 'Permanent Resident Card',
+        'court_records': 'Court Records (Arrests and Charges)',
+        'ead': 'Employment Authorization Document (EAD)'
+    },
+
+    // How many files a document type holds - types not listed hold one. `per` names what
+    // each file is for: uploading for a year or country that already has a file adds a new
+    // version of it instead of another file. max null means one file per slot, no limit.
+    DOCUMENT_RULES: {
+        'tax_returns': { max: 3, per: 'year' },
+        'police_certificate': { max: null, per: 'country' }
     },
 
     /**
@@ -66,24 +91,36 @@ const DocumentManager = {
     },
 
     /**
-     * Upload a document to Firebase Storage
+     * Get the file rule for a document type
+     * @param {string} docType - The document type key
+     * @returns {Object} - { max, per }
+     */
+    getRule: function(docType) {
+        return Object.assign({ max: 1, per: null }, this.DOCUMENT_RULES[docType]);
+    },
+
+    /**
+     * Upload a document to Firebase Storage. A file for the same slot (or the type's only
+     * file) gets the upload as its new current version; the previous version is kept.
      * @param {File} file - The file to upload
      * @param {string} docType - The document type key
      * @param {function} onProgress - Progress callback
+     * @param {Object} options - { slot, fileId, issuedOn, expiresOn } the year or country the file is for (required
+     *   for a new file of a type with a `per` rule), or the file to add a version to, and the dates printed on the
+     *   document ('YYYY-MM-DD')
      * @returns {Promise} - Resolves with document data
      */
-    uploadDocument: async function(file, docType, onProgress = null) {
+    uploadDocument: async function(file, docType, onProgress = null, options = {}) {
         try {
             // Validate file
             const validation = this.validateFile(file);
             if (!validation.valid) {
                 throw new Error(validation.error);
             }
+            const dates = this._dates(options);
 
             // Get Firebase instances
-            const storage = window.FirebaseCore.getStorage();
             const auth = window.FirebaseCore.getAuth();
-            const db = window.FirebaseCore.getDb();
 
             // Check authentication
             const user = auth.currentUser;
@@ -91,69 +128,82 @@ const DocumentManager = {
                 throw new Error('You must be logged in to upload documents');
             }
 
-            // Create storage reference
+            // The file this upload is a new version of, or room for a new one
+            const files = await this.getFiles(docType);
+            const target = this._targetFile(docType, files, options);
+            const rule = this.getRule(docType);
+            // checkFiles counts files by slot - a new file of a type kept per year or country has to name one
+            if (!target && rule.per && !(options.slot && String(options.slot).trim())) {
+                throw new Error(`Say which ${rule.per} this ${this.getDocumentName(docType)} file is for`);
+            }
+            if (!target && !this.canAddFile(docType, files)) {
+                throw new Error(`${this.getDocumentName(docType)} holds at most ${rule.max} ${rule.max === 1 ? 'file' : 'files'}. ` +
+                    'Upload a new version of an existing file or delete one first.');
+            }
+
+            // With the document vault on, only ciphertext is uploaded
+            const sealed = await this._seal(file);
+
+            // Upload through the storage backend (Firebase, or LocalBackend offline) with progress tracking
             const timestamp = Date.now();
-            const fileExtension = file.name.split('.').pop();
             const storagePath = `users/${user.uid}/documents/${docType}/${timestamp}_${file.name}`;
-            const storageRef = storage.ref(storagePath);
-
-            // Upload file with progress tracking
-            const uploadTask = storageRef.put(file);
-
-            return new Promise((resolve, reject) => {
-                uploadTask.on(
-                    'state_changed',
-                    (snapshot) => {
-                        // Progress tracking
-                        const progress = (snapshot.bytesTransferred / snapshot.totalBytes) * 100;
-                        console.log(`Upload progress: ${progress.toFixed(2)}%`);
-                        
-                        if (onProgress) {
-                            onProgress(progress);
-                        }
-                    },
-                    (error) => {
-                        console.error('Upload error:', error);
-                        reject(new Error('Upload failed: ' + error.message));
-                    },
-                    async () => {
-                        try {
-                            // Get download URL
-                            const downloadUrl = await uploadTask.snapshot.ref.getDownloadURL();
-
-                            // Save metadata to Firestore
-                            const docData = {
-                                docType: docType,
-                                fileName: file.name,
-                                fileUrl: downloadUrl,
-                                storagePath: storagePath,
-                                mimeType: file.type,
-                                fileSize: file.size,
-                                status: 'uploaded',
-                                uploadedAt: firebase.firestore.FieldValue.serverTimestamp(),
-                                updatedAt: firebase.firestore.FieldValue.serverTimestamp()
-                            };
-
-                            // Store in user's documents subcollection
-                            await db.collection('users')
-                                .doc(user.uid)
-                                .collection('documents')
-                                .doc(docType)
-                                .set(docData, { merge: true });
-
-                            console.log('Document uploaded successfully:', docType);
-                            resolve({
-                                success: true,
-                                data: docData,
-                                message: 'Document uploaded successfully!'
-                            });
-                        } catch (error) {
-                            console.error('Error saving document metadata:', error);
-                            reject(new Error('Failed to save document information'));
-                        }
+            let uploaded;
+            try {
+                uploaded = await window.FirebaseCore.uploadFile(storagePath, sealed.blob, (progress) => {
+                    console.log(`Upload progress: ${progress.toFixed(2)}%`);
+                    
+                    if (onProgress) {
+                        onProgress(progress);
                     }
-                );
-            });
+                });
+            } catch (error) {
+                console.error('Upload error:', error);
+                throw new Error('Upload failed: ' + error.message);
+            }
+
+            try {
+                const version = {
+                    id: String(timestamp),
+                    fileName: file.name,
+                    fileUrl: uploaded.url,
+                    storagePath: storagePath,
+                    mimeType: file.type,
+                    fileSize: file.size,
+                    uploadedAt: new Date(timestamp).toISOString(),
+                    // A new version is a new copy of the document - it keeps no dates of the last one
+                    issuedOn: dates.issuedOn || null,
+                    expiresOn: dates.expiresOn || null,
+                    encryption: sealed.encryption
+                };
+
+                // Add the version to the file - the one before stays restorable
+                const fileRef = target
+                    ? this._filesRef(user.uid, docType).doc(target.id)
+                    : this._filesRef(user.uid, docType).doc();
+                const fileData = {
+                    id: fileRef.id,
+                    docType: docType,
+                    slot: target ? target.slot : (options.slot ? String(options.slot).trim() : null),
+                    current: version.id,
+                    versions: (target ? target.versions : []).concat(version),
+                    createdAt: target ? target.createdAt : version.uploadedAt,
+                    updatedAt: version.uploadedAt
+                };
+                await fileRef.set(fileData);
+
+                const docData = await this._saveSummary(user.uid, docType);
+
+                console.log('Document uploaded successfully:', docType);
+                return {
+                    success: true,
+                    data: docData,
+                    file: fileData,
+                    message: target ? 'New version uploaded successfully!' : 'Document uploaded successfully!'
+                };
+            } catch (error) {
+                console.error('Error saving document metadata:', error);
+                throw new Error('Failed to save document information');
+            }
         } catch (error) {
             console.error('Upload document error:', error);
             throw error;
@@ -163,7 +213,7 @@ const DocumentManager = {
     /**
      * Get a specific document for a user
      * @param {string} docType - The document type key
-     * @returns {Promise} - Resolves with document data or null
+     * @returns {Promise} - Resolves with document data (the type summary and its files) or null
      */
     getDocument: async function(docType) {
         try {
@@ -185,7 +235,8 @@ const DocumentManager = {
             if (docSnap.exists) {
                 return {
                     id: docSnap.id,
-                    ...docSnap.data()
+                    ...docSnap.data(),
+                    files: await this.getFiles(docType)
                 };
             }
 
@@ -232,14 +283,228 @@ const DocumentManager = {
     },
 
     /**
-     * Delete a document from Storage and Firestore
+     * Get the files of a document type, oldest first. A document uploaded before files
+     * had versions is moved into the files collection the first time it is read.
+     * @param {string} docType - The document type key
+     * @returns {Promise<Array>} - Files
+     */
+    getFiles: async function(docType) {
+        try {
+            const auth = window.FirebaseCore.getAuth();
+            const db = window.FirebaseCore.getDb();
+
+            const user = auth.currentUser;
+            if (!user) {
+                throw new Error('You must be logged in to view documents');
+            }
+
+            const snapshot = await this._filesRef(user.uid, docType).get();
+            const files = [];
+            snapshot.forEach((doc) => {
+                files.push({
+                    id: doc.id,
+                    ...doc.data()
+                });
+            });
+
+            if (files.length === 0) {
+                const summary = await db.collection('users').doc(user.uid).collection('documents').doc(docType).get();
+                const legacy = summary.exists ? await this._migrateLegacy(user.uid, docType, summary.data()) : null;
+                return legacy ? [legacy] : [];
+            }
+
+            return files.sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+        } catch (error) {
+            console.error('Get files error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Get the version of a file in use
+     * @param {Object} file - File
+     * @returns {Object|null} - Version
+     */
+    getCurrentVersion: function(file) {
+        if (!file || !file.versions || file.versions.length === 0) return null;
+        return file.versions.find(version => version.id === file.current) || file.versions[file.versions.length - 1];
+    },
+
+    /**
+     * Whether another file can be added to a document type
+     * @param {string} docType - The document type key
+     * @param {Array} files - The type's files (getFiles)
+     * @returns {boolean}
+     */
+    canAddFile: function(docType, files) {
+        const rule = this.getRule(docType);
+        return rule.max === null || (files || []).length < rule.max;
+    },
+
+    /**
+     * Whether a document type has every file it needs
+     * @param {string} docType - The document type key
+     * @param {Array} files - The type's files (getFiles)
+     * @param {Object} context - { years, countries } the tax years and countries lived in that need
+     *   a file; the last three tax years are used when no years are given
+     * @returns {Object} - { needed, uploaded, missing, complete }
+     *   missing - slots without a file (years or countries), or [] for types without slots
+     */
+    checkFiles: function(docType, files, context = {}) {
+        const rule = this.getRule(docType);
+        const uploaded = (files || []).length;
+        const slots = this._neededSlots(rule, context);
+
+        if (!slots) {
+            const needed = rule.max || 1;
+            return { needed: needed, uploaded: uploaded, missing: [], complete: uploaded >= needed };
+        }
+
+        const have = (files || []).map(file => this._slotKey(file.slot));
+        const missing = slots.filter(slot => have.indexOf(this._slotKey(slot)) === -1);
+        return { needed: slots.length, uploaded: uploaded, missing: missing, complete: missing.length === 0 };
+    },
+
+    /**
+     * Set the dates printed on the version of a file in use
+     * @param {string} docType - The document type key
+     * @param {string} fileId - The file id
+     * @param {Object} dates - { issuedOn, expiresOn } 'YYYY-MM-DD'; a date left out stays, an empty one is cleared
+     * @returns {Promise}
+     */
+    setDates: async function(docType, fileId, dates) {
+        try {
+            const user = this._requireUser('You must be logged in to update documents');
+            const file = await this._getFile(user.uid, docType, fileId);
+            const current = this.getCurrentVersion(file);
+            const changes = this._dates(dates);
+
+            await this._filesRef(user.uid, docType).doc(fileId).update({
+                versions: file.versions.map(version => version.id === current.id ? Object.assign({}, version, changes) : version),
+                updatedAt: new Date().toISOString()
+            });
+            await this._saveSummary(user.uid, docType);
+
+            console.log('Document dates updated:', docType, fileId);
+            return {
+                success: true,
+                message: 'Document dates saved'
+            };
+        } catch (error) {
+            console.error('Set dates error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Make an earlier version of a file the one in use
+     * @param {string} docType - The document type key
+     * @param {string} fileId - The file id
+     * @param {string} versionId - The version to restore
+     * @returns {Promise}
+     */
+    restoreVersion: async function(docType, fileId, versionId) {
+        try {
+            const user = this._requireUser('You must be logged in to restore documents');
+            const file = await this._getFile(user.uid, docType, fileId);
+            if (!file.versions.some(version => version.id === versionId)) {
+                throw new Error('Version not found');
+            }
+
+            await this._filesRef(user.uid, docType).doc(fileId).update({
+                current: versionId,
+                updatedAt: new Date().toISOString()
+            });
+            await this._saveSummary(user.uid, docType);
+
+            console.log('Document version restored:', docType, fileId, versionId);
+            return {
+                success: true,
+                message: 'Version restored successfully'
+            };
+        } catch (error) {
+            console.error('Restore version error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Delete one version of a file from Storage and Firestore. Deleting the version in use
+     * restores the newest one left; deleting the only version deletes the file.
+     * @param {string} docType - The document type key
+     * @param {string} fileId - The file id
+     * @param {string} versionId - The version to delete
+     * @returns {Promise}
+     */
+    deleteVersion: async function(docType, fileId, versionId) {
+        try {
+            const user = this._requireUser('You must be logged in to delete documents');
+            const file = await this._getFile(user.uid, docType, fileId);
+            const version = file.versions.find(entry => entry.id === versionId);
+            if (!version) {
+                throw new Error('Version not found');
+            }
+
+            const versions = file.versions.filter(entry => entry.id !== versionId);
+            if (versions.length === 0) {
+                return await this.deleteFile(docType, fileId);
+            }
+
+            await this._deleteObject(version.storagePath);
+            await this._filesRef(user.uid, docType).doc(fileId).update({
+                versions: versions,
+                current: file.current === versionId ? versions[versions.length - 1].id : file.current,
+                updatedAt: new Date().toISOString()
+            });
+            await this._saveSummary(user.uid, docType);
+
+            console.log('Document version deleted successfully:', docType, fileId, versionId);
+            return {
+                success: true,
+                message: 'Version deleted successfully'
+            };
+        } catch (error) {
+            console.error('Delete version error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Delete a file and all of its versions from Storage and Firestore
+     * @param {string} docType - The document type key
+     * @param {string} fileId - The file id
+     * @returns {Promise}
+     */
+    deleteFile: async function(docType, fileId) {
+        try {
+            const user = this._requireUser('You must be logged in to delete documents');
+            const file = await this._getFile(user.uid, docType, fileId);
+
+            for (const version of file.versions) {
+                await this._deleteObject(version.storagePath);
+            }
+            await this._filesRef(user.uid, docType).doc(fileId).delete();
+            await this._saveSummary(user.uid, docType);
+
+            console.log('Document file deleted successfully:', docType, fileId);
+            return {
+                success: true,
+                message: 'Document deleted successfully'
+            };
+        } catch (error) {
+            console.error('Delete file error:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * Delete a document type - every file and version - from Storage and Firestore
      * @param {string} docType - The document type key
      * @returns {Promise}
      */
     deleteDocument: async function(docType) {
         try {
             const auth = window.FirebaseCore.getAuth();
-            const storage = window.FirebaseCore.getStorage();
             const db = window.FirebaseCore.getDb();
 
             const user = auth.currentUser;
@@ -247,13 +512,13 @@ const DocumentManager = {
                 throw new Error('You must be logged in to delete documents');
             }
 
-            // Get document metadata first
-            const docData = await this.getDocument(docType);
-            
-            if (docData && docData.storagePath) {
-                // Delete from Storage
-                const storageRef = storage.ref(docData.storagePath);
-                await storageRef.delete();
+            // Delete every file from Storage, then its record
+            const files = await this.getFiles(docType);
+            for (const file of files) {
+                for (const version of file.versions) {
+                    await this._deleteObject(version.storagePath);
+                }
+                await this._filesRef(user.uid, docType).doc(file.id).delete();
             }
 
             // Delete from Firestore
@@ -277,17 +542,21 @@ const DocumentManager = {
     /**
      * View a document - opens in new tab
      * @param {string} docType - The document type key
+     * @param {string} fileId - The file (optional - the most recently uploaded one)
+     * @param {string} versionId - The version (optional - the one in use)
      */
-    viewDocument: async function(docType) {
+    viewDocument: async function(docType, fileId, versionId) {
         try {
-            const docData = await this.getDocument(docType);
+            const version = await this._findVersion(docType, fileId, versionId);
             
-            if (!docData || !docData.fileUrl) {
+            if (!version || !version.fileUrl) {
                 throw new Error('Document not found');
             }
 
             // Open in new tab
-            window.open(docData.fileUrl, '_blank');
+            const url = await this._openUrl(version);
+            window.open(url, '_blank');
+            this._release(version, url);
             
             return {
                 success: true,
@@ -302,24 +571,28 @@ const DocumentManager = {
     /**
      * Download a document
      * @param {string} docType - The document type key
+     * @param {string} fileId - The file (optional - the most recently uploaded one)
+     * @param {string} versionId - The version (optional - the one in use)
      */
-    downloadDocument: async function(docType) {
+    downloadDocument: async function(docType, fileId, versionId) {
         try {
-            const docData = await this.getDocument(docType);
+            const version = await this._findVersion(docType, fileId, versionId);
             
-            if (!docData || !docData.fileUrl) {
+            if (!version || !version.fileUrl) {
                 throw new Error('Document not found');
             }
 
             // Create temporary anchor element for download
+            const url = await this._openUrl(version);
             const link = document.createElement('a');
-            link.href = docData.fileUrl;
-            link.download = docData.fileName || `${docType}_document`;
+            link.href = url;
+            link.download = version.fileName || `${docType}_document`;
             link.target = '_blank';
             
             document.body.appendChild(link);
             link.click();
             document.body.removeChild(link);
+            this._release(version, url);
             
             return {
                 success: true,
@@ -331,6 +604,60 @@ const DocumentManager = {
         }
     },
 
+    /**
+     * Encrypt every stored version again with the document vault's current key - after the vault
+     * is turned on (plaintext files) or its key is rotated. Each object is overwritten where it
+     * is, so no plaintext or old ciphertext stays behind in Storage.
+     * @param {function} onProgress - Progress callback (done, total)
+     * @returns {Promise<number>} - How many versions were encrypted
+     */
+    resealAll: async function(onProgress = null) {
+        try {
+            const user = this._requireUser('You must be logged in to update documents');
+
+            const files = [];
+            for (const doc of await this.getAllDocuments()) {
+                if (doc.status === 'deleted') continue;
+                (await this.getFiles(doc.docType || doc.id)).forEach(file => files.push(file));
+            }
+            const total = files.reduce((sum, file) => sum + file.versions.length, 0);
+            let done = 0;
+            let resealed = 0;
+
+            for (const file of files) {
+                const versions = [];
+                for (const version of file.versions) {
+                    const response = await fetch(version.fileUrl);
+                    if (!response.ok) {
+                        throw new Error('Could not download ' + (version.fileName || this.getDocumentName(file.docType)));
+                    }
+                    const sealed = await DocumentVault.reseal(await response.blob(), version.encryption || null);
+                    if (sealed) {
+                        const uploaded = await window.FirebaseCore.uploadFile(version.storagePath, sealed.blob);
+                        versions.push(Object.assign({}, version, {
+                            fileUrl: uploaded.url,
+                            encryption: sealed.encryption
+                        }));
+                        resealed++;
+                    } else {
+                        versions.push(version);
+                    }
+                    done++;
+                    if (onProgress) onProgress(done, total);
+                }
+
+                await this._filesRef(user.uid, file.docType).doc(file.id).update({ versions: versions });
+                await this._saveSummary(user.uid, file.docType);
+            }
+
+            console.log('Documents encrypted with the current vault key:', resealed);
+            return resealed;
+        } catch (error) {
+            console.error('Reseal documents error:', error);
+            throw error;
+        }
+    },
+
     /**
      * Get document display name
      * @param {string} docType - The document type key
@@ -370,11 +697,204 @@ const DocumentManager = {
             date = new Date(timestamp);
         }
         
-        return date.toLocaleDateString('en-US', {
+        return I18n.formatDate(date, {
             year: 'numeric',
             month: 'short',
             day: 'numeric'
         });
+    },
+
+    // ============ PRIVATE ============
+
+    _requireUser: function(message) {
+        const user = window.FirebaseCore.getAuth().currentUser;
+        if (!user) {
+            throw new Error(message);
+        }
+        return user;
+    },
+
+    _filesRef: function(uid, docType) {
+        return window.FirebaseCore.getDb()
+            .collection('users')
+            .doc(uid)
+            .collection('documents')
+            .doc(docType)
+            .collection('files');
+    },
+
+    _getFile: async function(uid, docType, fileId) {
+        const snapshot = await this._filesRef(uid, docType).doc(fileId).get();
+        if (!snapshot.exists) {
+            throw new Error('Document not found');
+        }
+        return { id: snapshot.id, ...snapshot.data() };
+    },
+
+    // A version of a file, by default the version in use of the most recently uploaded file
+    _findVersion: async function(docType, fileId, versionId) {
+        const files = await this.getFiles(docType);
+        const file = fileId
+            ? files.find(entry => entry.id === fileId)
+            : files.slice().sort((a, b) => (a.updatedAt || '').localeCompare(b.updatedAt || '')).pop();
+        if (!file) return null;
+
+        return versionId ? file.versions.find(version => version.id === versionId) || null : this.getCurrentVersion(file);
+    },
+
+    // The file an upload adds a version to: the one asked for, the one for the same slot, or
+    // the only file of a type that holds one
+    _targetFile: function(docType, files, options) {
+        if (options.fileId) {
+            const file = files.find(entry => entry.id === options.fileId);
+            if (!file) {
+                throw new Error('Document not found');
+            }
+            return file;
+        }
+        if (options.slot) {
+            return files.find(file => this._slotKey(file.slot) === this._slotKey(options.slot)) || null;
+        }
+        return this.getRule(docType).max === 1 ? files[0] || null : null;
+    },
+
+    // Keep the type record a summary of its most recently uploaded file, so readers of
+    // users/{uid}/documents (CaseContext, the dashboard) see one record per type
+    _saveSummary: async function(uid, docType) {
+        const docRef = window.FirebaseCore.getDb().collection('users').doc(uid).collection('documents').doc(docType);
+        const snapshot = await this._filesRef(uid, docType).get();
+        const files = [];
+        snapshot.forEach((doc) => files.push({ id: doc.id, ...doc.data() }));
+
+        if (files.length === 0) {
+            await docRef.delete();
+            return null;
+        }
+
+        const latest = files.sort((a, b) => (a.updatedAt || '').localeCompare(b.updatedAt || ''))[files.length - 1];
+        const version = this.getCurrentVersion(latest);
+        const docData = {
+            docType: docType,
+            fileName: version.fileName,
+            fileUrl: version.fileUrl,
+            storagePath: version.storagePath,
+            mimeType: version.mimeType,
+            fileSize: version.fileSize,
+            fileCount: files.length,
+            slots: files.map(file => file.slot).filter(slot => slot !== null && slot !== undefined),
+            // The dates of each file's version in use, for DocumentExpiry
+            dates: files.map(file => {
+                const current = this.getCurrentVersion(file);
+                return { fileId: file.id, slot: file.slot || null, issuedOn: current.issuedOn || null, expiresOn: current.expiresOn || null };
+            }).filter(entry => entry.issuedOn || entry.expiresOn),
+            status: 'uploaded',
+            uploadedAt: version.uploadedAt,
+            updatedAt: window.FirebaseCore.serverTimestamp()
+        };
+        await docRef.set(docData);
+        return docData;
+    },
+
+    // A document saved as a single record before files had versions becomes its type's first file
+    _migrateLegacy: async function(uid, docType, record) {
+        if (!record || !record.storagePath || record.fileCount !== undefined) return null;
+
+        const uploadedAt = this._isoDate(record.uploadedAt);
+        const version = {
+            id: 'legacy',
+            fileName: record.fileName || '',
+            fileUrl: record.fileUrl || '',
+            storagePath: record.storagePath,
+            mimeType: record.mimeType || '',
+            fileSize: record.fileSize || 0,
+            uploadedAt: uploadedAt
+        };
+        const fileRef = this._filesRef(uid, docType).doc();
+        const file = {
+            id: fileRef.id,
+            docType: docType,
+            slot: null,
+            current: version.id,
+            versions: [version],
+            createdAt: uploadedAt,
+            updatedAt: uploadedAt
+        };
+
+        await fileRef.set(file);
+        await this._saveSummary(uid, docType);
+        return file;
+    },
+
+    // The upload as it is stored - encrypted when the document vault is on
+    _seal: async function(file) {
+        if (typeof DocumentVault === 'undefined') {
+            return { blob: file, encryption: null };
+        }
+        return DocumentVault.seal(file);
+    },
+
+    // Where a version opens from - an encrypted one is decrypted into a URL only this page can read
+    _openUrl: async function(version) {
+        if (!version.encryption) return version.fileUrl;
+        if (typeof DocumentVault === 'undefined') {
+            throw new Error('This document is encrypted - open it from the Forms Center documents tab');
+        }
+        return DocumentVault.openUrl(version.fileUrl, version.encryption);
+    },
+
+    // Drop a decrypted copy once the new tab or the download has read it
+    _release: function(version, url) {
+        if (version.encryption) {
+            setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+        }
+    },
+
+    // Storage objects already gone (deleted elsewhere) do not stop a delete
+    _deleteObject: async function(storagePath) {
+        if (!storagePath) return;
+        try {
+            await window.FirebaseCore.deleteFile(storagePath);
+        } catch (error) {
+            if (error.code !== 'storage/object-not-found') throw error;
+            console.warn('Document already removed from storage:', storagePath);
+        }
+    },
+
+    // The slots a type needs a file for, or null when its files have no slots
+    _neededSlots: function(rule, context) {
+        if (rule.per === 'year') {
+            if (context.years && context.years.length) return context.years.map(String);
+            const lastYear = new Date().getFullYear() - 1;
+            return Array.from({ length: rule.max || 1 }, (_, i) => String(lastYear - i));
+        }
+        if (rule.per === 'country' && context.countries && context.countries.length) {
+            return context.countries.map(String);
+        }
+        return null;
+    },
+
+    // The dates given in options: only the keys present, each 'YYYY-MM-DD' or null
+    _dates: function(options) {
+        const dates = {};
+        ['issuedOn', 'expiresOn'].forEach(key => {
+            if (!options || options[key] === undefined) return;
+            const value = options[key] ? String(options[key]).trim() : '';
+            if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+                throw new Error('Document dates must be given as YYYY-MM-DD');
+            }
+            dates[key] = value || null;
+        });
+        return dates;
+    },
+
+    _slotKey: function(slot) {
+        return slot === null || slot === undefined ? '' : String(slot).trim().toLowerCase();
+    },
+
+    _isoDate: function(timestamp) {
+        if (!timestamp) return new Date().toISOString();
+        const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+        return isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
     }
 };
 
@@ -0,0 +1,409 @@
+/**
+ * Visa Guide AI - Document Scanner
+ * Reads an uploaded passport, Permanent Resident Card, I-94 or I-797 in the browser and
+ * proposes values for the form fields the user would otherwise retype. Nothing leaves the
+ * device: PDFs with a text layer are read with pdf.js, images and scanned pages with the
+ * Tesseract WebAssembly OCR engine, both served from vendor/ with the engine's English data
+ * (see vendor/README.md) and loaded on first use - no CDN is asked for code or data.
+ * Passports and the back of the green card are read from their MRZ (MrzParser); only the
+ * document number, date of birth and expiry date carry their own check digits, so only
+ * those come verified. Everything else is not and the user is asked to compare it.
+ *
+ * Scan: { docType, values, verified, mrz, text }
+ *   values   - { lastName, firstName, middleName, dob, nationality, birthCountry, aNumber,
+ *                residentSince, arrivalDate, receiptNumber, priorityDate, expiresOn, ... } as found
+ *                expiresOn - when the document (or the I-94's authorized stay) ends, for DocumentExpiry
+ *   verified - { <value key>: true } for values whose check digits match
+ * Proposal: { field, label, step, stepNumber, current, proposed, display, verified }
+ */
+
+const DocumentScanner = {
+    // tesseract.js 5.1.1 with its worker, core (tesseract.js-core 5.1.1) and language data,
+    // and pdf.js 3.11.174 - relative to the page
+    TESSERACT_URL: 'vendor/tesseract/tesseract.min.js',
+    TESSERACT_WORKER_URL: 'vendor/tesseract/worker.min.js',
+    TESSERACT_CORE_PATH: 'vendor/tesseract/',
+    TESSERACT_LANG_PATH: 'vendor/tesseract/',
+    PDFJS_URL: 'vendor/pdfjs/pdf.min.js',
+    PDFJS_WORKER_URL: 'vendor/pdfjs/pdf.worker.min.js',
+    OCR_LANGUAGE: 'eng',
+
+    // Pages of a PDF that are read (a green card scan has the front and back)
+    MAX_PDF_PAGES: 2,
+
+    // Document types the scanner reads
+    SCANNABLE: ['passport', 'green_card', 'i94', 'i797'],
+
+    // Form field -> scanned value it takes
+    FIELD_VALUES: {
+        lastName: 'lastName',
+        firstName: 'firstName',
+        middleName: 'middleName',
+        dob: 'dob',
+        nationality: 'nationality',
+        birthCountry: 'birthCountry',
+        aNumber: 'aNumber',
+        lprDate: 'residentSince',
+        arrivalDate: 'arrivalDate',
+        lastArrivalDate: 'arrivalDate',
+        underlyingReceiptNumber: 'receiptNumber',
+        priorityDate: 'priorityDate'
+    },
+
+    // USCIS service center prefixes of receipt numbers
+    RECEIPT_PREFIXES: ['IOE', 'EAC', 'WAC', 'LIN', 'SRC', 'NBC', 'MSC', 'YSC', 'TSC', 'VSC', 'CSC', 'NSC'],
+
+    MONTHS: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'],
+
+    // Loaded libraries (promises), so each is fetched once
+    _scripts: {},
+
+    /**
+     * Whether a document type can be scanned
+     */
+    canScan: function(docType) {
+        return this.SCANNABLE.indexOf(docType) !== -1;
+    },
+
+    /**
+     * Read a document and pick out its values
+     * @param {File} file - Image or PDF
+     * @param {string} docType - DocumentManager type, or null to tell from the document
+     * @param {Function} onProgress - Called with the share of the OCR done (0 - 1)
+     * @returns {Promise<Object>} - Scan
+     */
+    scan: async function(file, docType, onProgress) {
+        const text = await this.read(file, onProgress);
+        return Object.assign(this.extract(text, docType), { text: text });
+    },
+
+    /**
+     * Text of a document - a PDF's own text when it has some, OCR otherwise
+     * @param {File} file - Image or PDF
+     * @param {Function} onProgress - Called with the share of the OCR done (0 - 1)
+     * @returns {Promise<string>}
+     */
+    read: async function(file, onProgress) {
+        if (file.type === 'application/pdf' || /\.pdf$/i.test(file.name || '')) {
+            const pdf = await this._openPdf(file);
+            const text = await this._pdfText(pdf);
+            if (text.replace(/\s/g, '').length > 50) return text;
+
+            const pages = await this._pdfImages(pdf);
+            const texts = [];
+            for (let i = 0; i < pages.length; i++) {
+                texts.push(await this._ocr(pages[i], progress => {
+                    if (onProgress) onProgress((i + progress) / pages.length);
+                }));
+            }
+            return texts.join('\n');
+        }
+        return this._ocr(file, onProgress);
+    },
+
+    /**
+     * Pick out a document's values from its text
+     * @param {string} text - Text of the document
+     * @param {string} docType - DocumentManager type, or null to tell from the text
+     * @returns {Object} - { docType, values, verified, mrz }
+     */
+    extract: function(text, docType) {
+        const mrz = MrzParser.find(text);
+        docType = docType || this._detect(text, mrz);
+
+        const scan = { docType: docType, values: {}, verified: {}, mrz: mrz };
+        if (docType === 'passport') {
+            this._fromMrz(scan, mrz, true);
+        } else if (docType === 'green_card') {
+            this._fromMrz(scan, mrz, false);
+            this._greenCard(scan, text);
+        } else if (docType === 'i94') {
+            this._i94(scan, text);
+        } else if (docType === 'i797') {
+            this._i797(scan, text);
+        }
+        return scan;
+    },
+
+    /**
+     * Values of a scan for a form's fields that differ from what the form holds
+     * @param {string} formId - Registered form id
+     * @param {Object} scan - Result of scan() or extract()
+     * @param {Object} values - The form's current answers { <field>: value }
+     * @returns {Array} - Proposals in the order of the form's fields
+     */
+    proposals: function(formId, scan, values) {
+        const schema = FormRegistry.get(formId);
+        if (!schema || !scan) return [];
+
+        const proposals = [];
+        schema.steps.forEach((step, index) => {
+            step.fields.forEach(field => {
+                const key = this.FIELD_VALUES[field.id];
+                const found = key ? scan.values[key] : undefined;
+                if (!found) return;
+
+                const proposed = this._fieldValue(field, found);
+                const current = values && values[field.id] !== undefined ? values[field.id] : '';
+                if (proposed === null || this._same(field, current, proposed)) return;
+                // 'Other' only fills an empty list - it would replace a country the user picked
+                if (proposed === 'Other' && found !== 'Other' && current) return;
+
+                proposals.push({
+                    field: field.id,
+                    label: field.reviewLabel || field.label,
+                    step: step.id,
+                    stepNumber: index + 1,
+                    current: current,
+                    proposed: proposed,
+                    display: proposed === 'Other' && found !== 'Other' ? 'Other (' + found + ')' : proposed,
+                    verified: !!scan.verified[key]
+                });
+            });
+        });
+        return proposals;
+    },
+
+    // ============ PRIVATE ============
+
+    _detect: function(text, mrz) {
+        if (mrz && mrz.documentCode.charAt(0) === 'P') return 'passport';
+        if (mrz && mrz.format === 'TD1' && mrz.issuingCountry === 'USA' && mrz.documentCode.charAt(0) === 'C') return 'green_card';
+        if (/PERMANENT\s+RESIDENT/i.test(text)) return 'green_card';
+        if (/I-94|ADMISSION\s+RECORD/i.test(text)) return 'i94';
+        if (/I-797|NOTICE\s+OF\s+ACTION/i.test(text)) return 'i797';
+        return mrz ? 'passport' : null;
+    },
+
+    // Names and date of birth from the MRZ; the nationality only from a passport. No check
+    // digit covers the name line or the nationality (not even the composite one), so they are
+    // never verified
+    _fromMrz: function(scan, mrz, withNationality) {
+        if (!mrz) return;
+
+        const given = mrz.givenNames.split(' ');
+        this._set(scan, 'lastName', this._name(mrz.lastName), false);
+        this._set(scan, 'firstName', this._name(given[0]), false);
+        this._set(scan, 'middleName', this._name(given.slice(1).join(' ')), false);
+        this._set(scan, 'dob', mrz.dob, mrz.checks.dob);
+        this._set(scan, 'documentNumber', mrz.documentNumber, mrz.checks.documentNumber);
+        this._set(scan, 'expiresOn', mrz.expiry, mrz.checks.expiry);
+        if (withNationality) {
+            this._set(scan, 'nationality', MrzParser.countryName(mrz.nationality), false);
+        }
+    },
+
+    // Front of the Permanent Resident Card
+    _greenCard: function(scan, text) {
+        this._set(scan, 'lastName', this._name(this._labelled(text, ['Surname'])), false);
+        this._set(scan, 'firstName', this._name(this._labelled(text, ['Given Name'])), false);
+        this._set(scan, 'birthCountry', this._name(this._labelled(text, ['Country of Birth'])), false);
+        this._set(scan, 'dob', this._date(this._labelled(text, ['Date of Birth']), 'past'), false);
+        this._set(scan, 'residentSince', this._date(this._labelled(text, ['Resident Since']), 'past'), false);
+        this._set(scan, 'category', this._labelled(text, ['Category']), false);
+        this._set(scan, 'expiresOn', this._date(this._labelled(text, ['Card Expires']), 'future'), false);
+
+        const uscis = /USCIS\s*#?\s*:?\s*(A?\s?\d{3}[\s-]?\d{3}[\s-]?\d{3})/i.exec(text);
+        this._set(scan, 'aNumber', uscis ? this._aNumber(uscis[1]) : '', false);
+    },
+
+    // The I-94 as printed from the CBP website
+    _i94: function(scan, text) {
+        this._set(scan, 'lastName', this._name(this._labelled(text, ['Last/Surname', 'Family Name', 'Last Name'])), false);
+        this._set(scan, 'firstName', this._name(this._labelled(text, ['First (Given) Name', 'Given Name', 'First Name'])), false);
+        this._set(scan, 'dob', this._date(this._labelled(text, ['Birth Date', 'Date of Birth']), 'past'), false);
+        this._set(scan, 'nationality', this._name(this._labelled(text, ['Country of Citizenship', 'Country of Issuance'])), false);
+        this._set(scan, 'arrivalDate', this._date(this._labelled(text, ['Most Recent Date of Entry', 'Date of Entry', 'Arrival Date']), 'past'), false);
+        this._set(scan, 'i94Number', this._labelled(text, ['Admission (I-94) Record Number', 'Admission Record Number']), false);
+        this._set(scan, 'classOfAdmission', this._labelled(text, ['Class of Admission']), false);
+        // 'D/S' (duration of status) has no end date
+        this._set(scan, 'expiresOn', this._date(this._labelled(text, ['Admit Until Date']), 'future'), false);
+    },
+
+    // I-797 Notice of Action - the beneficiary is the person the notice is about
+    _i797: function(scan, text) {
+        const receipt = new RegExp('\\b(' + this.RECEIPT_PREFIXES.join('|') + ')[\\s-]?(\\d{10})\\b', 'i').exec(text);
+        this._set(scan, 'receiptNumber', receipt ? receipt[1].toUpperCase() + receipt[2] : '', !!receipt);
+        this._set(scan, 'priorityDate', this._date(this._labelled(text, ['Priority Date']), 'past'), false);
+        this._set(scan, 'noticeDate', this._date(this._labelled(text, ['Notice Date']), 'past'), false);
+
+        const aNumber = /\bA\s?#\s*:?\s*(A?\s?\d{3}[\s-]?\d{3}[\s-]?\d{3})/i.exec(text);
+        this._set(scan, 'aNumber', aNumber ? this._aNumber(aNumber[1]) : '', false);
+
+        // 'SMITH, JOHN PAUL'
+        const beneficiary = this._labelled(text, ['Beneficiary', 'Applicant']);
+        const match = /^([A-Z' -]+),\s*([A-Z' -]+)/i.exec(beneficiary);
+        if (match) {
+            const given = match[2].trim().split(/\s+/);
+            this._set(scan, 'lastName', this._name(match[1]), false);
+            this._set(scan, 'firstName', this._name(given[0]), false);
+            this._set(scan, 'middleName', this._name(given.slice(1).join(' ')), false);
+        }
+    },
+
+    // A value is kept the first time it is found (the MRZ goes first)
+    _set: function(scan, key, value, verified) {
+        if (!value || scan.values[key]) return;
+        scan.values[key] = value;
+        if (verified) scan.verified[key] = true;
+    },
+
+    // The text after a label on its line ("Birth Date: 1990 May 20"), or on the next line
+    _labelled: function(text, labels) {
+        const lines = String(text || '').split(/\r?\n/).map(line => line.trim());
+        for (let l = 0; l < labels.length; l++) {
+            const label = labels[l].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+            const pattern = new RegExp('(?:^|\\s)' + label + '\\s*[:#]?\\s*(.*)$', 'i');
+            for (let i = 0; i < lines.length; i++) {
+                const match = pattern.exec(lines[i]);
+                if (!match) continue;
+                // The next label on the same line ends the value ("Category IR1  Country of Birth India")
+                const value = match[1].split(/\s{2,}/)[0].trim();
+                if (value) return value;
+                if (lines[i + 1]) return lines[i + 1].split(/\s{2,}/)[0].trim();
+            }
+        }
+        return '';
+    },
+
+    // '20 MAY 1990', '1990 May 20', 'May 20, 1990', '05/20/1990', '05/20/90', '1990-05-20' -> '1990-05-20'
+    _date: function(text, when) {
+        const value = String(text || '').trim().toUpperCase();
+        const month = name => this.MONTHS.indexOf(name.slice(0, 3)) + 1;
+        let year;
+        let m;
+        let d;
+        let match;
+
+        if ((match = /(\d{4})-(\d{2})-(\d{2})/.exec(value))) {
+            [year, m, d] = [match[1], Number(match[2]), Number(match[3])];
+        } else if ((match = /(\d{1,2})\/(\d{1,2})\/(\d{2,4})/.exec(value))) {
+            [m, d, year] = [Number(match[1]), Number(match[2]), match[3]];
+        } else if ((match = /\b(\d{4})\s+([A-Z]{3,})\.?\s+(\d{1,2})\b/.exec(value))) {
+            [year, m, d] = [match[1], month(match[2]), Number(match[3])];
+        } else if ((match = /\b(\d{1,2})\s+([A-Z]{3,})\.?\s+(\d{2,4})\b/.exec(value))) {
+            [d, m, year] = [Number(match[1]), month(match[2]), match[3]];
+        } else if ((match = /([A-Z]{3,})\.?\s+(\d{1,2}),?\s+(\d{4})/.exec(value))) {
+            [m, d, year] = [month(match[1]), Number(match[2]), match[3]];
+        } else {
+            return '';
+        }
+
+        if (year.length === 2) {
+            const yy = Number(year);
+            year = String((when === 'past' && yy > new Date().getFullYear() % 100 ? 1900 : 2000) + yy);
+        }
+        if (m < 1 || m > 12 || d < 1 || d > 31) return '';
+        return year + '-' + String(m).padStart(2, '0') + '-' + String(d).padStart(2, '0');
+    },
+
+    // 'ERIKSSON' -> 'Eriksson', 'DE LA CRUZ' -> 'De La Cruz'
+    _name: function(text) {
+        return String(text || '')
+            .trim()
+            .toLowerCase()
+            .replace(/(^|[\s'-])([a-z])/g, (match, separator, letter) => separator + letter.toUpperCase());
+    },
+
+    // '123 456 789' -> 'A123-456-789'
+    _aNumber: function(text) {
+        const digits = String(text).replace(/\D/g, '');
+        return digits.length === 9 ? 'A' + digits.slice(0, 3) + '-' + digits.slice(3, 6) + '-' + digits.slice(6) : '';
+    },
+
+    // A scanned value as the field holds it; a country not in the list is 'Other'
+    _fieldValue: function(field, value) {
+        if (field.type !== 'select') return value;
+
+        const options = field.options || [];
+        const option = options.find(entry =>
+            String(entry.value).toLowerCase() === String(value).toLowerCase() ||
+            String(entry.label).toLowerCase() === String(value).toLowerCase());
+        if (option) return option.value;
+        return options.some(entry => entry.value === 'Other') ? 'Other' : null;
+    },
+
+    _same: function(field, current, proposed) {
+        if (field.type === 'anumber' || field.type === 'receipt') {
+            return String(current).replace(/[^A-Z0-9]/gi, '').replace(/^A/i, '').toUpperCase() ===
+                String(proposed).replace(/[^A-Z0-9]/gi, '').replace(/^A/i, '').toUpperCase();
+        }
+        return String(current).trim().toLowerCase() === String(proposed).trim().toLowerCase();
+    },
+
+    _loadScript: function(url) {
+        if (!this._scripts[url]) {
+            this._scripts[url] = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = url;
+                script.onload = resolve;
+                script.onerror = () => {
+                    delete this._scripts[url];
+                    reject(new Error('Could not load ' + url));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return this._scripts[url];
+    },
+
+    _ocr: async function(image, onProgress) {
+        await this._loadScript(this.TESSERACT_URL);
+
+        // The worker runs from a blob URL, so the paths it loads from have to be absolute
+        const worker = await Tesseract.createWorker(this.OCR_LANGUAGE, 1, {
+            workerPath: this._absolute(this.TESSERACT_WORKER_URL),
+            corePath: this._absolute(this.TESSERACT_CORE_PATH),
+            langPath: this._absolute(this.TESSERACT_LANG_PATH),
+            logger: message => {
+                if (onProgress && message.status === 'recognizing text') onProgress(message.progress);
+            }
+        });
+        try {
+            const result = await worker.recognize(image);
+            return result.data.text;
+        } finally {
+            await worker.terminate();
+        }
+    },
+
+    _absolute: function(path) {
+        return new URL(path, document.baseURI).href;
+    },
+
+    _openPdf: async function(file) {
+        await this._loadScript(this.PDFJS_URL);
+        pdfjsLib.GlobalWorkerOptions.workerSrc = this._absolute(this.PDFJS_WORKER_URL);
+
+        const data = await file.arrayBuffer();
+        return pdfjsLib.getDocument({ data: data }).promise;
+    },
+
+    _pdfText: async function(pdf) {
+        const texts = [];
+        for (let number = 1; number <= Math.min(pdf.numPages, this.MAX_PDF_PAGES); number++) {
+            const page = await pdf.getPage(number);
+            const content = await page.getTextContent();
+            texts.push(content.items.map(item => item.str + (item.hasEOL ? '\n' : ' ')).join(''));
+        }
+        return texts.join('\n');
+    },
+
+    // Pages drawn at twice their size - OCR reads small print better
+    _pdfImages: async function(pdf) {
+        const canvases = [];
+        for (let number = 1; number <= Math.min(pdf.numPages, this.MAX_PDF_PAGES); number++) {
+            const page = await pdf.getPage(number);
+            const viewport = page.getViewport({ scale: 2 });
+            const canvas = document.createElement('canvas');
+            canvas.width = viewport.width;
+            canvas.height = viewport.height;
+            await page.render({ canvasContext: canvas.getContext('2d'), viewport: viewport }).promise;
+            canvases.push(canvas);
+        }
+        return canvases;
+    }
+};
+
+// Export to global scope
+window.DocumentScanner = DocumentScanner;
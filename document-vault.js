@@ -0,0 +1,432 @@
+/**
+ * Visa Guide AI - Document Vault
+ * Opt-in end-to-end encryption for uploaded documents. With the vault on, files are encrypted
+ * in the browser (WebCrypto AES-GCM) before they are uploaded and decrypted after they are
+ * downloaded, so Storage only ever holds ciphertext:
+ *   data key      - random AES-GCM 256 key that encrypts the files
+ *   passphrase    - wraps the data key (PBKDF2-SHA-256 -> AES-KW)
+ *   recovery code - wraps the same data key, for when the passphrase is forgotten
+ * Only the wrapped keys are saved (users/{uid}/vault/keys). The passphrase, the recovery code
+ * and the data key stay in the page, and the key is forgotten after AUTO_LOCK_MINUTES unused.
+ *
+ * Keys record: { keyId, keys, iterations, salts: { passphrase, recovery }, createdAt, updatedAt }
+ *   keys - { <keyId>: { passphrase, recovery } } the data keys, each wrapped both ways. After
+ *          rotateKey() the old key stays until every file is encrypted with the new one (retireKeys)
+ * Encryption: { algorithm: 'AES-GCM', keyId, iv, mimeType, fileSize } kept with each encrypted file
+ */
+
+const DocumentVault = {
+    MIN_PASSPHRASE_LENGTH: 10,
+    PBKDF2_ITERATIONS: 600000,
+    AUTO_LOCK_MINUTES: 15,
+
+    // Recovery code alphabet - no 0/O or 1/I to misread when it is typed back
+    RECOVERY_ALPHABET: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789',
+    RECOVERY_LENGTH: 24,
+
+    // Keys record of the signed-in user (undefined until loaded, null when the vault is off)
+    _record: undefined,
+    _uid: null,
+    // Unwrapped data keys by keyId while unlocked
+    _keys: null,
+    _lockTimer: null,
+    _listeners: [],
+
+    /**
+     * Vault state for the signed-in user
+     * @returns {Promise<string>} - 'unavailable' (nobody signed in) | 'off' | 'locked' | 'unlocked'
+     */
+    status: async function() {
+        const record = await this.load();
+        if (record === undefined) return 'unavailable';
+        if (!record) return 'off';
+        return this._keys ? 'unlocked' : 'locked';
+    },
+
+    /**
+     * Read the keys record (again, so a vault turned on on another device is seen)
+     * @returns {Promise<Object|null|undefined>} - The record, null when the vault is off,
+     *   undefined when nobody is signed in
+     */
+    load: async function() {
+        const user = this._user();
+        if (!user) return undefined;
+
+        if (user.uid !== this._uid) {
+            this.lock();
+            this._uid = user.uid;
+        }
+        const snapshot = await this._keysRef(user.uid).get();
+        this._record = snapshot.exists ? snapshot.data() : null;
+        return this._record;
+    },
+
+    /**
+     * Turn the vault on - later uploads are encrypted (existing files are not, see reseal)
+     * @param {string} passphrase - At least MIN_PASSPHRASE_LENGTH characters
+     * @returns {Promise<string>} - The recovery code, shown to the user once
+     */
+    enable: async function(passphrase) {
+        this._checkPassphrase(passphrase);
+        const user = this._requireUser();
+        if (await this.load()) {
+            throw this._error('vault/exists', 'The document vault is already on');
+        }
+
+        const keyId = this._randomId();
+        const dataKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+        const recoveryCode = this._recoveryCode();
+        const record = {
+            keyId: keyId,
+            keys: {},
+            iterations: this.PBKDF2_ITERATIONS,
+            salts: { passphrase: this._base64(this._random(16)), recovery: this._base64(this._random(16)) },
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+        record.keys[keyId] = await this._wrapBoth(dataKey, record, passphrase, recoveryCode);
+
+        await this._keysRef(user.uid).set(record);
+        this._record = record;
+        this._setKeys({ [keyId]: dataKey });
+        return recoveryCode;
+    },
+
+    /**
+     * Unwrap the data keys with the passphrase
+     * @param {string} passphrase
+     */
+    unlock: async function(passphrase) {
+        const record = await this._requireRecord();
+        this._setKeys(await this._unwrapAll(record, 'passphrase', passphrase));
+    },
+
+    /**
+     * Forget the data keys
+     */
+    lock: function() {
+        const wasUnlocked = !!this._keys;
+        this._keys = null;
+        clearTimeout(this._lockTimer);
+        if (wasUnlocked) this._notify();
+    },
+
+    /**
+     * Wrap the data keys with a new passphrase
+     * @param {string} current - The passphrase in use
+     * @param {string} next - The new passphrase
+     */
+    changePassphrase: async function(current, next) {
+        this._checkPassphrase(next);
+        const record = await this._requireRecord();
+        const keys = await this._unwrapAll(record, 'passphrase', current);
+        await this._rewrap(record, keys, 'passphrase', next);
+        this._setKeys(keys);
+    },
+
+    /**
+     * Set a new passphrase with the recovery code
+     * @param {string} recoveryCode - As shown when the vault was turned on (dashes and case do not matter)
+     * @param {string} passphrase - The new passphrase
+     */
+    recover: async function(recoveryCode, passphrase) {
+        this._checkPassphrase(passphrase);
+        const record = await this._requireRecord();
+        const keys = await this._unwrapAll(record, 'recovery', this._normalizeCode(recoveryCode));
+        await this._rewrap(record, keys, 'passphrase', passphrase);
+        this._setKeys(keys);
+    },
+
+    /**
+     * Replace the recovery code - the old one stops working
+     * @param {string} passphrase
+     * @returns {Promise<string>} - The new recovery code
+     */
+    newRecoveryCode: async function(passphrase) {
+        const record = await this._requireRecord();
+        const keys = await this._unwrapAll(record, 'passphrase', passphrase);
+        const recoveryCode = this._recoveryCode();
+        record.salts.recovery = this._base64(this._random(16));
+        await this._rewrap(record, keys, 'recovery', recoveryCode);
+        this._setKeys(keys);
+        return recoveryCode;
+    },
+
+    /**
+     * Start using a new data key. New uploads use it at once; the old key is kept so files can
+     * still be read until they are encrypted again (reseal) and retireKeys() is called.
+     * @param {string} passphrase
+     * @returns {Promise<string>} - A new recovery code (it covers the old keys too)
+     */
+    rotateKey: async function(passphrase) {
+        const record = await this._requireRecord();
+        const keys = await this._unwrapAll(record, 'passphrase', passphrase);
+
+        const keyId = this._randomId();
+        keys[keyId] = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+        const recoveryCode = this._recoveryCode();
+        record.salts.recovery = this._base64(this._random(16));
+        record.keyId = keyId;
+        record.keys = {};
+        for (const id of Object.keys(keys)) {
+            record.keys[id] = await this._wrapBoth(keys[id], record, passphrase, recoveryCode);
+        }
+
+        await this._save(record);
+        this._setKeys(keys);
+        return recoveryCode;
+    },
+
+    /**
+     * Drop every data key but the current one - call once all files are resealed
+     */
+    retireKeys: async function() {
+        const record = await this._requireRecord();
+        this._requireKeys();
+        Object.keys(record.keys).forEach(id => {
+            if (id !== record.keyId) delete record.keys[id];
+        });
+        Object.keys(this._keys).forEach(id => {
+            if (id !== record.keyId) delete this._keys[id];
+        });
+        await this._save(record);
+    },
+
+    /**
+     * The file as it should be uploaded - encrypted when the vault is on, as it is otherwise
+     * @param {Blob} file - The file to upload
+     * @returns {Promise<Object>} - { blob, encryption } (encryption null when the vault is off)
+     */
+    seal: async function(file) {
+        const status = await this.status();
+        if (status !== 'locked' && status !== 'unlocked') {
+            return { blob: file, encryption: null };
+        }
+
+        const key = this._requireKeys()[this._record.keyId];
+        const iv = this._random(12);
+        const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv: iv }, key, await file.arrayBuffer());
+        return {
+            blob: new Blob([ciphertext], { type: 'application/octet-stream' }),
+            encryption: {
+                algorithm: 'AES-GCM',
+                keyId: this._record.keyId,
+                iv: this._base64(iv),
+                mimeType: file.type || '',
+                fileSize: file.size
+            }
+        };
+    },
+
+    /**
+     * Decrypt a downloaded file
+     * @param {Blob} blob - The ciphertext
+     * @param {Object} encryption - As returned by seal()
+     * @returns {Promise<Blob>} - The file as it was uploaded
+     */
+    open: async function(blob, encryption) {
+        const key = this._requireKeys()[encryption.keyId];
+        if (!key) {
+            throw this._error('vault/unknown-key', 'This document was encrypted with a key the vault no longer has');
+        }
+        try {
+            const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: this._bytes(encryption.iv) }, key, await blob.arrayBuffer());
+            return new Blob([plaintext], { type: encryption.mimeType || 'application/octet-stream' });
+        } catch (error) {
+            throw this._error('vault/corrupt', 'This document could not be decrypted - the file may be damaged');
+        }
+    },
+
+    /**
+     * Fetch and decrypt a stored file into a page-only object URL. Revoke it (URL.revokeObjectURL)
+     * once shown - unlike a download URL it works for nobody else and ends with the page.
+     * Firebase Storage needs CORS enabled on the bucket for the fetch.
+     * @param {string} url - Download URL of the ciphertext
+     * @param {Object} encryption - As returned by seal()
+     * @returns {Promise<string>}
+     */
+    openUrl: async function(url, encryption) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw this._error('vault/download', 'Could not download the document');
+        }
+        return URL.createObjectURL(await this.open(await response.blob(), encryption));
+    },
+
+    /**
+     * Encrypt a stored file again with the current key (a plaintext file for the first time)
+     * @param {Blob} blob - The stored file
+     * @param {Object|null} encryption - Its encryption, or null for a plaintext file
+     * @returns {Promise<Object|null>} - { blob, encryption }, or null when it already uses the current key
+     */
+    reseal: async function(blob, encryption) {
+        await this._requireRecord();
+        if (encryption && encryption.keyId === this._record.keyId) return null;
+
+        const plain = encryption ? await this.open(blob, encryption) : blob;
+        return this.seal(plain);
+    },
+
+    /**
+     * Call handler whenever the vault locks or unlocks
+     */
+    onChange: function(handler) {
+        this._listeners.push(handler);
+    },
+
+    // ============ PRIVATE ============
+
+    _user: function() {
+        return typeof FirebaseCore !== 'undefined' && FirebaseCore.isInitialized() ? FirebaseCore.getCurrentUser() : null;
+    },
+
+    _requireUser: function() {
+        const user = this._user();
+        if (!user) {
+            throw this._error('vault/signed-out', 'Sign in to use the document vault');
+        }
+        return user;
+    },
+
+    _requireRecord: async function() {
+        const record = await this.load();
+        if (!record) {
+            throw this._error('vault/off', 'The document vault is not on');
+        }
+        return record;
+    },
+
+    _requireKeys: function() {
+        if (!this._keys) {
+            throw this._error('vault/locked', 'Unlock your document vault to upload or open documents');
+        }
+        this._touch();
+        return this._keys;
+    },
+
+    _keysRef: function(uid) {
+        return FirebaseCore.getDb().collection('users').doc(uid).collection('vault').doc('keys');
+    },
+
+    _save: async function(record) {
+        record.updatedAt = new Date().toISOString();
+        await this._keysRef(this._requireUser().uid).set(record);
+        this._record = record;
+    },
+
+    _setKeys: function(keys) {
+        const wasUnlocked = !!this._keys;
+        this._keys = keys;
+        this._touch();
+        if (!wasUnlocked) this._notify();
+    },
+
+    // Lock again after AUTO_LOCK_MINUTES without use
+    _touch: function() {
+        clearTimeout(this._lockTimer);
+        this._lockTimer = setTimeout(() => this.lock(), this.AUTO_LOCK_MINUTES * 60 * 1000);
+    },
+
+    _notify: function() {
+        this._listeners.forEach(handler => {
+            try {
+                handler(!!this._keys);
+            } catch (error) {
+                console.error('Vault listener error:', error);
+            }
+        });
+    },
+
+    // Key that wraps the data keys, from a passphrase or recovery code ('passphrase' | 'recovery' salt)
+    _wrappingKey: async function(secret, record, kind) {
+        const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), 'PBKDF2', false, ['deriveKey']);
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: this._bytes(record.salts[kind]), iterations: record.iterations },
+            material,
+            { name: 'AES-KW', length: 256 },
+            false,
+            ['wrapKey', 'unwrapKey']
+        );
+    },
+
+    _wrapBoth: async function(dataKey, record, passphrase, recoveryCode) {
+        const byPassphrase = await this._wrappingKey(passphrase, record, 'passphrase');
+        const byRecovery = await this._wrappingKey(recoveryCode, record, 'recovery');
+        return {
+            passphrase: this._base64(await crypto.subtle.wrapKey('raw', dataKey, byPassphrase, 'AES-KW')),
+            recovery: this._base64(await crypto.subtle.wrapKey('raw', dataKey, byRecovery, 'AES-KW'))
+        };
+    },
+
+    // Every data key of the record - AES-KW fails its integrity check on a wrong secret
+    _unwrapAll: async function(record, kind, secret) {
+        const wrappingKey = await this._wrappingKey(secret || '', record, kind);
+        const keys = {};
+        try {
+            for (const id of Object.keys(record.keys)) {
+                keys[id] = await crypto.subtle.unwrapKey('raw', this._bytes(record.keys[id][kind]), wrappingKey, 'AES-KW',
+                    { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']);
+            }
+        } catch (error) {
+            throw kind === 'recovery'
+                ? this._error('vault/wrong-recovery-code', 'That recovery code is not right')
+                : this._error('vault/wrong-passphrase', 'That passphrase is not right');
+        }
+        return keys;
+    },
+
+    // Wrap every key one way again ('passphrase' with a new salt, or 'recovery')
+    _rewrap: async function(record, keys, kind, secret) {
+        if (kind === 'passphrase') {
+            record.salts.passphrase = this._base64(this._random(16));
+        }
+        const wrappingKey = await this._wrappingKey(secret, record, kind);
+        for (const id of Object.keys(keys)) {
+            record.keys[id][kind] = this._base64(await crypto.subtle.wrapKey('raw', keys[id], wrappingKey, 'AES-KW'));
+        }
+        await this._save(record);
+    },
+
+    _checkPassphrase: function(passphrase) {
+        if (!passphrase || String(passphrase).length < this.MIN_PASSPHRASE_LENGTH) {
+            throw this._error('vault/weak-passphrase', `Use a passphrase of at least ${this.MIN_PASSPHRASE_LENGTH} characters`);
+        }
+    },
+
+    // 'ABCD-EFGH-...' - 24 characters from RECOVERY_ALPHABET in groups of four
+    _recoveryCode: function() {
+        const alphabet = this.RECOVERY_ALPHABET;
+        const chars = Array.from(this._random(this.RECOVERY_LENGTH), byte => alphabet[byte % alphabet.length]).join('');
+        return chars.match(/.{4}/g).join('-');
+    },
+
+    _normalizeCode: function(code) {
+        const chars = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+        return (chars.match(/.{1,4}/g) || []).join('-');
+    },
+
+    _randomId: function() {
+        return Array.from(this._random(8), byte => byte.toString(16).padStart(2, '0')).join('');
+    },
+
+    _random: function(length) {
+        return crypto.getRandomValues(new Uint8Array(length));
+    },
+
+    _base64: function(buffer) {
+        return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+    },
+
+    _bytes: function(base64) {
+        return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+    },
+
+    _error: function(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+};
+
+// Export to global scope
+window.DocumentVault = DocumentVault;
@@ -0,0 +1,458 @@
+/**
+ * Visa Guide AI - Eligibility Engine
+ * Evaluates profile and form data against the rules for each immigration path
+ * (N-400, I-485, I-130) and explains the verdict rule by rule, with the earliest
+ * date the user can file. The forms wizard, dashboard and chatbot all show these results.
+ */
+
+const EligibilityEngine = {
+    // N-400 may be filed up to 90 days before the continuous residence requirement is met
+    EARLY_FILING_DAYS: 90,
+
+    /**
+     * Path definitions - evaluate(facts) returns the list of rule results.
+     * Rule: { id, label, status: 'pass'|'fail'|'warning'|'unknown', detail, timing?, date? }
+     *   timing - a failed rule that will pass on its own on `date`
+     */
+    paths: {
+        n400: {
+            name: 'N-400 Naturalization',
+            evaluate: function(f) {
+                return EligibilityEngine._evaluateN400(f);
+            }
+        },
+        i485: {
+            name: 'I-485 Adjustment of Status',
+            evaluate: function(f) {
+                return EligibilityEngine._evaluateI485(f);
+            }
+        },
+        i130: {
+            name: 'I-130 Petition for Alien Relative',
+            evaluate: function(f) {
+                return EligibilityEngine._evaluateI130(f);
+            }
+        }
+    },
+
+    /**
+     * Evaluate one path
+     * @param {string} pathId - 'n400' | 'i485' | 'i130'
+     * @param {Object} facts - Form values by field id (N-400 trips as saved by the travel history field), plus optional today
+     * @returns {Object} - { path, name, status, eligible, earliestFilingDate, summary, rules }
+     */
+    evaluate: function(pathId, facts) {
+        const path = this.paths[pathId];
+        if (!path) {
+            throw new Error('Unknown eligibility path: ' + pathId);
+        }
+
+        const rules = path.evaluate(facts || {});
+        const status = this._status(rules);
+
+        // The latest date any timing rule will pass on
+        let earliest = null;
+        rules.forEach(rule => {
+            if (rule.date && (!earliest || rule.date > earliest)) {
+                earliest = rule.date;
+            }
+        });
+
+        const result = {
+            path: pathId,
+            name: path.name,
+            status: status,
+            eligible: status === 'eligible' || status === 'review',
+            earliestFilingDate: earliest,
+            rules: rules
+        };
+        result.summary = this._summary(result);
+        return result;
+    },
+
+    /**
+     * Evaluate every path with the data saved for its form
+     * @returns {Object} - { <pathId>: result }
+     */
+    evaluateAll: function() {
+        const results = {};
+        Object.keys(this.paths).forEach(pathId => {
+            results[pathId] = this.evaluate(pathId, this.gatherFacts(pathId));
+        });
+        return results;
+    },
+
+    /**
+     * Collect facts for a path from saved form data (this device first, then the
+     * cloud snapshot)
+     * @param {string} formId - Form id of the path
+     * @returns {Object}
+     */
+    gatherFacts: function(formId) {
+        const storageKey = typeof FormRegistry !== 'undefined' ? FormRegistry.storageKey(formId) : formId + 'FormData';
+
+        let formData = this._readJSON(storageKey);
+        if (!formData && window.dataSync && window.dataSync.serverData && window.dataSync.serverData.forms) {
+            formData = window.dataSync.serverData.forms[formId];
+        }
+
+        const facts = {};
+        Object.values(formData || {}).forEach(stepData => {
+            if (stepData && typeof stepData === 'object' && !Array.isArray(stepData)) {
+                Object.assign(facts, stepData);
+            }
+        });
+        return facts;
+    },
+
+    /**
+     * Plain-text explanation of a result (used by the chatbot)
+     * @param {Object} result - Result of evaluate()
+     * @returns {string}
+     */
+    describe: function(result) {
+        const icons = { pass: '✓', fail: '✗', warning: '!', unknown: '?' };
+        const lines = [result.name + ': ' + result.summary];
+
+        result.rules.forEach(rule => {
+            lines.push('* ' + icons[rule.status] + ' ' + rule.label + ' - ' + rule.detail);
+        });
+        return lines.join('\n');
+    },
+
+    /**
+     * Display label for a status
+     */
+    statusLabel: function(status) {
+        return {
+            eligible: 'Eligible to file',
+            review: 'Eligible - needs review',
+            'not-yet': 'Not yet eligible',
+            ineligible: 'Not eligible',
+            incomplete: 'More information needed'
+        }[status] || status;
+    },
+
+    formatDate: function(date) {
+        if (!date) return '';
+        return I18n.formatDate(date);
+    },
+
+    // ============ N-400 ============
+
+    _evaluateN400: function(f) {
+        const today = this._today(f);
+        const rules = [];
+        const basis = f.eligibilityBasis;
+        const dob = this._parseDate(f.dob);
+
+        // Age
+        if (!dob) {
+            rules.push(this._rule('age', 'At least 18 years old', 'unknown', 'Enter your date of birth.'));
+        } else {
+            const adult = this._addYears(dob, 18);
+            rules.push(adult <= today
+                ? this._rule('age', 'At least 18 years old', 'pass', 'You are 18 or older.')
+                : this._timing('age', 'At least 18 years old', adult, 'You turn 18 on ' + this.formatDate(adult) + '.'));
+        }
+
+        // Basis
+        if (!basis) {
+            rules.push(this._rule('basis', 'Eligibility basis', 'unknown', 'Select the basis you are applying under.'));
+            return rules.concat(this._moralCharacterRules(f));
+        }
+        if (basis === 'uscis') {
+            rules.push(this._rule('basis', 'Eligibility basis', 'fail',
+                'Children who became citizens through U.S. citizen parents apply for a Certificate of Citizenship (Form N-600), not N-400.'));
+            return rules;
+        }
+        if (basis === 'military') {
+            rules.push(this._rule('basis', 'Eligibility basis', 'pass',
+                'Under the military provisions the continuous residence and physical presence requirements may not apply.'));
+            return rules.concat(this._moralCharacterRules(f));
+        }
+
+        const years = basis === '3years' ? 3 : 5;
+        rules.push(this._rule('basis', 'Eligibility basis', 'pass',
+            years + ' years as a permanent resident' + (years === 3 ? ', married to a U.S. citizen' : '') + '.'));
+
+        // Permanent resident date - arrival date is the fallback for older saved data
+        const lprDate = this._parseDate(f.lprDate || f.arrivalDate);
+        if (!lprDate) {
+            rules.push(this._rule('lpr', 'Lawful permanent resident', 'unknown', 'Enter the date you became a permanent resident.'));
+            return rules.concat(this._marriageRules(f, years, today), this._moralCharacterRules(f));
+        }
+        rules.push(this._rule('lpr', 'Lawful permanent resident', 'pass', 'Permanent resident since ' + this.formatDate(lprDate) + '.'));
+
+        // Continuous residence - a trip of a year or more restarts the clock
+        const trips = this._trips(f);
+        const travel = TravelHistory.calculate(trips || [], { years: years, lprDate: lprDate, today: today });
+        const clockStart = travel.residenceStart;
+
+        const residenceDate = this._addDays(this._addYears(clockStart, years), -this.EARLY_FILING_DAYS);
+        const residenceLabel = years + ' years of continuous residence';
+        if (residenceDate <= today) {
+            rules.push(this._rule('residence', residenceLabel, 'pass',
+                'Met, including the ' + this.EARLY_FILING_DAYS + '-day early filing window.'));
+        } else {
+            rules.push(this._timing('residence', residenceLabel, residenceDate,
+                'You can file from ' + this.formatDate(residenceDate) + ' (' + this.EARLY_FILING_DAYS + ' days before ' + years + ' years' +
+                (clockStart > lprDate ? ' since returning from a trip of a year or more' : ' as a permanent resident') + ').'));
+        }
+
+        if (trips) {
+            const longTrips = travel.over6Months;
+            rules.push(longTrips.length === 0
+                ? this._rule('trips', 'No long trips abroad', 'pass',
+                    (travel.over1Year.length > 0 ? 'No other trip' : 'No trip') + ' abroad longer than 6 months (' +
+                    travel.daysAbroad + ' days abroad in the last ' + years + ' years).')
+                : this._rule('trips', 'No long trips abroad', 'warning',
+                    longTrips.length + ' trip(s) of more than 6 months - USCIS presumes a break in continuous residence unless you can show otherwise.'));
+
+            // Physical presence - at least half of the statutory period in the U.S.
+            const requiredDays = travel.requiredDays;
+            const checkFrom = residenceDate > today ? residenceDate : today;
+            const presenceDate = TravelHistory.physicalPresenceDate(trips, years, requiredDays, checkFrom, { today: today });
+            const presenceLabel = requiredDays + ' days of physical presence';
+            if (!presenceDate) {
+                rules.push(this._rule('presence', presenceLabel, 'fail', 'Time spent abroad is too long to meet physical presence in the next 10 years.'));
+            } else if (presenceDate.getTime() === checkFrom.getTime()) {
+                rules.push(this._rule('presence', presenceLabel, 'pass',
+                    checkFrom > today ? 'Met by the time you can file.' : 'Met for the last ' + years + ' years.'));
+            } else {
+                rules.push(this._timing('presence', presenceLabel, presenceDate, 'Met on ' + this.formatDate(presenceDate) + '.'));
+            }
+        } else {
+            rules.push(this._rule('presence', 'Physical presence', 'unknown',
+                'Add your trips abroad to check physical presence and continuous residence.'));
+        }
+
+        return rules.concat(this._marriageRules(f, years, today), this._moralCharacterRules(f));
+    },
+
+    _marriageRules: function(f, years, today) {
+        if (years !== 3) return [];
+
+        const label = 'Married to a U.S. citizen for 3 years';
+        if (f.maritalStatus && f.maritalStatus !== 'married') {
+            return [this._rule('marriage', label, 'fail', 'The 3-year basis requires that you are married to and living with a U.S. citizen.')];
+        }
+
+        const marriageDate = this._parseDate(f.marriageDate);
+        if (!f.maritalStatus || !marriageDate) {
+            return [this._rule('marriage', label, 'unknown', 'Enter your marital status and date of marriage.')];
+        }
+
+        const marriageMet = this._addYears(marriageDate, 3);
+        return [marriageMet <= today
+            ? this._rule('marriage', label, 'pass', 'Married since ' + this.formatDate(marriageDate) + '.')
+            : this._timing('marriage', label, marriageMet, 'Three years of marriage on ' + this.formatDate(marriageMet) + '.')];
+    },
+
+    _moralCharacterRules: function(f) {
+        const rules = [];
+        const label = 'Good moral character';
+
+        if (!f.criminalCharges || !f.communistParty) {
+            rules.push(this._rule('character', label, 'unknown', 'Answer the criminal history and party membership questions.'));
+            return rules;
+        }
+
+        if (f.criminalCharges === 'yes') {
+            rules.push(this._rule('character', label, 'warning',
+                'You reported a criminal charge. Depending on the offense this can bar naturalization - have it reviewed by an attorney.'));
+        } else if (f.communistParty === 'yes') {
+            rules.push(this._rule('character', label, 'warning',
+                'Membership in a Communist or totalitarian party can bar naturalization unless an exception applies.'));
+        } else {
+            rules.push(this._rule('character', label, 'pass', 'No criminal charges or party membership reported.'));
+        }
+        return rules;
+    },
+
+    // ============ I-485 ============
+
+    _evaluateI485: function(f) {
+        const rules = [];
+        const category = f.applicationCategory;
+
+        if (!this._parseDate(f.lastArrivalDate)) {
+            rules.push(this._rule('admission', 'Inspected and admitted or paroled', 'unknown', 'Enter the date of your last arrival.'));
+        } else {
+            rules.push(this._rule('admission', 'Inspected and admitted or paroled', 'pass', 'Last arrival ' + this.formatDate(this._parseDate(f.lastArrivalDate)) + '.'));
+        }
+
+        if (!category) {
+            rules.push(this._rule('category', 'Immigrant category', 'unknown', 'Select your immigrant category.'));
+        } else if (category === 'family' || category === 'employment') {
+            rules.push(f.underlyingReceiptNumber
+                ? this._rule('petition', 'Underlying petition', 'pass', 'Petition receipt ' + f.underlyingReceiptNumber + '.')
+                : this._rule('petition', 'Underlying petition', 'warning',
+                    'You need an approved or pending ' + (category === 'family' ? 'I-130' : 'I-140') + ' (or to file it together with the I-485).'));
+
+            const priorityDate = this._parseDate(f.priorityDate);
+            rules.push(priorityDate
+                ? this._rule('priority', 'Priority date current', 'warning',
+                    'Priority date ' + this.formatDate(priorityDate) + ' - check that it is current in this month\'s Visa Bulletin (immediate relatives of U.S. citizens are exempt).')
+                : this._rule('priority', 'Priority date current', 'unknown', 'Enter the priority date from your petition receipt.'));
+        } else if (category === 'asylum') {
+            rules.push(this._rule('category', 'Immigrant category', 'warning',
+                'Asylees and refugees can apply one year after asylum was granted or after admission as a refugee.'));
+        } else {
+            rules.push(this._rule('category', 'Immigrant category', 'warning', 'Check the eligibility requirements for your category.'));
+        }
+
+        if (f.immigrationViolations === 'yes') {
+            rules.push(this._rule('status', 'Maintained lawful status', 'warning',
+                'Status violations can bar adjustment unless you are an immediate relative or an exception applies.'));
+        } else if (f.immigrationViolations === 'no') {
+            rules.push(this._rule('status', 'Maintained lawful status', 'pass', 'No status violations reported.'));
+        } else {
+            rules.push(this._rule('status', 'Maintained lawful status', 'unknown', 'Answer the immigration violations question.'));
+        }
+
+        if (f.criminalCharges === 'yes') {
+            rules.push(this._rule('admissibility', 'Admissibility', 'warning', 'You reported a criminal charge - have it reviewed for admissibility.'));
+        } else if (f.criminalCharges === 'no') {
+            rules.push(this._rule('admissibility', 'Admissibility', 'pass', 'No criminal charges reported.'));
+        } else {
+            rules.push(this._rule('admissibility', 'Admissibility', 'unknown', 'Answer the criminal history question.'));
+        }
+
+        return rules;
+    },
+
+    // ============ I-130 ============
+
+    _evaluateI130: function(f) {
+        const today = this._today(f);
+        const rules = [];
+        const relationship = f.relationship;
+        const status = f.petitionerStatus;
+
+        if (!relationship || !status) {
+            rules.push(this._rule('relationship', 'Qualifying relationship', 'unknown', 'Select the relationship and your status.'));
+            return rules;
+        }
+
+        if (status === 'lpr' && (relationship === 'parent' || relationship === 'sibling')) {
+            rules.push(this._rule('relationship', 'Qualifying relationship', 'fail',
+                'Permanent residents can petition only for a spouse or unmarried children.'));
+            return rules;
+        }
+        rules.push(this._rule('relationship', 'Qualifying relationship', 'pass',
+            (status === 'citizen' ? 'U.S. citizens' : 'Permanent residents') + ' can petition for a ' + relationship + '.'));
+
+        // Citizens must be 21 to petition for a parent or sibling
+        if (relationship === 'parent' || relationship === 'sibling') {
+            const dob = this._parseDate(f.petitionerDob);
+            if (!dob) {
+                rules.push(this._rule('age', 'Petitioner at least 21', 'unknown', 'Enter your date of birth.'));
+            } else {
+                const age21 = this._addYears(dob, 21);
+                rules.push(age21 <= today
+                    ? this._rule('age', 'Petitioner at least 21', 'pass', 'You are 21 or older.')
+                    : this._timing('age', 'Petitioner at least 21', age21, 'You turn 21 on ' + this.formatDate(age21) + '.'));
+            }
+        }
+
+        if (relationship === 'spouse') {
+            const marriageDate = this._parseDate(f.marriageDate);
+            if (!marriageDate) {
+                rules.push(this._rule('marriage', 'Legally married', 'unknown', 'Enter your date of marriage.'));
+            } else if (marriageDate > today) {
+                rules.push(this._timing('marriage', 'Legally married', marriageDate, 'You can file once you are married.'));
+            } else {
+                rules.push(this._rule('marriage', 'Legally married', 'pass', 'Married on ' + this.formatDate(marriageDate) + '.'));
+            }
+        }
+
+        return rules;
+    },
+
+    // ============ PRIVATE ============
+
+    _rule: function(id, label, status, detail) {
+        return { id: id, label: label, status: status, detail: detail };
+    },
+
+    _timing: function(id, label, date, detail) {
+        return { id: id, label: label, status: 'fail', detail: detail, timing: true, date: date };
+    },
+
+    _status: function(rules) {
+        if (rules.some(rule => rule.status === 'fail' && !rule.timing)) return 'ineligible';
+        if (rules.some(rule => rule.status === 'fail')) return 'not-yet';
+        if (rules.some(rule => rule.status === 'unknown')) return 'incomplete';
+        if (rules.some(rule => rule.status === 'warning')) return 'review';
+        return 'eligible';
+    },
+
+    _summary: function(result) {
+        switch (result.status) {
+            case 'eligible':
+                return 'You appear eligible to file now.';
+            case 'review':
+                return 'You appear eligible to file, but some answers need review.';
+            case 'not-yet':
+                return 'Not eligible yet - earliest filing date ' + this.formatDate(result.earliestFilingDate) + '.';
+            case 'ineligible':
+                return 'You do not appear eligible on this basis.';
+            default:
+                return 'More information is needed to check eligibility.';
+        }
+    },
+
+    /**
+     * Trips from the N-400 travel history, [] when the user has not traveled,
+     * or null when the question is unanswered
+     */
+    _trips: function(f) {
+        if (f.tripsAbroad === 'no') return [];
+        return Array.isArray(f.trips) && f.trips.length > 0 ? f.trips : null;
+    },
+
+    _parseDate: function(value) {
+        if (!value) return null;
+        if (value instanceof Date) return value;
+
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(value + 'T00:00:00') : new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    },
+
+    _today: function(facts) {
+        const now = facts.today ? this._parseDate(facts.today) : new Date();
+        return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    },
+
+    _addYears: function(date, years) {
+        const result = new Date(date);
+        result.setFullYear(result.getFullYear() + years);
+        return result;
+    },
+
+    _addDays: function(date, days) {
+        const result = new Date(date);
+        result.setDate(result.getDate() + days);
+        return result;
+    },
+
+    _readJSON: function(key) {
+        try {
+            return JSON.parse(localStorage.getItem(key) || 'null');
+        } catch (e) {
+            return null;
+        }
+    }
+};
+
+// Let form schemas check filing dates with the same rules (see FormRegistry checks)
+if (typeof FormValidator !== 'undefined') {
+    FormValidator.addRule('earliestFilingDate', function(check, values) {
+        const result = EligibilityEngine.evaluate(check.path, values);
+        return result.status !== 'not-yet';
+    });
+}
+
+// Export to global scope
+window.EligibilityEngine = EligibilityEngine;
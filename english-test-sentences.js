@@ -0,0 +1,131 @@
+/**
+ * Visa Guide AI - English Test Sentences
+ * Sentences for the reading and writing parts of the naturalization interview, built
+ * from the USCIS reading and writing vocabulary lists. In the reading test the officer
+ * shows a sentence (a question) and the applicant reads it aloud; in the writing test the
+ * officer reads a sentence (an answer) and the applicant writes it down. EnglishTest
+ * grades both.
+ *
+ * Source: USCIS Reading Vocabulary and Writing Vocabulary for the Naturalization Test
+ * (https://www.uscis.gov/citizenship/find-study-materials-and-resources/study-for-the-test)
+ *
+ * Sentence: { id, mode, text, category }
+ *   id       - permanent ('reading-<n>' | 'writing-<n>'); study progress is saved by id
+ *   mode     - 'reading' | 'writing'
+ *   category - vocabulary list the sentence practices
+ *
+ * vocabulary - the official lists by mode and category; 'Other (Function)' words are the
+ *              short words an applicant may leave out without failing
+ */
+
+const ENGLISH_TEST_BANK = {
+    version: '2025.11',
+
+    // The officer gives up to three sentences; one correct passes
+    rules: {
+        reading: { asked: 3, passAt: 1 },
+        writing: { asked: 3, passAt: 1 }
+    },
+
+    vocabulary: {
+        reading: {
+            'People': ['Abraham Lincoln', 'George Washington'],
+            'Civics': ['American flag', 'Bill of Rights', 'capital', 'citizen', 'city', 'Congress', 'country',
+                'Father of Our Country', 'government', 'President', 'right', 'Senators', 'state', 'states', 'White House'],
+            'Places': ['America', 'United States', 'U.S.'],
+            'Holidays': ['Presidents\' Day', 'Memorial Day', 'Flag Day', 'Independence Day', 'Labor Day', 'Columbus Day', 'Thanksgiving'],
+            'Question Words': ['How', 'What', 'When', 'Where', 'Who', 'Why'],
+            'Verbs': ['can', 'come', 'do', 'does', 'elects', 'have', 'has', 'is', 'are', 'was', 'be', 'lives', 'lived',
+                'meet', 'name', 'pay', 'vote', 'want'],
+            'Other (Function)': ['a', 'for', 'here', 'in', 'of', 'on', 'the', 'to', 'we'],
+            'Other (Content)': ['colors', 'dollar bill', 'first', 'largest', 'many', 'most', 'north', 'one', 'people',
+                'second', 'south']
+        },
+        writing: {
+            'People': ['Adams', 'Lincoln', 'Washington'],
+            'Civics': ['American Indians', 'capital', 'citizens', 'Civil War', 'Congress', 'Father of Our Country', 'flag',
+                'free', 'freedom of speech', 'President', 'right', 'Senators', 'state', 'states', 'White House'],
+            'Places': ['Alaska', 'California', 'Canada', 'Delaware', 'Mexico', 'New York City', 'United States',
+                'Washington', 'Washington, D.C.'],
+            'Months': ['February', 'May', 'June', 'July', 'September', 'October', 'November'],
+            'Holidays': ['Presidents\' Day', 'Memorial Day', 'Flag Day', 'Independence Day', 'Labor Day', 'Columbus Day', 'Thanksgiving'],
+            'Verbs': ['can', 'come', 'elect', 'have', 'has', 'is', 'was', 'be', 'lives', 'lived', 'meets', 'pay', 'vote', 'want'],
+            'Other (Function)': ['and', 'during', 'for', 'here', 'in', 'of', 'on', 'the', 'to', 'we'],
+            'Other (Content)': ['blue', 'dollar bill', 'fifty', '50', 'first', 'largest', 'most', 'north', 'one',
+                'one hundred', '100', 'people', 'red', 'second', 'south', 'taxes', 'white']
+        }
+    },
+
+    sentences: [
+        // ============ READING ============
+        { id: 'reading-1', mode: 'reading', text: 'Who was the first President?', category: 'People' },
+        { id: 'reading-2', mode: 'reading', text: 'Who was the second President?', category: 'People' },
+        { id: 'reading-3', mode: 'reading', text: 'Who was Abraham Lincoln?', category: 'People' },
+        { id: 'reading-4', mode: 'reading', text: 'Who is the Father of Our Country?', category: 'People' },
+        { id: 'reading-5', mode: 'reading', text: 'Who is on the dollar bill?', category: 'People' },
+        { id: 'reading-6', mode: 'reading', text: 'What is the capital of the United States?', category: 'Civics' },
+        { id: 'reading-7', mode: 'reading', text: 'Who lives in the White House?', category: 'Civics' },
+        { id: 'reading-8', mode: 'reading', text: 'Where does the President live?', category: 'Civics' },
+        { id: 'reading-9', mode: 'reading', text: 'Who elects Congress?', category: 'Civics' },
+        { id: 'reading-10', mode: 'reading', text: 'Who can vote?', category: 'Civics' },
+        { id: 'reading-11', mode: 'reading', text: 'When do we vote for President?', category: 'Civics' },
+        { id: 'reading-12', mode: 'reading', text: 'How many Senators does Congress have?', category: 'Civics' },
+        { id: 'reading-13', mode: 'reading', text: 'When does Congress meet?', category: 'Civics' },
+        { id: 'reading-14', mode: 'reading', text: 'What is the Bill of Rights?', category: 'Civics' },
+        { id: 'reading-15', mode: 'reading', text: 'Name one right in the Bill of Rights.', category: 'Civics' },
+        { id: 'reading-16', mode: 'reading', text: 'What do people pay to the government?', category: 'Civics' },
+        { id: 'reading-17', mode: 'reading', text: 'What are the colors of the American flag?', category: 'Civics' },
+        { id: 'reading-18', mode: 'reading', text: 'Why do people want to be citizens?', category: 'Civics' },
+        { id: 'reading-19', mode: 'reading', text: 'Why do people come to America?', category: 'Places' },
+        { id: 'reading-20', mode: 'reading', text: 'What is the largest state?', category: 'Places' },
+        { id: 'reading-21', mode: 'reading', text: 'What state has the most people?', category: 'Places' },
+        { id: 'reading-22', mode: 'reading', text: 'What country is north of the United States?', category: 'Places' },
+        { id: 'reading-23', mode: 'reading', text: 'What country is south of the U.S.?', category: 'Places' },
+        { id: 'reading-24', mode: 'reading', text: 'What city is the capital of the U.S.?', category: 'Places' },
+        { id: 'reading-25', mode: 'reading', text: 'When is Labor Day?', category: 'Holidays' },
+        { id: 'reading-26', mode: 'reading', text: 'When is Memorial Day?', category: 'Holidays' },
+        { id: 'reading-27', mode: 'reading', text: 'When is Flag Day?', category: 'Holidays' },
+        { id: 'reading-28', mode: 'reading', text: 'When is Columbus Day?', category: 'Holidays' },
+        { id: 'reading-29', mode: 'reading', text: 'When is Thanksgiving?', category: 'Holidays' },
+        { id: 'reading-30', mode: 'reading', text: 'When is Presidents\' Day?', category: 'Holidays' },
+        { id: 'reading-31', mode: 'reading', text: 'When is Independence Day?', category: 'Holidays' },
+
+        // ============ WRITING ============
+        { id: 'writing-1', mode: 'writing', text: 'Washington was the first President.', category: 'People' },
+        { id: 'writing-2', mode: 'writing', text: 'Adams was the second President.', category: 'People' },
+        { id: 'writing-3', mode: 'writing', text: 'Lincoln was President during the Civil War.', category: 'People' },
+        { id: 'writing-4', mode: 'writing', text: 'Washington is the Father of Our Country.', category: 'People' },
+        { id: 'writing-5', mode: 'writing', text: 'Washington is on the dollar bill.', category: 'People' },
+        { id: 'writing-6', mode: 'writing', text: 'The President lives in the White House.', category: 'Civics' },
+        { id: 'writing-7', mode: 'writing', text: 'The people elect Congress.', category: 'Civics' },
+        { id: 'writing-8', mode: 'writing', text: 'Citizens have the right to vote.', category: 'Civics' },
+        { id: 'writing-9', mode: 'writing', text: 'Citizens can vote.', category: 'Civics' },
+        { id: 'writing-10', mode: 'writing', text: 'People pay taxes.', category: 'Civics' },
+        { id: 'writing-11', mode: 'writing', text: 'People come here to be free.', category: 'Civics' },
+        { id: 'writing-12', mode: 'writing', text: 'Congress has 100 Senators.', category: 'Civics' },
+        { id: 'writing-13', mode: 'writing', text: 'Freedom of speech is one right.', category: 'Civics' },
+        { id: 'writing-14', mode: 'writing', text: 'The flag is red, white, and blue.', category: 'Civics' },
+        { id: 'writing-15', mode: 'writing', text: 'American Indians lived here first.', category: 'Civics' },
+        { id: 'writing-16', mode: 'writing', text: 'The United States has 50 states.', category: 'Civics' },
+        { id: 'writing-17', mode: 'writing', text: 'Washington, D.C., is the capital of the United States.', category: 'Places' },
+        { id: 'writing-18', mode: 'writing', text: 'The White House is in Washington, D.C.', category: 'Places' },
+        { id: 'writing-19', mode: 'writing', text: 'Congress meets in Washington, D.C.', category: 'Places' },
+        { id: 'writing-20', mode: 'writing', text: 'New York City was the first capital.', category: 'Places' },
+        { id: 'writing-21', mode: 'writing', text: 'Delaware was the first state.', category: 'Places' },
+        { id: 'writing-22', mode: 'writing', text: 'Alaska is the largest state.', category: 'Places' },
+        { id: 'writing-23', mode: 'writing', text: 'California has the most people.', category: 'Places' },
+        { id: 'writing-24', mode: 'writing', text: 'Canada is north of the United States.', category: 'Places' },
+        { id: 'writing-25', mode: 'writing', text: 'Mexico is south of the United States.', category: 'Places' },
+        { id: 'writing-26', mode: 'writing', text: 'Labor Day is in September.', category: 'Holidays' },
+        { id: 'writing-27', mode: 'writing', text: 'Memorial Day is in May.', category: 'Holidays' },
+        { id: 'writing-28', mode: 'writing', text: 'Flag Day is in June.', category: 'Holidays' },
+        { id: 'writing-29', mode: 'writing', text: 'Independence Day is in July.', category: 'Holidays' },
+        { id: 'writing-30', mode: 'writing', text: 'Columbus Day is in October.', category: 'Holidays' },
+        { id: 'writing-31', mode: 'writing', text: 'Thanksgiving is in November.', category: 'Holidays' },
+        { id: 'writing-32', mode: 'writing', text: 'Presidents\' Day is in February.', category: 'Holidays' },
+        { id: 'writing-33', mode: 'writing', text: 'We vote for the President in November.', category: 'Civics' }
+    ]
+};
+
+// Export to global scope
+window.ENGLISH_TEST_BANK = ENGLISH_TEST_BANK;
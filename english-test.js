@@ -0,0 +1,314 @@
+/**
+ * Visa Guide AI - English Test
+ * Practice for the reading and writing parts of the naturalization interview with the
+ * sentences in english-test-sentences.js, graded the way officers score them:
+ *   reading - the applicant reads the sentence aloud (speech recognition gives the words).
+ *             Short words may be skipped or mispronounced; every other word must be read.
+ *   writing - the officer dictates the sentence and the applicant types it. Spelling,
+ *             capitalization and punctuation mistakes that keep the meaning are accepted;
+ *             a missing or different word is not.
+ * The officer gives up to three sentences and stops as soon as one is right.
+ *
+ * Session: { mode, rules, sentences, results, correct, incorrect, done, passed }
+ *   results - [{ sentence, answer, correct, words, extra }] in the order given
+ * Word: { text, given, status, optional }
+ *   status - 'ok' | 'case' (capitalization) | 'spelling' | 'missing'
+ */
+
+const EnglishTest = {
+    MODES: ['reading', 'writing'],
+
+    NUMBER_WORDS: {
+        zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+        twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+    },
+
+    // Extra words that change what the sentence says
+    NEGATIONS: ['not', 'no', 'never'],
+
+    // What speech recognition may hear for a word read correctly
+    SOUNDS_LIKE: {
+        to: ['too', '2'],
+        for: ['4'],
+        '1': ['won'],
+        here: ['hear'],
+        right: ['write', 'rite'],
+        our: ['hour', 'are']
+    },
+
+    /**
+     * How many sentences are given and how many must be right
+     * @returns {Object|null} - { asked, passAt }
+     */
+    rules: function(mode) {
+        const bank = this._bank();
+        return bank.rules[mode] || null;
+    },
+
+    /**
+     * Sentences for a mode ('reading' | 'writing')
+     */
+    sentences: function(mode) {
+        return this._bank().sentences.filter(sentence => sentence.mode === mode);
+    },
+
+    /**
+     * Start a test
+     * @param {string} mode - 'reading' | 'writing'
+     * @param {Object} cards - Study cards by sentence id (CivicsScheduler); sentences due for review come first
+     * @returns {Object|null} - Session, or null for an unknown mode
+     */
+    start: function(mode, cards) {
+        const rules = this.rules(mode);
+        const sentences = this.sentences(mode);
+        if (!rules || sentences.length === 0) return null;
+
+        // Sentences missed before and due again, then any others at random
+        const shuffled = this._shuffle(sentences);
+        const due = typeof CivicsScheduler !== 'undefined'
+            ? CivicsScheduler.session(shuffled, cards || {}, { dueOnly: true, newLimit: 0 })
+            : [];
+        const ordered = due.concat(shuffled.filter(sentence => due.indexOf(sentence) === -1)).slice(0, rules.asked);
+
+        return {
+            mode: mode,
+            rules: rules,
+            sentences: ordered,
+            results: [],
+            correct: 0,
+            incorrect: 0,
+            done: false,
+            passed: false
+        };
+    },
+
+    /**
+     * The sentence to read or write next, or null once the test is over
+     */
+    current: function(session) {
+        return session.done ? null : session.sentences[session.results.length] || null;
+    },
+
+    /**
+     * Grade the answer to the current sentence and apply the stop rules
+     * @param {string} text - Words recognized (reading) or typed (writing)
+     * @returns {Object} - { sentence, answer, correct, words, extra }
+     */
+    answer: function(session, text) {
+        const sentence = this.current(session);
+        if (!sentence) return null;
+
+        const result = Object.assign({ sentence: sentence, answer: String(text || '').trim() }, this.grade(sentence, text));
+        session.results.push(result);
+        if (result.correct) {
+            session.correct++;
+        } else {
+            session.incorrect++;
+        }
+
+        const rules = session.rules;
+        if (session.correct >= rules.passAt) {
+            session.done = true;
+            session.passed = true;
+        } else if (session.incorrect > rules.asked - rules.passAt || session.results.length >= session.sentences.length) {
+            session.done = true;
+        }
+        return result;
+    },
+
+    /**
+     * Grade what the applicant read or wrote against a sentence
+     * @param {Object} sentence - { text, mode }
+     * @param {string} text - Words recognized (reading) or typed (writing)
+     * @returns {Object} - { correct, words, extra }
+     *   words - every word of the sentence with how it was read or written
+     *   extra - words given that are not in the sentence
+     */
+    grade: function(sentence, text) {
+        const expected = this._tokens(sentence.text);
+        const given = this._tokens(text);
+        const optional = this._functionWords(sentence.mode);
+        const context = { mode: sentence.mode, vocabulary: this._vocabularyWords(sentence.mode) };
+        const pairs = this._align(expected, given, context);
+
+        const words = expected.map((token, i) => {
+            const match = pairs[i] === undefined ? null : given[pairs[i]];
+            return {
+                text: token.text,
+                given: match ? match.text : null,
+                status: this._status(token, match, context),
+                optional: optional.indexOf(token.word) !== -1
+            };
+        });
+        const used = Object.keys(pairs).map(i => pairs[i]);
+        const extra = given.filter((token, j) => used.indexOf(j) === -1).map(token => token.text);
+
+        const correct = given.length > 0 &&
+            words.every(word => word.status !== 'missing' || word.optional) &&
+            !extra.some(word => this.NEGATIONS.indexOf(word.toLowerCase()) !== -1);
+        return { correct: correct, words: words, extra: extra };
+    },
+
+    /**
+     * Summary for the test history
+     * @returns {Object} - { mode, date, asked, correct, passed }
+     */
+    result: function(session) {
+        return {
+            mode: session.mode,
+            date: new Date().toISOString(),
+            asked: session.results.length,
+            correct: session.correct,
+            passed: session.passed
+        };
+    },
+
+    // ============ PRIVATE ============
+
+    _bank: function() {
+        return typeof ENGLISH_TEST_BANK !== 'undefined' ? ENGLISH_TEST_BANK : { rules: {}, vocabulary: {}, sentences: [] };
+    },
+
+    // The short words of a mode's vocabulary that may be left out
+    _functionWords: function(mode) {
+        const vocabulary = this._bank().vocabulary[mode] || {};
+        return (vocabulary['Other (Function)'] || []).map(word => word.toLowerCase());
+    },
+
+    // Every word on the mode's vocabulary lists - a misspelling may not turn into one of them
+    _vocabularyWords: function(mode) {
+        const vocabulary = this._bank().vocabulary[mode] || {};
+        return [].concat(...Object.keys(vocabulary).map(category => vocabulary[category]))
+            .map(entry => this._tokens(entry).map(token => token.word))
+            .reduce((all, words) => all.concat(words), []);
+    },
+
+    // Words with their written form: { word (lower case, numbers as digits), text }.
+    // Periods and apostrophes are dropped ("D.C." is "DC") and spelled letters joined ("D C")
+    _tokens: function(text) {
+        const parts = String(text || '')
+            .replace(/['’.]/g, '')
+            .split(/[^A-Za-z0-9]+/)
+            .filter(Boolean);
+
+        const tokens = [];
+        parts.forEach(part => {
+            const previous = tokens[tokens.length - 1];
+            if (part.length === 1 && /[A-Za-z]/.test(part) && previous && previous.letters) {
+                previous.text += part;
+                previous.word += part.toLowerCase();
+                return;
+            }
+            tokens.push({ word: part.toLowerCase(), text: part, letters: part.length === 1 && /[A-Za-z]/.test(part) && !/^[aA]$/.test(part) });
+        });
+
+        return this._numbers(tokens).map(token => ({ word: token.word, text: token.text }));
+    },
+
+    // Spelled-out numbers ("one hundred", "fifty") as digits
+    _numbers: function(tokens) {
+        const result = [];
+        tokens.forEach(token => {
+            const value = this.NUMBER_WORDS[token.word];
+            const previous = result[result.length - 1];
+            const number = previous && previous.number ? Number(previous.word) : null;
+
+            if (number !== null && token.word === 'hundred') {
+                previous.word = String(number * 100);
+                previous.text += ' ' + token.text;
+            } else if (number !== null && value !== undefined && value < 10 && number >= 20 && number % 10 === 0) {
+                previous.word = String(number + value);
+                previous.text += ' ' + token.text;
+            } else if (value !== undefined) {
+                result.push({ word: String(value), text: token.text, number: true });
+            } else {
+                result.push({ word: token.word, text: token.text, number: /^\d+$/.test(token.word) });
+            }
+        });
+        return result;
+    },
+
+    // How well a given word matches a sentence word: 2 the same, 1 close enough, 0 not a match
+    _similarity: function(expected, given, context) {
+        if (!given) return 0;
+        if (expected.word === given.word) return 2;
+        if (context.mode === 'reading' && (this.SOUNDS_LIKE[expected.word] || []).indexOf(given.word) !== -1) return 2;
+        if (/\d/.test(expected.word) || /\d/.test(given.word)) return 0;
+
+        const length = expected.word.length;
+        if (length < 4) return 0;
+        // A different word from the lists is a different word, not a misspelling
+        if (context.mode === 'writing' && context.vocabulary.indexOf(given.word) !== -1) return 0;
+        return this._distance(expected.word, given.word) <= (length >= 8 ? 2 : 1) ? 1 : 0;
+    },
+
+    // Sentence word index -> given word index, keeping the order (best total similarity)
+    _align: function(expected, given, context) {
+        const n = expected.length;
+        const m = given.length;
+        const score = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                const similarity = this._similarity(expected[i], given[j], context);
+                score[i][j] = Math.max(score[i + 1][j], score[i][j + 1], similarity ? similarity + score[i + 1][j + 1] : 0);
+            }
+        }
+
+        const pairs = {};
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            const similarity = this._similarity(expected[i], given[j], context);
+            if (similarity && score[i][j] === similarity + score[i + 1][j + 1]) {
+                pairs[i] = j;
+                i++;
+                j++;
+            } else if (score[i + 1][j] >= score[i][j + 1]) {
+                i++;
+            } else {
+                j++;
+            }
+        }
+        return pairs;
+    },
+
+    _status: function(expected, given, context) {
+        if (!given) return 'missing';
+        if (this._similarity(expected, given, context) === 1) return 'spelling';
+        // Capitalization only matters in writing, and numbers may be words or digits
+        if (context.mode === 'writing' && /[a-z]/i.test(given.text) && /[a-z]/i.test(expected.text) && given.text !== expected.text &&
+            given.text.toLowerCase() === expected.text.toLowerCase()) {
+            return 'case';
+        }
+        return 'ok';
+    },
+
+    // Edit distance where swapping two letters ("frist") is one mistake
+    _distance: function(a, b) {
+        const rows = [Array.from({ length: b.length + 1 }, (_, j) => j)];
+        for (let i = 1; i <= a.length; i++) {
+            const row = [i];
+            for (let j = 1; j <= b.length; j++) {
+                row[j] = Math.min(rows[i - 1][j] + 1, row[j - 1] + 1, rows[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    row[j] = Math.min(row[j], rows[i - 2][j - 2] + 1);
+                }
+            }
+            rows.push(row);
+        }
+        return rows[a.length][b.length];
+    },
+
+    _shuffle: function(items) {
+        const result = items.slice();
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+};
+
+// Export to global scope
+window.EnglishTest = EnglishTest;
@@ -21,8 +21,88 @@ let db = null;
 let storage = null;
 let isFirebaseInitialized = false;
 
+// Storage backend adapters - each one provides initialize(config) returning
+// { app, auth, db, storage } with the Firebase compat API shape, plus serverTimestamp()
+const storageBackends = {};
+let activeBackend = null;
+
+/**
+ * Register a storage backend adapter under a name
+ */
+function registerBackend(name, adapter) {
+    if (!adapter || typeof adapter.initialize !== 'function') {
+        throw new Error('Storage backend "' + name + '" must implement initialize(config)');
+    }
+    storageBackends[name] = adapter;
+}
+
+/**
+ * Default backend - the live Firebase project via the compat SDK
+ */
+registerBackend('firebase', {
+    name: 'firebase',
+    
+    initialize: function(config) {
+        const firebaseApp = firebase.initializeApp(config);
+        return {
+            app: firebaseApp,
+            auth: firebase.auth(),
+            db: firebase.firestore(),
+            storage: firebase.storage()
+        };
+    },
+    
+    serverTimestamp: function() {
+        return firebase.firestore.FieldValue.serverTimestamp();
+    }
+});
+
+/**
+ * Whether the page is served for development (localhost or a local file)
+ */
+function isDevelopmentHost() {
+    const host = window.location.hostname;
+    return window.location.protocol === 'file:' || host === 'localhost' || host === '127.0.0.1' || host === '[::1]';
+}
+
 /**
- * Initialize Firebase - Call this to connect to Firebase
+ * Pick the backend to use: ?backend=<name> in the URL - honored in development only and
+ * remembered for the browser session, never beyond it - then config.backend, then the
+ * live Firebase project. Falls back to the local backend when the Firebase SDK could not be loaded.
+ */
+function resolveBackendName(config) {
+    let name = null;
+    
+    try {
+        // Earlier versions kept the URL choice for good - a link could move someone off the cloud
+        localStorage.removeItem('storageBackend');
+        
+        if (isDevelopmentHost()) {
+            const urlBackend = new URLSearchParams(window.location.search).get('backend');
+            if (urlBackend) {
+                sessionStorage.setItem('storageBackend', urlBackend);
+            }
+            name = urlBackend || sessionStorage.getItem('storageBackend');
+        }
+    } catch (e) {
+        // URL or storage not available (e.g. sandboxed iframe)
+    }
+    
+    name = name || (config && config.backend) || 'firebase';
+    
+    if (name === 'firebase' && typeof firebase === 'undefined' && storageBackends.local) {
+        console.warn('Firebase SDK not available, falling back to local storage backend');
+        name = 'local';
+    }
+    
+    if (!storageBackends[name]) {
+        throw new Error('Unknown storage backend: ' + name);
+    }
+    return name;
+}
+
+/**
+ * Initialize Firebase - Call this to connect to Firebase (or the configured backend)
  */
 function initializeFirebase(config) {
     if (isFirebaseInitialized) {
@@ -31,13 +111,15 @@ function initializeFirebase(config) {
     }
     
     try {
-        // Initialize Firebase with the provided config
-        app = firebase.initializeApp(config);
+        const backendName = resolveBackendName(config);
+        activeBackend = storageBackends[backendName];
         
-        // Initialize Firebase services
-        auth = firebase.auth();
-        db = firebase.firestore();
-        storage = firebase.storage();
+        // Initialize backend services
+        const instances = activeBackend.initialize(config);
+        app = instances.app;
+        auth = instances.auth;
+        db = instances.db;
+        storage = instances.storage;
         
         // Enable persistence for offline support (optional - may not work in all browsers)
         // db.enablePersistence({ experimentalTabSynchronization: true })
@@ -50,7 +132,11 @@ function initializeFirebase(config) {
         //   });
         
         isFirebaseInitialized = true;
-        console.log('Firebase initialized successfully with real Firebase SDK!');
+        console.log('Firebase initialized successfully with ' + backendName + ' backend!');
+        
+        if (backendName !== ((config && config.backend) || 'firebase')) {
+            showBackendIndicator(backendName);
+        }
         console.log('Connected to project:', config.projectId);
         
         return { app, auth, db, storage };
@@ -63,6 +149,50 @@ function initializeFirebase(config) {
     }
 }
 
+/**
+ * Keep a notice on screen while data goes to a backend other than the configured one
+ * (e.g. the device-only local backend), so nobody mistakes it for cloud sync
+ */
+function showBackendIndicator(backendName) {
+    const show = () => {
+        if (document.getElementById('backendIndicator')) return;
+        
+        const indicator = document.createElement('div');
+        indicator.id = 'backendIndicator';
+        indicator.setAttribute('role', 'status');
+        indicator.dataset.i18n = backendName === 'local' ? 'common.backendLocal' : 'common.backendOther';
+        indicator.textContent = window.I18n
+            ? window.I18n.t(indicator.dataset.i18n)
+            : 'Saving to the "' + backendName + '" backend - not the cloud';
+        indicator.style.cssText = 'position:fixed;bottom:12px;left:12px;z-index:10000;padding:6px 12px;' +
+            'border-radius:6px;background:#b45309;color:#fff;font-size:13px;box-shadow:0 2px 6px rgba(0,0,0,.25)';
+        document.body.appendChild(indicator);
+    };
+    
+    if (document.body) {
+        show();
+    } else {
+        document.addEventListener('DOMContentLoaded', show);
+    }
+}
+
+/**
+ * Get the name of the active storage backend
+ */
+function getBackendName() {
+    return activeBackend ? activeBackend.name : null;
+}
+
+/**
+ * Get a server timestamp value for the active backend
+ */
+function serverTimestamp() {
+    if (!activeBackend) {
+        throw new Error('Firebase not initialized. Call initializeFirebase() first.');
+    }
+    return activeBackend.serverTimestamp();
+}
+
 /**
  * Get the current Firebase Auth instance
  */
@@ -157,8 +287,8 @@ async function addDocument(collectionPath, data) {
     const dbInstance = getFirebaseDb();
     return await dbInstance.collection(collectionPath).add({
         ...data,
-        createdAt: firebase.firestore.FieldValue.serverTimestamp(),
-        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
     });
 }
 
@@ -185,6 +315,18 @@ async function getCollection(collectionPath) {
     return docs;
 }
 
+/**
+ * Create or replace a document in Firestore ({ merge: true } to merge into an existing one)
+ */
+async function setDocument(documentPath, data, options = {}) {
+    const dbInstance = getFirebaseDb();
+    const docRef = dbInstance.doc(documentPath);
+    return await docRef.set({
+        ...data,
+        updatedAt: serverTimestamp()
+    }, options);
+}
+
 /**
  * Update a document in Firestore
  */
@@ -193,7 +335,7 @@ async function updateDocument(documentPath, data) {
     const docRef = dbInstance.doc(documentPath);
     return await docRef.update({
         ...data,
-        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        updatedAt: serverTimestamp()
     });
 }
 
@@ -226,6 +368,44 @@ async function queryCollection(collectionPath, conditions) {
     return docs;
 }
 
+/**
+ * Upload a file to Storage
+ * Resolves with { path, url, size } once the upload completes
+ */
+function uploadFile(storagePath, file, onProgress) {
+    const storageInstance = getFirebaseStorage();
+    const storageRef = storageInstance.ref(storagePath);
+    const uploadTask = storageRef.put(file);
+    
+    return new Promise((resolve, reject) => {
+        uploadTask.on(
+            'state_changed',
+            (snapshot) => {
+                if (onProgress && snapshot.totalBytes) {
+                    onProgress((snapshot.bytesTransferred / snapshot.totalBytes) * 100);
+                }
+            },
+            (error) => reject(error),
+            async () => {
+                try {
+                    const url = await uploadTask.snapshot.ref.getDownloadURL();
+                    resolve({ path: storagePath, url: url, size: file.size });
+                } catch (error) {
+                    reject(error);
+                }
+            }
+        );
+    });
+}
+
+/**
+ * Delete a file from Storage
+ */
+async function deleteFile(storagePath) {
+    const storageInstance = getFirebaseStorage();
+    return await storageInstance.ref(storagePath).delete();
+}
+
 // Export functions globally for use in other scripts
 window.FirebaseCore = {
     initialize: initializeFirebase,
@@ -234,6 +414,10 @@ window.FirebaseCore = {
     getStorage: getFirebaseStorage,
     isInitialized: isFirebaseReady,
     getCurrentUser: getCurrentUser,
+    // Backend functions
+    registerBackend: registerBackend,
+    getBackendName: getBackendName,
+    serverTimestamp: serverTimestamp,
     // Auth functions
     signIn: signInWithEmail,
     signUp: createAccount,
@@ -244,7 +428,11 @@ window.FirebaseCore = {
     addDocument: addDocument,
     getDocument: getDocument,
     getCollection: getCollection,
+    setDocument: setDocument,
     updateDocument: updateDocument,
     deleteDocument: deleteDocument,
-    queryCollection: queryCollection
+    queryCollection: queryCollection,
+    // Storage functions
+    uploadFile: uploadFile,
+    deleteFile: deleteFile
 };
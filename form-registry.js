@@ -0,0 +1,823 @@
+/**
+ * Visa Guide AI - Form Registry
+ * Per-form schemas (steps and fields) so form data can be saved, loaded and bound
+ * by form id as forms.<formId>.<step>.<field>, each form with its own progress.
+ * Schemas are declarative: the wizard and review page are rendered from them and
+ * FormValidator checks them, so a new USCIS form is added here as data.
+ *
+ * Field: { id, label, reviewLabel, type, required, requiredIf, showIf, options, placeholder, rows, half, past, pattern }
+ *   type       - text | textarea | select | date | anumber | zip | receipt | number | trips
+ *                trips is a list of { departureDate, returnDate, destination, purpose } (see TravelHistory)
+ *   requiredIf - condition that makes the field required, e.g. { field: 'criminalCharges', equals: 'yes' }
+ *   showIf     - condition for showing the field at all (hidden fields are not validated)
+ *   reviewLabel - shorter label for the review page
+ *   half       - lay out side by side with the next half-width field
+ *   past       - date must not be in the future
+ * Form checks: [{ rule, ...params, when, message }] cross-field rules run by FormValidator
+ * Form documents: [docType | { type, requiredIf, reason }] supporting documents (DocumentManager.DOCUMENT_TYPES keys)
+ *   requiredIf - answers that call for the document; entries for the same type add up (DocumentChecklist)
+ *   reason     - why the answers call for it, shown on the checklist
+ *
+ * The schema text is the English. Other locales translate it with 'schema.<formId>.<path>'
+ * messages (step1.title, lastName.label, lastName.review, lastName.placeholder, <field>.<option value>,
+ * check.<field>.<rule>, reason.<docType>.<field>) and 'schema.option.<value>' for the shared
+ * options - read it through text(), label(), optionLabel() and formatValue().
+ */
+
+const FormRegistry = {
+    // Registered schemas by form id
+    forms: {},
+
+    // Field types whose value is a list, kept on the page as JSON in a hidden input
+    listTypes: ['trips'],
+
+    /**
+     * Register a form schema
+     * @param {Object} schema - { id, name, fullName, steps: [{ id, title, heading, icon, fields: [...] }], checks: [...], documents: [...] }
+     */
+    register: function(schema) {
+        if (!schema || !schema.id || !Array.isArray(schema.steps)) {
+            throw new Error('Form schema needs an id and a steps array');
+        }
+        this.forms[schema.id] = schema;
+        return schema;
+    },
+
+    /**
+     * Get a form schema by id
+     * @param {string} formId - The form id (e.g. 'n400')
+     * @returns {Object|null}
+     */
+    get: function(formId) {
+        return this.forms[formId] || null;
+    },
+
+    /**
+     * List all registered form schemas
+     * @returns {Array}
+     */
+    list: function() {
+        return Object.values(this.forms);
+    },
+
+    /**
+     * Get all field definitions of a form, each tagged with its form and step id
+     * @param {string} formId - The form id
+     * @returns {Array}
+     */
+    getFields: function(formId) {
+        const schema = this.get(formId);
+        if (!schema) return [];
+
+        const fields = [];
+        schema.steps.forEach(step => {
+            step.fields.forEach(field => fields.push({ ...field, form: schema.id, step: step.id }));
+        });
+        return fields;
+    },
+
+    /**
+     * Get one field definition (tagged with its step id)
+     * @param {string} formId - The form id
+     * @param {string} fieldId - The field id
+     * @returns {Object|null}
+     */
+    getField: function(formId, fieldId) {
+        return this.getFields(formId).find(field => field.id === fieldId) || null;
+    },
+
+    /**
+     * Schema text in the current language - the schema's own text when the locale has no
+     * 'schema.<formId>.<path>' message
+     * @param {string} formId - The form id
+     * @param {string} path - Message path within the form (e.g. 'step1.title', 'lastName.label')
+     * @param {string} text - The schema's (English) text
+     * @param {string} locale - Defaults to the current locale
+     * @returns {string}
+     */
+    text: function(formId, path, text, locale) {
+        return this._translate('schema.' + formId + '.' + path, text, locale);
+    },
+
+    /**
+     * A field's label (its review label, where it has one, when review is set)
+     */
+    label: function(formId, field, review, locale) {
+        if (review && field.reviewLabel) {
+            return this.text(formId, field.id + '.review', field.reviewLabel, locale);
+        }
+        return this.text(formId, field.id + '.label', field.label, locale);
+    },
+
+    placeholder: function(formId, field) {
+        return field.placeholder ? this.text(formId, field.id + '.placeholder', field.placeholder) : '';
+    },
+
+    stepTitle: function(formId, step) {
+        return this.text(formId, step.id + '.title', step.title);
+    },
+
+    stepHeading: function(formId, step) {
+        return step.heading ? this.text(formId, step.id + '.heading', step.heading) : this.stepTitle(formId, step);
+    },
+
+    /**
+     * An option's label - the field's own translation, else the shared one for the value
+     */
+    optionLabel: function(formId, field, option, locale) {
+        const shared = this._translate('schema.option.' + option.value, option.label, locale);
+        return formId ? this.text(formId, field.id + '.' + option.value, shared, locale) : shared;
+    },
+
+    /**
+     * Display text for a field value (option label for selects)
+     * @param {Object} field - Field definition (from getFields, so the form is known)
+     * @param {string} value - Raw value
+     * @param {string} locale - Defaults to the current locale; 'en' for the official PDF
+     * @returns {string}
+     */
+    formatValue: function(field, value, locale) {
+        if (value === undefined || value === null || value === '') return '';
+
+        if (field.type === 'trips') {
+            return typeof TravelHistory !== 'undefined' ? TravelHistory.describe(value) : '';
+        }
+
+        if (field.options) {
+            const option = field.options.find(opt => opt.value === value);
+            return option ? this.optionLabel(field.form, field, option, locale) : value;
+        }
+
+        if (field.type === 'date') {
+            const date = new Date(value + 'T00:00:00');
+            if (!isNaN(date.getTime())) {
+                return I18n.formatDate(date, null, locale);
+            }
+        }
+
+        return String(value);
+    },
+
+    /**
+     * localStorage key for a form's local copy (e.g. n400FormData)
+     * @param {string} formId - The form id
+     * @returns {string}
+     */
+    storageKey: function(formId) {
+        return formId + 'FormData';
+    },
+
+    /**
+     * Read a form's field values from the page into { <step>: { <field>: value } }
+     * @param {string} formId - The form id
+     * @returns {Object}
+     */
+    collectData: function(formId) {
+        const schema = this.get(formId);
+        const data = {};
+        if (!schema) return data;
+
+        schema.steps.forEach(step => {
+            data[step.id] = {};
+            step.fields.forEach(field => {
+                const el = document.getElementById(field.id);
+                data[step.id][field.id] = el ? this.readValue(field, el) : '';
+            });
+        });
+        return data;
+    },
+
+    /**
+     * Write saved values into the page's inputs (fields not on the page are skipped)
+     * @param {string} formId - The form id
+     * @param {Object} data - Saved form data by step
+     */
+    applyData: function(formId, data) {
+        const schema = this.get(formId);
+        if (!schema || !data) return;
+
+        schema.steps.forEach(step => {
+            const stepData = data[step.id] || {};
+            step.fields.forEach(field => {
+                const el = document.getElementById(field.id);
+                if (el) {
+                    this.writeValue(field, el, stepData[field.id]);
+                }
+            });
+        });
+    },
+
+    /**
+     * Read a field's value from its input (lists are parsed from JSON)
+     * @param {Object} field - Field definition
+     * @param {HTMLElement} el - The field's input
+     * @returns {string|Array}
+     */
+    readValue: function(field, el) {
+        if (!this.listTypes.includes(field.type)) return el.value;
+
+        try {
+            const list = JSON.parse(el.value || '[]');
+            return Array.isArray(list) ? list : [];
+        } catch (e) {
+            return [];
+        }
+    },
+
+    /**
+     * Write a saved value into a field's input (lists are stored as JSON)
+     * @param {Object} field - Field definition
+     * @param {HTMLElement} el - The field's input
+     * @param {*} value - Saved value
+     */
+    writeValue: function(field, el, value) {
+        if (this.listTypes.includes(field.type)) {
+            el.value = Array.isArray(value) ? JSON.stringify(value) : '';
+        } else {
+            el.value = value || '';
+        }
+    },
+
+    /**
+     * Percentage of required fields filled in
+     * @param {string} formId - The form id
+     * @param {Object} data - Saved form data by step
+     * @returns {number}
+     */
+    computeProgress: function(formId, data) {
+        const required = this.getFields(formId).filter(field => field.required);
+        if (required.length === 0 || !data) return 0;
+
+        const filled = required.filter(field => {
+            const value = data[field.step] ? data[field.step][field.id] : '';
+            return value !== undefined && value !== null && String(value).trim() !== '';
+        }).length;
+
+        return Math.round((filled / required.length) * 100);
+    },
+
+    // ============ PRIVATE ============
+
+    _translate: function(key, text, locale) {
+        return I18n.has(key, locale) ? I18n.t(key, null, locale) : text;
+    }
+};
+
+// ============ SHARED OPTIONS ============
+
+const FORM_OPTIONS = {
+    countries: [
+        { value: 'India', label: 'India' },
+        { value: 'China', label: 'China' },
+        { value: 'Mexico', label: 'Mexico' },
+        { value: 'Philippines', label: 'Philippines' },
+        { value: 'Vietnam', label: 'Vietnam' },
+        { value: 'Other', label: 'Other' }
+    ],
+    states: [
+        { value: 'AL', label: 'Alabama' },
+        { value: 'AK', label: 'Alaska' },
+        { value: 'AS', label: 'American Samoa' },
+        { value: 'AZ', label: 'Arizona' },
+        { value: 'AR', label: 'Arkansas' },
+        { value: 'CA', label: 'California' },
+        { value: 'CO', label: 'Colorado' },
+        { value: 'CT', label: 'Connecticut' },
+        { value: 'DE', label: 'Delaware' },
+        { value: 'DC', label: 'District of Columbia' },
+        { value: 'FL', label: 'Florida' },
+        { value: 'GA', label: 'Georgia' },
+        { value: 'GU', label: 'Guam' },
+        { value: 'HI', label: 'Hawaii' },
+        { value: 'ID', label: 'Idaho' },
+        { value: 'IL', label: 'Illinois' },
+        { value: 'IN', label: 'Indiana' },
+        { value: 'IA', label: 'Iowa' },
+        { value: 'KS', label: 'Kansas' },
+        { value: 'KY', label: 'Kentucky' },
+        { value: 'LA', label: 'Louisiana' },
+        { value: 'ME', label: 'Maine' },
+        { value: 'MD', label: 'Maryland' },
+        { value: 'MA', label: 'Massachusetts' },
+        { value: 'MI', label: 'Michigan' },
+        { value: 'MN', label: 'Minnesota' },
+        { value: 'MS', label: 'Mississippi' },
+        { value: 'MO', label: 'Missouri' },
+        { value: 'MT', label: 'Montana' },
+        { value: 'NE', label: 'Nebraska' },
+        { value: 'NV', label: 'Nevada' },
+        { value: 'NH', label: 'New Hampshire' },
+        { value: 'NJ', label: 'New Jersey' },
+        { value: 'NM', label: 'New Mexico' },
+        { value: 'NY', label: 'New York' },
+        { value: 'NC', label: 'North Carolina' },
+        { value: 'ND', label: 'North Dakota' },
+        { value: 'MP', label: 'Northern Mariana Islands' },
+        { value: 'OH', label: 'Ohio' },
+        { value: 'OK', label: 'Oklahoma' },
+        { value: 'OR', label: 'Oregon' },
+        { value: 'PA', label: 'Pennsylvania' },
+        { value: 'PR', label: 'Puerto Rico' },
+        { value: 'RI', label: 'Rhode Island' },
+        { value: 'SC', label: 'South Carolina' },
+        { value: 'SD', label: 'South Dakota' },
+        { value: 'TN', label: 'Tennessee' },
+        { value: 'TX', label: 'Texas' },
+        { value: 'VI', label: 'U.S. Virgin Islands' },
+        { value: 'UT', label: 'Utah' },
+        { value: 'VT', label: 'Vermont' },
+        { value: 'VA', label: 'Virginia' },
+        { value: 'WA', label: 'Washington' },
+        { value: 'WV', label: 'West Virginia' },
+        { value: 'WI', label: 'Wisconsin' },
+        { value: 'WY', label: 'Wyoming' },
+        { value: 'Other', label: 'Other' }
+    ],
+    yesNo: [
+        { value: 'no', label: 'No' },
+        { value: 'yes', label: 'Yes' }
+    ],
+    maritalStatus: [
+        { value: 'single', label: 'Single (never married)' },
+        { value: 'married', label: 'Married' },
+        { value: 'divorced', label: 'Divorced' },
+        { value: 'widowed', label: 'Widowed' },
+        { value: 'separated', label: 'Legally Separated' }
+    ]
+};
+
+// ============ BUILT-IN FORMS ============
+
+FormRegistry.register({
+    id: 'n400',
+    name: 'N-400',
+    fullName: 'Application for Naturalization',
+    documents: [
+        'passport',
+        'green_card',
+        'tax_returns',
+        { type: 'marriage_certificate', requiredIf: { field: 'maritalStatus', equals: 'married' }, reason: 'You are married' },
+        { type: 'marriage_certificate', requiredIf: { field: 'eligibilityBasis', equals: '3years' }, reason: 'You are applying as the spouse of a U.S. citizen' },
+        { type: 'court_records', requiredIf: { field: 'criminalCharges', equals: 'yes' }, reason: 'You have been charged with a crime' }
+    ],
+    steps: [
+        {
+            id: 'step1',
+            title: 'Basic Info',
+            heading: 'Part 1 - Basic Information',
+            icon: 'fa-user',
+            fields: [
+                { id: 'lastName', label: 'Legal Name - Family Name / Last Name', reviewLabel: 'Family Name', type: 'text', required: true, half: true, placeholder: 'Enter your last name' },
+                { id: 'firstName', label: 'Given Name / First Name', reviewLabel: 'Given Name', type: 'text', required: true, half: true, placeholder: 'Enter your first name' },
+                { id: 'middleName', label: 'Middle Name (if any)', reviewLabel: 'Middle Name', type: 'text', half: true, placeholder: 'Enter middle name' },
+                { id: 'dob', label: 'Date of Birth', type: 'date', required: true, half: true, past: true },
+                { id: 'birthCountry', label: 'Country of Birth', type: 'select', required: true, half: true, options: FORM_OPTIONS.countries },
+                { id: 'nationality', label: 'Country of Nationality', type: 'select', required: true, half: true, options: FORM_OPTIONS.countries },
+                { id: 'aNumber', label: 'Alien Registration Number (A-Number) if available', reviewLabel: 'A-Number', type: 'anumber', half: true, placeholder: 'XXX-XXX-XXX' },
+                { id: 'lprDate', label: 'Date You Became a Lawful Permanent Resident', reviewLabel: 'Permanent Resident Since', type: 'date', half: true, past: true, requiredIf: { field: 'eligibilityBasis', in: ['5years', '3years'] } }
+            ]
+        },
+        {
+            id: 'step2',
+            title: 'Eligibility',
+            heading: 'Part 2 - Eligibility',
+            icon: 'fa-clipboard-check',
+            fields: [
+                {
+                    id: 'eligibilityBasis',
+                    label: 'I am applying for naturalization because (select one):',
+                    reviewLabel: 'Applying Basis',
+                    type: 'select',
+                    required: true,
+                    options: [
+                        { value: '5years', label: 'I have been a lawful permanent resident for at least 5 years' },
+                        { value: '3years', label: 'I have been a lawful permanent resident for at least 3 years and am married to a U.S. citizen' },
+                        { value: 'uscis', label: 'I am a U.S. citizen through parents and applying for naturalization' },
+                        { value: 'military', label: 'I am applying under the military provisions' }
+                    ]
+                },
+                { id: 'communistParty', label: 'Have you ever been a member of, or in any way associated with, any Communist or other totalitarian party?', reviewLabel: 'Communist Party Affiliation', type: 'select', required: true, options: FORM_OPTIONS.yesNo },
+                { id: 'criminalCharges', label: 'Have you ever been charged with a crime?', reviewLabel: 'Criminal Charges', type: 'select', required: true, options: FORM_OPTIONS.yesNo },
+                { id: 'criminalDetails', label: 'Provide details of any arrests or charges', reviewLabel: 'Criminal Details', type: 'textarea', rows: 3, placeholder: 'Provide details of any arrests or charges', showIf: { field: 'criminalCharges', equals: 'yes' }, requiredIf: { field: 'criminalCharges', equals: 'yes' } }
+            ]
+        },
+        {
+            id: 'step3',
+            title: 'Residence',
+            heading: 'Part 3 - Residence',
+            icon: 'fa-home',
+            fields: [
+                { id: 'currentAddress', label: 'Current Physical Address - Street Number and Name', reviewLabel: 'Current Address', type: 'text', required: true, placeholder: 'Enter street address' },
+                { id: 'currentCity', label: 'City', type: 'text', required: true, half: true, placeholder: 'City' },
+                { id: 'currentState', label: 'State', type: 'select', required: true, half: true, options: FORM_OPTIONS.states },
+                { id: 'currentZip', label: 'ZIP Code', type: 'zip', required: true, half: true, placeholder: 'XXXXX' },
+                { id: 'currentCounty', label: 'County', type: 'text', required: true, half: true, placeholder: 'County' },
+                { id: 'arrivalDate', label: 'Date of Arrival in the U.S.', type: 'date', past: true },
+                { id: 'tripsAbroad', label: 'During the last 5 years, have you taken any trip outside the United States that lasted 24 hours or longer?', reviewLabel: 'Trips Outside the U.S.', type: 'select', required: true, options: FORM_OPTIONS.yesNo },
+                { id: 'trips', label: 'Trips outside the United States during the last 5 years', reviewLabel: 'Trips', type: 'trips', showIf: { field: 'tripsAbroad', equals: 'yes' }, requiredIf: { field: 'tripsAbroad', equals: 'yes' } },
+                { id: 'countriesLived', label: 'List all countries where you have lived during the past 5 years:', reviewLabel: 'Countries Lived (Past 5 Years)', type: 'textarea', rows: 3, placeholder: 'List countries, cities, and dates' }
+            ]
+        },
+        {
+            id: 'step4',
+            title: 'Employment',
+            heading: 'Part 4 - Employment',
+            icon: 'fa-briefcase',
+            fields: [
+                { id: 'employer', label: 'Current Employer (or "None" if unemployed)', reviewLabel: 'Current Employer', type: 'text', placeholder: 'Employer name' },
+                { id: 'occupation', label: 'Occupation/Job Title', reviewLabel: 'Occupation', type: 'text', placeholder: 'Your job title' },
+                { id: 'employerAddress', label: 'Employer Address', type: 'text', placeholder: 'Street address' },
+                { id: 'employerStartDate', label: 'Start Date', type: 'date', half: true, past: true },
+                { id: 'employerEndDate', label: 'End Date (or "Present")', reviewLabel: 'End Date', type: 'text', half: true, placeholder: 'Present' },
+                { id: 'employmentHistory', label: 'List your employment for the past 5 years (include self-employment):', reviewLabel: 'Employment History', type: 'textarea', rows: 4, placeholder: 'List employer, address, position, and dates' }
+            ]
+        },
+        {
+            id: 'step5',
+            title: 'Family',
+            heading: 'Part 5 - Family Information',
+            icon: 'fa-users',
+            fields: [
+                { id: 'maritalStatus', label: 'Marital Status', type: 'select', required: true, options: FORM_OPTIONS.maritalStatus },
+                { id: 'spouseName', label: 'Spouse Full Name', type: 'text', placeholder: "Spouse's legal name", showIf: { field: 'maritalStatus', in: ['married', 'separated'] }, requiredIf: { field: 'maritalStatus', equals: 'married' } },
+                { id: 'spouseDob', label: 'Spouse Date of Birth', type: 'date', past: true, showIf: { field: 'maritalStatus', in: ['married', 'separated'] } },
+                {
+                    id: 'spouseBirthCountry',
+                    label: 'Spouse Country of Birth',
+                    type: 'select',
+                    showIf: { field: 'maritalStatus', in: ['married', 'separated'] },
+                    options: [
+                        { value: 'USA', label: 'United States' },
+                        { value: 'India', label: 'India' },
+                        { value: 'Other', label: 'Other' }
+                    ]
+                },
+                { id: 'marriageDate', label: 'Date of Marriage', type: 'date', past: true, showIf: { field: 'maritalStatus', in: ['married', 'separated'] }, requiredIf: { field: 'eligibilityBasis', equals: '3years' } },
+                { id: 'marriagePlace', label: 'Place of Marriage (City and Country)', type: 'text', placeholder: 'City, Country', showIf: { field: 'maritalStatus', in: ['married', 'separated'] } },
+                { id: 'previousSpouses', label: 'If previously married, provide information about previous spouse(s):', reviewLabel: 'Previous Spouses', type: 'textarea', rows: 3, placeholder: 'Name, date of birth, date and place of marriage, date and manner of termination' },
+                { id: 'childrenInfo', label: 'Children Information (if any):', reviewLabel: 'Children', type: 'textarea', rows: 3, placeholder: 'List all children with name, date of birth, and country of birth' }
+            ]
+        }
+    ],
+    checks: [
+        { rule: 'earliestFilingDate', path: 'n400', field: 'lprDate', when: { field: 'eligibilityBasis', in: ['5years', '3years'] }, message: 'You cannot file on this basis yet - see the eligibility summary on the review page for your earliest filing date.' },
+        { rule: 'yearsSince', field: 'dob', years: 18, message: 'You must be at least 18 years old to apply for naturalization.' },
+        { rule: 'dateAfter', field: 'marriageDate', after: 'dob', message: 'Date of marriage must be after your date of birth.' },
+        { rule: 'dateAfter', field: 'arrivalDate', after: 'dob', message: 'Date of arrival must be after your date of birth.' },
+        { rule: 'dateAfter', field: 'lprDate', after: 'dob', message: 'Permanent resident date must be after your date of birth.' },
+        { rule: 'equals', field: 'maritalStatus', value: 'married', when: { field: 'eligibilityBasis', equals: '3years' }, message: 'The 3-year basis requires that you are married to a U.S. citizen.' }
+    ]
+});
+
+FormRegistry.register({
+    id: 'i485',
+    name: 'I-485',
+    fullName: 'Adjustment of Status',
+    documents: [
+        'passport',
+        'birth_certificate',
+        'i94',
+        'i797',
+        'medical_exam',
+        'tax_returns',
+        { type: 'marriage_certificate', requiredIf: { field: 'maritalStatus', equals: 'married' }, reason: 'You are married' },
+        { type: 'court_records', requiredIf: { field: 'criminalCharges', equals: 'yes' }, reason: 'You have been charged with a crime' }
+    ],
+    steps: [
+        {
+            id: 'step1',
+            title: 'About You',
+            heading: 'Part 1 - Information About You',
+            icon: 'fa-user',
+            fields: [
+                { id: 'lastName', label: 'Family Name', type: 'text', required: true, half: true },
+                { id: 'firstName', label: 'Given Name', type: 'text', required: true, half: true },
+                { id: 'middleName', label: 'Middle Name', type: 'text', half: true },
+                { id: 'dob', label: 'Date of Birth', type: 'date', required: true, half: true, past: true },
+                { id: 'birthCountry', label: 'Country of Birth', type: 'select', required: true, half: true, options: FORM_OPTIONS.countries },
+                { id: 'nationality', label: 'Country of Nationality', type: 'select', required: true, half: true, options: FORM_OPTIONS.countries },
+                { id: 'aNumber', label: 'A-Number', type: 'anumber', half: true, placeholder: 'XXX-XXX-XXX' },
+                { id: 'i94Number', label: 'I-94 Record Number', type: 'text', required: true, half: true },
+                { id: 'lastArrivalDate', label: 'Date of Last Arrival', type: 'date', required: true, past: true }
+            ]
+        },
+        {
+            id: 'step2',
+            title: 'Application Type',
+            heading: 'Part 2 - Application Type',
+            icon: 'fa-clipboard-check',
+            fields: [
+                {
+                    id: 'applicationCategory',
+                    label: 'Immigrant Category',
+                    type: 'select',
+                    required: true,
+                    options: [
+                        { value: 'family', label: 'Family-based' },
+                        { value: 'employment', label: 'Employment-based' },
+                        { value: 'asylum', label: 'Asylee or refugee' },
+                        { value: 'other', label: 'Other' }
+                    ]
+                },
+                { id: 'underlyingReceiptNumber', label: 'Underlying Petition Receipt Number', type: 'receipt', half: true, placeholder: 'IOE0000000000', requiredIf: { field: 'applicationCategory', in: ['family', 'employment'] } },
+                { id: 'priorityDate', label: 'Priority Date', type: 'date', half: true, past: true }
+            ]
+        },
+        {
+            id: 'step3',
+            title: 'Address',
+            heading: 'Part 3 - Address',
+            icon: 'fa-home',
+            fields: [
+                { id: 'currentAddress', label: 'Street Address', type: 'text', required: true },
+                { id: 'currentCity', label: 'City', type: 'text', required: true, half: true },
+                { id: 'currentState', label: 'State', type: 'select', required: true, half: true, options: FORM_OPTIONS.states },
+                { id: 'currentZip', label: 'ZIP Code', type: 'zip', required: true, placeholder: 'XXXXX' }
+            ]
+        },
+        {
+            id: 'step4',
+            title: 'Family',
+            heading: 'Part 4 - Family Information',
+            icon: 'fa-users',
+            fields: [
+                { id: 'maritalStatus', label: 'Marital Status', type: 'select', required: true, options: FORM_OPTIONS.maritalStatus },
+                { id: 'spouseName', label: 'Spouse Name', type: 'text', showIf: { field: 'maritalStatus', in: ['married', 'separated'] }, requiredIf: { field: 'maritalStatus', equals: 'married' } },
+                { id: 'childrenInfo', label: 'Children', type: 'textarea', rows: 3 }
+            ]
+        },
+        {
+            id: 'step5',
+            title: 'Admissibility',
+            heading: 'Part 5 - Admissibility',
+            icon: 'fa-balance-scale',
+            fields: [
+                { id: 'criminalCharges', label: 'Have you ever been charged with a crime?', reviewLabel: 'Criminal Charges', type: 'select', required: true, options: FORM_OPTIONS.yesNo },
+                { id: 'criminalDetails', label: 'Provide details of any arrests or charges', reviewLabel: 'Criminal Details', type: 'textarea', rows: 3, showIf: { field: 'criminalCharges', equals: 'yes' }, requiredIf: { field: 'criminalCharges', equals: 'yes' } },
+                { id: 'immigrationViolations', label: 'Have you ever violated the terms of your immigration status?', reviewLabel: 'Immigration Violations', type: 'select', required: true, options: FORM_OPTIONS.yesNo }
+            ]
+        }
+    ],
+    checks: [
+        { rule: 'dateAfter', field: 'lastArrivalDate', after: 'dob', message: 'Date of last arrival must be after your date of birth.' }
+    ]
+});
+
+FormRegistry.register({
+    id: 'i130',
+    name: 'I-130',
+    fullName: 'Petition for Alien Relative',
+    documents: [
+        'passport',
+        'birth_certificate',
+        { type: 'marriage_certificate', requiredIf: { field: 'relationship', equals: 'spouse' }, reason: 'You are petitioning for your spouse' }
+    ],
+    steps: [
+        {
+            id: 'step1',
+            title: 'Relationship',
+            heading: 'Part 1 - Relationship',
+            icon: 'fa-people-arrows',
+            fields: [
+                {
+                    id: 'relationship',
+                    label: 'Relationship to Beneficiary',
+                    type: 'select',
+                    required: true,
+                    options: [
+                        { value: 'spouse', label: 'Spouse' },
+                        { value: 'parent', label: 'Parent' },
+                        { value: 'child', label: 'Child' },
+                        { value: 'sibling', label: 'Brother / Sister' }
+                    ]
+                },
+                {
+                    id: 'petitionerStatus',
+                    label: 'Petitioner Status',
+                    type: 'select',
+                    required: true,
+                    options: [
+                        { value: 'citizen', label: 'U.S. Citizen' },
+                        { value: 'lpr', label: 'Lawful Permanent Resident' }
+                    ]
+                }
+            ]
+        },
+        {
+            id: 'step2',
+            title: 'Petitioner',
+            heading: 'Part 2 - Information About You (Petitioner)',
+            icon: 'fa-user',
+            fields: [
+                { id: 'petitionerLastName', label: 'Petitioner Family Name', type: 'text', required: true, half: true },
+                { id: 'petitionerFirstName', label: 'Petitioner Given Name', type: 'text', required: true, half: true },
+                { id: 'petitionerDob', label: 'Petitioner Date of Birth', type: 'date', required: true, past: true },
+                { id: 'petitionerAddress', label: 'Petitioner Address', type: 'text', required: true }
+            ]
+        },
+        {
+            id: 'step3',
+            title: 'Beneficiary',
+            heading: 'Part 3 - Information About the Beneficiary',
+            icon: 'fa-user-friends',
+            fields: [
+                { id: 'beneficiaryLastName', label: 'Beneficiary Family Name', type: 'text', required: true, half: true },
+                { id: 'beneficiaryFirstName', label: 'Beneficiary Given Name', type: 'text', required: true, half: true },
+                { id: 'beneficiaryDob', label: 'Beneficiary Date of Birth', type: 'date', required: true, half: true, past: true },
+                { id: 'beneficiaryBirthCountry', label: 'Beneficiary Country of Birth', type: 'select', required: true, half: true, options: FORM_OPTIONS.countries },
+                { id: 'beneficiaryANumber', label: 'Beneficiary A-Number', type: 'anumber', placeholder: 'XXX-XXX-XXX' }
+            ]
+        },
+        {
+            id: 'step4',
+            title: 'Marriage',
+            heading: 'Part 4 - Marriage',
+            icon: 'fa-ring',
+            fields: [
+                { id: 'marriageDate', label: 'Date of Marriage', type: 'date', half: true, past: true, requiredIf: { field: 'relationship', equals: 'spouse' } },
+                { id: 'marriagePlace', label: 'Place of Marriage', type: 'text', half: true, requiredIf: { field: 'relationship', equals: 'spouse' } }
+            ]
+        }
+    ],
+    checks: [
+        { rule: 'equals', field: 'petitionerStatus', value: 'citizen', when: { field: 'relationship', in: ['parent', 'sibling'] }, message: 'Only U.S. citizens can petition for a parent or sibling.' }
+    ]
+});
+
+FormRegistry.register({
+    id: 'i140',
+    name: 'I-140',
+    fullName: 'Immigrant Petition for Alien Worker',
+    documents: ['passport', 'i797'],
+    steps: [
+        {
+            id: 'step1',
+            title: 'Employer',
+            heading: 'Part 1 - Information About the Employer',
+            icon: 'fa-building',
+            fields: [
+                { id: 'employerName', label: 'Employer Name', type: 'text', required: true },
+                { id: 'employerEin', label: 'Employer FEIN', type: 'text', required: true, placeholder: 'XX-XXXXXXX', pattern: '^\\d{2}-?\\d{7}$', patternMessage: 'Enter a 9-digit FEIN (XX-XXXXXXX).' },
+                { id: 'employerAddress', label: 'Employer Address', type: 'text', required: true }
+            ]
+        },
+        {
+            id: 'step2',
+            title: 'Classification',
+            heading: 'Part 2 - Petition Type',
+            icon: 'fa-clipboard-check',
+            fields: [
+                {
+                    id: 'classification',
+                    label: 'Petition Classification',
+                    type: 'select',
+                    required: true,
+                    options: [
+                        { value: 'eb1', label: 'EB-1' },
+                        { value: 'eb2', label: 'EB-2' },
+                        { value: 'eb3', label: 'EB-3' }
+                    ]
+                },
+                { id: 'permCaseNumber', label: 'PERM Case Number', type: 'text', requiredIf: { field: 'classification', in: ['eb2', 'eb3'] } }
+            ]
+        },
+        {
+            id: 'step3',
+            title: 'Beneficiary',
+            heading: 'Part 3 - Information About the Beneficiary',
+            icon: 'fa-user',
+            fields: [
+                { id: 'lastName', label: 'Family Name', type: 'text', required: true, half: true },
+                { id: 'firstName', label: 'Given Name', type: 'text', required: true, half: true },
+                { id: 'dob', label: 'Date of Birth', type: 'date', required: true, half: true, past: true },
+                { id: 'birthCountry', label: 'Country of Birth', type: 'select', required: true, half: true, options: FORM_OPTIONS.countries },
+                { id: 'aNumber', label: 'A-Number', type: 'anumber', placeholder: 'XXX-XXX-XXX' }
+            ]
+        },
+        {
+            id: 'step4',
+            title: 'Job Offer',
+            heading: 'Part 4 - Job Offer',
+            icon: 'fa-briefcase',
+            fields: [
+                { id: 'jobTitle', label: 'Job Title', type: 'text', required: true },
+                { id: 'socCode', label: 'SOC Code', type: 'text', half: true, placeholder: 'XX-XXXX' },
+                { id: 'offeredWage', label: 'Offered Wage (per year)', type: 'number', required: true, half: true }
+            ]
+        }
+    ]
+});
+
+FormRegistry.register({
+    id: 'i765',
+    name: 'I-765',
+    fullName: 'Application for Employment Authorization',
+    documents: ['passport', 'i94', 'i797'],
+    steps: [
+        {
+            id: 'step1',
+            title: 'Reason',
+            heading: 'Part 1 - Reason for Applying',
+            icon: 'fa-clipboard-check',
+            fields: [
+                {
+                    id: 'eadReason',
+                    label: 'I am applying for',
+                    type: 'select',
+                    required: true,
+                    options: [
+                        { value: 'initial', label: 'Initial permission to accept employment' },
+                        { value: 'replacement', label: 'Replacement of lost, stolen, or damaged card' },
+                        { value: 'renewal', label: 'Renewal of my permission to accept employment' }
+                    ]
+                },
+                { id: 'eligibilityCategory', label: 'Eligibility Category', type: 'text', required: true, placeholder: '(c)(9)', pattern: '^\\(?[a-z]\\)?\\s*\\(?\\d{1,2}\\)?(\\s*\\(?[a-z]+\\)?)?$', patternMessage: 'Enter a category such as (c)(9).' }
+            ]
+        },
+        {
+            id: 'step2',
+            title: 'About You',
+            heading: 'Part 2 - Information About You',
+            icon: 'fa-user',
+            fields: [
+                { id: 'lastName', label: 'Family Name', type: 'text', required: true, half: true },
+                { id: 'firstName', label: 'Given Name', type: 'text', required: true, half: true },
+                { id: 'dob', label: 'Date of Birth', type: 'date', required: true, half: true, past: true },
+                { id: 'birthCountry', label: 'Country of Birth', type: 'select', required: true, half: true, options: FORM_OPTIONS.countries },
+                { id: 'aNumber', label: 'A-Number', type: 'anumber', half: true, placeholder: 'XXX-XXX-XXX' },
+                { id: 'i94Number', label: 'I-94 Record Number', type: 'text', half: true }
+            ]
+        },
+        {
+            id: 'step3',
+            title: 'Address',
+            heading: 'Part 3 - Mailing Address',
+            icon: 'fa-home',
+            fields: [
+                { id: 'currentAddress', label: 'Street Address', type: 'text', required: true },
+                { id: 'currentCity', label: 'City', type: 'text', required: true, half: true },
+                { id: 'currentState', label: 'State', type: 'select', required: true, half: true, options: FORM_OPTIONS.states },
+                { id: 'currentZip', label: 'ZIP Code', type: 'zip', required: true, placeholder: 'XXXXX' }
+            ]
+        }
+    ]
+});
+
+FormRegistry.register({
+    id: 'i131',
+    name: 'I-131',
+    fullName: 'Application for Travel Document',
+    documents: ['passport', 'i94', 'i797'],
+    steps: [
+        {
+            id: 'step1',
+            title: 'Document Type',
+            heading: 'Part 1 - Application Type',
+            icon: 'fa-passport',
+            fields: [
+                {
+                    id: 'travelDocumentType',
+                    label: 'Travel Document Requested',
+                    type: 'select',
+                    required: true,
+                    options: [
+                        { value: 'reentry', label: 'Reentry Permit' },
+                        { value: 'refugee', label: 'Refugee Travel Document' },
+                        { value: 'advanceParole', label: 'Advance Parole Document' }
+                    ]
+                }
+            ]
+        },
+        {
+            id: 'step2',
+            title: 'About You',
+            heading: 'Part 2 - Information About You',
+            icon: 'fa-user',
+            fields: [
+                { id: 'lastName', label: 'Family Name', type: 'text', required: true, half: true },
+                { id: 'firstName', label: 'Given Name', type: 'text', required: true, half: true },
+                { id: 'dob', label: 'Date of Birth', type: 'date', required: true, half: true, past: true },
+                { id: 'birthCountry', label: 'Country of Birth', type: 'select', required: true, half: true, options: FORM_OPTIONS.countries },
+                { id: 'aNumber', label: 'A-Number', type: 'anumber', placeholder: 'XXX-XXX-XXX' }
+            ]
+        },
+        {
+            id: 'step3',
+            title: 'Trip',
+            heading: 'Part 3 - Proposed Travel',
+            icon: 'fa-plane',
+            fields: [
+                { id: 'intendedDepartureDate', label: 'Intended Departure Date', type: 'date', required: true, half: true },
+                { id: 'expectedTripLength', label: 'Expected Length of Trip (days)', type: 'number', required: true, half: true },
+                { id: 'countriesToVisit', label: 'Countries to Visit', type: 'text', required: true },
+                { id: 'tripPurpose', label: 'Purpose of Trip', type: 'textarea', required: true, rows: 3 }
+            ]
+        }
+    ],
+    checks: [
+        { rule: 'futureDate', field: 'intendedDepartureDate', message: 'Intended departure date must be in the future.' }
+    ]
+});
+
+// Export to global scope
+window.FormRegistry = FormRegistry;
@@ -0,0 +1,303 @@
+/**
+ * Visa Guide AI - Form Validator
+ * Runs the declarative rules in FormRegistry schemas: field types, required and
+ * conditional (showIf / requiredIf) fields, and cross-field checks such as
+ * years of residence since a date. Used by the wizard and the review page.
+ */
+
+const FormValidator = {
+    /**
+     * Type validators - return an error message (in the current language) or null
+     */
+    types: {
+        text: function() {
+            return null;
+        },
+
+        textarea: function() {
+            return null;
+        },
+
+        select: function(value, field) {
+            if (field.options && !field.options.some(option => option.value === value)) {
+                return I18n.t('forms.validation.option');
+            }
+            return null;
+        },
+
+        date: function(value, field) {
+            const date = FormValidator.parseDate(value);
+            if (!date) {
+                return I18n.t('forms.validation.date');
+            }
+            if (field.past && date > FormValidator.today()) {
+                return I18n.t('forms.validation.future');
+            }
+            return null;
+        },
+
+        anumber: function(value) {
+            const digits = String(value).replace(/[\s-]/g, '');
+            if (!/^A?\d{7,9}$/i.test(digits)) {
+                return I18n.t('forms.validation.anumber');
+            }
+            return null;
+        },
+
+        zip: function(value) {
+            if (!/^\d{5}(-\d{4})?$/.test(String(value).trim())) {
+                return I18n.t('forms.validation.zip');
+            }
+            return null;
+        },
+
+        receipt: function(value) {
+            const receipt = String(value).replace(/[\s-]/g, '');
+            if (!/^[A-Z]{3}\d{10}$/i.test(receipt)) {
+                return I18n.t('forms.validation.receipt');
+            }
+            return null;
+        },
+
+        number: function(value) {
+            const number = Number(value);
+            if (String(value).trim() === '' || !isFinite(number) || number < 0) {
+                return I18n.t('forms.validation.number');
+            }
+            return null;
+        }
+    },
+
+    /**
+     * Cross-field rules - return true when the check passes.
+     * A rule whose fields are still empty passes; required checks cover those.
+     */
+    rules: {
+        // values[field] is at least `years` years ago
+        yearsSince: function(check, values) {
+            const date = FormValidator.parseDate(values[check.field]);
+            if (!date) return true;
+
+            const anniversary = new Date(date);
+            anniversary.setFullYear(anniversary.getFullYear() + check.years);
+            return anniversary <= FormValidator.today();
+        },
+
+        // values[field] is later than values[after]
+        dateAfter: function(check, values) {
+            const date = FormValidator.parseDate(values[check.field]);
+            const after = FormValidator.parseDate(values[check.after]);
+            if (!date || !after) return true;
+
+            return date > after;
+        },
+
+        // values[field] is today or later
+        futureDate: function(check, values) {
+            const date = FormValidator.parseDate(values[check.field]);
+            if (!date) return true;
+
+            return date >= FormValidator.today();
+        },
+
+        // values[field] has a given value
+        equals: function(check, values) {
+            if (FormValidator.isEmpty(values[check.field])) return true;
+
+            return values[check.field] === check.value;
+        }
+    },
+
+    /**
+     * Register a field type validator
+     * @param {string} name - Type name used in schemas
+     * @param {Function} validate - (value, field, values) => message | null
+     */
+    addType: function(name, validate) {
+        this.types[name] = validate;
+    },
+
+    /**
+     * Register a cross-field rule
+     * @param {string} name - Rule name used in schema checks
+     * @param {Function} test - (check, values) => boolean
+     */
+    addRule: function(name, test) {
+        this.rules[name] = test;
+    },
+
+    /**
+     * Validate one step of a form
+     * @param {string} formId - Registered form id
+     * @param {string} stepId - Step id (e.g. 'step2')
+     * @param {Object} data - Form data by step, as from FormRegistry.collectData
+     * @returns {Object} - { valid, errors: [{ field, step, message }] }
+     */
+    validateStep: function(formId, stepId, data) {
+        const values = this.flatten(data);
+        const fields = FormRegistry.getFields(formId).filter(field => field.step === stepId);
+
+        const errors = this._validateFields(fields, values)
+            .concat(this._runChecks(formId, values, fields.map(field => field.id)));
+
+        return { valid: errors.length === 0, errors: errors };
+    },
+
+    /**
+     * Validate a whole form, including every cross-field check
+     * @param {string} formId - Registered form id
+     * @param {Object} data - Form data by step
+     * @returns {Object} - { valid, errors: [{ field, step, message }] }
+     */
+    validateForm: function(formId, data) {
+        const values = this.flatten(data);
+
+        const errors = this._validateFields(FormRegistry.getFields(formId), values)
+            .concat(this._runChecks(formId, values, null));
+
+        return { valid: errors.length === 0, errors: errors };
+    },
+
+    /**
+     * Validate a single field value
+     * @param {Object} field - Field definition (from FormRegistry.getFields)
+     * @param {Object} values - All form values by field id
+     * @returns {string|null} - Error message or null
+     */
+    validateField: function(field, values) {
+        if (!this.isVisible(field, values)) return null;
+
+        const value = values[field.id];
+        if (this.isEmpty(value)) {
+            return this.isRequired(field, values) ? I18n.t('forms.validation.required') : null;
+        }
+
+        const validateType = this.types[field.type || 'text'];
+        if (validateType) {
+            const message = validateType(value, field, values);
+            if (message) return message;
+        }
+
+        if (field.pattern && !new RegExp(field.pattern, 'i').test(String(value).trim())) {
+            return field.patternMessage
+                ? FormRegistry.text(field.form, field.id + '.pattern', field.patternMessage)
+                : I18n.t('forms.validation.format');
+        }
+
+        return null;
+    },
+
+    /**
+     * Whether a field is shown for the current answers
+     */
+    isVisible: function(field, values) {
+        return !field.showIf || this.matches(field.showIf, values);
+    },
+
+    /**
+     * Whether a field must be filled for the current answers
+     */
+    isRequired: function(field, values) {
+        return !!field.required || (!!field.requiredIf && this.matches(field.requiredIf, values));
+    },
+
+    /**
+     * Evaluate a schema condition: { field, equals } | { field, in: [] } | { field, notEmpty: true },
+     * or an array of conditions that must all match
+     */
+    matches: function(condition, values) {
+        if (Array.isArray(condition)) {
+            return condition.every(c => this.matches(c, values));
+        }
+
+        const value = values[condition.field];
+        if (Object.prototype.hasOwnProperty.call(condition, 'equals')) {
+            return value === condition.equals;
+        }
+        if (Array.isArray(condition.in)) {
+            return condition.in.includes(value);
+        }
+        if (condition.notEmpty) {
+            return !this.isEmpty(value);
+        }
+        return false;
+    },
+
+    /**
+     * Flatten { <step>: { <field>: value } } into { <field>: value }
+     */
+    flatten: function(data) {
+        const values = {};
+        Object.values(data || {}).forEach(stepData => {
+            if (stepData && typeof stepData === 'object') {
+                Object.assign(values, stepData);
+            }
+        });
+        return values;
+    },
+
+    isEmpty: function(value) {
+        return value === undefined || value === null || String(value).trim() === '';
+    },
+
+    /**
+     * Parse a YYYY-MM-DD input value as a local date
+     * @returns {Date|null}
+     */
+    parseDate: function(value) {
+        if (this.isEmpty(value)) return null;
+
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(value + 'T00:00:00') : new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    },
+
+    today: function() {
+        const now = new Date();
+        return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    },
+
+    // ============ PRIVATE ============
+
+    _validateFields: function(fields, values) {
+        const errors = [];
+        fields.forEach(field => {
+            const message = this.validateField(field, values);
+            if (message) {
+                errors.push({ field: field.id, step: field.step, message: message });
+            }
+        });
+        return errors;
+    },
+
+    /**
+     * Run the form's cross-field checks; onlyFields limits them to checks on those fields
+     */
+    _runChecks: function(formId, values, onlyFields) {
+        const schema = FormRegistry.get(formId);
+        const errors = [];
+        if (!schema || !schema.checks) return errors;
+
+        schema.checks.forEach(check => {
+            if (onlyFields && !onlyFields.includes(check.field)) return;
+            if (check.when && !this.matches(check.when, values)) return;
+
+            const rule = this.rules[check.rule];
+            if (!rule) {
+                console.warn('Unknown form check rule:', check.rule);
+                return;
+            }
+
+            const field = FormRegistry.getField(formId, check.field);
+            if (field && !this.isVisible(field, values)) return;
+
+            if (!rule(check, values)) {
+                const message = FormRegistry.text(formId, 'check.' + check.field + '.' + check.rule, check.message);
+                errors.push({ field: check.field, step: field ? field.step : null, message: message });
+            }
+        });
+        return errors;
+    }
+};
+
+// Export to global scope
+window.FormValidator = FormValidator;
@@ -0,0 +1,4126 @@
+/**
+ * Visa Guide AI - Translation Catalogs
+ * UI strings for every locale in I18n.LOCALES (see i18n.js), grouped by page.
+ * Keys are 'page.section.name'; {name} placeholders are filled by I18n.t(key, params).
+ * A key missing from a locale falls back to English, so add new keys to `en` first.
+ *
+ * USCIS form names, knowledge base passages and civics questions stay in English - they
+ * match the official forms and the English-language test. Form field labels, options and
+ * checks are translated in each locale's FORM SCHEMAS section ('schema.*', read through
+ * FormRegistry.text); `en` has none of those keys since the schema itself is the English.
+ */
+
+const I18N_MESSAGES = {
+    en: {
+        // ============ COMMON ============
+        'common.language': 'Language',
+        'common.toggleTheme': 'Toggle dark mode',
+        'common.logout': 'Logout',
+        'common.settings': 'Settings',
+        'common.profile': 'My Profile',
+        'common.billing': 'Billing',
+        'common.account': 'Account',
+        'common.backendLocal': 'Saved on this device only - changes are not synced to the cloud',
+        'common.backendOther': 'Saving to a test backend - changes do not reach the cloud',
+        'common.upgradeNow': 'Upgrade Now',
+        'common.maybeLater': 'Maybe Later',
+        'common.continue': 'Continue',
+        'common.yourProgress': 'Your Progress',
+        'common.upcomingDeadlines': 'Upcoming Deadlines',
+        'common.notifications': 'Notifications',
+        'common.clearAll': 'Clear all',
+        'common.markAllRead': 'Mark all as read',
+        'common.noNotifications': 'No notifications',
+        'nav.dashboard': 'Dashboard',
+        'nav.roadmap': 'Roadmap',
+        'nav.myRoadmap': 'My Roadmap',
+        'nav.forms': 'Forms',
+        'nav.chat': 'Chat',
+        'nav.interview': 'Interview',
+        'nav.resources': 'Resources',
+        'nav.civics': 'Civics',
+        'nav.assistant': 'AI Assistant',
+        'nav.formsCenter': 'Forms Center',
+        'nav.civicsPrep': 'Civics Prep',
+        'nav.taskList': 'Task List',
+        'nav.myDocuments': 'My Documents',
+        'nav.calendar': 'Calendar',
+
+        // ============ AUTH ============
+        'auth.tagline': 'Your Smart Path to U.S. Immigration',
+        'auth.intro': 'Join thousands who trust Visa Guide AI for their immigration journey. Get personalized guidance, track your progress, and never miss a deadline.',
+        'auth.feature.eligibility': 'AI-powered eligibility checks',
+        'auth.feature.checklists': 'Personalized document checklists',
+        'auth.feature.interview': 'Mock interview preparation',
+        'auth.feature.deadlines': 'Deadline tracking & alerts',
+        'auth.feature.civics': 'Civics test practice',
+        'auth.feature.priority': 'Priority date predictions',
+        'auth.signIn': 'Sign In',
+        'auth.createAccount': 'Create Account',
+        'auth.email': 'Email Address',
+        'auth.emailPlaceholder': 'Enter your email',
+        'auth.password': 'Password',
+        'auth.passwordPlaceholder': 'Enter your password',
+        'auth.rememberMe': 'Remember me',
+        'auth.forgotPassword': 'Forgot password?',
+        'auth.orContinue': 'or continue with',
+        'auth.noAccount': 'Don\'t have an account?',
+        'auth.signUpFree': 'Sign up for free',
+        'auth.firstName': 'First Name',
+        'auth.lastName': 'Last Name',
+        'auth.phone': 'Phone Number (Optional)',
+        'auth.createPassword': 'Create a strong password',
+        'auth.passwordHint': 'Must be at least 8 characters with numbers and special characters',
+        'auth.confirmPassword': 'Confirm Password',
+        'auth.confirmPlaceholder': 'Confirm your password',
+        'auth.interest': 'I am interested in:',
+        'auth.interestPlaceholder': 'Select your interest...',
+        'auth.newsletter': 'Send me immigration updates and tips (unsubscribe anytime)',
+        'auth.createFree': 'Create My Free Account',
+        'auth.haveAccount': 'Already have an account?',
+        'auth.signInLink': 'Sign in',
+        'auth.welcome': 'Welcome!',
+        'auth.accountCreated': 'Your account has been created successfully.',
+        'auth.pleaseWait': 'Please wait...',
+        'auth.signingIn': 'Signing in...',
+        'auth.creatingAccount': 'Creating account...',
+        'auth.connecting': 'Connecting...',
+        'auth.loginSuccess': 'Login successful! Redirecting to dashboard...',
+        'auth.error.loginFailed': 'Login failed. Please try again.',
+        'auth.error.wrongPassword': 'Incorrect password. Please check your password and try again.',
+        'auth.error.userNotFound': 'No account found with this email. Please create a new account.',
+        'auth.error.tooManyRequests': 'Too many failed attempts. Please wait a few minutes and try again.',
+        'auth.error.network': 'Network error. Please check your internet connection and try again.',
+        'auth.error.occurred': 'An error occurred: {message}',
+        'auth.error.tryAgain': 'An error occurred. Please try again.',
+        'auth.error.passwordMismatch': 'Passwords do not match. Please try again.',
+        'auth.error.passwordShort': 'Password must be at least 8 characters long.',
+        'auth.error.registration': 'Registration failed. Please try again.',
+        'auth.created.loggingIn': 'Account created! Logging you in...',
+        'auth.created.canLogIn': 'Account created! You can now log in.',
+        'auth.created.pleaseLogIn': 'Account created! Please log in with your credentials.',
+        'auth.enterEmailFirst': 'Please enter your email address first.',
+        'auth.resetSent': 'Password reset email sent! Check your inbox.',
+        'auth.error.resetFailed': 'Failed to send reset email.',
+
+        // ============ DASHBOARD ============
+        'dashboard.welcomeBack': 'Welcome back, {name}!',
+        'dashboard.subtitle': 'Here\'s an overview of your immigration journey',
+        'dashboard.overallProgress': 'Overall Progress',
+        'dashboard.toolsResources': 'Tools & Resources',
+        'dashboard.myVisaType': 'My Visa Type',
+        'dashboard.upgradeTitle': 'Upgrade to Pro for Priority Processing',
+        'dashboard.upgradeText': 'Get AI document review, unlimited mock interviews, and deadline alerts',
+        'dashboard.viewRoadmap': 'View Roadmap',
+        'dashboard.checkDocuments': 'Check Documents',
+        'dashboard.stepsCompleted': 'Steps Completed',
+        'dashboard.nextDeadline': 'Next Deadline',
+        'dashboard.documentsReady': 'Documents Ready',
+        'dashboard.sincePriorityDate': 'Since Priority Date',
+        'dashboard.eligibilityCheck': 'Eligibility Check',
+        'dashboard.uploadDocuments': 'Upload Documents',
+        'dashboard.mockInterview': 'Mock Interview',
+        'dashboard.civicsPractice': 'Civics Practice',
+        'dashboard.yourEligibility': 'Your Eligibility',
+        'dashboard.updateAnswers': 'Update Answers →',
+        'dashboard.civicsReadiness': 'Civics Test Readiness',
+        'dashboard.practiceCivics': 'Practice Now →',
+        'dashboard.civicsEmpty': 'Practice a few civics questions to see how ready you are for the test.',
+        'dashboard.passChance': 'Chance of passing today',
+        'dashboard.civicsRules': '{name} · {passAt} of {asked} to pass',
+        'dashboard.civicsStreak': '{count}-day streak',
+        'dashboard.civicsStudied': '{studied} of {total} questions studied',
+        'dashboard.civicsFocus': 'Focus on',
+        'dashboard.civicsAccuracy': '{percent}% correct',
+        'dashboard.civicsNotStudied': 'Not studied yet',
+        'dashboard.documentChecklist': 'Document Checklist',
+        'dashboard.manageDocuments': 'Manage Documents →',
+        'dashboard.documentsEmpty': 'Start a form in the Forms Center to see which documents it needs.',
+        'dashboard.documentsFormReady': '{ready} of {total} ready',
+        'dashboard.documentsAllReady': 'Every document this form needs is uploaded.',
+        'dashboard.docExpired': 'expired',
+        'dashboard.docPartial': '{uploaded} of {needed} files',
+        'dashboard.deadline.expired': '{document} has expired',
+        'dashboard.deadline.renew': 'Renew your {document}',
+        'dashboard.deadline.expiring': '{document} expires soon',
+        'dashboard.deadline.expiredOn': 'Expired: {date}',
+        'dashboard.deadline.actBy': 'Act by: {date} ({days} days)',
+        'dashboard.deadline.overdue': 'Was due: {date} ({days} days ago)',
+        'dashboard.deadline.urgent': 'Urgent',
+        'dashboard.deadline.soon': 'Soon',
+        'dashboard.deadline.update': 'Update document',
+        'dashboard.alert.title': 'Document Expiration:',
+        'dashboard.alert.inDays': 'In {days} days',
+        'dashboard.alert.today': 'Today',
+        'dashboard.alert.overdue': '{days} days overdue',
+        'dashboard.yourRoadmap': 'Your Immigration Roadmap',
+        'dashboard.viewTimeline': 'View Full Timeline →',
+        'dashboard.recentActivity': 'Recent Activity',
+        'eligibility.status.eligible': 'Eligible to file',
+        'eligibility.status.review': 'Eligible - needs review',
+        'eligibility.status.not-yet': 'Not yet eligible',
+        'eligibility.status.ineligible': 'Not eligible',
+        'eligibility.status.incomplete': 'More information needed',
+
+        // ============ CIVICS ============
+        'civics.mastered': 'Mastered',
+        'civics.learned': 'Learned',
+        'civics.remaining': 'Remaining',
+        'civics.focusAreas': 'Focus Areas',
+        'civics.focusEmpty': 'Answer a few questions to see which categories need the most work.',
+        'civics.categoryProgress': '{percent}% toward mastery - {studied} of {total} studied',
+        'civics.studyModes': 'Study Modes',
+        'civics.dueToday': 'Due Today',
+        'civics.dueCount': '{count} due',
+        'civics.practiceMode': 'Practice Mode',
+        'civics.learnAsYouGo': 'Learn as you go',
+        'civics.quizMode': 'Quiz Mode',
+        'civics.tenQuestions': '10 questions',
+        'civics.quickReview': 'Quick Review',
+        'civics.fiveRandom': '5 random',
+        'civics.fullTest': 'Full Test',
+        'civics.todaysProgress': 'Today\'s Progress',
+        'civics.questions': 'Questions',
+        'civics.accuracy': 'Accuracy',
+        'civics.dayStreak': 'Day Streak',
+        'civics.timeSpent': 'Time Spent',
+        'civics.title': 'U.S. Civics Test Preparation',
+        'civics.subtitle': 'Practice with the 100 official civics questions for the naturalization test',
+        'civics.questionsLearned': 'Questions Learned',
+        'civics.needsReview': 'Needs Review',
+        'civics.notLearned': 'Not Learned',
+        'civics.answeredToday': 'Answered Today',
+        'civics.welcome': 'Welcome to Civics Practice!',
+        'civics.choose': 'Choose how you want to practice today',
+        'civics.practice': 'Practice',
+        'civics.learnAtYourPace': 'Learn at your pace',
+        'civics.takeQuiz': 'Take Quiz',
+        'civics.tenRandom': '10 random questions',
+        'civics.fiveRandomQuestions': '5 random questions',
+        'civics.allCount': 'All {count} questions',
+        'civics.audio': 'Civics Question Audio',
+        'civics.markForReview': 'Mark for review',
+        'civics.playAudio': 'Play audio',
+        'civics.questionOf': 'Question {number} of {total}',
+        'civics.previous': 'Previous',
+        'civics.next': 'Next',
+        'civics.finish': 'Finish',
+        'civics.correct': 'Correct! Well done.',
+        'civics.incorrect': 'Incorrect. The correct answer is {answer}.',
+        'civics.explanation': 'Explanation:',
+        'civics.explanationText': 'This question is about {category}. The correct answer is {answer}.',
+        'civics.markedForReview': 'Question marked for review',
+        'civics.nextReview': 'Next review: {date}',
+        'civics.nothingDue': 'Nothing is due today - come back tomorrow or keep practicing.',
+        'civics.interview': 'Interview',
+        'civics.interviewInfo': 'Answer like the real test',
+        'civics.interview.title': 'Civics Interview',
+        'civics.interview.intro': 'The officer asks each question aloud and you answer in your own words. Type your answer or use the microphone.',
+        'civics.interview.version': 'Test version',
+        'civics.settings.category': 'Category',
+        'civics.settings.allCategories': 'All categories',
+        'civics.settings.senior': '65/20 questions only',
+        'civics.settings.seniorNote': 'For applicants 65 or older with 20 years as a permanent resident: {asked} questions from this list, {passAt} correct to pass.',
+        'civics.settings.seniorUnavailable': 'The 65/20 questions for this version are not available yet.',
+        'civics.english.reading': 'Reading Test',
+        'civics.english.writing': 'Writing Test',
+        'civics.english.readingInfo': 'Read a sentence aloud',
+        'civics.english.writingInfo': 'Write the sentence you hear',
+        'civics.english.readingTitle': 'English Reading Test',
+        'civics.english.writingTitle': 'English Writing Test',
+        'civics.english.readingIntro': 'The officer shows you a sentence and you read it aloud. Use the microphone and read the whole sentence. You may skip or mispronounce a short word, but every other word must be read.',
+        'civics.english.writingIntro': 'The officer reads a sentence aloud and you write it down. Small spelling, capitalization and punctuation mistakes are accepted as long as the meaning stays the same, but no word may be missing or changed.',
+        'civics.english.rules': 'Up to {asked} sentences. You pass as soon as you get {passAt} right.',
+        'civics.english.start': 'Start Test',
+        'civics.english.end': 'End Test',
+        'civics.english.next': 'Next Sentence',
+        'civics.english.sentenceOf': 'Sentence {number} of up to {total}',
+        'civics.english.listen': 'Hear the sentence again',
+        'civics.english.read': 'Read aloud',
+        'civics.english.readPlaceholder': 'Tap the microphone and read the sentence',
+        'civics.english.writePlaceholder': 'Write the sentence in English',
+        'civics.english.listenPrompt': 'Listen to the sentence and write it below.',
+        'civics.english.noSpeech': 'Reading aloud needs speech recognition, which this browser does not support. You can type the sentence as you read it instead.',
+        'civics.english.youRead': 'You read:',
+        'civics.english.youWrote': 'You wrote:',
+        'civics.english.minorCase': 'Capitalization - accepted',
+        'civics.english.minorSpelling': 'Small spelling mistake - accepted',
+        'civics.english.minorSound': 'Heard slightly differently - accepted',
+        'civics.english.optionalWord': 'Short word left out - accepted',
+        'civics.english.missedWord': 'Missing or different word',
+        'civics.english.changedMeaning': '"{words}" changes the meaning',
+        'civics.english.passedReading': 'You passed the reading test',
+        'civics.english.failedReading': 'You did not pass the reading test',
+        'civics.english.passedWriting': 'You passed the writing test',
+        'civics.english.failedWriting': 'You did not pass the writing test',
+        'civics.english.resultText': '{correct} of {asked} sentences correct.',
+        'civics.english.failedNote': 'You would be retested on this part 60 to 90 days after your interview.',
+        'civics.english.history': 'Past Tests',
+        'civics.english.noHistory': 'No tests yet',
+        'civics.interview.filedBefore': '{name} - applications filed before {date}',
+        'civics.interview.filedFrom': '{name} - applications filed on or after {date}',
+        'civics.interview.rules': 'Up to {asked} questions. You pass with {passAt} correct answers - the officer stops as soon as you pass or can no longer pass.',
+        'civics.interview.englishNote': 'The civics test is given in English, so the questions and your answers are in English.',
+        'civics.interview.start': 'Start Interview',
+        'civics.interview.back': 'Back',
+        'civics.interview.end': 'End Interview',
+        'civics.interview.history': 'Past Interviews',
+        'civics.interview.noHistory': 'No interviews yet',
+        'civics.interview.historyScore': '{correct} of {asked} correct',
+        'civics.interview.pass': 'Passed',
+        'civics.interview.fail': 'Not passed',
+        'civics.interview.questionOf': 'Question {number} of up to {total}',
+        'civics.interview.score': '{correct} correct · {incorrect} incorrect',
+        'civics.interview.listen': 'Hear the question again',
+        'civics.interview.placeholder': 'Type your answer in English',
+        'civics.interview.speak': 'Answer by voice',
+        'civics.interview.listening': 'Listening...',
+        'civics.interview.noSpeech': 'Voice answers are not supported in this browser. Please type your answer.',
+        'civics.interview.submit': 'Answer',
+        'civics.interview.next': 'Next Question',
+        'civics.interview.finish': 'See Result',
+        'civics.interview.correct': 'Correct',
+        'civics.interview.incorrect': 'Not correct',
+        'civics.interview.needed': '{matched} of the {count} answers needed',
+        'civics.interview.yourAnswer': 'Your answer:',
+        'civics.interview.acceptable': 'Acceptable answers:',
+        'civics.interview.passed': 'You passed the civics test',
+        'civics.interview.failed': 'You did not pass the civics test',
+        'civics.interview.passedText': 'You answered {correct} of {asked} questions correctly. The officer would now move on to the rest of your interview.',
+        'civics.interview.failedText': 'You answered {correct} of {asked} questions correctly and needed {passAt}. You would be retested on the civics test 60 to 90 days after this interview.',
+        'civics.interview.localAnswers': 'Questions about your senators, representative, governor and capital are answered for {state}.',
+        'civics.interview.localHint': 'Choose your state under Your State to also be asked about your senators, representative, governor and state capital.',
+        'civics.location.title': 'Your State',
+        'civics.location.choose': 'Choose your state',
+        'civics.location.fromN400': 'From the home address on your N-400',
+        'civics.location.chosen': 'Chosen here',
+        'civics.location.none': 'Choose your state to practice the questions about your senators, governor and state capital.',
+        'civics.location.representative': 'Your U.S. Representative depends on your congressional district.',
+        'civics.location.lookup': 'Look it up by ZIP code',
+        'civics.location.representativePlaceholder': 'Your representative\'s name',
+        'civics.location.asOf': 'Officeholders as of {date}',
+        'civics.location.outOfDate': 'Officeholder answers were last checked on {date} and may be out of date. Check the current officials before your interview.',
+        'civics.location.check': 'Check at USA.gov',
+        'civics.excellent': 'Excellent!',
+        'civics.goodJob': 'Good Job!',
+        'civics.keepPracticing': 'Keep Practicing!',
+        'civics.resultStats': 'You got {correct} out of {total} questions correct',
+        'civics.reviewAnswers': 'Review Answers',
+        'civics.tryAgain': 'Try Again',
+
+        // ============ CHATBOT ============
+        'chat.topics': 'Chat Topics',
+        'chat.topic.general': 'General Questions',
+        'chat.topic.eligibility': 'Eligibility Check',
+        'chat.topic.documents': 'Document Help',
+        'chat.topic.interview': 'Interview Prep',
+        'chat.topic.forms': 'Forms Guidance',
+        'chat.topic.deadlines': 'Deadlines',
+        'chat.conversations': 'Conversations',
+        'chat.newConversation': 'New conversation',
+        'chat.searchHistory': 'Search past messages...',
+        'chat.noThreads': 'No saved conversations yet',
+        'chat.noTopicThreads': 'No saved {topic} conversations yet',
+        'chat.noMatches': 'No messages match "{query}"',
+        'chat.threadMeta': '{count} messages - {time}',
+        'chat.quickPrompts': 'Quick Prompts',
+        'chat.prompt.renewH1b': 'How do I renew my H-1B?',
+        'chat.prompt.i485Docs': 'Documents for I-485?',
+        'chat.prompt.eb3India': 'EB-3 India prediction',
+        'chat.prompt.h1bTransfer': 'H-1B transfer process',
+        'chat.yourProfile': 'Your Profile',
+        'chat.visaType': 'Visa Type',
+        'chat.country': 'Country',
+        'chat.priorityDate': 'Priority Date',
+        'chat.currentStatus': 'Current Status',
+        'chat.unlockVoice': 'Unlock Voice Mode',
+        'chat.unlockVoiceText': 'Upgrade to Pro for voice-to-voice conversations',
+        'chat.online': 'Online',
+        'chat.modelInfo': 'AI Model: Immigration Expert v2.0',
+        'chat.exportMarkdown': 'Export conversation as Markdown',
+        'chat.exportPdf': 'Export conversation as PDF',
+        'chat.deleteConversation': 'Delete conversation',
+        'chat.viewTranscript': 'View transcript',
+        'chat.voiceMode': 'Voice conversation mode',
+        'chat.voice': 'Voice',
+        'chat.toggleSpeech': 'Toggle speech on/off',
+        'chat.welcome': 'Hello! I am your Visa Guide AI assistant. How can I help you today with your immigration journey?',
+        'chat.welcomeName': 'Hello {name}! I am your Visa Guide AI assistant. How can I help you today with your immigration journey?',
+        'chat.quick.eligibility': 'Check green card eligibility',
+        'chat.quick.h1bStamping': 'H-1B stamping documents',
+        'chat.quick.eb3Timeline': 'EB-3 India timeline',
+        'chat.quick.n400Docs': 'N-400 documents',
+        'chat.justNow': 'Just now',
+        'chat.you': 'You',
+        'chat.attachFile': 'Attach file',
+        'chat.voiceInput': 'Voice input',
+        'chat.inputPlaceholder': 'Type your question here...',
+        'chat.encrypted': 'Your conversations are encrypted and private',
+        'chat.relatedResources': 'Related Resources',
+        'chat.resource.h1bTransfer.title': 'H-1B Transfer Timeline',
+        'chat.resource.h1bTransfer.text': 'Step-by-step process with deadlines',
+        'chat.resource.premium.title': 'Premium Processing',
+        'chat.resource.premium.text': 'Requirements and costs for expedited processing',
+        'chat.resource.i485.title': 'I-485 Checklist',
+        'chat.resource.i485.text': 'Complete document list for adjustment of status',
+        'chat.resource.rfe.title': 'RFE Strategies',
+        'chat.resource.rfe.text': 'How to respond to Requests for Evidence',
+        'chat.noForms': 'No forms started yet',
+        'chat.averageCompletion': 'Average completion of your {forms}',
+        'chat.noDeadlines': 'No upcoming deadlines',
+        'chat.daysRemaining': '{date} - {days} days remaining',
+        'chat.voiceModeTitle': 'Voice Mode',
+        'chat.voiceModeText': 'Upgrade to Pro for hands-free voice conversations',
+        'chat.upgradePrice': 'Upgrade - $29/mo',
+        'chat.liveTranscript': 'Live Transcript',
+        'chat.transcriptEmpty': 'Voice transcript will appear here',
+        'chat.youSaid': 'You said:',
+        'chat.aiResponded': 'AI responded:',
+        'chat.listening': 'Listening...',
+        'chat.speakNow': 'Speak now',
+        'chat.processing': 'Processing...',
+        'chat.stopListening': 'Stop Listening',
+        'chat.upgradeTitle': 'Upgrade to Pro',
+        'chat.upgradeText': 'Unlock voice-to-voice chat and premium features',
+        'chat.feature.voice': 'Unlimited voice conversations',
+        'chat.feature.review': 'AI document review (50/month)',
+        'chat.feature.interviews': 'Unlimited mock interviews',
+        'chat.feature.predictions': 'Priority date predictions',
+        'chat.pricePerMonth': '$29/month',
+        'chat.error': 'Sorry, something went wrong. Please try again.',
+        'chat.voiceError': 'Voice recognition error: {error}',
+        'chat.voiceUnsupported': 'Voice input is not supported in your browser. Please try Chrome, Edge, or Safari.',
+        'chat.speechOn': 'Voice responses enabled',
+        'chat.speechOff': 'Voice responses disabled',
+        'chat.switchedTopic': 'Switched to {topic} mode. How can I help you?',
+        'chat.cleared': 'Chat cleared! How can I help you today?',
+        'chat.howCanIHelp': 'How can I help you today?',
+        'chat.newTopicConversation': 'New {topic} conversation. How can I help you?',
+        'chat.confirmDelete': 'Delete "{title}"? This cannot be undone.',
+        'chat.adoptLocal': 'Add the {count} conversation(s) saved on this device while signed out to your account? Choose Cancel to keep them on this device only.',
+        'sync.adoptLocal': 'This device has answers saved while no one was signed in. Add them to your account? Choose Cancel if they are someone else\'s - they stay on this device.',
+        'chat.exportEmpty': 'Start a conversation to export it.',
+        'chat.exportPdfLost': 'The PDF uses a font with Latin letters only, so some characters show as "?". Export as Markdown to keep the full text.',
+        'chat.sources': 'Sources',
+        'chat.lastReviewed': 'Last reviewed {date}',
+        'chat.unknownDate': 'unknown',
+        'chat.mayBeOutdated': '(may be out of date - check the source)',
+        'chat.englishOnly': 'This answer is only available in English.',
+        'chat.link.forms': 'Go to Forms Center',
+        'chat.link.dashboard': 'View My Dashboard',
+        'chat.link.civics': 'Start Civics Practice',
+        'chat.reply.greeting': 'Hello {name}! Great to see you!\n\nI am your Visa Guide AI assistant. I can help you with:\n\n* Eligibility questions - "Am I eligible for green card?"\n* Document requirements - "What documents do I need for H-1B?"\n* Form guidance - "Help me fill out I-485"\n* Interview prep - "Tell me about citizenship interview"\n* Case status - "Check my case progress"\n* Deadlines - "When is my next deadline?"\n\nWhat would you like help with today?',
+        'chat.reply.greetingGuest': 'Hello there! Great to see you!\n\nI am your Visa Guide AI assistant. I can help you with:\n\n* Eligibility questions - "Am I eligible for green card?"\n* Document requirements - "What documents do I need for H-1B?"\n* Form guidance - "Help me fill out I-485"\n* Interview prep - "Tell me about citizenship interview"\n* Case status - "Check my case progress"\n* Deadlines - "When is my next deadline?"\n\nWhat would you like help with today?',
+        'chat.reply.navigateForms': 'I will take you to the Forms Center where you can access and fill out all available immigration forms.\n\nThe Forms Center includes:\n* All USCIS forms (N-400, I-485, I-130, I-140, etc.)\n* Step-by-step filing instructions\n* Document checklists for each form\n* Fee information\n\nWould you like guidance on a specific form?',
+        'chat.reply.navigateDashboard': 'I will take you to your Dashboard where you can see your complete immigration progress.\n\nYour Dashboard shows:\n* Overall progress on your immigration journey\n* Upcoming deadlines\n* Document checklists\n* Case status updates\n\nLet me know if you need help with anything specific!',
+        'chat.reply.navigateCivics': 'I will take you to the Civics Practice section where you can study and prepare for your citizenship test.\n\nCivics Practice includes:\n* All {questions} official questions of the {name}\n* An interview simulator that asks them out loud, like the officer\n* Study mode and quizzes\n* Progress tracking\n\nGood luck with your preparation!',
+        'chat.reply.civics': 'Civics Test Preparation:\n\nTest Format ({name}, for applications filed now):\n* The officer asks up to {asked} questions out loud from a list of {questions}\n* You answer in your own words - there are no answer choices\n* You pass with {passAt} correct answers\n* If you are 65 or older and have been a permanent resident for 20 years, you are asked {seniorAsked} of {seniorQuestions} special questions and need {seniorPassAt} correct\n* Filed earlier? Your interview uses the test for your filing date\n\nTopics Covered:\n{topics}\n\nWould you like to start practicing now?',
+        'chat.reply.navigate': 'I would be happy to help you navigate to the right place! What would you like to access?\n\n* **Forms Center** - For immigration forms and applications\n* **Dashboard** - For your progress and deadlines\n* **Civics Practice** - For citizenship test preparation\n\nJust let me know what you need!',
+        'chat.reply.noCase': 'I do not see any saved forms or uploaded documents yet.\n\nStart a form in the Forms Center and I can tell you which answers are missing, which documents you still need and your upcoming dates.',
+        'chat.reply.fallback': 'I understand you are asking about "{message}". Here is how I can help:\n\nTopics I Can Assist With:\n\n📋 **Visa Questions**\n* H-1B, L-1, O-1, F-1, etc.\n\n💳 **Green Cards**\n* Employment-based (EB-1, EB-2, EB-3)\n* Family-based\n\n📄 **Forms**\n* N-400, I-485, I-130, I-140, etc.\n\n📋 **Documents**\n* Required documents\n* Checklists\n\n📅 **Timelines**\n* Processing times\n* Deadlines\n\n🎓 **Citizenship**\n* Civics test prep\n* Interview tips\n\nCan you provide more details about your question? For example:\n- What visa type are you applying for?\n- What stage of the process are you in?\n- What specific help do you need?\n\nI am here to help!',
+        'chat.reply.sorry': 'Sorry, I could not answer that right now. Please try again.',
+
+        // ============ FORMS ============
+        'forms.title': 'Forms Center',
+        'forms.subtitle': 'Complete your immigration forms, manage documents, and track your progress',
+        'forms.tab.forms': 'My Forms',
+        'forms.tab.interactive': 'Fill Form',
+        'forms.tab.documents': 'Documents',
+        'forms.tab.calculator': 'Cost Calculator',
+        'forms.tab.timeline': 'Timeline',
+        'forms.status.not-started': 'Not started',
+        'forms.status.in-progress': 'In progress',
+        'forms.status.completed': 'Completed',
+        'forms.months': '{range} months',
+        'forms.description.n400': 'Apply for U.S. citizenship through naturalization',
+        'forms.description.i485': 'Apply to adjust your status to permanent resident',
+        'forms.description.i130': 'Establish family relationship for green card',
+        'forms.description.i140': 'Employer-sponsored employment-based green card',
+        'forms.description.i765': 'Get work permit while waiting for green card',
+        'forms.description.i131': 'Request advance parole to travel abroad',
+        'forms.progress': 'Progress: {percent}%',
+        'forms.previous': 'Previous',
+        'forms.next': 'Next',
+        'forms.review': 'Review',
+        'forms.reviewHeading': 'Part {step} - Review Your Information',
+        'forms.readyToSubmit': 'Ready to Submit?',
+        'forms.readyToSubmitText': 'Please review all information above carefully. Once submitted, you cannot make changes online. You may need to contact USCIS for any corrections.',
+        'forms.saveDraft': 'Save Draft',
+        'forms.downloadPdf': 'Download PDF',
+        'forms.submitApplication': 'Submit Application',
+        'forms.select': 'Select',
+        'forms.validation.required': 'This field is required.',
+        'forms.validation.option': 'Select one of the listed options.',
+        'forms.validation.date': 'Enter a valid date.',
+        'forms.validation.future': 'Date cannot be in the future.',
+        'forms.validation.anumber': 'Enter a 7 to 9 digit A-Number (e.g. A123-456-789).',
+        'forms.validation.zip': 'Enter a 5-digit ZIP code (or ZIP+4).',
+        'forms.validation.receipt': 'Enter a 13-character receipt number (e.g. IOE0123456789).',
+        'forms.validation.number': 'Enter a valid number.',
+        'forms.validation.format': 'Check the format of this field.',
+        'forms.officialLabel': 'On the form: {label}',
+        'forms.edit': 'Edit',
+        'forms.notProvided': 'Not provided',
+        'forms.needAttention': '{count} item(s) need attention before you submit',
+        'forms.pdfMissing': '{count} required field(s) were left blank in the PDF',
+        'forms.pdfContinued': '{count} answer(s) were placed on the continuation sheet',
+        'forms.tooLong': '(too long for the form field)',
+        'forms.confirmPdfSummary': 'Download a summary PDF of your {form} answers instead? A summary cannot be filed with USCIS.',
+        'forms.pdfTransliterated': '{count} answer(s) had letters the PDF font cannot show and were written in Latin letters - check them',
+        'forms.pdfNotLatin': '(some characters could not be converted - enter this answer in English)',
+        'forms.conflict': 'Changed on another device to:',
+        'forms.keepMine': 'Keep mine',
+        'forms.useOther': 'Use other device\'s',
+        'forms.empty': '(empty)',
+        'forms.prefill.button': 'Fill from a document',
+        'forms.prefill.title': 'Values from your {document}',
+        'forms.prefill.hint': 'Read on this device - compare each value with your document before you accept it.',
+        'forms.prefill.field': 'Field',
+        'forms.prefill.current': 'In the form',
+        'forms.prefill.proposed': 'From the document',
+        'forms.prefill.accept': 'Accept',
+        'forms.prefill.ignore': 'Ignore',
+        'forms.prefill.acceptAll': 'Accept all',
+        'forms.prefill.dismiss': 'Dismiss',
+        'forms.prefill.verified': 'Check digits match',
+        'forms.prefill.unverified': 'Could not be verified - check it carefully',
+        'forms.prefill.reading': 'Reading {name}...',
+        'forms.prefill.found': 'Found {count} value(s) for {form} - review them on the form',
+        'forms.prefill.nothing': 'Nothing new to fill in from this document',
+        'forms.prefill.failed': 'Could not read this document',
+        'forms.vault.off': 'Document vault is off',
+        'forms.vault.offHint': 'Files are stored as you upload them. Turn on the vault to encrypt passports, certificates and tax returns on this device before they are uploaded.',
+        'forms.vault.locked': 'Document vault is locked',
+        'forms.vault.lockedHint': 'Your documents are encrypted. Unlock the vault with your passphrase to upload or open them.',
+        'forms.vault.unlocked': 'Document vault is unlocked',
+        'forms.vault.unlockedHint': 'Files are encrypted on this device before they are uploaded. The vault locks itself after {minutes} minutes without use.',
+        'forms.vault.enable': 'Turn on encryption',
+        'forms.vault.unlock': 'Unlock',
+        'forms.vault.recover': 'Forgot passphrase',
+        'forms.vault.lock': 'Lock',
+        'forms.vault.change': 'Change passphrase',
+        'forms.vault.rotate': 'Rotate key',
+        'forms.vault.recoveryCode': 'New recovery code',
+        'forms.vault.cancel': 'Cancel',
+        'forms.vault.passphrase': 'Passphrase',
+        'forms.vault.currentPassphrase': 'Current passphrase',
+        'forms.vault.newPassphrase': 'New passphrase',
+        'forms.vault.confirmPassphrase': 'Repeat passphrase',
+        'forms.vault.recoveryCodeLabel': 'Recovery code',
+        'forms.vault.enableHelp': 'Choose a passphrase of at least {length} characters. Without it, or the recovery code shown next, nobody can open your documents - not even us. Files you already uploaded are encrypted too.',
+        'forms.vault.unlockHelp': 'Enter your vault passphrase.',
+        'forms.vault.recoverHelp': 'Enter the recovery code you saved and choose a new passphrase of at least {length} characters.',
+        'forms.vault.changeHelp': 'Your files stay as they are - only the passphrase that opens them changes. Use at least {length} characters.',
+        'forms.vault.rotateHelp': 'Every document is encrypted again with a new key, and you get a new recovery code. Do this if your passphrase or recovery code may have been seen by someone else.',
+        'forms.vault.recoveryCodeHelp': 'Your old recovery code stops working once the new one is made.',
+        'forms.vault.recoveryHint': 'Save this recovery code somewhere safe, away from this device. It is the only way into your documents if you forget your passphrase, and it will not be shown again.',
+        'forms.vault.recoverySaved': 'I have saved it',
+        'forms.vault.mismatch': 'The passphrases do not match',
+        'forms.vault.working': 'Working...',
+        'forms.vault.resealFailed': 'Some documents could not be encrypted - try again later',
+        'forms.vault.error': 'Document vault: {error}',
+        'forms.vault.done.enable': 'Document vault turned on',
+        'forms.vault.done.unlock': 'Document vault unlocked',
+        'forms.vault.done.recover': 'New passphrase set - the vault is unlocked',
+        'forms.vault.done.change': 'Passphrase changed',
+        'forms.vault.done.rotate': 'Documents encrypted with a new key',
+        'forms.vault.done.recoveryCode': 'New recovery code made',
+        'forms.doc.totalRequired': 'Total Required',
+        'forms.doc.uploaded': 'Uploaded',
+        'forms.doc.pending': 'Pending',
+        'forms.doc.expired': 'Expired',
+        'forms.doc.missing': 'Missing',
+        'forms.doc.uploadedStatus': 'Uploaded',
+        'forms.doc.expiredStatus': 'Expired',
+        'forms.doc.notUploaded': 'Not uploaded',
+        'forms.doc.editDates': 'Issue and expiration dates',
+        'forms.doc.issuedOn': 'Issued',
+        'forms.doc.expiresOn': 'Expires',
+        'forms.doc.saveDates': 'Save dates',
+        'forms.doc.addDates': 'Add the expiration date to get renewal reminders',
+        'forms.doc.expiresLine': 'Expires {date}',
+        'forms.doc.expiringLine': 'Expires {date} - renew by {by}',
+        'forms.doc.renewLine': 'Renew now - expires {date}',
+        'forms.doc.expiredLine': 'Expired {date}',
+        'forms.doc.view': 'View',
+        'forms.doc.download': 'Download',
+        'forms.doc.delete': 'Delete',
+        'forms.doc.upload': 'Upload',
+        'forms.doc.uploadTitle': 'Upload Document',
+        'forms.doc.uploadHint': 'Drag and drop files here or click to browse',
+        'forms.doc.uploadFormats': 'Supported formats: PDF, JPG, PNG (max 10MB)',
+        'forms.doc.requiredFor': 'Required Documents for {form}',
+        'forms.doc.checklistFor': 'Show the checklist for',
+        'forms.doc.otherUploads': 'Other uploaded documents',
+        'forms.doc.cardCount': 'Documents {ready} of {total}',
+        'forms.calc.title': 'Calculate Your Costs',
+        'forms.calc.whichForm': 'What form are you filing? *',
+        'forms.calc.selectForm': 'Select form',
+        'forms.calc.whoFiling': 'Who is filing? *',
+        'forms.calc.selectApplicant': 'Select applicant',
+        'forms.calc.adult': 'Adult (14+)',
+        'forms.calc.child': 'Child (under 14)',
+        'forms.calc.premiumQuestion': 'Do you need premium processing? (if applicable)',
+        'forms.calc.no': 'No',
+        'forms.calc.premiumYes': 'Yes (+$2,500)',
+        'forms.calc.waiverQuestion': 'Do you qualify for a fee waiver?',
+        'forms.calc.waiverNo': 'No, paying full fees',
+        'forms.calc.waiverYes': 'Yes, applying for waiver',
+        'forms.calc.additional': 'Additional services (optional):',
+        'forms.calc.biometricsService': 'Biometric services (if not included)',
+        'forms.calc.translation': 'Document translation service (+$100)',
+        'forms.calc.notary': 'Notary service (+$50)',
+        'forms.calc.summary': 'Cost Summary',
+        'forms.calc.total': 'Estimated Total Cost',
+        'forms.calc.filingFee': 'Filing Fee',
+        'forms.calc.biometrics': 'Biometrics',
+        'forms.calc.premium': 'Premium Processing',
+        'forms.calc.services': 'Additional Services',
+        'forms.calc.waiver': 'Fee Waiver Applied',
+        'forms.calc.breakdown': 'Fee Breakdown by Form:',
+        'forms.calc.n400Fee': '$640 + $85 biometrics',
+        'forms.calc.i485Fee': '$1,225 (or $750 for children)',
+        'forms.calc.note': 'Note: These are estimated filing fees only. Additional costs may include attorney fees, medical examinations, translations, and document acquisition.',
+        'forms.timeline.title': 'Your Immigration Timeline',
+        'forms.timeline.checkStatus': 'Check Status',
+        'forms.timeline.checkBulletin': 'Check Visa Bulletin',
+        'forms.timeline.prepareI485': 'Prepare I-485',
+        'forms.toast.notInChecklist': 'That document is not in your checklist.',
+        'forms.toast.notAvailable': 'This form is not available yet.',
+        'forms.toast.opening': 'Opening {form} form...',
+        'forms.toast.fixFields': 'Please fix the highlighted fields before continuing.',
+        'forms.toast.saved': 'Progress saved successfully!',
+        'forms.toast.resumed': 'Resumed from last save: {date}',
+        'forms.toast.generatingPdf': 'Generating PDF...',
+        'forms.toast.pdfFilled': 'Official PDF filled and downloaded!',
+        'forms.toast.pdfSummary': 'Official form template not available - downloaded a summary PDF instead.',
+        'forms.toast.pdfError': 'Error generating PDF. Please try again.',
+        'forms.toast.pdfTemplateMissing': 'The official {form} PDF is not installed on this site ({file}).',
+        'forms.toast.fixReview': 'Please fix the items listed on the review page before submitting.',
+        'forms.confirmSubmit': 'Are you sure you want to submit your {form} application? This action cannot be undone.',
+        'forms.toast.submitted': 'Congratulations! Your {form} application has been submitted successfully!',
+        'forms.toast.uploading': 'Uploading {name}...',
+        'forms.toast.uploaded': '{name} uploaded successfully to cloud!',
+        'forms.toast.uploadFailed': 'Upload failed. Please try again.',
+        'forms.toast.uploadError': 'Upload failed: {error}',
+        'forms.toast.datesSaved': 'Dates saved for {name}',
+        'forms.toast.allUploaded': 'All required documents are already uploaded!',
+        'forms.toast.docNotFound': 'Document not found.',
+        'forms.toast.docUnavailable': 'Document not available. Please upload first.',
+        'forms.toast.openingDoc': 'Opening document...',
+        'forms.toast.allowPopups': 'Please allow popups to view documents.',
+        'forms.toast.downloadStarted': 'Download started...',
+        'forms.confirmDeleteDoc': 'Are you sure you want to delete this document?',
+        'forms.toast.deleting': 'Deleting document...',
+        'forms.toast.deleted': 'Document deleted from cloud storage.',
+        'forms.toast.deletedPending': 'Document deleted (cloud sync pending).',
+        'forms.toast.conflict': 'A field was changed on another device. Choose which value to keep.',
+        'forms.timeline.step1.title': 'Entered the United States',
+        'forms.timeline.step1.date': 'January 2015',
+        'forms.timeline.step1.desc': 'Initial entry on F-1 student visa',
+        'forms.timeline.step2.title': 'Changed to H-1B Status',
+        'forms.timeline.step2.date': 'October 2019',
+        'forms.timeline.step2.desc': 'Employer-sponsored H-1B petition approved',
+        'forms.timeline.step3.title': 'PERM Labor Certification',
+        'forms.timeline.step3.date': 'In Progress - Expected: March 2025',
+        'forms.timeline.step3.desc': 'Current step: Labor market test for EB-3 green card',
+        'forms.timeline.step4.title': 'File I-140 Petition',
+        'forms.timeline.step4.date': 'Estimated: April 2025',
+        'forms.timeline.step4.desc': 'Employer files immigrant petition for alien worker',
+        'forms.timeline.step5.title': 'I-140 Approved',
+        'forms.timeline.step5.date': 'Estimated: August 2025',
+        'forms.timeline.step5.desc': 'Immigrant petition approval notice received',
+        'forms.timeline.step6.title': 'Wait for Priority Date',
+        'forms.timeline.step6.date': '2025 - 2028 (varies by country)',
+        'forms.timeline.step6.desc': 'India EB-3: Current priority date is ~2012',
+        'forms.timeline.step7.title': 'File I-485 Adjustment',
+        'forms.timeline.step7.date': 'When priority date becomes current',
+        'forms.timeline.step7.desc': 'Submit application to adjust status to permanent resident',
+        'forms.timeline.step8.title': 'Receive Green Card',
+        'forms.timeline.step8.date': 'After I-485 approval',
+        'forms.timeline.step8.desc': 'Congratulations! You are now a permanent resident'
+    },
+
+    es: {
+        // ============ COMMON ============
+        'common.language': 'Idioma',
+        'common.toggleTheme': 'Cambiar modo oscuro',
+        'common.logout': 'Cerrar sesión',
+        'common.settings': 'Configuración',
+        'common.profile': 'Mi perfil',
+        'common.billing': 'Facturación',
+        'common.account': 'Cuenta',
+        'common.backendLocal': 'Guardado solo en este dispositivo: los cambios no se sincronizan con la nube',
+        'common.backendOther': 'Guardando en un entorno de prueba: los cambios no llegan a la nube',
+        'common.upgradeNow': 'Mejorar ahora',
+        'common.maybeLater': 'Quizás más tarde',
+        'common.continue': 'Continuar',
+        'common.yourProgress': 'Tu progreso',
+        'common.upcomingDeadlines': 'Próximas fechas límite',
+        'common.notifications': 'Notificaciones',
+        'common.clearAll': 'Borrar todo',
+        'common.markAllRead': 'Marcar todo como leído',
+        'common.noNotifications': 'No hay notificaciones',
+        'nav.dashboard': 'Panel',
+        'nav.roadmap': 'Hoja de ruta',
+        'nav.myRoadmap': 'Mi hoja de ruta',
+        'nav.forms': 'Formularios',
+        'nav.chat': 'Chat',
+        'nav.interview': 'Entrevista',
+        'nav.resources': 'Recursos',
+        'nav.civics': 'Civismo',
+        'nav.assistant': 'Asistente de IA',
+        'nav.formsCenter': 'Centro de formularios',
+        'nav.civicsPrep': 'Preparación cívica',
+        'nav.taskList': 'Lista de tareas',
+        'nav.myDocuments': 'Mis documentos',
+        'nav.calendar': 'Calendario',
+
+        // ============ AUTH ============
+        'auth.tagline': 'Tu camino inteligente hacia la inmigración a EE. UU.',
+        'auth.intro': 'Únete a miles de personas que confían en Visa Guide AI para su proceso migratorio. Recibe orientación personalizada, sigue tu progreso y no pierdas ninguna fecha límite.',
+        'auth.feature.eligibility': 'Verificación de elegibilidad con IA',
+        'auth.feature.checklists': 'Listas de documentos personalizadas',
+        'auth.feature.interview': 'Simulacros de entrevista',
+        'auth.feature.deadlines': 'Seguimiento y alertas de fechas límite',
+        'auth.feature.civics': 'Práctica del examen de civismo',
+        'auth.feature.priority': 'Predicciones de fecha de prioridad',
+        'auth.signIn': 'Iniciar sesión',
+        'auth.createAccount': 'Crear cuenta',
+        'auth.email': 'Correo electrónico',
+        'auth.emailPlaceholder': 'Escribe tu correo',
+        'auth.password': 'Contraseña',
+        'auth.passwordPlaceholder': 'Escribe tu contraseña',
+        'auth.rememberMe': 'Recordarme',
+        'auth.forgotPassword': '¿Olvidaste tu contraseña?',
+        'auth.orContinue': 'o continúa con',
+        'auth.noAccount': '¿No tienes cuenta?',
+        'auth.signUpFree': 'Regístrate gratis',
+        'auth.firstName': 'Nombre',
+        'auth.lastName': 'Apellido',
+        'auth.phone': 'Teléfono (opcional)',
+        'auth.createPassword': 'Crea una contraseña segura',
+        'auth.passwordHint': 'Debe tener al menos 8 caracteres, con números y caracteres especiales',
+        'auth.confirmPassword': 'Confirmar contraseña',
+        'auth.confirmPlaceholder': 'Confirma tu contraseña',
+        'auth.interest': 'Me interesa:',
+        'auth.interestPlaceholder': 'Selecciona tu interés...',
+        'auth.newsletter': 'Envíame novedades y consejos de inmigración (puedes darte de baja cuando quieras)',
+        'auth.createFree': 'Crear mi cuenta gratis',
+        'auth.haveAccount': '¿Ya tienes cuenta?',
+        'auth.signInLink': 'Inicia sesión',
+        'auth.welcome': '¡Bienvenido!',
+        'auth.accountCreated': 'Tu cuenta se creó correctamente.',
+        'auth.pleaseWait': 'Espera un momento...',
+        'auth.signingIn': 'Iniciando sesión...',
+        'auth.creatingAccount': 'Creando cuenta...',
+        'auth.connecting': 'Conectando...',
+        'auth.loginSuccess': '¡Sesión iniciada! Te llevamos al panel...',
+        'auth.error.loginFailed': 'No se pudo iniciar sesión. Inténtalo de nuevo.',
+        'auth.error.wrongPassword': 'Contraseña incorrecta. Revísala e inténtalo de nuevo.',
+        'auth.error.userNotFound': 'No hay ninguna cuenta con este correo. Crea una cuenta nueva.',
+        'auth.error.tooManyRequests': 'Demasiados intentos fallidos. Espera unos minutos e inténtalo de nuevo.',
+        'auth.error.network': 'Error de red. Revisa tu conexión a internet e inténtalo de nuevo.',
+        'auth.error.occurred': 'Se produjo un error: {message}',
+        'auth.error.tryAgain': 'Se produjo un error. Inténtalo de nuevo.',
+        'auth.error.passwordMismatch': 'Las contraseñas no coinciden. Inténtalo de nuevo.',
+        'auth.error.passwordShort': 'La contraseña debe tener al menos 8 caracteres.',
+        'auth.error.registration': 'No se pudo completar el registro. Inténtalo de nuevo.',
+        'auth.created.loggingIn': '¡Cuenta creada! Iniciando sesión...',
+        'auth.created.canLogIn': '¡Cuenta creada! Ya puedes iniciar sesión.',
+        'auth.created.pleaseLogIn': '¡Cuenta creada! Inicia sesión con tus datos.',
+        'auth.enterEmailFirst': 'Primero escribe tu correo electrónico.',
+        'auth.resetSent': '¡Te enviamos un correo para restablecer la contraseña! Revisa tu bandeja de entrada.',
+        'auth.error.resetFailed': 'No se pudo enviar el correo de restablecimiento.',
+
+        // ============ DASHBOARD ============
+        'dashboard.welcomeBack': '¡Hola de nuevo, {name}!',
+        'dashboard.subtitle': 'Este es un resumen de tu proceso migratorio',
+        'dashboard.overallProgress': 'Progreso general',
+        'dashboard.toolsResources': 'Herramientas y recursos',
+        'dashboard.myVisaType': 'Mi tipo de visa',
+        'dashboard.upgradeTitle': 'Mejora a Pro para un procesamiento prioritario',
+        'dashboard.upgradeText': 'Obtén revisión de documentos con IA, simulacros de entrevista ilimitados y alertas de fechas límite',
+        'dashboard.viewRoadmap': 'Ver hoja de ruta',
+        'dashboard.checkDocuments': 'Revisar documentos',
+        'dashboard.stepsCompleted': 'Pasos completados',
+        'dashboard.nextDeadline': 'Próxima fecha límite',
+        'dashboard.documentsReady': 'Documentos listos',
+        'dashboard.sincePriorityDate': 'Desde la fecha de prioridad',
+        'dashboard.eligibilityCheck': 'Verificar elegibilidad',
+        'dashboard.uploadDocuments': 'Subir documentos',
+        'dashboard.mockInterview': 'Simulacro de entrevista',
+        'dashboard.civicsPractice': 'Práctica de civismo',
+        'dashboard.yourEligibility': 'Tu elegibilidad',
+        'dashboard.updateAnswers': 'Actualizar respuestas →',
+        'dashboard.civicsReadiness': 'Preparación para el examen de civismo',
+        'dashboard.practiceCivics': 'Practicar ahora →',
+        'dashboard.civicsEmpty': 'Practica algunas preguntas de civismo para ver qué tan preparado estás para el examen.',
+        'dashboard.passChance': 'Probabilidad de aprobar hoy',
+        'dashboard.civicsRules': '{name} · {passAt} de {asked} para aprobar',
+        'dashboard.civicsStreak': '{count} días seguidos',
+        'dashboard.civicsStudied': '{studied} de {total} preguntas estudiadas',
+        'dashboard.civicsFocus': 'Enfócate en',
+        'dashboard.civicsAccuracy': '{percent}% correctas',
+        'dashboard.civicsNotStudied': 'Aún sin estudiar',
+        'dashboard.documentChecklist': 'Lista de documentos',
+        'dashboard.manageDocuments': 'Administrar documentos →',
+        'dashboard.documentsEmpty': 'Comienza un formulario en el Centro de formularios para ver qué documentos necesita.',
+        'dashboard.documentsFormReady': '{ready} de {total} listos',
+        'dashboard.documentsAllReady': 'Todos los documentos que necesita este formulario están subidos.',
+        'dashboard.docExpired': 'vencido',
+        'dashboard.docPartial': '{uploaded} de {needed} archivos',
+        'dashboard.deadline.expired': '{document} está vencido',
+        'dashboard.deadline.renew': 'Renueve su {document}',
+        'dashboard.deadline.expiring': '{document} vence pronto',
+        'dashboard.deadline.expiredOn': 'Venció: {date}',
+        'dashboard.deadline.actBy': 'Actúe antes del: {date} ({days} días)',
+        'dashboard.deadline.overdue': 'Vencía: {date} (hace {days} días)',
+        'dashboard.deadline.urgent': 'Urgente',
+        'dashboard.deadline.soon': 'Pronto',
+        'dashboard.deadline.update': 'Actualizar documento',
+        'dashboard.alert.title': 'Vencimiento de documento:',
+        'dashboard.alert.inDays': 'En {days} días',
+        'dashboard.alert.today': 'Hoy',
+        'dashboard.alert.overdue': '{days} días de retraso',
+        'dashboard.yourRoadmap': 'Tu hoja de ruta migratoria',
+        'dashboard.viewTimeline': 'Ver cronología completa →',
+        'dashboard.recentActivity': 'Actividad reciente',
+        'eligibility.status.eligible': 'Puedes presentar la solicitud',
+        'eligibility.status.review': 'Elegible - requiere revisión',
+        'eligibility.status.not-yet': 'Aún no eres elegible',
+        'eligibility.status.ineligible': 'No elegible',
+        'eligibility.status.incomplete': 'Se necesita más información',
+
+        // ============ CIVICS ============
+        'civics.mastered': 'Dominadas',
+        'civics.learned': 'Aprendidas',
+        'civics.remaining': 'Restantes',
+        'civics.focusAreas': 'Áreas de enfoque',
+        'civics.focusEmpty': 'Responde algunas preguntas para ver qué categorías necesitan más trabajo.',
+        'civics.categoryProgress': '{percent}% hacia el dominio - {studied} de {total} estudiadas',
+        'civics.studyModes': 'Modos de estudio',
+        'civics.dueToday': 'Para hoy',
+        'civics.dueCount': '{count} pendientes',
+        'civics.practiceMode': 'Modo práctica',
+        'civics.learnAsYouGo': 'Aprende sobre la marcha',
+        'civics.quizMode': 'Modo cuestionario',
+        'civics.tenQuestions': '10 preguntas',
+        'civics.quickReview': 'Repaso rápido',
+        'civics.fiveRandom': '5 al azar',
+        'civics.fullTest': 'Examen completo',
+        'civics.todaysProgress': 'Progreso de hoy',
+        'civics.questions': 'Preguntas',
+        'civics.accuracy': 'Precisión',
+        'civics.dayStreak': 'Días seguidos',
+        'civics.timeSpent': 'Tiempo dedicado',
+        'civics.title': 'Preparación para el examen de civismo de EE. UU.',
+        'civics.subtitle': 'Practica con las 100 preguntas oficiales de civismo del examen de naturalización',
+        'civics.questionsLearned': 'Preguntas aprendidas',
+        'civics.needsReview': 'Por repasar',
+        'civics.notLearned': 'Sin aprender',
+        'civics.answeredToday': 'Respondidas hoy',
+        'civics.welcome': '¡Bienvenido a la práctica de civismo!',
+        'civics.choose': 'Elige cómo quieres practicar hoy',
+        'civics.practice': 'Práctica',
+        'civics.learnAtYourPace': 'Aprende a tu ritmo',
+        'civics.takeQuiz': 'Hacer cuestionario',
+        'civics.tenRandom': '10 preguntas al azar',
+        'civics.fiveRandomQuestions': '5 preguntas al azar',
+        'civics.allCount': 'Las {count} preguntas',
+        'civics.audio': 'Audio de la pregunta',
+        'civics.markForReview': 'Marcar para repasar',
+        'civics.playAudio': 'Reproducir audio',
+        'civics.questionOf': 'Pregunta {number} de {total}',
+        'civics.previous': 'Anterior',
+        'civics.next': 'Siguiente',
+        'civics.finish': 'Terminar',
+        'civics.correct': '¡Correcto! Muy bien.',
+        'civics.incorrect': 'Incorrecto. La respuesta correcta es {answer}.',
+        'civics.explanation': 'Explicación:',
+        'civics.explanationText': 'Esta pregunta trata sobre {category}. La respuesta correcta es {answer}.',
+        'civics.markedForReview': 'Pregunta marcada para repasar',
+        'civics.nextReview': 'Próximo repaso: {date}',
+        'civics.nothingDue': 'No tienes nada pendiente hoy: vuelve mañana o sigue practicando.',
+        'civics.interview': 'Entrevista',
+        'civics.interviewInfo': 'Responda como en el examen real',
+        'civics.interview.title': 'Entrevista de civismo',
+        'civics.interview.intro': 'El oficial hace cada pregunta en voz alta y usted responde con sus propias palabras. Escriba su respuesta o use el micrófono.',
+        'civics.interview.version': 'Versión del examen',
+        'civics.settings.category': 'Categoría',
+        'civics.settings.allCategories': 'Todas las categorías',
+        'civics.settings.senior': 'Solo preguntas 65/20',
+        'civics.settings.seniorNote': 'Para solicitantes de 65 años o más con 20 años como residentes permanentes: {asked} preguntas de esta lista y {passAt} correctas para aprobar.',
+        'civics.settings.seniorUnavailable': 'Las preguntas 65/20 de esta versión aún no están disponibles.',
+        'civics.english.reading': 'Examen de lectura',
+        'civics.english.writing': 'Examen de escritura',
+        'civics.english.readingInfo': 'Lea una oración en voz alta',
+        'civics.english.writingInfo': 'Escriba la oración que escucha',
+        'civics.english.readingTitle': 'Examen de lectura en inglés',
+        'civics.english.writingTitle': 'Examen de escritura en inglés',
+        'civics.english.readingIntro': 'El oficial le muestra una oración y usted la lee en voz alta. Use el micrófono y lea la oración completa. Puede omitir o pronunciar mal una palabra corta, pero debe leer todas las demás.',
+        'civics.english.writingIntro': 'El oficial lee una oración en voz alta y usted la escribe. Se aceptan pequeños errores de ortografía, mayúsculas y puntuación si no cambian el significado, pero no puede faltar ni cambiar ninguna palabra.',
+        'civics.english.rules': 'Hasta {asked} oraciones. Aprueba en cuanto acierte {passAt}.',
+        'civics.english.start': 'Comenzar examen',
+        'civics.english.end': 'Terminar examen',
+        'civics.english.next': 'Siguiente oración',
+        'civics.english.sentenceOf': 'Oración {number} de hasta {total}',
+        'civics.english.listen': 'Escuchar la oración de nuevo',
+        'civics.english.read': 'Leer en voz alta',
+        'civics.english.readPlaceholder': 'Toque el micrófono y lea la oración',
+        'civics.english.writePlaceholder': 'Escriba la oración en inglés',
+        'civics.english.listenPrompt': 'Escuche la oración y escríbala abajo.',
+        'civics.english.noSpeech': 'Leer en voz alta requiere reconocimiento de voz, que este navegador no admite. Puede escribir la oración mientras la lee.',
+        'civics.english.youRead': 'Usted leyó:',
+        'civics.english.youWrote': 'Usted escribió:',
+        'civics.english.minorCase': 'Mayúsculas: aceptado',
+        'civics.english.minorSpelling': 'Pequeño error de ortografía: aceptado',
+        'civics.english.minorSound': 'Se escuchó un poco diferente: aceptado',
+        'civics.english.optionalWord': 'Palabra corta omitida: aceptado',
+        'civics.english.missedWord': 'Palabra omitida o diferente',
+        'civics.english.changedMeaning': '"{words}" cambia el significado',
+        'civics.english.passedReading': 'Aprobó el examen de lectura',
+        'civics.english.failedReading': 'No aprobó el examen de lectura',
+        'civics.english.passedWriting': 'Aprobó el examen de escritura',
+        'civics.english.failedWriting': 'No aprobó el examen de escritura',
+        'civics.english.resultText': '{correct} de {asked} oraciones correctas.',
+        'civics.english.failedNote': 'Volvería a tomar esta parte entre 60 y 90 días después de su entrevista.',
+        'civics.english.history': 'Exámenes anteriores',
+        'civics.english.noHistory': 'Aún no hay exámenes',
+        'civics.interview.filedBefore': '{name} - solicitudes presentadas antes del {date}',
+        'civics.interview.filedFrom': '{name} - solicitudes presentadas a partir del {date}',
+        'civics.interview.rules': 'Hasta {asked} preguntas. Aprueba con {passAt} respuestas correctas; el oficial se detiene en cuanto aprueba o ya no puede aprobar.',
+        'civics.interview.englishNote': 'El examen de civismo se da en inglés, así que las preguntas y sus respuestas están en inglés.',
+        'civics.interview.start': 'Comenzar entrevista',
+        'civics.interview.back': 'Volver',
+        'civics.interview.end': 'Terminar entrevista',
+        'civics.interview.history': 'Entrevistas anteriores',
+        'civics.interview.noHistory': 'Aún no hay entrevistas',
+        'civics.interview.historyScore': '{correct} de {asked} correctas',
+        'civics.interview.pass': 'Aprobado',
+        'civics.interview.fail': 'No aprobado',
+        'civics.interview.questionOf': 'Pregunta {number} de hasta {total}',
+        'civics.interview.score': '{correct} correctas · {incorrect} incorrectas',
+        'civics.interview.listen': 'Escuchar la pregunta de nuevo',
+        'civics.interview.placeholder': 'Escriba su respuesta en inglés',
+        'civics.interview.speak': 'Responder con la voz',
+        'civics.interview.listening': 'Escuchando...',
+        'civics.interview.noSpeech': 'Este navegador no admite respuestas por voz. Escriba su respuesta.',
+        'civics.interview.submit': 'Responder',
+        'civics.interview.next': 'Siguiente pregunta',
+        'civics.interview.finish': 'Ver resultado',
+        'civics.interview.correct': 'Correcto',
+        'civics.interview.incorrect': 'Incorrecto',
+        'civics.interview.needed': '{matched} de las {count} respuestas necesarias',
+        'civics.interview.yourAnswer': 'Su respuesta:',
+        'civics.interview.acceptable': 'Respuestas aceptadas:',
+        'civics.interview.passed': 'Aprobó el examen de civismo',
+        'civics.interview.failed': 'No aprobó el examen de civismo',
+        'civics.interview.passedText': 'Respondió correctamente {correct} de {asked} preguntas. El oficial pasaría ahora al resto de su entrevista.',
+        'civics.interview.failedText': 'Respondió correctamente {correct} de {asked} preguntas y necesitaba {passAt}. Volvería a tomar el examen de civismo entre 60 y 90 días después de esta entrevista.',
+        'civics.interview.localAnswers': 'Las preguntas sobre sus senadores, representante, gobernador y capital se responden para {state}.',
+        'civics.interview.localHint': 'Elija su estado en Su estado para que también le pregunten por sus senadores, representante, gobernador y capital del estado.',
+        'civics.location.title': 'Su estado',
+        'civics.location.choose': 'Elija su estado',
+        'civics.location.fromN400': 'De la dirección de su N-400',
+        'civics.location.chosen': 'Elegido aquí',
+        'civics.location.none': 'Elija su estado para practicar las preguntas sobre sus senadores, gobernador y capital del estado.',
+        'civics.location.representative': 'Su representante federal depende de su distrito del Congreso.',
+        'civics.location.lookup': 'Búsquelo por código postal',
+        'civics.location.representativePlaceholder': 'Nombre de su representante',
+        'civics.location.asOf': 'Funcionarios a fecha de {date}',
+        'civics.location.outOfDate': 'Las respuestas sobre funcionarios se revisaron por última vez el {date} y pueden estar desactualizadas. Verifique los funcionarios actuales antes de su entrevista.',
+        'civics.location.check': 'Verificar en USA.gov',
+        'civics.excellent': '¡Excelente!',
+        'civics.goodJob': '¡Buen trabajo!',
+        'civics.keepPracticing': '¡Sigue practicando!',
+        'civics.resultStats': 'Acertaste {correct} de {total} preguntas',
+        'civics.reviewAnswers': 'Revisar respuestas',
+        'civics.tryAgain': 'Intentar de nuevo',
+
+        // ============ CHATBOT ============
+        'chat.topics': 'Temas del chat',
+        'chat.topic.general': 'Preguntas generales',
+        'chat.topic.eligibility': 'Verificar elegibilidad',
+        'chat.topic.documents': 'Ayuda con documentos',
+        'chat.topic.interview': 'Preparación para la entrevista',
+        'chat.topic.forms': 'Guía de formularios',
+        'chat.topic.deadlines': 'Fechas límite',
+        'chat.conversations': 'Conversaciones',
+        'chat.newConversation': 'Nueva conversación',
+        'chat.searchHistory': 'Buscar mensajes anteriores...',
+        'chat.noThreads': 'Aún no hay conversaciones guardadas',
+        'chat.noTopicThreads': 'Aún no hay conversaciones guardadas de {topic}',
+        'chat.noMatches': 'Ningún mensaje coincide con "{query}"',
+        'chat.threadMeta': '{count} mensajes - {time}',
+        'chat.quickPrompts': 'Preguntas rápidas',
+        'chat.prompt.renewH1b': '¿Cómo renuevo mi H-1B?',
+        'chat.prompt.i485Docs': '¿Documentos para el I-485?',
+        'chat.prompt.eb3India': 'Pronóstico EB-3 India',
+        'chat.prompt.h1bTransfer': 'Proceso de transferencia H-1B',
+        'chat.yourProfile': 'Tu perfil',
+        'chat.visaType': 'Tipo de visa',
+        'chat.country': 'País',
+        'chat.priorityDate': 'Fecha de prioridad',
+        'chat.currentStatus': 'Estatus actual',
+        'chat.unlockVoice': 'Desbloquea el modo de voz',
+        'chat.unlockVoiceText': 'Mejora a Pro para conversar por voz',
+        'chat.online': 'En línea',
+        'chat.modelInfo': 'Modelo de IA: Immigration Expert v2.0',
+        'chat.exportMarkdown': 'Exportar conversación como Markdown',
+        'chat.exportPdf': 'Exportar conversación como PDF',
+        'chat.deleteConversation': 'Eliminar conversación',
+        'chat.viewTranscript': 'Ver transcripción',
+        'chat.voiceMode': 'Modo de conversación por voz',
+        'chat.voice': 'Voz',
+        'chat.toggleSpeech': 'Activar o desactivar la voz',
+        'chat.welcome': '¡Hola! Soy tu asistente de Visa Guide AI. ¿Cómo puedo ayudarte hoy con tu proceso migratorio?',
+        'chat.welcomeName': '¡Hola, {name}! Soy tu asistente de Visa Guide AI. ¿Cómo puedo ayudarte hoy con tu proceso migratorio?',
+        'chat.quick.eligibility': 'Verificar elegibilidad para la green card',
+        'chat.quick.h1bStamping': 'Documentos para el sellado H-1B',
+        'chat.quick.eb3Timeline': 'Plazos EB-3 India',
+        'chat.quick.n400Docs': 'Documentos para el N-400',
+        'chat.justNow': 'Ahora mismo',
+        'chat.you': 'Tú',
+        'chat.attachFile': 'Adjuntar archivo',
+        'chat.voiceInput': 'Entrada por voz',
+        'chat.inputPlaceholder': 'Escribe tu pregunta aquí...',
+        'chat.encrypted': 'Tus conversaciones están cifradas y son privadas',
+        'chat.relatedResources': 'Recursos relacionados',
+        'chat.resource.h1bTransfer.title': 'Plazos de transferencia H-1B',
+        'chat.resource.h1bTransfer.text': 'Proceso paso a paso con fechas límite',
+        'chat.resource.premium.title': 'Procesamiento prioritario',
+        'chat.resource.premium.text': 'Requisitos y costos del procesamiento acelerado',
+        'chat.resource.i485.title': 'Lista de verificación del I-485',
+        'chat.resource.i485.text': 'Lista completa de documentos para el ajuste de estatus',
+        'chat.resource.rfe.title': 'Estrategias para RFE',
+        'chat.resource.rfe.text': 'Cómo responder a las solicitudes de evidencia',
+        'chat.noForms': 'Aún no has comenzado ningún formulario',
+        'chat.averageCompletion': 'Progreso promedio de tus formularios {forms}',
+        'chat.noDeadlines': 'No hay fechas límite próximas',
+        'chat.daysRemaining': '{date} - quedan {days} días',
+        'chat.voiceModeTitle': 'Modo de voz',
+        'chat.voiceModeText': 'Mejora a Pro para conversar por voz con manos libres',
+        'chat.upgradePrice': 'Mejorar - $29/mes',
+        'chat.liveTranscript': 'Transcripción en vivo',
+        'chat.transcriptEmpty': 'La transcripción de voz aparecerá aquí',
+        'chat.youSaid': 'Dijiste:',
+        'chat.aiResponded': 'La IA respondió:',
+        'chat.listening': 'Escuchando...',
+        'chat.speakNow': 'Habla ahora',
+        'chat.processing': 'Procesando...',
+        'chat.stopListening': 'Dejar de escuchar',
+        'chat.upgradeTitle': 'Mejora a Pro',
+        'chat.upgradeText': 'Desbloquea el chat por voz y las funciones premium',
+        'chat.feature.voice': 'Conversaciones por voz ilimitadas',
+        'chat.feature.review': 'Revisión de documentos con IA (50/mes)',
+        'chat.feature.interviews': 'Entrevistas de práctica ilimitadas',
+        'chat.feature.predictions': 'Pronósticos de fecha de prioridad',
+        'chat.pricePerMonth': '$29/mes',
+        'chat.error': 'Lo sentimos, algo salió mal. Inténtalo de nuevo.',
+        'chat.voiceError': 'Error de reconocimiento de voz: {error}',
+        'chat.voiceUnsupported': 'Tu navegador no admite la entrada por voz. Prueba con Chrome, Edge o Safari.',
+        'chat.speechOn': 'Respuestas por voz activadas',
+        'chat.speechOff': 'Respuestas por voz desactivadas',
+        'chat.switchedTopic': 'Cambiaste al modo {topic}. ¿Cómo puedo ayudarte?',
+        'chat.cleared': '¡Chat borrado! ¿Cómo puedo ayudarte hoy?',
+        'chat.howCanIHelp': '¿Cómo puedo ayudarte hoy?',
+        'chat.newTopicConversation': 'Nueva conversación de {topic}. ¿Cómo puedo ayudarte?',
+        'chat.confirmDelete': '¿Eliminar "{title}"? Esta acción no se puede deshacer.',
+        'chat.adoptLocal': '¿Agregar a su cuenta las {count} conversaciones guardadas en este dispositivo sin iniciar sesión? Elija Cancelar para conservarlas solo en este dispositivo.',
+        'sync.adoptLocal': 'Este dispositivo tiene respuestas guardadas sin una sesión iniciada. ¿Agregarlas a su cuenta? Elija Cancelar si son de otra persona; se quedarán en este dispositivo.',
+        'chat.exportEmpty': 'Inicia una conversación para exportarla.',
+        'chat.exportPdfLost': 'El PDF usa una fuente solo con letras latinas, así que algunos caracteres aparecen como "?". Exporta como Markdown para conservar el texto completo.',
+        'chat.sources': 'Fuentes',
+        'chat.lastReviewed': 'Revisado por última vez el {date}',
+        'chat.unknownDate': 'desconocida',
+        'chat.mayBeOutdated': '(puede estar desactualizado; consulta la fuente)',
+        'chat.englishOnly': 'Esta respuesta solo está disponible en inglés.',
+        'chat.link.forms': 'Ir al Centro de formularios',
+        'chat.link.dashboard': 'Ver mi panel',
+        'chat.link.civics': 'Comenzar práctica de civismo',
+        'chat.reply.greeting': '¡Hola, {name}! ¡Qué gusto verte!\n\nSoy tu asistente de Visa Guide AI. Puedo ayudarte con:\n\n* Preguntas de elegibilidad\n* Documentos requeridos\n* Guía para llenar formularios\n* Preparación para la entrevista\n* Estado de tu caso\n* Fechas límite\n\nMis respuestas detalladas están en inglés, así como los formularios de USCIS. ¿En qué te puedo ayudar hoy?',
+        'chat.reply.greetingGuest': '¡Hola! ¡Qué gusto verte!\n\nSoy tu asistente de Visa Guide AI. Puedo ayudarte con:\n\n* Preguntas de elegibilidad\n* Documentos requeridos\n* Guía para llenar formularios\n* Preparación para la entrevista\n* Estado de tu caso\n* Fechas límite\n\nMis respuestas detalladas están en inglés, así como los formularios de USCIS. ¿En qué te puedo ayudar hoy?',
+        'chat.reply.navigateForms': 'Te llevaré al Centro de formularios, donde puedes acceder a todos los formularios de inmigración disponibles y llenarlos.\n\nEl Centro de formularios incluye:\n* Todos los formularios de USCIS (N-400, I-485, I-130, I-140, etc.)\n* Instrucciones de presentación paso a paso\n* Listas de documentos para cada formulario\n* Información sobre tarifas\n\n¿Quieres orientación sobre algún formulario en particular?',
+        'chat.reply.navigateDashboard': 'Te llevaré a tu panel, donde puedes ver todo tu progreso migratorio.\n\nTu panel muestra:\n* El progreso general de tu proceso migratorio\n* Próximas fechas límite\n* Listas de documentos\n* Novedades sobre el estado de tu caso\n\n¡Avísame si necesitas ayuda con algo en particular!',
+        'chat.reply.navigateCivics': 'Te llevaré a la sección de práctica de civismo, donde puedes estudiar y prepararte para tu examen de ciudadanía.\n\nLa práctica de civismo incluye:\n* Las {questions} preguntas oficiales del {name}\n* Un simulador de entrevista que las hace en voz alta, como el oficial\n* Modo de estudio y cuestionarios\n* Seguimiento de tu progreso\n\nEl examen se presenta en inglés, así que las preguntas están en inglés. ¡Mucha suerte con tu preparación!',
+        'chat.reply.civics': 'Preparación para el examen de civismo:\n\nFormato del examen ({name}, para solicitudes presentadas ahora):\n* El oficial te hace en voz alta hasta {asked} preguntas de una lista de {questions}\n* Respondes con tus propias palabras; no hay opciones de respuesta\n* Apruebas con {passAt} respuestas correctas\n* Si tienes 65 años o más y llevas 20 años como residente permanente, te hacen {seniorAsked} de {seniorQuestions} preguntas especiales y necesitas {seniorPassAt} correctas\n* ¿Presentaste antes? Tu entrevista usa el examen que corresponde a tu fecha de presentación\n\nTemas (en inglés, como en el examen):\n{topics}\n\n¿Quieres empezar a practicar ahora?',
+        'chat.reply.navigate': '¡Con gusto te ayudo a llegar al lugar indicado! ¿A qué quieres acceder?\n\n* **Centro de formularios** - Formularios y solicitudes de inmigración\n* **Panel** - Tu progreso y fechas límite\n* **Práctica de civismo** - Preparación para el examen de ciudadanía\n\n¡Solo dime lo que necesitas!',
+        'chat.reply.noCase': 'Todavía no veo formularios guardados ni documentos subidos.\n\nComienza un formulario en el Centro de formularios y podré decirte qué respuestas faltan, qué documentos aún necesitas y tus próximas fechas.',
+        'chat.reply.fallback': 'Entiendo que preguntas sobre "{message}". Así es como puedo ayudarte:\n\nTemas en los que puedo ayudarte:\n\n📋 **Visas**\n* H-1B, L-1, O-1, F-1, etc.\n\n💳 **Green cards**\n* Por empleo (EB-1, EB-2, EB-3)\n* Por familia\n\n📄 **Formularios**\n* N-400, I-485, I-130, I-140, etc.\n\n📋 **Documentos**\n* Documentos requeridos\n* Listas de verificación\n\n📅 **Plazos**\n* Tiempos de procesamiento\n* Fechas límite\n\n🎓 **Ciudadanía**\n* Preparación para el examen de civismo\n* Consejos para la entrevista\n\nMis respuestas detalladas están en inglés. ¿Puedes darme más detalles sobre tu pregunta? Por ejemplo:\n- ¿Qué tipo de visa solicitas?\n- ¿En qué etapa del proceso estás?\n- ¿Qué ayuda específica necesitas?\n\n¡Estoy aquí para ayudarte!',
+        'chat.reply.sorry': 'Lo siento, no pude responder en este momento. Inténtalo de nuevo.',
+
+        // ============ FORMS ============
+        'forms.title': 'Centro de formularios',
+        'forms.subtitle': 'Completa tus formularios de inmigración, administra tus documentos y sigue tu progreso',
+        'forms.tab.forms': 'Mis formularios',
+        'forms.tab.interactive': 'Llenar formulario',
+        'forms.tab.documents': 'Documentos',
+        'forms.tab.calculator': 'Calculadora de costos',
+        'forms.tab.timeline': 'Cronología',
+        'forms.status.not-started': 'Sin comenzar',
+        'forms.status.in-progress': 'En curso',
+        'forms.status.completed': 'Completado',
+        'forms.months': '{range} meses',
+        'forms.description.n400': 'Solicita la ciudadanía estadounidense por naturalización',
+        'forms.description.i485': 'Solicita el ajuste de tu estatus a residente permanente',
+        'forms.description.i130': 'Demuestra el parentesco familiar para la green card',
+        'forms.description.i140': 'Green card por empleo patrocinada por el empleador',
+        'forms.description.i765': 'Obtén un permiso de trabajo mientras esperas la green card',
+        'forms.description.i131': 'Solicita un permiso adelantado para viajar al extranjero',
+        'forms.progress': 'Progreso: {percent}%',
+        'forms.previous': 'Anterior',
+        'forms.next': 'Siguiente',
+        'forms.review': 'Revisar',
+        'forms.reviewHeading': 'Parte {step} - Revisa tu información',
+        'forms.readyToSubmit': '¿Listo para enviar?',
+        'forms.readyToSubmitText': 'Revisa con cuidado toda la información anterior. Una vez enviada, no podrás hacer cambios en línea. Es posible que debas comunicarte con USCIS para hacer correcciones.',
+        'forms.saveDraft': 'Guardar borrador',
+        'forms.downloadPdf': 'Descargar PDF',
+        'forms.submitApplication': 'Enviar solicitud',
+        'forms.select': 'Seleccionar',
+        'forms.validation.required': 'Este campo es obligatorio.',
+        'forms.validation.option': 'Elige una de las opciones de la lista.',
+        'forms.validation.date': 'Escribe una fecha válida.',
+        'forms.validation.future': 'La fecha no puede ser futura.',
+        'forms.validation.anumber': 'Escribe un A-Number de 7 a 9 dígitos (p. ej., A123-456-789).',
+        'forms.validation.zip': 'Escribe un código postal de 5 dígitos (o ZIP+4).',
+        'forms.validation.receipt': 'Escribe un número de recibo de 13 caracteres (p. ej., IOE0123456789).',
+        'forms.validation.number': 'Escribe un número válido.',
+        'forms.validation.format': 'Revisa el formato de este campo.',
+        'forms.officialLabel': 'En el formulario: {label}',
+        'forms.edit': 'Editar',
+        'forms.notProvided': 'No proporcionado',
+        'forms.needAttention': '{count} elemento(s) requieren atención antes de enviar',
+        'forms.pdfMissing': '{count} campo(s) obligatorio(s) quedaron en blanco en el PDF',
+        'forms.pdfContinued': '{count} respuesta(s) se colocaron en la hoja de continuación',
+        'forms.tooLong': '(demasiado largo para el campo del formulario)',
+        'forms.confirmPdfSummary': '¿Descargar en su lugar un PDF de resumen de sus respuestas del {form}? Un resumen no se puede presentar ante USCIS.',
+        'forms.pdfTransliterated': '{count} respuesta(s) tenían letras que la fuente del PDF no puede mostrar y se escribieron con letras latinas; revíselas',
+        'forms.pdfNotLatin': '(algunos caracteres no se pudieron convertir; escriba esta respuesta en inglés)',
+        'forms.conflict': 'Cambiado en otro dispositivo a:',
+        'forms.keepMine': 'Conservar el mío',
+        'forms.useOther': 'Usar el del otro dispositivo',
+        'forms.empty': '(vacío)',
+        'forms.prefill.button': 'Rellenar desde un documento',
+        'forms.prefill.title': 'Datos de su {document}',
+        'forms.prefill.hint': 'Leído en este dispositivo: compare cada dato con su documento antes de aceptarlo.',
+        'forms.prefill.field': 'Campo',
+        'forms.prefill.current': 'En el formulario',
+        'forms.prefill.proposed': 'Del documento',
+        'forms.prefill.accept': 'Aceptar',
+        'forms.prefill.ignore': 'Ignorar',
+        'forms.prefill.acceptAll': 'Aceptar todo',
+        'forms.prefill.dismiss': 'Descartar',
+        'forms.prefill.verified': 'Los dígitos de control coinciden',
+        'forms.prefill.unverified': 'No se pudo verificar: revíselo con cuidado',
+        'forms.prefill.reading': 'Leyendo {name}...',
+        'forms.prefill.found': 'Se encontraron {count} dato(s) para {form}: revíselos en el formulario',
+        'forms.prefill.nothing': 'Nada nuevo que rellenar con este documento',
+        'forms.prefill.failed': 'No se pudo leer este documento',
+        'forms.vault.off': 'La bóveda de documentos está desactivada',
+        'forms.vault.offHint': 'Los archivos se guardan tal como los sube. Active la bóveda para cifrar pasaportes, certificados y declaraciones de impuestos en este dispositivo antes de subirlos.',
+        'forms.vault.locked': 'La bóveda de documentos está bloqueada',
+        'forms.vault.lockedHint': 'Sus documentos están cifrados. Desbloquee la bóveda con su frase de contraseña para subirlos o abrirlos.',
+        'forms.vault.unlocked': 'La bóveda de documentos está desbloqueada',
+        'forms.vault.unlockedHint': 'Los archivos se cifran en este dispositivo antes de subirlos. La bóveda se bloquea sola tras {minutes} minutos sin uso.',
+        'forms.vault.enable': 'Activar cifrado',
+        'forms.vault.unlock': 'Desbloquear',
+        'forms.vault.recover': 'Olvidé la frase de contraseña',
+        'forms.vault.lock': 'Bloquear',
+        'forms.vault.change': 'Cambiar frase de contraseña',
+        'forms.vault.rotate': 'Cambiar clave',
+        'forms.vault.recoveryCode': 'Nuevo código de recuperación',
+        'forms.vault.cancel': 'Cancelar',
+        'forms.vault.passphrase': 'Frase de contraseña',
+        'forms.vault.currentPassphrase': 'Frase de contraseña actual',
+        'forms.vault.newPassphrase': 'Nueva frase de contraseña',
+        'forms.vault.confirmPassphrase': 'Repita la frase de contraseña',
+        'forms.vault.recoveryCodeLabel': 'Código de recuperación',
+        'forms.vault.enableHelp': 'Elija una frase de contraseña de al menos {length} caracteres. Sin ella, o sin el código de recuperación que verá a continuación, nadie puede abrir sus documentos, ni siquiera nosotros. Los archivos que ya subió también se cifran.',
+        'forms.vault.unlockHelp': 'Introduzca la frase de contraseña de la bóveda.',
+        'forms.vault.recoverHelp': 'Introduzca el código de recuperación que guardó y elija una nueva frase de contraseña de al menos {length} caracteres.',
+        'forms.vault.changeHelp': 'Sus archivos no cambian; solo cambia la frase de contraseña que los abre. Use al menos {length} caracteres.',
+        'forms.vault.rotateHelp': 'Todos los documentos se vuelven a cifrar con una clave nueva y recibe un nuevo código de recuperación. Hágalo si alguien pudo ver su frase de contraseña o su código de recuperación.',
+        'forms.vault.recoveryCodeHelp': 'Su código de recuperación anterior deja de funcionar en cuanto se crea el nuevo.',
+        'forms.vault.recoveryHint': 'Guarde este código de recuperación en un lugar seguro, fuera de este dispositivo. Es la única forma de acceder a sus documentos si olvida su frase de contraseña y no se volverá a mostrar.',
+        'forms.vault.recoverySaved': 'Ya lo guardé',
+        'forms.vault.mismatch': 'Las frases de contraseña no coinciden',
+        'forms.vault.working': 'Procesando...',
+        'forms.vault.resealFailed': 'Algunos documentos no se pudieron cifrar; inténtelo más tarde',
+        'forms.vault.error': 'Bóveda de documentos: {error}',
+        'forms.vault.done.enable': 'Bóveda de documentos activada',
+        'forms.vault.done.unlock': 'Bóveda de documentos desbloqueada',
+        'forms.vault.done.recover': 'Nueva frase de contraseña establecida; la bóveda está desbloqueada',
+        'forms.vault.done.change': 'Frase de contraseña cambiada',
+        'forms.vault.done.rotate': 'Documentos cifrados con una clave nueva',
+        'forms.vault.done.recoveryCode': 'Nuevo código de recuperación creado',
+        'forms.doc.totalRequired': 'Total requeridos',
+        'forms.doc.uploaded': 'Subidos',
+        'forms.doc.pending': 'Pendientes',
+        'forms.doc.expired': 'Vencidos',
+        'forms.doc.missing': 'Faltante',
+        'forms.doc.uploadedStatus': 'Subido',
+        'forms.doc.expiredStatus': 'Vencido',
+        'forms.doc.notUploaded': 'Sin subir',
+        'forms.doc.editDates': 'Fechas de emisión y vencimiento',
+        'forms.doc.issuedOn': 'Emitido',
+        'forms.doc.expiresOn': 'Vence',
+        'forms.doc.saveDates': 'Guardar fechas',
+        'forms.doc.addDates': 'Agregue la fecha de vencimiento para recibir recordatorios de renovación',
+        'forms.doc.expiresLine': 'Vence el {date}',
+        'forms.doc.expiringLine': 'Vence el {date}: renueve antes del {by}',
+        'forms.doc.renewLine': 'Renueve ahora: vence el {date}',
+        'forms.doc.expiredLine': 'Venció el {date}',
+        'forms.doc.view': 'Ver',
+        'forms.doc.download': 'Descargar',
+        'forms.doc.delete': 'Eliminar',
+        'forms.doc.upload': 'Subir',
+        'forms.doc.uploadTitle': 'Subir documento',
+        'forms.doc.uploadHint': 'Arrastra y suelta archivos aquí o haz clic para buscarlos',
+        'forms.doc.uploadFormats': 'Formatos admitidos: PDF, JPG, PNG (máx. 10 MB)',
+        'forms.doc.requiredFor': 'Documentos requeridos para {form}',
+        'forms.doc.checklistFor': 'Mostrar la lista para',
+        'forms.doc.otherUploads': 'Otros documentos subidos',
+        'forms.doc.cardCount': 'Documentos {ready} de {total}',
+        'forms.calc.title': 'Calcula tus costos',
+        'forms.calc.whichForm': '¿Qué formulario vas a presentar? *',
+        'forms.calc.selectForm': 'Selecciona un formulario',
+        'forms.calc.whoFiling': '¿Quién presenta la solicitud? *',
+        'forms.calc.selectApplicant': 'Selecciona el solicitante',
+        'forms.calc.adult': 'Adulto (14+)',
+        'forms.calc.child': 'Menor (menos de 14)',
+        'forms.calc.premiumQuestion': '¿Necesitas procesamiento prioritario? (si corresponde)',
+        'forms.calc.no': 'No',
+        'forms.calc.premiumYes': 'Sí (+$2,500)',
+        'forms.calc.waiverQuestion': '¿Calificas para una exención de tarifas?',
+        'forms.calc.waiverNo': 'No, pagaré la tarifa completa',
+        'forms.calc.waiverYes': 'Sí, solicitaré la exención',
+        'forms.calc.additional': 'Servicios adicionales (opcional):',
+        'forms.calc.biometricsService': 'Servicios biométricos (si no están incluidos)',
+        'forms.calc.translation': 'Servicio de traducción de documentos (+$100)',
+        'forms.calc.notary': 'Servicio notarial (+$50)',
+        'forms.calc.summary': 'Resumen de costos',
+        'forms.calc.total': 'Costo total estimado',
+        'forms.calc.filingFee': 'Tarifa de presentación',
+        'forms.calc.biometrics': 'Datos biométricos',
+        'forms.calc.premium': 'Procesamiento prioritario',
+        'forms.calc.services': 'Servicios adicionales',
+        'forms.calc.waiver': 'Exención de tarifas aplicada',
+        'forms.calc.breakdown': 'Desglose de tarifas por formulario:',
+        'forms.calc.n400Fee': '$640 + $85 de datos biométricos',
+        'forms.calc.i485Fee': '$1,225 (o $750 para menores)',
+        'forms.calc.note': 'Nota: Estas son solo tarifas de presentación estimadas. Los costos adicionales pueden incluir honorarios de abogados, exámenes médicos, traducciones y obtención de documentos.',
+        'forms.timeline.title': 'Tu cronología migratoria',
+        'forms.timeline.checkStatus': 'Consultar estado',
+        'forms.timeline.checkBulletin': 'Consultar el Boletín de Visas',
+        'forms.timeline.prepareI485': 'Preparar el I-485',
+        'forms.toast.notInChecklist': 'Ese documento no está en tu lista.',
+        'forms.toast.notAvailable': 'Este formulario aún no está disponible.',
+        'forms.toast.opening': 'Abriendo el formulario {form}...',
+        'forms.toast.fixFields': 'Corrige los campos resaltados antes de continuar.',
+        'forms.toast.saved': '¡Progreso guardado correctamente!',
+        'forms.toast.resumed': 'Reanudado desde el último guardado: {date}',
+        'forms.toast.generatingPdf': 'Generando PDF...',
+        'forms.toast.pdfFilled': '¡PDF oficial completado y descargado!',
+        'forms.toast.pdfSummary': 'La plantilla oficial no está disponible; se descargó un PDF de resumen.',
+        'forms.toast.pdfError': 'Error al generar el PDF. Inténtalo de nuevo.',
+        'forms.toast.pdfTemplateMissing': 'El PDF oficial del {form} no está instalado en este sitio ({file}).',
+        'forms.toast.fixReview': 'Corrige los elementos indicados en la página de revisión antes de enviar.',
+        'forms.confirmSubmit': '¿Seguro que quieres enviar tu solicitud {form}? Esta acción no se puede deshacer.',
+        'forms.toast.submitted': '¡Felicidades! Tu solicitud {form} se envió correctamente.',
+        'forms.toast.uploading': 'Subiendo {name}...',
+        'forms.toast.uploaded': '¡{name} se subió correctamente a la nube!',
+        'forms.toast.uploadFailed': 'No se pudo subir. Inténtalo de nuevo.',
+        'forms.toast.uploadError': 'No se pudo subir: {error}',
+        'forms.toast.datesSaved': 'Fechas guardadas para {name}',
+        'forms.toast.allUploaded': '¡Ya subiste todos los documentos requeridos!',
+        'forms.toast.docNotFound': 'No se encontró el documento.',
+        'forms.toast.docUnavailable': 'El documento no está disponible. Súbelo primero.',
+        'forms.toast.openingDoc': 'Abriendo documento...',
+        'forms.toast.allowPopups': 'Permite las ventanas emergentes para ver documentos.',
+        'forms.toast.downloadStarted': 'Descarga iniciada...',
+        'forms.confirmDeleteDoc': '¿Seguro que quieres eliminar este documento?',
+        'forms.toast.deleting': 'Eliminando documento...',
+        'forms.toast.deleted': 'Documento eliminado del almacenamiento en la nube.',
+        'forms.toast.deletedPending': 'Documento eliminado (sincronización pendiente).',
+        'forms.toast.conflict': 'Un campo se cambió en otro dispositivo. Elige qué valor conservar.',
+        'forms.timeline.step1.title': 'Ingreso a los Estados Unidos',
+        'forms.timeline.step1.date': 'Enero de 2015',
+        'forms.timeline.step1.desc': 'Ingreso inicial con visa de estudiante F-1',
+        'forms.timeline.step2.title': 'Cambio a estatus H-1B',
+        'forms.timeline.step2.date': 'Octubre de 2019',
+        'forms.timeline.step2.desc': 'Petición H-1B patrocinada por el empleador aprobada',
+        'forms.timeline.step3.title': 'Certificación laboral PERM',
+        'forms.timeline.step3.date': 'En curso - Previsto: marzo de 2025',
+        'forms.timeline.step3.desc': 'Paso actual: prueba del mercado laboral para la green card EB-3',
+        'forms.timeline.step4.title': 'Presentar la petición I-140',
+        'forms.timeline.step4.date': 'Estimado: abril de 2025',
+        'forms.timeline.step4.desc': 'El empleador presenta la petición de inmigrante para trabajador extranjero',
+        'forms.timeline.step5.title': 'I-140 aprobada',
+        'forms.timeline.step5.date': 'Estimado: agosto de 2025',
+        'forms.timeline.step5.desc': 'Se recibió el aviso de aprobación de la petición de inmigrante',
+        'forms.timeline.step6.title': 'Esperar la fecha de prioridad',
+        'forms.timeline.step6.date': '2025 - 2028 (varía según el país)',
+        'forms.timeline.step6.desc': 'India EB-3: la fecha de prioridad actual es ~2012',
+        'forms.timeline.step7.title': 'Presentar el ajuste I-485',
+        'forms.timeline.step7.date': 'Cuando la fecha de prioridad esté vigente',
+        'forms.timeline.step7.desc': 'Presenta la solicitud de ajuste de estatus a residente permanente',
+        'forms.timeline.step8.title': 'Recibir la green card',
+        'forms.timeline.step8.date': 'Después de la aprobación del I-485',
+        'forms.timeline.step8.desc': '¡Felicidades! Ahora eres residente permanente',
+
+        // ============ FORM SCHEMAS ============
+        // form-registry.js text by form and field id (FormRegistry.text) - English is the schema itself
+        'schema.option.India': 'India',
+        'schema.option.China': 'China',
+        'schema.option.Mexico': 'México',
+        'schema.option.Philippines': 'Filipinas',
+        'schema.option.Vietnam': 'Vietnam',
+        'schema.option.Other': 'Otro',
+        'schema.option.no': 'No',
+        'schema.option.yes': 'Sí',
+        'schema.option.single': 'Soltero/a (nunca casado/a)',
+        'schema.option.married': 'Casado/a',
+        'schema.option.divorced': 'Divorciado/a',
+        'schema.option.widowed': 'Viudo/a',
+        'schema.option.separated': 'Separado/a legalmente',
+        'schema.n400.step1.title': 'Datos básicos',
+        'schema.n400.step1.heading': 'Parte 1 - Información básica',
+        'schema.n400.lastName.label': 'Nombre legal - Apellido',
+        'schema.n400.lastName.review': 'Apellido',
+        'schema.n400.lastName.placeholder': 'Escribe tu apellido',
+        'schema.n400.firstName.label': 'Nombre de pila',
+        'schema.n400.firstName.review': 'Nombre',
+        'schema.n400.firstName.placeholder': 'Escribe tu nombre',
+        'schema.n400.middleName.label': 'Segundo nombre (si tienes)',
+        'schema.n400.middleName.review': 'Segundo nombre',
+        'schema.n400.middleName.placeholder': 'Escribe tu segundo nombre',
+        'schema.n400.dob.label': 'Fecha de nacimiento',
+        'schema.n400.birthCountry.label': 'País de nacimiento',
+        'schema.n400.nationality.label': 'País de nacionalidad',
+        'schema.n400.aNumber.label': 'Número de registro de extranjero (A-Number), si lo tienes',
+        'schema.n400.lprDate.label': 'Fecha en que obtuviste la residencia permanente legal',
+        'schema.n400.lprDate.review': 'Residente permanente desde',
+        'schema.n400.step2.title': 'Elegibilidad',
+        'schema.n400.step2.heading': 'Parte 2 - Elegibilidad',
+        'schema.n400.eligibilityBasis.label': 'Solicito la naturalización porque (elige una opción):',
+        'schema.n400.eligibilityBasis.review': 'Motivo de la solicitud',
+        'schema.n400.eligibilityBasis.5years': 'Soy residente permanente legal desde hace al menos 5 años',
+        'schema.n400.eligibilityBasis.3years': 'Soy residente permanente legal desde hace al menos 3 años y estoy casado/a con un ciudadano/a de EE. UU.',
+        'schema.n400.eligibilityBasis.uscis': 'Soy ciudadano/a de EE. UU. a través de mis padres y solicito la naturalización',
+        'schema.n400.eligibilityBasis.military': 'Solicito según las disposiciones militares',
+        'schema.n400.communistParty.label': '¿Alguna vez has sido miembro de, o has estado asociado/a de alguna forma con, algún partido comunista u otro partido totalitario?',
+        'schema.n400.communistParty.review': 'Afiliación a partido comunista',
+        'schema.n400.criminalCharges.label': '¿Alguna vez te han acusado de un delito?',
+        'schema.n400.criminalCharges.review': 'Cargos penales',
+        'schema.n400.criminalDetails.label': 'Da detalles de cualquier arresto o cargo',
+        'schema.n400.criminalDetails.review': 'Detalles penales',
+        'schema.n400.criminalDetails.placeholder': 'Da detalles de cualquier arresto o cargo',
+        'schema.n400.step3.title': 'Residencia',
+        'schema.n400.step3.heading': 'Parte 3 - Residencia',
+        'schema.n400.currentAddress.label': 'Dirección física actual - Número y nombre de la calle',
+        'schema.n400.currentAddress.review': 'Dirección actual',
+        'schema.n400.currentAddress.placeholder': 'Escribe la dirección',
+        'schema.n400.currentCity.label': 'Ciudad',
+        'schema.n400.currentCity.placeholder': 'Ciudad',
+        'schema.n400.currentState.label': 'Estado',
+        'schema.n400.currentZip.label': 'Código postal (ZIP)',
+        'schema.n400.currentCounty.label': 'Condado',
+        'schema.n400.currentCounty.placeholder': 'Condado',
+        'schema.n400.arrivalDate.label': 'Fecha de llegada a EE. UU.',
+        'schema.n400.tripsAbroad.label': 'En los últimos 5 años, ¿has hecho algún viaje fuera de Estados Unidos que haya durado 24 horas o más?',
+        'schema.n400.tripsAbroad.review': 'Viajes fuera de EE. UU.',
+        'schema.n400.trips.label': 'Viajes fuera de Estados Unidos en los últimos 5 años',
+        'schema.n400.trips.review': 'Viajes',
+        'schema.n400.countriesLived.label': 'Indica todos los países donde has vivido en los últimos 5 años:',
+        'schema.n400.countriesLived.review': 'Países de residencia (últimos 5 años)',
+        'schema.n400.countriesLived.placeholder': 'Indica países, ciudades y fechas',
+        'schema.n400.step4.title': 'Empleo',
+        'schema.n400.step4.heading': 'Parte 4 - Empleo',
+        'schema.n400.employer.label': 'Empleador actual (o "None" si no tienes empleo)',
+        'schema.n400.employer.review': 'Empleador actual',
+        'schema.n400.employer.placeholder': 'Nombre del empleador',
+        'schema.n400.occupation.label': 'Ocupación/Puesto',
+        'schema.n400.occupation.review': 'Ocupación',
+        'schema.n400.occupation.placeholder': 'Tu puesto',
+        'schema.n400.employerAddress.label': 'Dirección del empleador',
+        'schema.n400.employerAddress.placeholder': 'Dirección',
+        'schema.n400.employerStartDate.label': 'Fecha de inicio',
+        'schema.n400.employerEndDate.label': 'Fecha de finalización (o "Present")',
+        'schema.n400.employerEndDate.review': 'Fecha de finalización',
+        'schema.n400.employmentHistory.label': 'Indica tus empleos de los últimos 5 años (incluido el trabajo por cuenta propia):',
+        'schema.n400.employmentHistory.review': 'Historial de empleo',
+        'schema.n400.employmentHistory.placeholder': 'Indica empleador, dirección, puesto y fechas',
+        'schema.n400.step5.title': 'Familia',
+        'schema.n400.step5.heading': 'Parte 5 - Información familiar',
+        'schema.n400.maritalStatus.label': 'Estado civil',
+        'schema.n400.spouseName.label': 'Nombre completo del cónyuge',
+        'schema.n400.spouseName.placeholder': 'Nombre legal del cónyuge',
+        'schema.n400.spouseDob.label': 'Fecha de nacimiento del cónyuge',
+        'schema.n400.spouseBirthCountry.label': 'País de nacimiento del cónyuge',
+        'schema.n400.spouseBirthCountry.USA': 'Estados Unidos',
+        'schema.n400.marriageDate.label': 'Fecha de matrimonio',
+        'schema.n400.marriagePlace.label': 'Lugar del matrimonio (ciudad y país)',
+        'schema.n400.marriagePlace.placeholder': 'Ciudad, país',
+        'schema.n400.previousSpouses.label': 'Si estuviste casado/a antes, da información sobre tu(s) cónyuge(s) anterior(es):',
+        'schema.n400.previousSpouses.review': 'Cónyuges anteriores',
+        'schema.n400.previousSpouses.placeholder': 'Nombre, fecha de nacimiento, fecha y lugar del matrimonio, fecha y forma de terminación',
+        'schema.n400.childrenInfo.label': 'Información de hijos (si tienes):',
+        'schema.n400.childrenInfo.review': 'Hijos',
+        'schema.n400.childrenInfo.placeholder': 'Indica todos tus hijos con nombre, fecha de nacimiento y país de nacimiento',
+        'schema.n400.check.lprDate.earliestFilingDate': 'Todavía no puedes presentar la solicitud por este motivo: consulta el resumen de elegibilidad en la página de revisión para ver tu primera fecha posible.',
+        'schema.n400.check.dob.yearsSince': 'Debes tener al menos 18 años para solicitar la naturalización.',
+        'schema.n400.check.marriageDate.dateAfter': 'La fecha de matrimonio debe ser posterior a tu fecha de nacimiento.',
+        'schema.n400.check.arrivalDate.dateAfter': 'La fecha de llegada debe ser posterior a tu fecha de nacimiento.',
+        'schema.n400.check.lprDate.dateAfter': 'La fecha de residencia permanente debe ser posterior a tu fecha de nacimiento.',
+        'schema.n400.check.maritalStatus.equals': 'El motivo de 3 años exige que estés casado/a con un ciudadano/a de EE. UU.',
+        'schema.n400.reason.marriage_certificate.maritalStatus': 'Estás casado/a',
+        'schema.n400.reason.marriage_certificate.eligibilityBasis': 'Solicitas como cónyuge de un ciudadano/a de EE. UU.',
+        'schema.n400.reason.court_records.criminalCharges': 'Te han acusado de un delito',
+        'schema.i485.step1.title': 'Sobre ti',
+        'schema.i485.step1.heading': 'Parte 1 - Información sobre ti',
+        'schema.i485.lastName.label': 'Apellido',
+        'schema.i485.firstName.label': 'Nombre de pila',
+        'schema.i485.middleName.label': 'Segundo nombre',
+        'schema.i485.dob.label': 'Fecha de nacimiento',
+        'schema.i485.birthCountry.label': 'País de nacimiento',
+        'schema.i485.nationality.label': 'País de nacionalidad',
+        'schema.i485.i94Number.label': 'Número de registro I-94',
+        'schema.i485.lastArrivalDate.label': 'Fecha de la última llegada',
+        'schema.i485.step2.title': 'Tipo de solicitud',
+        'schema.i485.step2.heading': 'Parte 2 - Tipo de solicitud',
+        'schema.i485.applicationCategory.label': 'Categoría de inmigrante',
+        'schema.i485.applicationCategory.family': 'Por familia',
+        'schema.i485.applicationCategory.employment': 'Por empleo',
+        'schema.i485.applicationCategory.asylum': 'Asilado o refugiado',
+        'schema.i485.applicationCategory.other': 'Otro',
+        'schema.i485.underlyingReceiptNumber.label': 'Número de recibo de la petición base',
+        'schema.i485.priorityDate.label': 'Fecha de prioridad',
+        'schema.i485.step3.title': 'Dirección',
+        'schema.i485.step3.heading': 'Parte 3 - Dirección',
+        'schema.i485.currentAddress.label': 'Dirección',
+        'schema.i485.currentCity.label': 'Ciudad',
+        'schema.i485.currentState.label': 'Estado',
+        'schema.i485.currentZip.label': 'Código postal (ZIP)',
+        'schema.i485.step4.title': 'Familia',
+        'schema.i485.step4.heading': 'Parte 4 - Información familiar',
+        'schema.i485.maritalStatus.label': 'Estado civil',
+        'schema.i485.spouseName.label': 'Nombre del cónyuge',
+        'schema.i485.childrenInfo.label': 'Hijos',
+        'schema.i485.step5.title': 'Admisibilidad',
+        'schema.i485.step5.heading': 'Parte 5 - Admisibilidad',
+        'schema.i485.criminalCharges.label': '¿Alguna vez te han acusado de un delito?',
+        'schema.i485.criminalCharges.review': 'Cargos penales',
+        'schema.i485.criminalDetails.label': 'Da detalles de cualquier arresto o cargo',
+        'schema.i485.criminalDetails.review': 'Detalles penales',
+        'schema.i485.immigrationViolations.label': '¿Alguna vez has violado las condiciones de tu estatus migratorio?',
+        'schema.i485.immigrationViolations.review': 'Violaciones migratorias',
+        'schema.i485.check.lastArrivalDate.dateAfter': 'La fecha de la última llegada debe ser posterior a tu fecha de nacimiento.',
+        'schema.i485.reason.marriage_certificate.maritalStatus': 'Estás casado/a',
+        'schema.i485.reason.court_records.criminalCharges': 'Te han acusado de un delito',
+        'schema.i130.step1.title': 'Parentesco',
+        'schema.i130.step1.heading': 'Parte 1 - Parentesco',
+        'schema.i130.relationship.label': 'Parentesco con el beneficiario',
+        'schema.i130.relationship.spouse': 'Cónyuge',
+        'schema.i130.relationship.parent': 'Padre o madre',
+        'schema.i130.relationship.child': 'Hijo/a',
+        'schema.i130.relationship.sibling': 'Hermano / Hermana',
+        'schema.i130.petitionerStatus.label': 'Estatus del peticionario',
+        'schema.i130.petitionerStatus.citizen': 'Ciudadano/a de EE. UU.',
+        'schema.i130.petitionerStatus.lpr': 'Residente permanente legal',
+        'schema.i130.step2.title': 'Peticionario',
+        'schema.i130.step2.heading': 'Parte 2 - Información sobre ti (peticionario)',
+        'schema.i130.petitionerLastName.label': 'Apellido del peticionario',
+        'schema.i130.petitionerFirstName.label': 'Nombre del peticionario',
+        'schema.i130.petitionerDob.label': 'Fecha de nacimiento del peticionario',
+        'schema.i130.petitionerAddress.label': 'Dirección del peticionario',
+        'schema.i130.step3.title': 'Beneficiario',
+        'schema.i130.step3.heading': 'Parte 3 - Información sobre el beneficiario',
+        'schema.i130.beneficiaryLastName.label': 'Apellido del beneficiario',
+        'schema.i130.beneficiaryFirstName.label': 'Nombre del beneficiario',
+        'schema.i130.beneficiaryDob.label': 'Fecha de nacimiento del beneficiario',
+        'schema.i130.beneficiaryBirthCountry.label': 'País de nacimiento del beneficiario',
+        'schema.i130.beneficiaryANumber.label': 'A-Number del beneficiario',
+        'schema.i130.step4.title': 'Matrimonio',
+        'schema.i130.step4.heading': 'Parte 4 - Matrimonio',
+        'schema.i130.marriageDate.label': 'Fecha de matrimonio',
+        'schema.i130.marriagePlace.label': 'Lugar del matrimonio',
+        'schema.i130.check.petitionerStatus.equals': 'Solo los ciudadanos de EE. UU. pueden pedir a un padre, una madre o un hermano/a.',
+        'schema.i130.reason.marriage_certificate.relationship': 'Haces la petición para tu cónyuge',
+        'schema.i140.step1.title': 'Empleador',
+        'schema.i140.step1.heading': 'Parte 1 - Información sobre el empleador',
+        'schema.i140.employerName.label': 'Nombre del empleador',
+        'schema.i140.employerEin.label': 'FEIN del empleador',
+        'schema.i140.employerEin.pattern': 'Escribe un FEIN de 9 dígitos (XX-XXXXXXX).',
+        'schema.i140.employerAddress.label': 'Dirección del empleador',
+        'schema.i140.step2.title': 'Clasificación',
+        'schema.i140.step2.heading': 'Parte 2 - Tipo de petición',
+        'schema.i140.classification.label': 'Clasificación de la petición',
+        'schema.i140.permCaseNumber.label': 'Número de caso PERM',
+        'schema.i140.step3.title': 'Beneficiario',
+        'schema.i140.step3.heading': 'Parte 3 - Información sobre el beneficiario',
+        'schema.i140.lastName.label': 'Apellido',
+        'schema.i140.firstName.label': 'Nombre de pila',
+        'schema.i140.dob.label': 'Fecha de nacimiento',
+        'schema.i140.birthCountry.label': 'País de nacimiento',
+        'schema.i140.step4.title': 'Oferta de empleo',
+        'schema.i140.step4.heading': 'Parte 4 - Oferta de empleo',
+        'schema.i140.jobTitle.label': 'Puesto',
+        'schema.i140.socCode.label': 'Código SOC',
+        'schema.i140.offeredWage.label': 'Salario ofrecido (por año)',
+        'schema.i765.step1.title': 'Motivo',
+        'schema.i765.step1.heading': 'Parte 1 - Motivo de la solicitud',
+        'schema.i765.eadReason.label': 'Solicito',
+        'schema.i765.eadReason.initial': 'Permiso inicial para aceptar empleo',
+        'schema.i765.eadReason.replacement': 'Reemplazo de una tarjeta perdida, robada o dañada',
+        'schema.i765.eadReason.renewal': 'Renovación de mi permiso para aceptar empleo',
+        'schema.i765.eligibilityCategory.label': 'Categoría de elegibilidad',
+        'schema.i765.eligibilityCategory.pattern': 'Escribe una categoría como (c)(9).',
+        'schema.i765.step2.title': 'Sobre ti',
+        'schema.i765.step2.heading': 'Parte 2 - Información sobre ti',
+        'schema.i765.lastName.label': 'Apellido',
+        'schema.i765.firstName.label': 'Nombre de pila',
+        'schema.i765.dob.label': 'Fecha de nacimiento',
+        'schema.i765.birthCountry.label': 'País de nacimiento',
+        'schema.i765.i94Number.label': 'Número de registro I-94',
+        'schema.i765.step3.title': 'Dirección',
+        'schema.i765.step3.heading': 'Parte 3 - Dirección postal',
+        'schema.i765.currentAddress.label': 'Dirección',
+        'schema.i765.currentCity.label': 'Ciudad',
+        'schema.i765.currentState.label': 'Estado',
+        'schema.i765.currentZip.label': 'Código postal (ZIP)',
+        'schema.i131.step1.title': 'Tipo de documento',
+        'schema.i131.step1.heading': 'Parte 1 - Tipo de solicitud',
+        'schema.i131.travelDocumentType.label': 'Documento de viaje solicitado',
+        'schema.i131.travelDocumentType.reentry': 'Permiso de reingreso',
+        'schema.i131.travelDocumentType.refugee': 'Documento de viaje para refugiados',
+        'schema.i131.travelDocumentType.advanceParole': 'Documento de permiso adelantado (Advance Parole)',
+        'schema.i131.step2.title': 'Sobre ti',
+        'schema.i131.step2.heading': 'Parte 2 - Información sobre ti',
+        'schema.i131.lastName.label': 'Apellido',
+        'schema.i131.firstName.label': 'Nombre de pila',
+        'schema.i131.dob.label': 'Fecha de nacimiento',
+        'schema.i131.birthCountry.label': 'País de nacimiento',
+        'schema.i131.step3.title': 'Viaje',
+        'schema.i131.step3.heading': 'Parte 3 - Viaje previsto',
+        'schema.i131.intendedDepartureDate.label': 'Fecha de salida prevista',
+        'schema.i131.expectedTripLength.label': 'Duración prevista del viaje (días)',
+        'schema.i131.countriesToVisit.label': 'Países que visitarás',
+        'schema.i131.tripPurpose.label': 'Motivo del viaje',
+        'schema.i131.check.intendedDepartureDate.futureDate': 'La fecha de salida prevista debe ser futura.'
+    },
+
+    zh: {
+        // ============ COMMON ============
+        'common.language': '语言',
+        'common.toggleTheme': '切换深色模式',
+        'common.logout': '退出登录',
+        'common.settings': '设置',
+        'common.profile': '我的资料',
+        'common.billing': '账单',
+        'common.account': '账户',
+        'common.backendLocal': '仅保存在此设备上 - 更改不会同步到云端',
+        'common.backendOther': '正在保存到测试后端 - 更改不会进入云端',
+        'common.upgradeNow': '立即升级',
+        'common.maybeLater': '以后再说',
+        'common.continue': '继续',
+        'common.yourProgress': '您的进度',
+        'common.upcomingDeadlines': '即将到来的截止日期',
+        'common.notifications': '通知',
+        'common.clearAll': '全部清除',
+        'common.markAllRead': '全部标为已读',
+        'common.noNotifications': '没有通知',
+        'nav.dashboard': '仪表板',
+        'nav.roadmap': '路线图',
+        'nav.myRoadmap': '我的路线图',
+        'nav.forms': '表格',
+        'nav.chat': '聊天',
+        'nav.interview': '面试',
+        'nav.resources': '资源',
+        'nav.civics': '公民',
+        'nav.assistant': 'AI 助手',
+        'nav.formsCenter': '表格中心',
+        'nav.civicsPrep': '公民考试准备',
+        'nav.taskList': '任务列表',
+        'nav.myDocuments': '我的文件',
+        'nav.calendar': '日历',
+
+        // ============ AUTH ============
+        'auth.tagline': '您通往美国移民的智能之路',
+        'auth.intro': '成千上万的人信赖 Visa Guide AI 完成移民之路。获取个性化指导，跟踪您的进度，不再错过任何截止日期。',
+        'auth.feature.eligibility': 'AI 资格审核',
+        'auth.feature.checklists': '个性化文件清单',
+        'auth.feature.interview': '模拟面试准备',
+        'auth.feature.deadlines': '截止日期跟踪与提醒',
+        'auth.feature.civics': '公民考试练习',
+        'auth.feature.priority': '优先日期预测',
+        'auth.signIn': '登录',
+        'auth.createAccount': '创建账户',
+        'auth.email': '电子邮箱',
+        'auth.emailPlaceholder': '输入您的邮箱',
+        'auth.password': '密码',
+        'auth.passwordPlaceholder': '输入您的密码',
+        'auth.rememberMe': '记住我',
+        'auth.forgotPassword': '忘记密码？',
+        'auth.orContinue': '或通过以下方式继续',
+        'auth.noAccount': '还没有账户？',
+        'auth.signUpFree': '免费注册',
+        'auth.firstName': '名',
+        'auth.lastName': '姓',
+        'auth.phone': '电话号码（可选）',
+        'auth.createPassword': '设置一个强密码',
+        'auth.passwordHint': '至少 8 个字符，包含数字和特殊字符',
+        'auth.confirmPassword': '确认密码',
+        'auth.confirmPlaceholder': '再次输入密码',
+        'auth.interest': '我感兴趣的是：',
+        'auth.interestPlaceholder': '请选择...',
+        'auth.newsletter': '向我发送移民动态和建议（可随时退订）',
+        'auth.createFree': '创建免费账户',
+        'auth.haveAccount': '已有账户？',
+        'auth.signInLink': '登录',
+        'auth.welcome': '欢迎！',
+        'auth.accountCreated': '您的账户已成功创建。',
+        'auth.pleaseWait': '请稍候...',
+        'auth.signingIn': '正在登录...',
+        'auth.creatingAccount': '正在创建账户...',
+        'auth.connecting': '正在连接...',
+        'auth.loginSuccess': '登录成功！正在跳转到仪表板...',
+        'auth.error.loginFailed': '登录失败，请重试。',
+        'auth.error.wrongPassword': '密码错误，请检查后重试。',
+        'auth.error.userNotFound': '未找到使用此邮箱的账户，请创建新账户。',
+        'auth.error.tooManyRequests': '失败次数过多，请几分钟后再试。',
+        'auth.error.network': '网络错误，请检查网络连接后重试。',
+        'auth.error.occurred': '发生错误：{message}',
+        'auth.error.tryAgain': '发生错误，请重试。',
+        'auth.error.passwordMismatch': '两次输入的密码不一致，请重试。',
+        'auth.error.passwordShort': '密码至少需要 8 个字符。',
+        'auth.error.registration': '注册失败，请重试。',
+        'auth.created.loggingIn': '账户已创建！正在为您登录...',
+        'auth.created.canLogIn': '账户已创建！现在可以登录了。',
+        'auth.created.pleaseLogIn': '账户已创建！请使用您的账号密码登录。',
+        'auth.enterEmailFirst': '请先输入您的邮箱地址。',
+        'auth.resetSent': '密码重置邮件已发送！请查收。',
+        'auth.error.resetFailed': '发送重置邮件失败。',
+
+        // ============ DASHBOARD ============
+        'dashboard.welcomeBack': '欢迎回来，{name}！',
+        'dashboard.subtitle': '这是您移民之路的概览',
+        'dashboard.overallProgress': '总体进度',
+        'dashboard.toolsResources': '工具与资源',
+        'dashboard.myVisaType': '我的签证类型',
+        'dashboard.upgradeTitle': '升级到专业版，享受优先处理',
+        'dashboard.upgradeText': '获得 AI 文件审核、无限次模拟面试和截止日期提醒',
+        'dashboard.viewRoadmap': '查看路线图',
+        'dashboard.checkDocuments': '检查文件',
+        'dashboard.stepsCompleted': '已完成步骤',
+        'dashboard.nextDeadline': '下一个截止日期',
+        'dashboard.documentsReady': '已备好的文件',
+        'dashboard.sincePriorityDate': '自优先日期起',
+        'dashboard.eligibilityCheck': '资格检查',
+        'dashboard.uploadDocuments': '上传文件',
+        'dashboard.mockInterview': '模拟面试',
+        'dashboard.civicsPractice': '公民考试练习',
+        'dashboard.yourEligibility': '您的资格',
+        'dashboard.updateAnswers': '更新答案 →',
+        'dashboard.civicsReadiness': '公民考试准备情况',
+        'dashboard.practiceCivics': '立即练习 →',
+        'dashboard.civicsEmpty': '练习几道公民题，即可查看您的考试准备情况。',
+        'dashboard.passChance': '今天通过的概率',
+        'dashboard.civicsRules': '{name} · {asked} 题中答对 {passAt} 题即通过',
+        'dashboard.civicsStreak': '连续 {count} 天',
+        'dashboard.civicsStudied': '已学习 {studied}/{total} 道题',
+        'dashboard.civicsFocus': '重点练习',
+        'dashboard.civicsAccuracy': '正确率 {percent}%',
+        'dashboard.civicsNotStudied': '尚未学习',
+        'dashboard.documentChecklist': '文件清单',
+        'dashboard.manageDocuments': '管理文件 →',
+        'dashboard.documentsEmpty': '在表格中心开始填写表格，即可查看所需文件。',
+        'dashboard.documentsFormReady': '已备好 {ready}/{total}',
+        'dashboard.documentsAllReady': '此表格所需的文件均已上传。',
+        'dashboard.docExpired': '已过期',
+        'dashboard.docPartial': '{uploaded}/{needed} 个文件',
+        'dashboard.deadline.expired': '{document}已过期',
+        'dashboard.deadline.renew': '请续期您的{document}',
+        'dashboard.deadline.expiring': '{document}即将到期',
+        'dashboard.deadline.expiredOn': '过期日期：{date}',
+        'dashboard.deadline.actBy': '截止日期：{date}（{days} 天）',
+        'dashboard.deadline.overdue': '原截止日期：{date}（{days} 天前）',
+        'dashboard.deadline.urgent': '紧急',
+        'dashboard.deadline.soon': '即将',
+        'dashboard.deadline.update': '更新证件',
+        'dashboard.alert.title': '证件到期：',
+        'dashboard.alert.inDays': '{days} 天后',
+        'dashboard.alert.today': '今天',
+        'dashboard.alert.overdue': '已逾期 {days} 天',
+        'dashboard.yourRoadmap': '您的移民路线图',
+        'dashboard.viewTimeline': '查看完整时间线 →',
+        'dashboard.recentActivity': '最近活动',
+        'eligibility.status.eligible': '可以提交申请',
+        'eligibility.status.review': '符合资格 - 需要复核',
+        'eligibility.status.not-yet': '暂不符合资格',
+        'eligibility.status.ineligible': '不符合资格',
+        'eligibility.status.incomplete': '需要更多信息',
+
+        // ============ CIVICS ============
+        'civics.mastered': '已掌握',
+        'civics.learned': '已学会',
+        'civics.remaining': '剩余',
+        'civics.focusAreas': '重点领域',
+        'civics.focusEmpty': '回答几道题后，即可看到最需要加强的类别。',
+        'civics.categoryProgress': '掌握进度 {percent}% - 已学习 {studied}/{total}',
+        'civics.studyModes': '学习模式',
+        'civics.dueToday': '今日复习',
+        'civics.dueCount': '{count} 道待复习',
+        'civics.practiceMode': '练习模式',
+        'civics.learnAsYouGo': '边练边学',
+        'civics.quizMode': '测验模式',
+        'civics.tenQuestions': '10 道题',
+        'civics.quickReview': '快速复习',
+        'civics.fiveRandom': '随机 5 道',
+        'civics.fullTest': '完整测试',
+        'civics.todaysProgress': '今日进度',
+        'civics.questions': '题目',
+        'civics.accuracy': '正确率',
+        'civics.dayStreak': '连续天数',
+        'civics.timeSpent': '用时',
+        'civics.title': '美国公民考试准备',
+        'civics.subtitle': '练习入籍考试的 100 道官方公民问题',
+        'civics.questionsLearned': '已学会的题目',
+        'civics.needsReview': '需要复习',
+        'civics.notLearned': '未学会',
+        'civics.answeredToday': '今日已答',
+        'civics.welcome': '欢迎来到公民考试练习！',
+        'civics.choose': '选择今天的练习方式',
+        'civics.practice': '练习',
+        'civics.learnAtYourPace': '按自己的节奏学习',
+        'civics.takeQuiz': '参加测验',
+        'civics.tenRandom': '随机 10 道题',
+        'civics.fiveRandomQuestions': '随机 5 道题',
+        'civics.allCount': '全部 {count} 道题',
+        'civics.audio': '题目音频',
+        'civics.markForReview': '标记待复习',
+        'civics.playAudio': '播放音频',
+        'civics.questionOf': '第 {number} 题，共 {total} 题',
+        'civics.previous': '上一题',
+        'civics.next': '下一题',
+        'civics.finish': '完成',
+        'civics.correct': '回答正确！做得好。',
+        'civics.incorrect': '回答错误。正确答案是 {answer}。',
+        'civics.explanation': '解析：',
+        'civics.explanationText': '本题涉及 {category}。正确答案是 {answer}。',
+        'civics.markedForReview': '已标记待复习',
+        'civics.nextReview': '下次复习：{date}',
+        'civics.nothingDue': '今天没有需要复习的问题。明天再来，或继续练习。',
+        'civics.interview': '面试',
+        'civics.interviewInfo': '像真实考试一样作答',
+        'civics.interview.title': '公民面试',
+        'civics.interview.intro': '移民官会大声提出每个问题，您用自己的话回答。请输入答案或使用麦克风。',
+        'civics.interview.version': '考试版本',
+        'civics.settings.category': '类别',
+        'civics.settings.allCategories': '所有类别',
+        'civics.settings.senior': '仅 65/20 题目',
+        'civics.settings.seniorNote': '适用于 65 岁及以上且已作为永久居民满 20 年的申请人：从此列表中问 {asked} 道题，答对 {passAt} 道即通过。',
+        'civics.settings.seniorUnavailable': '此版本的 65/20 题目尚未提供。',
+        'civics.english.reading': '阅读测试',
+        'civics.english.writing': '写作测试',
+        'civics.english.readingInfo': '大声朗读一个句子',
+        'civics.english.writingInfo': '写下您听到的句子',
+        'civics.english.readingTitle': '英语阅读测试',
+        'civics.english.writingTitle': '英语写作测试',
+        'civics.english.readingIntro': '移民官给您看一个句子,您大声朗读。请使用麦克风读出整个句子。可以跳过或读错简短的虚词,但其他每个词都必须读出。',
+        'civics.english.writingIntro': '移民官大声读出一个句子,您把它写下来。只要意思不变,可以接受小的拼写、大小写和标点错误,但不能漏掉或写错任何词。',
+        'civics.english.rules': '最多 {asked} 个句子。答对 {passAt} 个即通过。',
+        'civics.english.start': '开始测试',
+        'civics.english.end': '结束测试',
+        'civics.english.next': '下一个句子',
+        'civics.english.sentenceOf': '第 {number} 句,最多 {total} 句',
+        'civics.english.listen': '再听一遍句子',
+        'civics.english.read': '大声朗读',
+        'civics.english.readPlaceholder': '点击麦克风并朗读句子',
+        'civics.english.writePlaceholder': '用英语写下句子',
+        'civics.english.listenPrompt': '听句子并写在下面。',
+        'civics.english.noSpeech': '大声朗读需要语音识别,但此浏览器不支持。您可以改为边读边输入句子。',
+        'civics.english.youRead': '您读的是:',
+        'civics.english.youWrote': '您写的是:',
+        'civics.english.minorCase': '大小写 - 可接受',
+        'civics.english.minorSpelling': '小拼写错误 - 可接受',
+        'civics.english.minorSound': '听起来略有不同 - 可接受',
+        'civics.english.optionalWord': '漏掉简短虚词 - 可接受',
+        'civics.english.missedWord': '漏掉或写错的词',
+        'civics.english.changedMeaning': '"{words}" 改变了句子的意思',
+        'civics.english.passedReading': '您通过了阅读测试',
+        'civics.english.failedReading': '您没有通过阅读测试',
+        'civics.english.passedWriting': '您通过了写作测试',
+        'civics.english.failedWriting': '您没有通过写作测试',
+        'civics.english.resultText': '{asked} 个句子中答对 {correct} 个。',
+        'civics.english.failedNote': '您将在面试后 60 到 90 天内重考这一部分。',
+        'civics.english.history': '以往测试',
+        'civics.english.noHistory': '还没有测试',
+        'civics.interview.filedBefore': '{name} - {date}之前提交的申请',
+        'civics.interview.filedFrom': '{name} - {date}及之后提交的申请',
+        'civics.interview.rules': '最多 {asked} 道题。答对 {passAt} 道即通过——一旦您通过或已无法通过，移民官就会停止提问。',
+        'civics.interview.englishNote': '公民考试以英语进行，因此问题和您的回答均使用英语。',
+        'civics.interview.start': '开始面试',
+        'civics.interview.back': '返回',
+        'civics.interview.end': '结束面试',
+        'civics.interview.history': '以往面试',
+        'civics.interview.noHistory': '还没有面试记录',
+        'civics.interview.historyScore': '答对 {correct}/{asked}',
+        'civics.interview.pass': '通过',
+        'civics.interview.fail': '未通过',
+        'civics.interview.questionOf': '第 {number} 题（最多 {total} 题）',
+        'civics.interview.score': '答对 {correct} · 答错 {incorrect}',
+        'civics.interview.listen': '再听一遍问题',
+        'civics.interview.placeholder': '请用英语输入答案',
+        'civics.interview.speak': '语音作答',
+        'civics.interview.listening': '正在聆听...',
+        'civics.interview.noSpeech': '此浏览器不支持语音作答，请输入答案。',
+        'civics.interview.submit': '提交答案',
+        'civics.interview.next': '下一题',
+        'civics.interview.finish': '查看结果',
+        'civics.interview.correct': '正确',
+        'civics.interview.incorrect': '不正确',
+        'civics.interview.needed': '需要 {count} 个答案，答对 {matched} 个',
+        'civics.interview.yourAnswer': '您的回答：',
+        'civics.interview.acceptable': '可接受的答案：',
+        'civics.interview.passed': '您通过了公民考试',
+        'civics.interview.failed': '您未通过公民考试',
+        'civics.interview.passedText': '您答对了 {asked} 道题中的 {correct} 道。移民官接下来会继续面试的其余部分。',
+        'civics.interview.failedText': '您答对了 {asked} 道题中的 {correct} 道，需要答对 {passAt} 道。您将在本次面试后 60 至 90 天内重新参加公民考试。',
+        'civics.interview.localAnswers': '关于参议员、众议员、州长和首府的问题按 {state} 作答。',
+        'civics.interview.localHint': '在"您的州"中选择您的州，即可练习关于参议员、众议员、州长和州首府的问题。',
+        'civics.location.title': '您的州',
+        'civics.location.choose': '选择您的州',
+        'civics.location.fromN400': '来自您 N-400 上的住址',
+        'civics.location.chosen': '在此处选择',
+        'civics.location.none': '选择您的州，以练习关于参议员、州长和州首府的问题。',
+        'civics.location.representative': '您的联邦众议员取决于您所在的国会选区。',
+        'civics.location.lookup': '按邮政编码查询',
+        'civics.location.representativePlaceholder': '您的众议员姓名',
+        'civics.location.asOf': '官员信息截至 {date}',
+        'civics.location.outOfDate': '官员相关答案最后核对于 {date}，可能已过时。请在面试前核实现任官员。',
+        'civics.location.check': '在 USA.gov 查看',
+        'civics.excellent': '太棒了！',
+        'civics.goodJob': '做得好！',
+        'civics.keepPracticing': '继续练习！',
+        'civics.resultStats': '您答对了 {total} 道题中的 {correct} 道',
+        'civics.reviewAnswers': '查看答案',
+        'civics.tryAgain': '再试一次',
+
+        // ============ CHATBOT ============
+        'chat.topics': '聊天主题',
+        'chat.topic.general': '一般问题',
+        'chat.topic.eligibility': '资格检查',
+        'chat.topic.documents': '文件帮助',
+        'chat.topic.interview': '面试准备',
+        'chat.topic.forms': '表格指导',
+        'chat.topic.deadlines': '截止日期',
+        'chat.conversations': '对话',
+        'chat.newConversation': '新对话',
+        'chat.searchHistory': '搜索过去的消息...',
+        'chat.noThreads': '还没有保存的对话',
+        'chat.noTopicThreads': '还没有保存的“{topic}”对话',
+        'chat.noMatches': '没有与“{query}”匹配的消息',
+        'chat.threadMeta': '{count} 条消息 - {time}',
+        'chat.quickPrompts': '快捷提问',
+        'chat.prompt.renewH1b': '如何续签 H-1B？',
+        'chat.prompt.i485Docs': 'I-485 需要哪些文件？',
+        'chat.prompt.eb3India': 'EB-3 印度排期预测',
+        'chat.prompt.h1bTransfer': 'H-1B 转移流程',
+        'chat.yourProfile': '您的资料',
+        'chat.visaType': '签证类型',
+        'chat.country': '国家',
+        'chat.priorityDate': '优先日期',
+        'chat.currentStatus': '当前身份',
+        'chat.unlockVoice': '解锁语音模式',
+        'chat.unlockVoiceText': '升级到专业版即可进行语音对话',
+        'chat.online': '在线',
+        'chat.modelInfo': 'AI 模型：Immigration Expert v2.0',
+        'chat.exportMarkdown': '将对话导出为 Markdown',
+        'chat.exportPdf': '将对话导出为 PDF',
+        'chat.deleteConversation': '删除对话',
+        'chat.viewTranscript': '查看文字记录',
+        'chat.voiceMode': '语音对话模式',
+        'chat.voice': '语音',
+        'chat.toggleSpeech': '开启/关闭语音朗读',
+        'chat.welcome': '您好！我是您的 Visa Guide AI 助手。今天我能在您的移民之路上为您提供什么帮助？',
+        'chat.welcomeName': '{name}，您好！我是您的 Visa Guide AI 助手。今天我能在您的移民之路上为您提供什么帮助？',
+        'chat.quick.eligibility': '检查绿卡资格',
+        'chat.quick.h1bStamping': 'H-1B 签证盖章所需文件',
+        'chat.quick.eb3Timeline': 'EB-3 印度时间线',
+        'chat.quick.n400Docs': 'N-400 所需文件',
+        'chat.justNow': '刚刚',
+        'chat.you': '您',
+        'chat.attachFile': '附加文件',
+        'chat.voiceInput': '语音输入',
+        'chat.inputPlaceholder': '在此输入您的问题...',
+        'chat.encrypted': '您的对话已加密且保密',
+        'chat.relatedResources': '相关资源',
+        'chat.resource.h1bTransfer.title': 'H-1B 转移时间线',
+        'chat.resource.h1bTransfer.text': '带截止日期的分步流程',
+        'chat.resource.premium.title': '加急处理',
+        'chat.resource.premium.text': '加急处理的要求和费用',
+        'chat.resource.i485.title': 'I-485 清单',
+        'chat.resource.i485.text': '身份调整所需的完整文件清单',
+        'chat.resource.rfe.title': 'RFE 应对策略',
+        'chat.resource.rfe.text': '如何回复补充证据请求',
+        'chat.noForms': '尚未开始任何表格',
+        'chat.averageCompletion': '您的 {forms} 的平均完成度',
+        'chat.noDeadlines': '没有即将到来的截止日期',
+        'chat.daysRemaining': '{date} - 剩余 {days} 天',
+        'chat.voiceModeTitle': '语音模式',
+        'chat.voiceModeText': '升级到专业版即可进行免提语音对话',
+        'chat.upgradePrice': '升级 - 每月 $29',
+        'chat.liveTranscript': '实时文字记录',
+        'chat.transcriptEmpty': '语音文字记录将显示在这里',
+        'chat.youSaid': '您说：',
+        'chat.aiResponded': 'AI 回答：',
+        'chat.listening': '正在聆听...',
+        'chat.speakNow': '请说话',
+        'chat.processing': '正在处理...',
+        'chat.stopListening': '停止聆听',
+        'chat.upgradeTitle': '升级到专业版',
+        'chat.upgradeText': '解锁语音对话和高级功能',
+        'chat.feature.voice': '无限语音对话',
+        'chat.feature.review': 'AI 文件审核（每月 50 次）',
+        'chat.feature.interviews': '无限模拟面试',
+        'chat.feature.predictions': '优先日期预测',
+        'chat.pricePerMonth': '每月 $29',
+        'chat.error': '抱歉，出了点问题。请重试。',
+        'chat.voiceError': '语音识别错误：{error}',
+        'chat.voiceUnsupported': '您的浏览器不支持语音输入。请尝试 Chrome、Edge 或 Safari。',
+        'chat.speechOn': '已开启语音回复',
+        'chat.speechOff': '已关闭语音回复',
+        'chat.switchedTopic': '已切换到“{topic}”模式。我能为您做些什么？',
+        'chat.cleared': '聊天已清除！今天我能为您做些什么？',
+        'chat.howCanIHelp': '今天我能为您做些什么？',
+        'chat.newTopicConversation': '新的“{topic}”对话。我能为您做些什么？',
+        'chat.confirmDelete': '删除“{title}”？此操作无法撤消。',
+        'chat.adoptLocal': '要将未登录时保存在此设备上的 {count} 个对话添加到您的账户吗？选择“取消”则仅保留在此设备上。',
+        'sync.adoptLocal': '此设备上有未登录时保存的答案。要将它们添加到您的账户吗？如果这些答案属于其他人，请选择“取消”，它们会保留在此设备上。',
+        'chat.exportEmpty': '请先开始对话再导出。',
+        'chat.exportPdfLost': 'PDF 使用的字体只包含拉丁字母，部分字符会显示为“?”。导出为 Markdown 可保留完整文本。',
+        'chat.sources': '来源',
+        'chat.lastReviewed': '最近审核于 {date}',
+        'chat.unknownDate': '未知',
+        'chat.mayBeOutdated': '（可能已过时，请查看来源）',
+        'chat.englishOnly': '此回答仅提供英文版本。',
+        'chat.link.forms': '前往表格中心',
+        'chat.link.dashboard': '查看我的仪表板',
+        'chat.link.civics': '开始公民考试练习',
+        'chat.reply.greeting': '{name}，您好！很高兴见到您！\n\n我是您的 Visa Guide AI 助手，可以帮助您：\n\n* 资格问题\n* 所需文件\n* 表格填写指导\n* 面试准备\n* 案件状态\n* 截止日期\n\n我的详细回答和 USCIS 表格一样使用英文。今天需要什么帮助？',
+        'chat.reply.greetingGuest': '您好！很高兴见到您！\n\n我是您的 Visa Guide AI 助手，可以帮助您：\n\n* 资格问题\n* 所需文件\n* 表格填写指导\n* 面试准备\n* 案件状态\n* 截止日期\n\n我的详细回答和 USCIS 表格一样使用英文。今天需要什么帮助？',
+        'chat.reply.navigateForms': '我将带您前往表格中心，您可以在那里查看并填写所有可用的移民表格。\n\n表格中心包括：\n* 所有 USCIS 表格（N-400、I-485、I-130、I-140 等）\n* 分步递交说明\n* 每份表格的文件清单\n* 费用信息\n\n需要某份表格的具体指导吗？',
+        'chat.reply.navigateDashboard': '我将带您前往仪表板，您可以在那里查看完整的移民进度。\n\n仪表板显示：\n* 移民之路的整体进度\n* 即将到来的截止日期\n* 文件清单\n* 案件状态更新\n\n如需具体帮助，请告诉我！',
+        'chat.reply.navigateCivics': '我将带您前往公民考试练习部分，您可以在那里学习并准备入籍考试。\n\n公民考试练习包括：\n* {name}的全部 {questions} 道官方问题\n* 像移民官一样口头提问的面试模拟器\n* 学习模式和测验\n* 进度跟踪\n\n考试以英文进行，因此题目为英文。祝您准备顺利！',
+        'chat.reply.civics': '公民考试准备：\n\n考试形式（{name}，适用于现在提交的申请）：\n* 移民官从 {questions} 道题中口头提问，最多 {asked} 道\n* 您用自己的话回答，没有选项\n* 答对 {passAt} 道即可通过\n* 如果您年满 65 岁且已成为永久居民 20 年，将从 {seniorQuestions} 道特别问题中被问 {seniorAsked} 道，需答对 {seniorPassAt} 道\n* 更早提交申请？面试使用与您提交日期对应的考试版本\n\n考试内容（英文，与考试相同）：\n{topics}\n\n您想现在开始练习吗？',
+        'chat.reply.navigate': '很乐意帮您找到正确的位置！您想访问哪里？\n\n* **表格中心** - 移民表格和申请\n* **仪表板** - 您的进度和截止日期\n* **公民考试练习** - 入籍考试准备\n\n告诉我您需要什么即可！',
+        'chat.reply.noCase': '我还没有看到任何已保存的表格或已上传的文件。\n\n在表格中心开始填写表格后，我就能告诉您缺少哪些答案、还需要哪些文件以及即将到来的日期。',
+        'chat.reply.fallback': '我了解您在询问“{message}”。我可以这样帮助您：\n\n我可以协助的主题：\n\n📋 **签证问题**\n* H-1B、L-1、O-1、F-1 等\n\n💳 **绿卡**\n* 职业移民（EB-1、EB-2、EB-3）\n* 亲属移民\n\n📄 **表格**\n* N-400、I-485、I-130、I-140 等\n\n📋 **文件**\n* 所需文件\n* 清单\n\n📅 **时间线**\n* 处理时间\n* 截止日期\n\n🎓 **入籍**\n* 公民考试准备\n* 面试技巧\n\n我的详细回答使用英文。能否提供更多关于您问题的细节？例如：\n- 您申请的是哪种签证？\n- 您处于流程的哪个阶段？\n- 您需要什么具体帮助？\n\n我随时为您提供帮助！',
+        'chat.reply.sorry': '抱歉，我现在无法回答。请重试。',
+
+        // ============ FORMS ============
+        'forms.title': '表格中心',
+        'forms.subtitle': '填写移民表格、管理文件并跟踪进度',
+        'forms.tab.forms': '我的表格',
+        'forms.tab.interactive': '填写表格',
+        'forms.tab.documents': '文件',
+        'forms.tab.calculator': '费用计算器',
+        'forms.tab.timeline': '时间线',
+        'forms.status.not-started': '未开始',
+        'forms.status.in-progress': '进行中',
+        'forms.status.completed': '已完成',
+        'forms.months': '{range} 个月',
+        'forms.description.n400': '通过入籍申请美国公民身份',
+        'forms.description.i485': '申请将身份调整为永久居民',
+        'forms.description.i130': '为绿卡证明亲属关系',
+        'forms.description.i140': '雇主担保的职业移民绿卡',
+        'forms.description.i765': '在等待绿卡期间获得工作许可',
+        'forms.description.i131': '申请回美证以出国旅行',
+        'forms.progress': '进度：{percent}%',
+        'forms.previous': '上一步',
+        'forms.next': '下一步',
+        'forms.review': '审核',
+        'forms.reviewHeading': '第 {step} 部分 - 核对您的信息',
+        'forms.readyToSubmit': '准备好提交了吗？',
+        'forms.readyToSubmitText': '请仔细核对以上所有信息。提交后将无法在线修改，如需更正可能需要联系 USCIS。',
+        'forms.saveDraft': '保存草稿',
+        'forms.downloadPdf': '下载 PDF',
+        'forms.submitApplication': '提交申请',
+        'forms.select': '请选择',
+        'forms.validation.required': '此字段为必填项。',
+        'forms.validation.option': '请从列出的选项中选择一项。',
+        'forms.validation.date': '请输入有效日期。',
+        'forms.validation.future': '日期不能是将来的日期。',
+        'forms.validation.anumber': '请输入 7 到 9 位的 A-Number（例如 A123-456-789）。',
+        'forms.validation.zip': '请输入 5 位邮政编码（或 ZIP+4）。',
+        'forms.validation.receipt': '请输入 13 位收据号码（例如 IOE0123456789）。',
+        'forms.validation.number': '请输入有效数字。',
+        'forms.validation.format': '请检查此字段的格式。',
+        'forms.officialLabel': '表格原文：{label}',
+        'forms.edit': '编辑',
+        'forms.notProvided': '未提供',
+        'forms.needAttention': '提交前有 {count} 项需要处理',
+        'forms.pdfMissing': 'PDF 中有 {count} 个必填字段为空',
+        'forms.pdfContinued': '{count} 个答案被放在续页上',
+        'forms.tooLong': '（超出表格字段长度）',
+        'forms.confirmPdfSummary': '改为下载 {form} 答案的摘要 PDF 吗？摘要不能提交给 USCIS。',
+        'forms.pdfTransliterated': '{count} 个答案含有 PDF 字体无法显示的字母，已改用拉丁字母填写，请检查',
+        'forms.pdfNotLatin': '（部分字符无法转换，请用英文填写此答案）',
+        'forms.conflict': '已在另一台设备上更改为：',
+        'forms.keepMine': '保留我的',
+        'forms.useOther': '使用另一台设备的',
+        'forms.empty': '（空）',
+        'forms.prefill.button': '从证件填写',
+        'forms.prefill.title': '来自您的{document}的信息',
+        'forms.prefill.hint': '在本设备上读取——接受前请与证件逐项核对。',
+        'forms.prefill.field': '字段',
+        'forms.prefill.current': '表格中',
+        'forms.prefill.proposed': '证件中',
+        'forms.prefill.accept': '接受',
+        'forms.prefill.ignore': '忽略',
+        'forms.prefill.acceptAll': '全部接受',
+        'forms.prefill.dismiss': '关闭',
+        'forms.prefill.verified': '校验位一致',
+        'forms.prefill.unverified': '无法验证——请仔细核对',
+        'forms.prefill.reading': '正在读取 {name}...',
+        'forms.prefill.found': '为 {form} 找到 {count} 项信息——请在表格中核对',
+        'forms.prefill.nothing': '此证件中没有可填写的新信息',
+        'forms.prefill.failed': '无法读取此证件',
+        'forms.vault.off': '文件保险库未开启',
+        'forms.vault.offHint': '文件按上传时的原样存储。开启保险库后，护照、证书和报税表会在本设备上加密后再上传。',
+        'forms.vault.locked': '文件保险库已锁定',
+        'forms.vault.lockedHint': '您的文件已加密。请用密码短语解锁保险库后再上传或打开文件。',
+        'forms.vault.unlocked': '文件保险库已解锁',
+        'forms.vault.unlockedHint': '文件在上传前会在本设备上加密。保险库闲置 {minutes} 分钟后会自动锁定。',
+        'forms.vault.enable': '开启加密',
+        'forms.vault.unlock': '解锁',
+        'forms.vault.recover': '忘记密码短语',
+        'forms.vault.lock': '锁定',
+        'forms.vault.change': '更改密码短语',
+        'forms.vault.rotate': '轮换密钥',
+        'forms.vault.recoveryCode': '新的恢复码',
+        'forms.vault.cancel': '取消',
+        'forms.vault.passphrase': '密码短语',
+        'forms.vault.currentPassphrase': '当前密码短语',
+        'forms.vault.newPassphrase': '新密码短语',
+        'forms.vault.confirmPassphrase': '再次输入密码短语',
+        'forms.vault.recoveryCodeLabel': '恢复码',
+        'forms.vault.enableHelp': '请设置至少 {length} 个字符的密码短语。没有它或接下来显示的恢复码，任何人（包括我们）都无法打开您的文件。已上传的文件也会被加密。',
+        'forms.vault.unlockHelp': '请输入保险库密码短语。',
+        'forms.vault.recoverHelp': '请输入您保存的恢复码，并设置至少 {length} 个字符的新密码短语。',
+        'forms.vault.changeHelp': '您的文件保持不变，只更改用于打开它们的密码短语。请至少使用 {length} 个字符。',
+        'forms.vault.rotateHelp': '所有文件都会用新密钥重新加密，您也会得到新的恢复码。如果您的密码短语或恢复码可能被他人看到，请执行此操作。',
+        'forms.vault.recoveryCodeHelp': '新的恢复码生成后，旧的恢复码将失效。',
+        'forms.vault.recoveryHint': '请将此恢复码保存在本设备以外的安全位置。忘记密码短语时，这是打开您文件的唯一方式，且不会再次显示。',
+        'forms.vault.recoverySaved': '我已保存',
+        'forms.vault.mismatch': '两次输入的密码短语不一致',
+        'forms.vault.working': '处理中...',
+        'forms.vault.resealFailed': '部分文件未能加密，请稍后重试',
+        'forms.vault.error': '文件保险库：{error}',
+        'forms.vault.done.enable': '文件保险库已开启',
+        'forms.vault.done.unlock': '文件保险库已解锁',
+        'forms.vault.done.recover': '已设置新密码短语，保险库已解锁',
+        'forms.vault.done.change': '密码短语已更改',
+        'forms.vault.done.rotate': '文件已用新密钥加密',
+        'forms.vault.done.recoveryCode': '已生成新的恢复码',
+        'forms.doc.totalRequired': '所需总数',
+        'forms.doc.uploaded': '已上传',
+        'forms.doc.pending': '待上传',
+        'forms.doc.expired': '已过期',
+        'forms.doc.missing': '缺少',
+        'forms.doc.uploadedStatus': '已上传',
+        'forms.doc.expiredStatus': '已过期',
+        'forms.doc.notUploaded': '未上传',
+        'forms.doc.editDates': '签发和到期日期',
+        'forms.doc.issuedOn': '签发日期',
+        'forms.doc.expiresOn': '到期日期',
+        'forms.doc.saveDates': '保存日期',
+        'forms.doc.addDates': '添加到期日期以获取续期提醒',
+        'forms.doc.expiresLine': '{date} 到期',
+        'forms.doc.expiringLine': '{date} 到期——请在 {by} 前续期',
+        'forms.doc.renewLine': '请立即续期——{date} 到期',
+        'forms.doc.expiredLine': '已于 {date} 过期',
+        'forms.doc.view': '查看',
+        'forms.doc.download': '下载',
+        'forms.doc.delete': '删除',
+        'forms.doc.upload': '上传',
+        'forms.doc.uploadTitle': '上传文件',
+        'forms.doc.uploadHint': '将文件拖放到此处或点击浏览',
+        'forms.doc.uploadFormats': '支持的格式：PDF、JPG、PNG（最大 10MB）',
+        'forms.doc.requiredFor': '{form} 所需文件',
+        'forms.doc.checklistFor': '显示以下表格的清单',
+        'forms.doc.otherUploads': '其他已上传的文件',
+        'forms.doc.cardCount': '文件 {ready}/{total}',
+        'forms.calc.title': '计算您的费用',
+        'forms.calc.whichForm': '您要递交哪份表格？*',
+        'forms.calc.selectForm': '选择表格',
+        'forms.calc.whoFiling': '谁是申请人？*',
+        'forms.calc.selectApplicant': '选择申请人',
+        'forms.calc.adult': '成人（14 岁及以上）',
+        'forms.calc.child': '儿童（14 岁以下）',
+        'forms.calc.premiumQuestion': '您需要加急处理吗？（如适用）',
+        'forms.calc.no': '否',
+        'forms.calc.premiumYes': '是（+$2,500）',
+        'forms.calc.waiverQuestion': '您是否符合费用减免条件？',
+        'forms.calc.waiverNo': '否，支付全部费用',
+        'forms.calc.waiverYes': '是，申请减免',
+        'forms.calc.additional': '附加服务（可选）：',
+        'forms.calc.biometricsService': '生物识别服务（如未包含）',
+        'forms.calc.translation': '文件翻译服务（+$100）',
+        'forms.calc.notary': '公证服务（+$50）',
+        'forms.calc.summary': '费用摘要',
+        'forms.calc.total': '预计总费用',
+        'forms.calc.filingFee': '申请费',
+        'forms.calc.biometrics': '生物识别',
+        'forms.calc.premium': '加急处理',
+        'forms.calc.services': '附加服务',
+        'forms.calc.waiver': '已适用费用减免',
+        'forms.calc.breakdown': '按表格列出的费用明细：',
+        'forms.calc.n400Fee': '$640 + $85 生物识别费',
+        'forms.calc.i485Fee': '$1,225（儿童 $750）',
+        'forms.calc.note': '注意：以上仅为预计申请费。其他费用可能包括律师费、体检费、翻译费和文件获取费用。',
+        'forms.timeline.title': '您的移民时间线',
+        'forms.timeline.checkStatus': '查询状态',
+        'forms.timeline.checkBulletin': '查看签证公告',
+        'forms.timeline.prepareI485': '准备 I-485',
+        'forms.toast.notInChecklist': '该文件不在您的清单中。',
+        'forms.toast.notAvailable': '此表格暂不可用。',
+        'forms.toast.opening': '正在打开 {form} 表格...',
+        'forms.toast.fixFields': '请先修正突出显示的字段再继续。',
+        'forms.toast.saved': '进度已成功保存！',
+        'forms.toast.resumed': '已从上次保存处继续：{date}',
+        'forms.toast.generatingPdf': '正在生成 PDF...',
+        'forms.toast.pdfFilled': '官方 PDF 已填写并下载！',
+        'forms.toast.pdfSummary': '官方表格模板不可用，已改为下载摘要 PDF。',
+        'forms.toast.pdfError': '生成 PDF 时出错，请重试。',
+        'forms.toast.pdfTemplateMissing': '本网站未安装官方 {form} PDF（{file}）。',
+        'forms.toast.fixReview': '提交前请修正审核页面中列出的项目。',
+        'forms.confirmSubmit': '确定要提交您的 {form} 申请吗？此操作无法撤消。',
+        'forms.toast.submitted': '恭喜！您的 {form} 申请已成功提交！',
+        'forms.toast.uploading': '正在上传 {name}...',
+        'forms.toast.uploaded': '{name} 已成功上传到云端！',
+        'forms.toast.uploadFailed': '上传失败，请重试。',
+        'forms.toast.uploadError': '上传失败：{error}',
+        'forms.toast.datesSaved': '已保存 {name} 的日期',
+        'forms.toast.allUploaded': '所有必需文件均已上传！',
+        'forms.toast.docNotFound': '未找到文件。',
+        'forms.toast.docUnavailable': '文件不可用，请先上传。',
+        'forms.toast.openingDoc': '正在打开文件...',
+        'forms.toast.allowPopups': '请允许弹出窗口以查看文件。',
+        'forms.toast.downloadStarted': '已开始下载...',
+        'forms.confirmDeleteDoc': '确定要删除此文件吗？',
+        'forms.toast.deleting': '正在删除文件...',
+        'forms.toast.deleted': '文件已从云存储中删除。',
+        'forms.toast.deletedPending': '文件已删除（云同步待完成）。',
+        'forms.toast.conflict': '某个字段已在另一台设备上更改。请选择要保留的值。',
+        'forms.timeline.step1.title': '进入美国',
+        'forms.timeline.step1.date': '2015 年 1 月',
+        'forms.timeline.step1.desc': '持 F-1 学生签证首次入境',
+        'forms.timeline.step2.title': '转为 H-1B 身份',
+        'forms.timeline.step2.date': '2019 年 10 月',
+        'forms.timeline.step2.desc': '雇主担保的 H-1B 申请获批',
+        'forms.timeline.step3.title': 'PERM 劳工证',
+        'forms.timeline.step3.date': '进行中 - 预计：2025 年 3 月',
+        'forms.timeline.step3.desc': '当前步骤：EB-3 绿卡的劳动力市场测试',
+        'forms.timeline.step4.title': '递交 I-140 申请',
+        'forms.timeline.step4.date': '预计：2025 年 4 月',
+        'forms.timeline.step4.desc': '雇主为外籍员工递交移民申请',
+        'forms.timeline.step5.title': 'I-140 获批',
+        'forms.timeline.step5.date': '预计：2025 年 8 月',
+        'forms.timeline.step5.desc': '收到移民申请批准通知',
+        'forms.timeline.step6.title': '等待优先日期',
+        'forms.timeline.step6.date': '2025 - 2028（因国家而异）',
+        'forms.timeline.step6.desc': '印度 EB-3：当前优先日期约为 2012 年',
+        'forms.timeline.step7.title': '递交 I-485 身份调整',
+        'forms.timeline.step7.date': '优先日期到期时',
+        'forms.timeline.step7.desc': '递交调整为永久居民身份的申请',
+        'forms.timeline.step8.title': '获得绿卡',
+        'forms.timeline.step8.date': 'I-485 获批后',
+        'forms.timeline.step8.desc': '恭喜！您现在是永久居民了',
+
+        // ============ FORM SCHEMAS ============
+        // form-registry.js text by form and field id (FormRegistry.text) - English is the schema itself
+        'schema.option.India': '印度',
+        'schema.option.China': '中国',
+        'schema.option.Mexico': '墨西哥',
+        'schema.option.Philippines': '菲律宾',
+        'schema.option.Vietnam': '越南',
+        'schema.option.Other': '其他',
+        'schema.option.no': '否',
+        'schema.option.yes': '是',
+        'schema.option.single': '单身（从未结婚）',
+        'schema.option.married': '已婚',
+        'schema.option.divorced': '离婚',
+        'schema.option.widowed': '丧偶',
+        'schema.option.separated': '合法分居',
+        'schema.n400.step1.title': '基本信息',
+        'schema.n400.step1.heading': '第 1 部分 - 基本信息',
+        'schema.n400.lastName.label': '法定姓名 - 姓',
+        'schema.n400.lastName.review': '姓',
+        'schema.n400.lastName.placeholder': '输入您的姓',
+        'schema.n400.firstName.label': '名',
+        'schema.n400.firstName.review': '名',
+        'schema.n400.firstName.placeholder': '输入您的名',
+        'schema.n400.middleName.label': '中间名（如有）',
+        'schema.n400.middleName.review': '中间名',
+        'schema.n400.middleName.placeholder': '输入中间名',
+        'schema.n400.dob.label': '出生日期',
+        'schema.n400.birthCountry.label': '出生国家',
+        'schema.n400.nationality.label': '国籍国家',
+        'schema.n400.aNumber.label': '外国人登记号码（A-Number），如有',
+        'schema.n400.lprDate.label': '成为合法永久居民的日期',
+        'schema.n400.lprDate.review': '永久居民起始日期',
+        'schema.n400.step2.title': '资格',
+        'schema.n400.step2.heading': '第 2 部分 - 资格',
+        'schema.n400.eligibilityBasis.label': '我申请入籍的依据是（选择一项）：',
+        'schema.n400.eligibilityBasis.review': '申请依据',
+        'schema.n400.eligibilityBasis.5years': '我已成为合法永久居民至少 5 年',
+        'schema.n400.eligibilityBasis.3years': '我已成为合法永久居民至少 3 年，并与美国公民结婚',
+        'schema.n400.eligibilityBasis.uscis': '我通过父母成为美国公民并申请入籍',
+        'schema.n400.eligibilityBasis.military': '我根据军人条款申请',
+        'schema.n400.communistParty.label': '您是否曾是任何共产党或其他极权政党的成员，或以任何方式与之有关联？',
+        'schema.n400.communistParty.review': '共产党关联',
+        'schema.n400.criminalCharges.label': '您是否曾被指控犯罪？',
+        'schema.n400.criminalCharges.review': '刑事指控',
+        'schema.n400.criminalDetails.label': '请提供任何逮捕或指控的详细信息',
+        'schema.n400.criminalDetails.review': '刑事详情',
+        'schema.n400.criminalDetails.placeholder': '请提供任何逮捕或指控的详细信息',
+        'schema.n400.step3.title': '居住',
+        'schema.n400.step3.heading': '第 3 部分 - 居住',
+        'schema.n400.currentAddress.label': '当前实际地址 - 街道号码和名称',
+        'schema.n400.currentAddress.review': '当前地址',
+        'schema.n400.currentAddress.placeholder': '输入街道地址',
+        'schema.n400.currentCity.label': '城市',
+        'schema.n400.currentCity.placeholder': '城市',
+        'schema.n400.currentState.label': '州',
+        'schema.n400.currentZip.label': '邮政编码（ZIP）',
+        'schema.n400.currentCounty.label': '县',
+        'schema.n400.currentCounty.placeholder': '县',
+        'schema.n400.arrivalDate.label': '抵达美国的日期',
+        'schema.n400.tripsAbroad.label': '在过去 5 年中，您是否曾离开美国旅行超过 24 小时？',
+        'schema.n400.tripsAbroad.review': '出境旅行',
+        'schema.n400.trips.label': '过去 5 年的出境旅行',
+        'schema.n400.trips.review': '旅行',
+        'schema.n400.countriesLived.label': '列出过去 5 年中您居住过的所有国家：',
+        'schema.n400.countriesLived.review': '居住过的国家（过去 5 年）',
+        'schema.n400.countriesLived.placeholder': '列出国家、城市和日期',
+        'schema.n400.step4.title': '工作',
+        'schema.n400.step4.heading': '第 4 部分 - 工作',
+        'schema.n400.employer.label': '当前雇主（如无工作请填 "None"）',
+        'schema.n400.employer.review': '当前雇主',
+        'schema.n400.employer.placeholder': '雇主名称',
+        'schema.n400.occupation.label': '职业/职位',
+        'schema.n400.occupation.review': '职业',
+        'schema.n400.occupation.placeholder': '您的职位',
+        'schema.n400.employerAddress.label': '雇主地址',
+        'schema.n400.employerAddress.placeholder': '街道地址',
+        'schema.n400.employerStartDate.label': '开始日期',
+        'schema.n400.employerEndDate.label': '结束日期（或 "Present"）',
+        'schema.n400.employerEndDate.review': '结束日期',
+        'schema.n400.employmentHistory.label': '列出您过去 5 年的工作经历（包括自雇）：',
+        'schema.n400.employmentHistory.review': '工作经历',
+        'schema.n400.employmentHistory.placeholder': '列出雇主、地址、职位和日期',
+        'schema.n400.step5.title': '家庭',
+        'schema.n400.step5.heading': '第 5 部分 - 家庭信息',
+        'schema.n400.maritalStatus.label': '婚姻状况',
+        'schema.n400.spouseName.label': '配偶全名',
+        'schema.n400.spouseName.placeholder': '配偶的法定姓名',
+        'schema.n400.spouseDob.label': '配偶出生日期',
+        'schema.n400.spouseBirthCountry.label': '配偶出生国家',
+        'schema.n400.spouseBirthCountry.USA': '美国',
+        'schema.n400.marriageDate.label': '结婚日期',
+        'schema.n400.marriagePlace.label': '结婚地点（城市和国家）',
+        'schema.n400.marriagePlace.placeholder': '城市，国家',
+        'schema.n400.previousSpouses.label': '如果曾经结婚，请提供前配偶的信息：',
+        'schema.n400.previousSpouses.review': '前配偶',
+        'schema.n400.previousSpouses.placeholder': '姓名、出生日期、结婚日期和地点、婚姻终止日期和方式',
+        'schema.n400.childrenInfo.label': '子女信息（如有）：',
+        'schema.n400.childrenInfo.review': '子女',
+        'schema.n400.childrenInfo.placeholder': '列出所有子女的姓名、出生日期和出生国家',
+        'schema.n400.check.lprDate.earliestFilingDate': '您目前还不能以此依据提交申请 - 请查看审核页面上的资格摘要了解最早提交日期。',
+        'schema.n400.check.dob.yearsSince': '您必须年满 18 岁才能申请入籍。',
+        'schema.n400.check.marriageDate.dateAfter': '结婚日期必须晚于您的出生日期。',
+        'schema.n400.check.arrivalDate.dateAfter': '抵达日期必须晚于您的出生日期。',
+        'schema.n400.check.lprDate.dateAfter': '成为永久居民的日期必须晚于您的出生日期。',
+        'schema.n400.check.maritalStatus.equals': '3 年依据要求您与美国公民结婚。',
+        'schema.n400.reason.marriage_certificate.maritalStatus': '您已婚',
+        'schema.n400.reason.marriage_certificate.eligibilityBasis': '您以美国公民配偶身份申请',
+        'schema.n400.reason.court_records.criminalCharges': '您曾被指控犯罪',
+        'schema.i485.step1.title': '关于您',
+        'schema.i485.step1.heading': '第 1 部分 - 关于您的信息',
+        'schema.i485.lastName.label': '姓',
+        'schema.i485.firstName.label': '名',
+        'schema.i485.middleName.label': '中间名',
+        'schema.i485.dob.label': '出生日期',
+        'schema.i485.birthCountry.label': '出生国家',
+        'schema.i485.nationality.label': '国籍国家',
+        'schema.i485.i94Number.label': 'I-94 记录号码',
+        'schema.i485.lastArrivalDate.label': '最近一次抵达日期',
+        'schema.i485.step2.title': '申请类型',
+        'schema.i485.step2.heading': '第 2 部分 - 申请类型',
+        'schema.i485.applicationCategory.label': '移民类别',
+        'schema.i485.applicationCategory.family': '基于家庭',
+        'schema.i485.applicationCategory.employment': '基于工作',
+        'schema.i485.applicationCategory.asylum': '庇护者或难民',
+        'schema.i485.applicationCategory.other': '其他',
+        'schema.i485.underlyingReceiptNumber.label': '基础申请的收据号码',
+        'schema.i485.priorityDate.label': '优先日期',
+        'schema.i485.step3.title': '地址',
+        'schema.i485.step3.heading': '第 3 部分 - 地址',
+        'schema.i485.currentAddress.label': '街道地址',
+        'schema.i485.currentCity.label': '城市',
+        'schema.i485.currentState.label': '州',
+        'schema.i485.currentZip.label': '邮政编码（ZIP）',
+        'schema.i485.step4.title': '家庭',
+        'schema.i485.step4.heading': '第 4 部分 - 家庭信息',
+        'schema.i485.maritalStatus.label': '婚姻状况',
+        'schema.i485.spouseName.label': '配偶姓名',
+        'schema.i485.childrenInfo.label': '子女',
+        'schema.i485.step5.title': '可入境性',
+        'schema.i485.step5.heading': '第 5 部分 - 可入境性',
+        'schema.i485.criminalCharges.label': '您是否曾被指控犯罪？',
+        'schema.i485.criminalCharges.review': '刑事指控',
+        'schema.i485.criminalDetails.label': '请提供任何逮捕或指控的详细信息',
+        'schema.i485.criminalDetails.review': '刑事详情',
+        'schema.i485.immigrationViolations.label': '您是否曾违反您的移民身份条款？',
+        'schema.i485.immigrationViolations.review': '违反移民规定',
+        'schema.i485.check.lastArrivalDate.dateAfter': '最近一次抵达日期必须晚于您的出生日期。',
+        'schema.i485.reason.marriage_certificate.maritalStatus': '您已婚',
+        'schema.i485.reason.court_records.criminalCharges': '您曾被指控犯罪',
+        'schema.i130.step1.title': '关系',
+        'schema.i130.step1.heading': '第 1 部分 - 关系',
+        'schema.i130.relationship.label': '与受益人的关系',
+        'schema.i130.relationship.spouse': '配偶',
+        'schema.i130.relationship.parent': '父母',
+        'schema.i130.relationship.child': '子女',
+        'schema.i130.relationship.sibling': '兄弟 / 姐妹',
+        'schema.i130.petitionerStatus.label': '申请人身份',
+        'schema.i130.petitionerStatus.citizen': '美国公民',
+        'schema.i130.petitionerStatus.lpr': '合法永久居民',
+        'schema.i130.step2.title': '申请人',
+        'schema.i130.step2.heading': '第 2 部分 - 关于您的信息（申请人）',
+        'schema.i130.petitionerLastName.label': '申请人姓',
+        'schema.i130.petitionerFirstName.label': '申请人名',
+        'schema.i130.petitionerDob.label': '申请人出生日期',
+        'schema.i130.petitionerAddress.label': '申请人地址',
+        'schema.i130.step3.title': '受益人',
+        'schema.i130.step3.heading': '第 3 部分 - 受益人信息',
+        'schema.i130.beneficiaryLastName.label': '受益人姓',
+        'schema.i130.beneficiaryFirstName.label': '受益人名',
+        'schema.i130.beneficiaryDob.label': '受益人出生日期',
+        'schema.i130.beneficiaryBirthCountry.label': '受益人出生国家',
+        'schema.i130.beneficiaryANumber.label': '受益人 A-Number',
+        'schema.i130.step4.title': '婚姻',
+        'schema.i130.step4.heading': '第 4 部分 - 婚姻',
+        'schema.i130.marriageDate.label': '结婚日期',
+        'schema.i130.marriagePlace.label': '结婚地点',
+        'schema.i130.check.petitionerStatus.equals': '只有美国公民才能为父母或兄弟姐妹提交申请。',
+        'schema.i130.reason.marriage_certificate.relationship': '您为配偶提交申请',
+        'schema.i140.step1.title': '雇主',
+        'schema.i140.step1.heading': '第 1 部分 - 雇主信息',
+        'schema.i140.employerName.label': '雇主名称',
+        'schema.i140.employerEin.label': '雇主 FEIN',
+        'schema.i140.employerEin.pattern': '请输入 9 位 FEIN（XX-XXXXXXX）。',
+        'schema.i140.employerAddress.label': '雇主地址',
+        'schema.i140.step2.title': '类别',
+        'schema.i140.step2.heading': '第 2 部分 - 申请类型',
+        'schema.i140.classification.label': '申请类别',
+        'schema.i140.permCaseNumber.label': 'PERM 案件号码',
+        'schema.i140.step3.title': '受益人',
+        'schema.i140.step3.heading': '第 3 部分 - 受益人信息',
+        'schema.i140.lastName.label': '姓',
+        'schema.i140.firstName.label': '名',
+        'schema.i140.dob.label': '出生日期',
+        'schema.i140.birthCountry.label': '出生国家',
+        'schema.i140.step4.title': '工作邀请',
+        'schema.i140.step4.heading': '第 4 部分 - 工作邀请',
+        'schema.i140.jobTitle.label': '职位',
+        'schema.i140.socCode.label': 'SOC 代码',
+        'schema.i140.offeredWage.label': '提供的工资（每年）',
+        'schema.i765.step1.title': '原因',
+        'schema.i765.step1.heading': '第 1 部分 - 申请原因',
+        'schema.i765.eadReason.label': '我申请',
+        'schema.i765.eadReason.initial': '首次获得工作许可',
+        'schema.i765.eadReason.replacement': '补发遗失、被盗或损坏的卡',
+        'schema.i765.eadReason.renewal': '续签我的工作许可',
+        'schema.i765.eligibilityCategory.label': '资格类别',
+        'schema.i765.eligibilityCategory.pattern': '请输入类别，例如 (c)(9)。',
+        'schema.i765.step2.title': '关于您',
+        'schema.i765.step2.heading': '第 2 部分 - 关于您的信息',
+        'schema.i765.lastName.label': '姓',
+        'schema.i765.firstName.label': '名',
+        'schema.i765.dob.label': '出生日期',
+        'schema.i765.birthCountry.label': '出生国家',
+        'schema.i765.i94Number.label': 'I-94 记录号码',
+        'schema.i765.step3.title': '地址',
+        'schema.i765.step3.heading': '第 3 部分 - 邮寄地址',
+        'schema.i765.currentAddress.label': '街道地址',
+        'schema.i765.currentCity.label': '城市',
+        'schema.i765.currentState.label': '州',
+        'schema.i765.currentZip.label': '邮政编码（ZIP）',
+        'schema.i131.step1.title': '证件类型',
+        'schema.i131.step1.heading': '第 1 部分 - 申请类型',
+        'schema.i131.travelDocumentType.label': '申请的旅行证件',
+        'schema.i131.travelDocumentType.reentry': '回美证',
+        'schema.i131.travelDocumentType.refugee': '难民旅行证件',
+        'schema.i131.travelDocumentType.advanceParole': '提前假释证件（Advance Parole）',
+        'schema.i131.step2.title': '关于您',
+        'schema.i131.step2.heading': '第 2 部分 - 关于您的信息',
+        'schema.i131.lastName.label': '姓',
+        'schema.i131.firstName.label': '名',
+        'schema.i131.dob.label': '出生日期',
+        'schema.i131.birthCountry.label': '出生国家',
+        'schema.i131.step3.title': '旅行',
+        'schema.i131.step3.heading': '第 3 部分 - 计划的旅行',
+        'schema.i131.intendedDepartureDate.label': '计划出发日期',
+        'schema.i131.expectedTripLength.label': '预计旅行时长（天）',
+        'schema.i131.countriesToVisit.label': '将前往的国家',
+        'schema.i131.tripPurpose.label': '旅行目的',
+        'schema.i131.check.intendedDepartureDate.futureDate': '计划出发日期必须在未来。'
+    },
+
+    ar: {
+        // ============ COMMON ============
+        'common.language': 'اللغة',
+        'common.toggleTheme': 'تبديل الوضع الداكن',
+        'common.logout': 'تسجيل الخروج',
+        'common.settings': 'الإعدادات',
+        'common.profile': 'ملفي الشخصي',
+        'common.billing': 'الفواتير',
+        'common.account': 'الحساب',
+        'common.backendLocal': 'محفوظ على هذا الجهاز فقط - لا تتم مزامنة التغييرات مع السحابة',
+        'common.backendOther': 'يتم الحفظ في خادم اختبار - لا تصل التغييرات إلى السحابة',
+        'common.upgradeNow': 'قم بالترقية الآن',
+        'common.maybeLater': 'ربما لاحقًا',
+        'common.continue': 'متابعة',
+        'common.yourProgress': 'تقدمك',
+        'common.upcomingDeadlines': 'المواعيد النهائية القادمة',
+        'common.notifications': 'الإشعارات',
+        'common.clearAll': 'مسح الكل',
+        'common.markAllRead': 'تحديد الكل كمقروء',
+        'common.noNotifications': 'لا توجد إشعارات',
+        'nav.dashboard': 'لوحة التحكم',
+        'nav.roadmap': 'خارطة الطريق',
+        'nav.myRoadmap': 'خارطة طريقي',
+        'nav.forms': 'النماذج',
+        'nav.chat': 'الدردشة',
+        'nav.interview': 'المقابلة',
+        'nav.resources': 'الموارد',
+        'nav.civics': 'التربية المدنية',
+        'nav.assistant': 'المساعد الذكي',
+        'nav.formsCenter': 'مركز النماذج',
+        'nav.civicsPrep': 'التحضير لاختبار التربية المدنية',
+        'nav.taskList': 'قائمة المهام',
+        'nav.myDocuments': 'مستنداتي',
+        'nav.calendar': 'التقويم',
+
+        // ============ AUTH ============
+        'auth.tagline': 'طريقك الذكي إلى الهجرة إلى الولايات المتحدة',
+        'auth.intro': 'انضم إلى الآلاف الذين يثقون في Visa Guide AI في رحلة الهجرة. احصل على إرشادات مخصصة وتابع تقدمك ولا تفوّت أي موعد نهائي.',
+        'auth.feature.eligibility': 'فحص الأهلية بالذكاء الاصطناعي',
+        'auth.feature.checklists': 'قوائم مستندات مخصصة',
+        'auth.feature.interview': 'التحضير بمقابلات تجريبية',
+        'auth.feature.deadlines': 'تتبع المواعيد النهائية والتنبيهات',
+        'auth.feature.civics': 'التدرب على اختبار التربية المدنية',
+        'auth.feature.priority': 'توقعات تاريخ الأولوية',
+        'auth.signIn': 'تسجيل الدخول',
+        'auth.createAccount': 'إنشاء حساب',
+        'auth.email': 'البريد الإلكتروني',
+        'auth.emailPlaceholder': 'أدخل بريدك الإلكتروني',
+        'auth.password': 'كلمة المرور',
+        'auth.passwordPlaceholder': 'أدخل كلمة المرور',
+        'auth.rememberMe': 'تذكرني',
+        'auth.forgotPassword': 'هل نسيت كلمة المرور؟',
+        'auth.orContinue': 'أو تابع باستخدام',
+        'auth.noAccount': 'ليس لديك حساب؟',
+        'auth.signUpFree': 'سجّل مجانًا',
+        'auth.firstName': 'الاسم الأول',
+        'auth.lastName': 'اسم العائلة',
+        'auth.phone': 'رقم الهاتف (اختياري)',
+        'auth.createPassword': 'أنشئ كلمة مرور قوية',
+        'auth.passwordHint': 'يجب ألا تقل عن 8 أحرف وأن تتضمن أرقامًا ورموزًا خاصة',
+        'auth.confirmPassword': 'تأكيد كلمة المرور',
+        'auth.confirmPlaceholder': 'أكّد كلمة المرور',
+        'auth.interest': 'أنا مهتم بـ:',
+        'auth.interestPlaceholder': 'اختر اهتمامك...',
+        'auth.newsletter': 'أرسل لي أخبار ونصائح الهجرة (يمكنك إلغاء الاشتراك في أي وقت)',
+        'auth.createFree': 'إنشاء حسابي المجاني',
+        'auth.haveAccount': 'لديك حساب بالفعل؟',
+        'auth.signInLink': 'سجّل الدخول',
+        'auth.welcome': 'مرحبًا!',
+        'auth.accountCreated': 'تم إنشاء حسابك بنجاح.',
+        'auth.pleaseWait': 'يرجى الانتظار...',
+        'auth.signingIn': 'جارٍ تسجيل الدخول...',
+        'auth.creatingAccount': 'جارٍ إنشاء الحساب...',
+        'auth.connecting': 'جارٍ الاتصال...',
+        'auth.loginSuccess': 'تم تسجيل الدخول! جارٍ التحويل إلى لوحة التحكم...',
+        'auth.error.loginFailed': 'فشل تسجيل الدخول. حاول مرة أخرى.',
+        'auth.error.wrongPassword': 'كلمة المرور غير صحيحة. تحقق منها وحاول مرة أخرى.',
+        'auth.error.userNotFound': 'لا يوجد حساب بهذا البريد الإلكتروني. يرجى إنشاء حساب جديد.',
+        'auth.error.tooManyRequests': 'محاولات فاشلة كثيرة. انتظر بضع دقائق وحاول مرة أخرى.',
+        'auth.error.network': 'خطأ في الشبكة. تحقق من اتصالك بالإنترنت وحاول مرة أخرى.',
+        'auth.error.occurred': 'حدث خطأ: {message}',
+        'auth.error.tryAgain': 'حدث خطأ. حاول مرة أخرى.',
+        'auth.error.passwordMismatch': 'كلمتا المرور غير متطابقتين. حاول مرة أخرى.',
+        'auth.error.passwordShort': 'يجب ألا تقل كلمة المرور عن 8 أحرف.',
+        'auth.error.registration': 'فشل التسجيل. حاول مرة أخرى.',
+        'auth.created.loggingIn': 'تم إنشاء الحساب! جارٍ تسجيل دخولك...',
+        'auth.created.canLogIn': 'تم إنشاء الحساب! يمكنك الآن تسجيل الدخول.',
+        'auth.created.pleaseLogIn': 'تم إنشاء الحساب! يرجى تسجيل الدخول ببياناتك.',
+        'auth.enterEmailFirst': 'يرجى إدخال بريدك الإلكتروني أولًا.',
+        'auth.resetSent': 'تم إرسال رسالة إعادة تعيين كلمة المرور! تحقق من بريدك.',
+        'auth.error.resetFailed': 'تعذر إرسال رسالة إعادة التعيين.',
+
+        // ============ DASHBOARD ============
+        'dashboard.welcomeBack': 'مرحبًا بعودتك، {name}!',
+        'dashboard.subtitle': 'إليك نظرة عامة على رحلة الهجرة الخاصة بك',
+        'dashboard.overallProgress': 'التقدم العام',
+        'dashboard.toolsResources': 'الأدوات والموارد',
+        'dashboard.myVisaType': 'نوع تأشيرتي',
+        'dashboard.upgradeTitle': 'قم بالترقية إلى Pro للحصول على معالجة ذات أولوية',
+        'dashboard.upgradeText': 'احصل على مراجعة المستندات بالذكاء الاصطناعي ومقابلات تجريبية غير محدودة وتنبيهات المواعيد النهائية',
+        'dashboard.viewRoadmap': 'عرض خارطة الطريق',
+        'dashboard.checkDocuments': 'مراجعة المستندات',
+        'dashboard.stepsCompleted': 'الخطوات المكتملة',
+        'dashboard.nextDeadline': 'الموعد النهائي التالي',
+        'dashboard.documentsReady': 'المستندات الجاهزة',
+        'dashboard.sincePriorityDate': 'منذ تاريخ الأولوية',
+        'dashboard.eligibilityCheck': 'فحص الأهلية',
+        'dashboard.uploadDocuments': 'رفع المستندات',
+        'dashboard.mockInterview': 'مقابلة تجريبية',
+        'dashboard.civicsPractice': 'التدرب على التربية المدنية',
+        'dashboard.yourEligibility': 'أهليتك',
+        'dashboard.updateAnswers': 'تحديث الإجابات ←',
+        'dashboard.civicsReadiness': 'الاستعداد لاختبار التربية المدنية',
+        'dashboard.practiceCivics': 'تدرّب الآن ←',
+        'dashboard.civicsEmpty': 'تدرّب على بعض أسئلة التربية المدنية لترى مدى استعدادك للاختبار.',
+        'dashboard.passChance': 'فرصة النجاح اليوم',
+        'dashboard.civicsRules': '{name} · {passAt} من {asked} للنجاح',
+        'dashboard.civicsStreak': '{count} أيام متتالية',
+        'dashboard.civicsStudied': 'تمت دراسة {studied} من {total} سؤالًا',
+        'dashboard.civicsFocus': 'ركّز على',
+        'dashboard.civicsAccuracy': '{percent}% صحيحة',
+        'dashboard.civicsNotStudied': 'لم تُدرس بعد',
+        'dashboard.documentChecklist': 'قائمة المستندات',
+        'dashboard.manageDocuments': 'إدارة المستندات ←',
+        'dashboard.documentsEmpty': 'ابدأ نموذجًا في مركز النماذج لمعرفة المستندات التي يحتاجها.',
+        'dashboard.documentsFormReady': '{ready} من {total} جاهزة',
+        'dashboard.documentsAllReady': 'تم رفع كل المستندات التي يحتاجها هذا النموذج.',
+        'dashboard.docExpired': 'منتهي الصلاحية',
+        'dashboard.docPartial': '{uploaded} من {needed} ملفات',
+        'dashboard.deadline.expired': 'انتهت صلاحية {document}',
+        'dashboard.deadline.renew': 'جدّد {document}',
+        'dashboard.deadline.expiring': 'تنتهي صلاحية {document} قريبًا',
+        'dashboard.deadline.expiredOn': 'انتهى: {date}',
+        'dashboard.deadline.actBy': 'تصرّف قبل: {date} ({days} يومًا)',
+        'dashboard.deadline.overdue': 'كان مستحقًا: {date} (قبل {days} يومًا)',
+        'dashboard.deadline.urgent': 'عاجل',
+        'dashboard.deadline.soon': 'قريبًا',
+        'dashboard.deadline.update': 'تحديث المستند',
+        'dashboard.alert.title': 'انتهاء صلاحية مستند:',
+        'dashboard.alert.inDays': 'خلال {days} يومًا',
+        'dashboard.alert.today': 'اليوم',
+        'dashboard.alert.overdue': 'متأخر {days} يومًا',
+        'dashboard.yourRoadmap': 'خارطة طريق هجرتك',
+        'dashboard.viewTimeline': 'عرض الجدول الزمني الكامل ←',
+        'dashboard.recentActivity': 'النشاط الأخير',
+        'eligibility.status.eligible': 'مؤهل لتقديم الطلب',
+        'eligibility.status.review': 'مؤهل - يحتاج إلى مراجعة',
+        'eligibility.status.not-yet': 'غير مؤهل بعد',
+        'eligibility.status.ineligible': 'غير مؤهل',
+        'eligibility.status.incomplete': 'مطلوب مزيد من المعلومات',
+
+        // ============ CIVICS ============
+        'civics.mastered': 'متقنة',
+        'civics.learned': 'تم تعلمها',
+        'civics.remaining': 'المتبقية',
+        'civics.focusAreas': 'مجالات التركيز',
+        'civics.focusEmpty': 'أجب عن بعض الأسئلة لترى الفئات التي تحتاج إلى مزيد من العمل.',
+        'civics.categoryProgress': '{percent}% نحو الإتقان - تمت دراسة {studied} من {total}',
+        'civics.studyModes': 'أوضاع الدراسة',
+        'civics.dueToday': 'المستحقة اليوم',
+        'civics.dueCount': '{count} مستحقة',
+        'civics.practiceMode': 'وضع التدريب',
+        'civics.learnAsYouGo': 'تعلّم أثناء التقدم',
+        'civics.quizMode': 'وضع الاختبار القصير',
+        'civics.tenQuestions': '10 أسئلة',
+        'civics.quickReview': 'مراجعة سريعة',
+        'civics.fiveRandom': '5 عشوائية',
+        'civics.fullTest': 'الاختبار الكامل',
+        'civics.todaysProgress': 'تقدم اليوم',
+        'civics.questions': 'الأسئلة',
+        'civics.accuracy': 'الدقة',
+        'civics.dayStreak': 'أيام متتالية',
+        'civics.timeSpent': 'الوقت المستغرق',
+        'civics.title': 'التحضير لاختبار التربية المدنية الأمريكية',
+        'civics.subtitle': 'تدرّب على أسئلة التربية المدنية الرسمية المئة لاختبار التجنس',
+        'civics.questionsLearned': 'الأسئلة التي تعلمتها',
+        'civics.needsReview': 'تحتاج إلى مراجعة',
+        'civics.notLearned': 'لم تُتعلم بعد',
+        'civics.answeredToday': 'أُجيبت اليوم',
+        'civics.welcome': 'مرحبًا بك في التدرب على التربية المدنية!',
+        'civics.choose': 'اختر طريقة التدريب اليوم',
+        'civics.practice': 'تدريب',
+        'civics.learnAtYourPace': 'تعلّم بالسرعة التي تناسبك',
+        'civics.takeQuiz': 'خذ اختبارًا قصيرًا',
+        'civics.tenRandom': '10 أسئلة عشوائية',
+        'civics.fiveRandomQuestions': '5 أسئلة عشوائية',
+        'civics.allCount': 'كل الأسئلة ({count})',
+        'civics.audio': 'صوت السؤال',
+        'civics.markForReview': 'ضع علامة للمراجعة',
+        'civics.playAudio': 'تشغيل الصوت',
+        'civics.questionOf': 'السؤال {number} من {total}',
+        'civics.previous': 'السابق',
+        'civics.next': 'التالي',
+        'civics.finish': 'إنهاء',
+        'civics.correct': 'إجابة صحيحة! أحسنت.',
+        'civics.incorrect': 'إجابة خاطئة. الإجابة الصحيحة هي {answer}.',
+        'civics.explanation': 'الشرح:',
+        'civics.explanationText': 'يتناول هذا السؤال {category}. الإجابة الصحيحة هي {answer}.',
+        'civics.markedForReview': 'تم وضع علامة على السؤال للمراجعة',
+        'civics.nextReview': 'المراجعة التالية: {date}',
+        'civics.nothingDue': 'لا توجد أسئلة مستحقة اليوم - عد غدًا أو واصل التدرب.',
+        'civics.interview': 'المقابلة',
+        'civics.interviewInfo': 'أجب كما في الاختبار الحقيقي',
+        'civics.interview.title': 'مقابلة التربية المدنية',
+        'civics.interview.intro': 'يطرح الموظف كل سؤال بصوت عالٍ وتجيب بكلماتك الخاصة. اكتب إجابتك أو استخدم الميكروفون.',
+        'civics.interview.version': 'نسخة الاختبار',
+        'civics.settings.category': 'الفئة',
+        'civics.settings.allCategories': 'كل الفئات',
+        'civics.settings.senior': 'أسئلة 65/20 فقط',
+        'civics.settings.seniorNote': 'للمتقدمين الذين تبلغ أعمارهم 65 عامًا أو أكثر وأمضوا 20 عامًا مقيمين دائمين: {asked} أسئلة من هذه القائمة، وتنجح بـ {passAt} إجابات صحيحة.',
+        'civics.settings.seniorUnavailable': 'أسئلة 65/20 لهذه النسخة غير متوفرة بعد.',
+        'civics.english.reading': 'اختبار القراءة',
+        'civics.english.writing': 'اختبار الكتابة',
+        'civics.english.readingInfo': 'اقرأ جملة بصوت عالٍ',
+        'civics.english.writingInfo': 'اكتب الجملة التي تسمعها',
+        'civics.english.readingTitle': 'اختبار القراءة باللغة الإنجليزية',
+        'civics.english.writingTitle': 'اختبار الكتابة باللغة الإنجليزية',
+        'civics.english.readingIntro': 'يعرض عليك الضابط جملة وتقرؤها بصوت عالٍ. استخدم الميكروفون واقرأ الجملة كاملة. يمكنك تخطي كلمة قصيرة أو نطقها بشكل خاطئ، لكن يجب قراءة كل الكلمات الأخرى.',
+        'civics.english.writingIntro': 'يقرأ الضابط جملة بصوت عالٍ وتكتبها أنت. تُقبل الأخطاء الصغيرة في الإملاء والأحرف الكبيرة وعلامات الترقيم ما دام المعنى لم يتغير، لكن لا يجوز أن تنقص أي كلمة أو تتغير.',
+        'civics.english.rules': 'حتى {asked} جمل. تنجح بمجرد أن تصيب في {passAt}.',
+        'civics.english.start': 'ابدأ الاختبار',
+        'civics.english.end': 'إنهاء الاختبار',
+        'civics.english.next': 'الجملة التالية',
+        'civics.english.sentenceOf': 'الجملة {number} من {total} كحد أقصى',
+        'civics.english.listen': 'استمع إلى الجملة مرة أخرى',
+        'civics.english.read': 'اقرأ بصوت عالٍ',
+        'civics.english.readPlaceholder': 'اضغط على الميكروفون واقرأ الجملة',
+        'civics.english.writePlaceholder': 'اكتب الجملة باللغة الإنجليزية',
+        'civics.english.listenPrompt': 'استمع إلى الجملة واكتبها أدناه.',
+        'civics.english.noSpeech': 'تتطلب القراءة بصوت عالٍ التعرف على الكلام، وهو غير مدعوم في هذا المتصفح. يمكنك بدلاً من ذلك كتابة الجملة أثناء قراءتها.',
+        'civics.english.youRead': 'قرأت:',
+        'civics.english.youWrote': 'كتبت:',
+        'civics.english.minorCase': 'الأحرف الكبيرة - مقبول',
+        'civics.english.minorSpelling': 'خطأ إملائي بسيط - مقبول',
+        'civics.english.minorSound': 'سُمعت بشكل مختلف قليلاً - مقبول',
+        'civics.english.optionalWord': 'كلمة قصيرة محذوفة - مقبول',
+        'civics.english.missedWord': 'كلمة ناقصة أو مختلفة',
+        'civics.english.changedMeaning': '"{words}" تغيّر المعنى',
+        'civics.english.passedReading': 'لقد نجحت في اختبار القراءة',
+        'civics.english.failedReading': 'لم تنجح في اختبار القراءة',
+        'civics.english.passedWriting': 'لقد نجحت في اختبار الكتابة',
+        'civics.english.failedWriting': 'لم تنجح في اختبار الكتابة',
+        'civics.english.resultText': '{correct} من {asked} جمل صحيحة.',
+        'civics.english.failedNote': 'ستُعاد اختبارك في هذا الجزء بعد 60 إلى 90 يومًا من مقابلتك.',
+        'civics.english.history': 'الاختبارات السابقة',
+        'civics.english.noHistory': 'لا توجد اختبارات بعد',
+        'civics.interview.filedBefore': '{name} - الطلبات المقدمة قبل {date}',
+        'civics.interview.filedFrom': '{name} - الطلبات المقدمة في {date} أو بعده',
+        'civics.interview.rules': 'حتى {asked} سؤالًا. تنجح بـ {passAt} إجابات صحيحة، ويتوقف الموظف بمجرد نجاحك أو عندما يصبح النجاح غير ممكن.',
+        'civics.interview.englishNote': 'يُجرى اختبار التربية المدنية باللغة الإنجليزية، لذا تكون الأسئلة وإجاباتك بالإنجليزية.',
+        'civics.interview.start': 'ابدأ المقابلة',
+        'civics.interview.back': 'رجوع',
+        'civics.interview.end': 'إنهاء المقابلة',
+        'civics.interview.history': 'المقابلات السابقة',
+        'civics.interview.noHistory': 'لا توجد مقابلات بعد',
+        'civics.interview.historyScore': '{correct} من {asked} صحيحة',
+        'civics.interview.pass': 'ناجح',
+        'civics.interview.fail': 'غير ناجح',
+        'civics.interview.questionOf': 'السؤال {number} من {total} كحد أقصى',
+        'civics.interview.score': '{correct} صحيحة · {incorrect} خاطئة',
+        'civics.interview.listen': 'استمع إلى السؤال مرة أخرى',
+        'civics.interview.placeholder': 'اكتب إجابتك بالإنجليزية',
+        'civics.interview.speak': 'أجب بالصوت',
+        'civics.interview.listening': 'جارٍ الاستماع...',
+        'civics.interview.noSpeech': 'هذا المتصفح لا يدعم الإجابة بالصوت. يرجى كتابة إجابتك.',
+        'civics.interview.submit': 'أجب',
+        'civics.interview.next': 'السؤال التالي',
+        'civics.interview.finish': 'عرض النتيجة',
+        'civics.interview.correct': 'صحيح',
+        'civics.interview.incorrect': 'غير صحيح',
+        'civics.interview.needed': '{matched} من {count} إجابات مطلوبة',
+        'civics.interview.yourAnswer': 'إجابتك:',
+        'civics.interview.acceptable': 'الإجابات المقبولة:',
+        'civics.interview.passed': 'لقد نجحت في اختبار التربية المدنية',
+        'civics.interview.failed': 'لم تنجح في اختبار التربية المدنية',
+        'civics.interview.passedText': 'أجبت بشكل صحيح عن {correct} من {asked} أسئلة. سينتقل الموظف الآن إلى بقية مقابلتك.',
+        'civics.interview.failedText': 'أجبت بشكل صحيح عن {correct} من {asked} أسئلة وكنت بحاجة إلى {passAt}. سيُعاد اختبارك في التربية المدنية بعد 60 إلى 90 يومًا من هذه المقابلة.',
+        'civics.interview.localAnswers': 'تُجاب الأسئلة عن أعضاء مجلس الشيوخ والنائب والحاكم والعاصمة وفقًا لـ {state}.',
+        'civics.interview.localHint': 'اختر ولايتك في قسم ولايتك لتُسأل أيضًا عن أعضاء مجلس الشيوخ والنائب والحاكم وعاصمة الولاية.',
+        'civics.location.title': 'ولايتك',
+        'civics.location.choose': 'اختر ولايتك',
+        'civics.location.fromN400': 'من عنوان السكن في نموذج N-400',
+        'civics.location.chosen': 'تم اختيارها هنا',
+        'civics.location.none': 'اختر ولايتك للتدرب على الأسئلة عن أعضاء مجلس الشيوخ والحاكم وعاصمة الولاية.',
+        'civics.location.representative': 'يعتمد نائبك في مجلس النواب الأمريكي على دائرتك الانتخابية.',
+        'civics.location.lookup': 'ابحث بالرمز البريدي',
+        'civics.location.representativePlaceholder': 'اسم نائبك',
+        'civics.location.asOf': 'المسؤولون حتى {date}',
+        'civics.location.outOfDate': 'آخر مراجعة لإجابات المسؤولين كانت في {date} وقد تكون قديمة. تحقق من المسؤولين الحاليين قبل مقابلتك.',
+        'civics.location.check': 'تحقق على USA.gov',
+        'civics.excellent': 'ممتاز!',
+        'civics.goodJob': 'عمل جيد!',
+        'civics.keepPracticing': 'واصل التدريب!',
+        'civics.resultStats': 'أجبت بشكل صحيح عن {correct} من {total} أسئلة',
+        'civics.reviewAnswers': 'مراجعة الإجابات',
+        'civics.tryAgain': 'حاول مرة أخرى',
+
+        // ============ CHATBOT ============
+        'chat.topics': 'موضوعات المحادثة',
+        'chat.topic.general': 'أسئلة عامة',
+        'chat.topic.eligibility': 'التحقق من الأهلية',
+        'chat.topic.documents': 'المساعدة في المستندات',
+        'chat.topic.interview': 'التحضير للمقابلة',
+        'chat.topic.forms': 'إرشادات النماذج',
+        'chat.topic.deadlines': 'المواعيد النهائية',
+        'chat.conversations': 'المحادثات',
+        'chat.newConversation': 'محادثة جديدة',
+        'chat.searchHistory': 'ابحث في الرسائل السابقة...',
+        'chat.noThreads': 'لا توجد محادثات محفوظة بعد',
+        'chat.noTopicThreads': 'لا توجد محادثات محفوظة في {topic} بعد',
+        'chat.noMatches': 'لا توجد رسائل تطابق "{query}"',
+        'chat.threadMeta': '{count} رسائل - {time}',
+        'chat.quickPrompts': 'أسئلة سريعة',
+        'chat.prompt.renewH1b': 'كيف أجدد تأشيرة H-1B؟',
+        'chat.prompt.i485Docs': 'مستندات النموذج I-485؟',
+        'chat.prompt.eb3India': 'توقعات EB-3 للهند',
+        'chat.prompt.h1bTransfer': 'إجراءات نقل H-1B',
+        'chat.yourProfile': 'ملفك الشخصي',
+        'chat.visaType': 'نوع التأشيرة',
+        'chat.country': 'الدولة',
+        'chat.priorityDate': 'تاريخ الأولوية',
+        'chat.currentStatus': 'الوضع الحالي',
+        'chat.unlockVoice': 'افتح وضع الصوت',
+        'chat.unlockVoiceText': 'قم بالترقية إلى Pro لإجراء محادثات صوتية',
+        'chat.online': 'متصل',
+        'chat.modelInfo': 'نموذج الذكاء الاصطناعي: Immigration Expert v2.0',
+        'chat.exportMarkdown': 'تصدير المحادثة بصيغة Markdown',
+        'chat.exportPdf': 'تصدير المحادثة بصيغة PDF',
+        'chat.deleteConversation': 'حذف المحادثة',
+        'chat.viewTranscript': 'عرض النص المكتوب',
+        'chat.voiceMode': 'وضع المحادثة الصوتية',
+        'chat.voice': 'الصوت',
+        'chat.toggleSpeech': 'تشغيل/إيقاف القراءة الصوتية',
+        'chat.welcome': 'مرحبًا! أنا مساعدك في Visa Guide AI. كيف يمكنني مساعدتك اليوم في رحلة الهجرة الخاصة بك؟',
+        'chat.welcomeName': 'مرحبًا {name}! أنا مساعدك في Visa Guide AI. كيف يمكنني مساعدتك اليوم في رحلة الهجرة الخاصة بك؟',
+        'chat.quick.eligibility': 'التحقق من أهلية البطاقة الخضراء',
+        'chat.quick.h1bStamping': 'مستندات ختم تأشيرة H-1B',
+        'chat.quick.eb3Timeline': 'الجدول الزمني EB-3 للهند',
+        'chat.quick.n400Docs': 'مستندات النموذج N-400',
+        'chat.justNow': 'الآن',
+        'chat.you': 'أنت',
+        'chat.attachFile': 'إرفاق ملف',
+        'chat.voiceInput': 'الإدخال الصوتي',
+        'chat.inputPlaceholder': 'اكتب سؤالك هنا...',
+        'chat.encrypted': 'محادثاتك مشفرة وخاصة',
+        'chat.relatedResources': 'موارد ذات صلة',
+        'chat.resource.h1bTransfer.title': 'الجدول الزمني لنقل H-1B',
+        'chat.resource.h1bTransfer.text': 'خطوات الإجراء مع المواعيد النهائية',
+        'chat.resource.premium.title': 'المعالجة المميزة',
+        'chat.resource.premium.text': 'متطلبات وتكاليف المعالجة السريعة',
+        'chat.resource.i485.title': 'قائمة تحقق I-485',
+        'chat.resource.i485.text': 'قائمة كاملة بمستندات تعديل الوضع',
+        'chat.resource.rfe.title': 'استراتيجيات الرد على RFE',
+        'chat.resource.rfe.text': 'كيفية الرد على طلبات الأدلة',
+        'chat.noForms': 'لم تبدأ أي نموذج بعد',
+        'chat.averageCompletion': 'متوسط اكتمال نماذجك {forms}',
+        'chat.noDeadlines': 'لا توجد مواعيد نهائية قادمة',
+        'chat.daysRemaining': '{date} - متبقٍ {days} يومًا',
+        'chat.voiceModeTitle': 'وضع الصوت',
+        'chat.voiceModeText': 'قم بالترقية إلى Pro لإجراء محادثات صوتية دون استخدام اليدين',
+        'chat.upgradePrice': 'ترقية - 29$ شهريًا',
+        'chat.liveTranscript': 'النص المباشر',
+        'chat.transcriptEmpty': 'سيظهر النص الصوتي هنا',
+        'chat.youSaid': 'قلت:',
+        'chat.aiResponded': 'رد الذكاء الاصطناعي:',
+        'chat.listening': 'جارٍ الاستماع...',
+        'chat.speakNow': 'تحدث الآن',
+        'chat.processing': 'جارٍ المعالجة...',
+        'chat.stopListening': 'إيقاف الاستماع',
+        'chat.upgradeTitle': 'الترقية إلى Pro',
+        'chat.upgradeText': 'افتح الدردشة الصوتية والميزات المميزة',
+        'chat.feature.voice': 'محادثات صوتية غير محدودة',
+        'chat.feature.review': 'مراجعة المستندات بالذكاء الاصطناعي (50 شهريًا)',
+        'chat.feature.interviews': 'مقابلات تجريبية غير محدودة',
+        'chat.feature.predictions': 'توقعات تاريخ الأولوية',
+        'chat.pricePerMonth': '29$ شهريًا',
+        'chat.error': 'عذرًا، حدث خطأ ما. يرجى المحاولة مرة أخرى.',
+        'chat.voiceError': 'خطأ في التعرف على الصوت: {error}',
+        'chat.voiceUnsupported': 'متصفحك لا يدعم الإدخال الصوتي. يرجى تجربة Chrome أو Edge أو Safari.',
+        'chat.speechOn': 'تم تفعيل الردود الصوتية',
+        'chat.speechOff': 'تم إيقاف الردود الصوتية',
+        'chat.switchedTopic': 'تم التبديل إلى وضع {topic}. كيف يمكنني مساعدتك؟',
+        'chat.cleared': 'تم مسح المحادثة! كيف يمكنني مساعدتك اليوم؟',
+        'chat.howCanIHelp': 'كيف يمكنني مساعدتك اليوم؟',
+        'chat.newTopicConversation': 'محادثة جديدة في {topic}. كيف يمكنني مساعدتك؟',
+        'chat.confirmDelete': 'حذف "{title}"؟ لا يمكن التراجع عن هذا الإجراء.',
+        'chat.adoptLocal': 'هل تريد إضافة {count} من المحادثات المحفوظة على هذا الجهاز دون تسجيل الدخول إلى حسابك؟ اختر إلغاء للاحتفاظ بها على هذا الجهاز فقط.',
+        'sync.adoptLocal': 'يحتوي هذا الجهاز على إجابات حُفظت دون تسجيل الدخول. هل تريد إضافتها إلى حسابك؟ اختر إلغاء إذا كانت لشخص آخر - ستبقى على هذا الجهاز.',
+        'chat.exportEmpty': 'ابدأ محادثة لتتمكن من تصديرها.',
+        'chat.exportPdfLost': 'يستخدم ملف PDF خطًا بالأحرف اللاتينية فقط، لذلك تظهر بعض الأحرف على شكل "?". صدّر المحادثة بصيغة Markdown للاحتفاظ بالنص كاملًا.',
+        'chat.sources': 'المصادر',
+        'chat.lastReviewed': 'آخر مراجعة في {date}',
+        'chat.unknownDate': 'غير معروف',
+        'chat.mayBeOutdated': '(قد تكون قديمة - راجع المصدر)',
+        'chat.englishOnly': 'هذه الإجابة متوفرة باللغة الإنجليزية فقط.',
+        'chat.link.forms': 'الانتقال إلى مركز النماذج',
+        'chat.link.dashboard': 'عرض لوحة التحكم',
+        'chat.link.civics': 'بدء التدرب على التربية المدنية',
+        'chat.reply.greeting': 'مرحبًا {name}! يسعدنا رؤيتك!\n\nأنا مساعدك في Visa Guide AI. يمكنني مساعدتك في:\n\n* أسئلة الأهلية\n* المستندات المطلوبة\n* إرشادات تعبئة النماذج\n* التحضير للمقابلة\n* حالة قضيتك\n* المواعيد النهائية\n\nإجاباتي التفصيلية باللغة الإنجليزية مثل نماذج USCIS. بماذا يمكنني مساعدتك اليوم؟',
+        'chat.reply.greetingGuest': 'مرحبًا! يسعدنا رؤيتك!\n\nأنا مساعدك في Visa Guide AI. يمكنني مساعدتك في:\n\n* أسئلة الأهلية\n* المستندات المطلوبة\n* إرشادات تعبئة النماذج\n* التحضير للمقابلة\n* حالة قضيتك\n* المواعيد النهائية\n\nإجاباتي التفصيلية باللغة الإنجليزية مثل نماذج USCIS. بماذا يمكنني مساعدتك اليوم؟',
+        'chat.reply.navigateForms': 'سأنقلك إلى مركز النماذج حيث يمكنك الوصول إلى جميع نماذج الهجرة المتاحة وتعبئتها.\n\nيتضمن مركز النماذج:\n* جميع نماذج USCIS (N-400 وI-485 وI-130 وI-140 وغيرها)\n* تعليمات التقديم خطوة بخطوة\n* قوائم المستندات لكل نموذج\n* معلومات الرسوم\n\nهل تريد إرشادات حول نموذج معين؟',
+        'chat.reply.navigateDashboard': 'سأنقلك إلى لوحة التحكم حيث يمكنك رؤية تقدمك الكامل في الهجرة.\n\nتعرض لوحة التحكم:\n* التقدم العام في رحلة الهجرة\n* المواعيد النهائية القادمة\n* قوائم المستندات\n* تحديثات حالة القضية\n\nأخبرني إذا كنت بحاجة إلى مساعدة في أمر معين!',
+        'chat.reply.navigateCivics': 'سأنقلك إلى قسم التدرب على التربية المدنية حيث يمكنك الدراسة والاستعداد لاختبار الجنسية.\n\nيتضمن التدرب على التربية المدنية:\n* جميع الأسئلة الرسمية البالغ عددها {questions} في {name}\n* محاكي مقابلة يطرح الأسئلة بصوت عالٍ كما يفعل الموظف\n* وضع الدراسة والاختبارات القصيرة\n* تتبع التقدم\n\nيُجرى الاختبار باللغة الإنجليزية، لذا فالأسئلة بالإنجليزية. بالتوفيق في استعدادك!',
+        'chat.reply.civics': 'الاستعداد لاختبار التربية المدنية:\n\nشكل الاختبار ({name}، للطلبات المقدمة الآن):\n* يطرح عليك الموظف شفهيًا ما يصل إلى {asked} سؤالًا من قائمة تضم {questions} سؤالًا\n* تجيب بكلماتك الخاصة، ولا توجد خيارات للإجابة\n* تنجح بعد {passAt} إجابات صحيحة\n* إذا كان عمرك 65 عامًا أو أكثر وكنت مقيمًا دائمًا لمدة 20 عامًا، فستُسأل {seniorAsked} من {seniorQuestions} سؤالًا خاصًا وتحتاج إلى {seniorPassAt} إجابات صحيحة\n* هل قدّمت طلبك قبل ذلك؟ تستخدم مقابلتك الاختبار الخاص بتاريخ تقديمك\n\nالموضوعات (بالإنجليزية كما في الاختبار):\n{topics}\n\nهل تود أن تبدأ التدرب الآن؟',
+        'chat.reply.navigate': 'يسعدني مساعدتك في الوصول إلى المكان المناسب! ما الذي تريد الوصول إليه؟\n\n* **مركز النماذج** - لنماذج وطلبات الهجرة\n* **لوحة التحكم** - لتقدمك ومواعيدك النهائية\n* **التدرب على التربية المدنية** - للاستعداد لاختبار الجنسية\n\nأخبرني فقط بما تحتاج إليه!',
+        'chat.reply.noCase': 'لا أرى أي نماذج محفوظة أو مستندات مرفوعة بعد.\n\nابدأ نموذجًا في مركز النماذج وسأخبرك بالإجابات الناقصة والمستندات التي ما زلت تحتاجها ومواعيدك القادمة.',
+        'chat.reply.fallback': 'أفهم أنك تسأل عن "{message}". إليك كيف يمكنني المساعدة:\n\nالموضوعات التي يمكنني المساعدة فيها:\n\n📋 **أسئلة التأشيرات**\n* H-1B وL-1 وO-1 وF-1 وغيرها\n\n💳 **البطاقات الخضراء**\n* على أساس العمل (EB-1 وEB-2 وEB-3)\n* على أساس الأسرة\n\n📄 **النماذج**\n* N-400 وI-485 وI-130 وI-140 وغيرها\n\n📋 **المستندات**\n* المستندات المطلوبة\n* قوائم التحقق\n\n📅 **الجداول الزمنية**\n* مدد المعالجة\n* المواعيد النهائية\n\n🎓 **الجنسية**\n* التحضير لاختبار التربية المدنية\n* نصائح للمقابلة\n\nإجاباتي التفصيلية باللغة الإنجليزية. هل يمكنك تقديم مزيد من التفاصيل حول سؤالك؟ على سبيل المثال:\n- ما نوع التأشيرة التي تتقدم لها؟\n- في أي مرحلة من الإجراءات أنت؟\n- ما المساعدة المحددة التي تحتاجها؟\n\nأنا هنا لمساعدتك!',
+        'chat.reply.sorry': 'عذرًا، لم أتمكن من الإجابة الآن. يرجى المحاولة مرة أخرى.',
+
+        // ============ FORMS ============
+        'forms.title': 'مركز النماذج',
+        'forms.subtitle': 'أكمل نماذج الهجرة وأدر مستنداتك وتابع تقدمك',
+        'forms.tab.forms': 'نماذجي',
+        'forms.tab.interactive': 'تعبئة النموذج',
+        'forms.tab.documents': 'المستندات',
+        'forms.tab.calculator': 'حاسبة التكاليف',
+        'forms.tab.timeline': 'الجدول الزمني',
+        'forms.status.not-started': 'لم يبدأ',
+        'forms.status.in-progress': 'قيد التنفيذ',
+        'forms.status.completed': 'مكتمل',
+        'forms.months': '{range} أشهر',
+        'forms.description.n400': 'قدّم طلب الجنسية الأمريكية عن طريق التجنس',
+        'forms.description.i485': 'قدّم طلب تعديل وضعك إلى مقيم دائم',
+        'forms.description.i130': 'إثبات صلة القرابة للحصول على البطاقة الخضراء',
+        'forms.description.i140': 'بطاقة خضراء على أساس العمل برعاية صاحب العمل',
+        'forms.description.i765': 'احصل على تصريح عمل أثناء انتظار البطاقة الخضراء',
+        'forms.description.i131': 'اطلب إذن السفر المسبق للسفر إلى الخارج',
+        'forms.progress': 'التقدم: {percent}%',
+        'forms.previous': 'السابق',
+        'forms.next': 'التالي',
+        'forms.review': 'مراجعة',
+        'forms.reviewHeading': 'الجزء {step} - راجع معلوماتك',
+        'forms.readyToSubmit': 'هل أنت مستعد للإرسال؟',
+        'forms.readyToSubmitText': 'يرجى مراجعة جميع المعلومات أعلاه بعناية. بعد الإرسال لا يمكنك إجراء تغييرات عبر الإنترنت، وقد تحتاج إلى الاتصال بـ USCIS لإجراء أي تصحيحات.',
+        'forms.saveDraft': 'حفظ المسودة',
+        'forms.downloadPdf': 'تنزيل PDF',
+        'forms.submitApplication': 'إرسال الطلب',
+        'forms.select': 'اختر',
+        'forms.validation.required': 'هذا الحقل مطلوب.',
+        'forms.validation.option': 'اختر أحد الخيارات المدرجة.',
+        'forms.validation.date': 'أدخل تاريخًا صالحًا.',
+        'forms.validation.future': 'لا يمكن أن يكون التاريخ في المستقبل.',
+        'forms.validation.anumber': 'أدخل رقم A-Number مكونًا من 7 إلى 9 أرقام (مثل A123-456-789).',
+        'forms.validation.zip': 'أدخل رمزًا بريديًا من 5 أرقام (أو ZIP+4).',
+        'forms.validation.receipt': 'أدخل رقم إيصال مكونًا من 13 حرفًا (مثل IOE0123456789).',
+        'forms.validation.number': 'أدخل رقمًا صالحًا.',
+        'forms.validation.format': 'تحقق من تنسيق هذا الحقل.',
+        'forms.officialLabel': 'في النموذج: {label}',
+        'forms.edit': 'تعديل',
+        'forms.notProvided': 'غير مقدم',
+        'forms.needAttention': '{count} عنصر (عناصر) بحاجة إلى مراجعة قبل الإرسال',
+        'forms.pdfMissing': 'تُرك {count} حقل (حقول) مطلوب فارغًا في ملف PDF',
+        'forms.pdfContinued': 'وُضعت {count} إجابة (إجابات) في ورقة التكملة',
+        'forms.tooLong': '(أطول من حقل النموذج)',
+        'forms.confirmPdfSummary': 'هل تريد تنزيل ملف PDF ملخص لإجاباتك في {form} بدلًا من ذلك؟ لا يمكن تقديم الملخص إلى USCIS.',
+        'forms.pdfTransliterated': 'احتوت {count} إجابة (إجابات) على أحرف لا يستطيع خط PDF عرضها فكُتبت بأحرف لاتينية - يرجى مراجعتها',
+        'forms.pdfNotLatin': '(تعذّر تحويل بعض الأحرف - أدخل هذه الإجابة بالإنجليزية)',
+        'forms.conflict': 'تم التغيير على جهاز آخر إلى:',
+        'forms.keepMine': 'الاحتفاظ بقيمتي',
+        'forms.useOther': 'استخدام قيمة الجهاز الآخر',
+        'forms.empty': '(فارغ)',
+        'forms.prefill.button': 'التعبئة من مستند',
+        'forms.prefill.title': 'بيانات من {document}',
+        'forms.prefill.hint': 'تمت القراءة على هذا الجهاز - قارن كل قيمة بمستندك قبل قبولها.',
+        'forms.prefill.field': 'الحقل',
+        'forms.prefill.current': 'في النموذج',
+        'forms.prefill.proposed': 'من المستند',
+        'forms.prefill.accept': 'قبول',
+        'forms.prefill.ignore': 'تجاهل',
+        'forms.prefill.acceptAll': 'قبول الكل',
+        'forms.prefill.dismiss': 'إغلاق',
+        'forms.prefill.verified': 'أرقام التحقق متطابقة',
+        'forms.prefill.unverified': 'تعذر التحقق - راجعه بعناية',
+        'forms.prefill.reading': 'جارٍ قراءة {name}...',
+        'forms.prefill.found': 'تم العثور على {count} قيمة لـ {form} - راجعها في النموذج',
+        'forms.prefill.nothing': 'لا يوجد جديد لتعبئته من هذا المستند',
+        'forms.prefill.failed': 'تعذرت قراءة هذا المستند',
+        'forms.vault.off': 'خزنة المستندات متوقفة',
+        'forms.vault.offHint': 'تُخزَّن الملفات كما ترفعها. فعّل الخزنة لتشفير جوازات السفر والشهادات والإقرارات الضريبية على هذا الجهاز قبل رفعها.',
+        'forms.vault.locked': 'خزنة المستندات مقفلة',
+        'forms.vault.lockedHint': 'مستنداتك مشفّرة. افتح الخزنة بعبارة المرور لرفعها أو فتحها.',
+        'forms.vault.unlocked': 'خزنة المستندات مفتوحة',
+        'forms.vault.unlockedHint': 'تُشفَّر الملفات على هذا الجهاز قبل رفعها. تُقفل الخزنة تلقائيًا بعد {minutes} دقيقة دون استخدام.',
+        'forms.vault.enable': 'تفعيل التشفير',
+        'forms.vault.unlock': 'فتح',
+        'forms.vault.recover': 'نسيت عبارة المرور',
+        'forms.vault.lock': 'قفل',
+        'forms.vault.change': 'تغيير عبارة المرور',
+        'forms.vault.rotate': 'تدوير المفتاح',
+        'forms.vault.recoveryCode': 'رمز استرداد جديد',
+        'forms.vault.cancel': 'إلغاء',
+        'forms.vault.passphrase': 'عبارة المرور',
+        'forms.vault.currentPassphrase': 'عبارة المرور الحالية',
+        'forms.vault.newPassphrase': 'عبارة المرور الجديدة',
+        'forms.vault.confirmPassphrase': 'أعد كتابة عبارة المرور',
+        'forms.vault.recoveryCodeLabel': 'رمز الاسترداد',
+        'forms.vault.enableHelp': 'اختر عبارة مرور من {length} أحرف على الأقل. بدونها، أو بدون رمز الاسترداد الذي سيظهر بعد ذلك، لا يمكن لأحد فتح مستنداتك - ولا حتى نحن. تُشفَّر الملفات التي رفعتها سابقًا أيضًا.',
+        'forms.vault.unlockHelp': 'أدخل عبارة مرور الخزنة.',
+        'forms.vault.recoverHelp': 'أدخل رمز الاسترداد الذي حفظته واختر عبارة مرور جديدة من {length} أحرف على الأقل.',
+        'forms.vault.changeHelp': 'تبقى ملفاتك كما هي - تتغير فقط عبارة المرور التي تفتحها. استخدم {length} أحرف على الأقل.',
+        'forms.vault.rotateHelp': 'يُعاد تشفير كل مستند بمفتاح جديد، وتحصل على رمز استرداد جديد. افعل ذلك إذا كان من الممكن أن يكون شخص آخر قد رأى عبارة المرور أو رمز الاسترداد.',
+        'forms.vault.recoveryCodeHelp': 'يتوقف رمز الاسترداد القديم عن العمل فور إنشاء الرمز الجديد.',
+        'forms.vault.recoveryHint': 'احفظ رمز الاسترداد هذا في مكان آمن بعيدًا عن هذا الجهاز. إنه الطريقة الوحيدة للوصول إلى مستنداتك إذا نسيت عبارة المرور، ولن يظهر مرة أخرى.',
+        'forms.vault.recoverySaved': 'لقد حفظته',
+        'forms.vault.mismatch': 'عبارتا المرور غير متطابقتين',
+        'forms.vault.working': 'جارٍ العمل...',
+        'forms.vault.resealFailed': 'تعذّر تشفير بعض المستندات - حاول مرة أخرى لاحقًا',
+        'forms.vault.error': 'خزنة المستندات: {error}',
+        'forms.vault.done.enable': 'تم تفعيل خزنة المستندات',
+        'forms.vault.done.unlock': 'تم فتح خزنة المستندات',
+        'forms.vault.done.recover': 'تم تعيين عبارة مرور جديدة - الخزنة مفتوحة',
+        'forms.vault.done.change': 'تم تغيير عبارة المرور',
+        'forms.vault.done.rotate': 'تم تشفير المستندات بمفتاح جديد',
+        'forms.vault.done.recoveryCode': 'تم إنشاء رمز استرداد جديد',
+        'forms.doc.totalRequired': 'إجمالي المطلوب',
+        'forms.doc.uploaded': 'مرفوعة',
+        'forms.doc.pending': 'معلقة',
+        'forms.doc.expired': 'منتهية الصلاحية',
+        'forms.doc.missing': 'مفقود',
+        'forms.doc.uploadedStatus': 'مرفوع',
+        'forms.doc.expiredStatus': 'منتهي الصلاحية',
+        'forms.doc.notUploaded': 'لم يُرفع',
+        'forms.doc.editDates': 'تاريخا الإصدار والانتهاء',
+        'forms.doc.issuedOn': 'تاريخ الإصدار',
+        'forms.doc.expiresOn': 'تاريخ الانتهاء',
+        'forms.doc.saveDates': 'حفظ التواريخ',
+        'forms.doc.addDates': 'أضف تاريخ الانتهاء لتلقي تذكيرات التجديد',
+        'forms.doc.expiresLine': 'ينتهي في {date}',
+        'forms.doc.expiringLine': 'ينتهي في {date} - جدّده قبل {by}',
+        'forms.doc.renewLine': 'جدّده الآن - ينتهي في {date}',
+        'forms.doc.expiredLine': 'انتهى في {date}',
+        'forms.doc.view': 'عرض',
+        'forms.doc.download': 'تنزيل',
+        'forms.doc.delete': 'حذف',
+        'forms.doc.upload': 'رفع',
+        'forms.doc.uploadTitle': 'رفع مستند',
+        'forms.doc.uploadHint': 'اسحب الملفات وأفلتها هنا أو انقر للاستعراض',
+        'forms.doc.uploadFormats': 'الصيغ المدعومة: PDF وJPG وPNG (بحد أقصى 10 ميغابايت)',
+        'forms.doc.requiredFor': 'المستندات المطلوبة لـ {form}',
+        'forms.doc.checklistFor': 'عرض القائمة لـ',
+        'forms.doc.otherUploads': 'مستندات أخرى مرفوعة',
+        'forms.doc.cardCount': 'المستندات {ready} من {total}',
+        'forms.calc.title': 'احسب تكاليفك',
+        'forms.calc.whichForm': 'ما النموذج الذي تقدمه؟ *',
+        'forms.calc.selectForm': 'اختر النموذج',
+        'forms.calc.whoFiling': 'من يقدم الطلب؟ *',
+        'forms.calc.selectApplicant': 'اختر مقدم الطلب',
+        'forms.calc.adult': 'بالغ (14+)',
+        'forms.calc.child': 'طفل (أقل من 14)',
+        'forms.calc.premiumQuestion': 'هل تحتاج إلى المعالجة المميزة؟ (إن وجدت)',
+        'forms.calc.no': 'لا',
+        'forms.calc.premiumYes': 'نعم (+2,500$)',
+        'forms.calc.waiverQuestion': 'هل أنت مؤهل للإعفاء من الرسوم؟',
+        'forms.calc.waiverNo': 'لا، سأدفع الرسوم كاملة',
+        'forms.calc.waiverYes': 'نعم، سأتقدم بطلب إعفاء',
+        'forms.calc.additional': 'خدمات إضافية (اختيارية):',
+        'forms.calc.biometricsService': 'خدمات القياسات الحيوية (إن لم تكن مشمولة)',
+        'forms.calc.translation': 'خدمة ترجمة المستندات (+100$)',
+        'forms.calc.notary': 'خدمة التوثيق (+50$)',
+        'forms.calc.summary': 'ملخص التكاليف',
+        'forms.calc.total': 'التكلفة الإجمالية التقديرية',
+        'forms.calc.filingFee': 'رسوم التقديم',
+        'forms.calc.biometrics': 'القياسات الحيوية',
+        'forms.calc.premium': 'المعالجة المميزة',
+        'forms.calc.services': 'خدمات إضافية',
+        'forms.calc.waiver': 'الإعفاء من الرسوم المطبق',
+        'forms.calc.breakdown': 'تفصيل الرسوم حسب النموذج:',
+        'forms.calc.n400Fee': '640$ + 85$ للقياسات الحيوية',
+        'forms.calc.i485Fee': '1,225$ (أو 750$ للأطفال)',
+        'forms.calc.note': 'ملاحظة: هذه رسوم تقديم تقديرية فقط. قد تشمل التكاليف الإضافية أتعاب المحاماة والفحوصات الطبية والترجمة والحصول على المستندات.',
+        'forms.timeline.title': 'الجدول الزمني لهجرتك',
+        'forms.timeline.checkStatus': 'التحقق من الحالة',
+        'forms.timeline.checkBulletin': 'الاطلاع على نشرة التأشيرات',
+        'forms.timeline.prepareI485': 'تحضير I-485',
+        'forms.toast.notInChecklist': 'هذا المستند غير موجود في قائمتك.',
+        'forms.toast.notAvailable': 'هذا النموذج غير متاح بعد.',
+        'forms.toast.opening': 'جارٍ فتح النموذج {form}...',
+        'forms.toast.fixFields': 'يرجى تصحيح الحقول المميزة قبل المتابعة.',
+        'forms.toast.saved': 'تم حفظ التقدم بنجاح!',
+        'forms.toast.resumed': 'تم الاستئناف من آخر حفظ: {date}',
+        'forms.toast.generatingPdf': 'جارٍ إنشاء ملف PDF...',
+        'forms.toast.pdfFilled': 'تمت تعبئة ملف PDF الرسمي وتنزيله!',
+        'forms.toast.pdfSummary': 'قالب النموذج الرسمي غير متاح - تم تنزيل ملف PDF ملخص بدلًا منه.',
+        'forms.toast.pdfError': 'خطأ في إنشاء ملف PDF. يرجى المحاولة مرة أخرى.',
+        'forms.toast.pdfTemplateMissing': 'ملف PDF الرسمي لنموذج {form} غير مثبّت على هذا الموقع ({file}).',
+        'forms.toast.fixReview': 'يرجى تصحيح العناصر المدرجة في صفحة المراجعة قبل الإرسال.',
+        'forms.confirmSubmit': 'هل أنت متأكد من أنك تريد إرسال طلب {form}؟ لا يمكن التراجع عن هذا الإجراء.',
+        'forms.toast.submitted': 'تهانينا! تم إرسال طلب {form} بنجاح!',
+        'forms.toast.uploading': 'جارٍ رفع {name}...',
+        'forms.toast.uploaded': 'تم رفع {name} إلى السحابة بنجاح!',
+        'forms.toast.uploadFailed': 'فشل الرفع. يرجى المحاولة مرة أخرى.',
+        'forms.toast.uploadError': 'فشل الرفع: {error}',
+        'forms.toast.datesSaved': 'تم حفظ تواريخ {name}',
+        'forms.toast.allUploaded': 'تم رفع جميع المستندات المطلوبة بالفعل!',
+        'forms.toast.docNotFound': 'لم يتم العثور على المستند.',
+        'forms.toast.docUnavailable': 'المستند غير متاح. يرجى رفعه أولًا.',
+        'forms.toast.openingDoc': 'جارٍ فتح المستند...',
+        'forms.toast.allowPopups': 'يرجى السماح بالنوافذ المنبثقة لعرض المستندات.',
+        'forms.toast.downloadStarted': 'بدأ التنزيل...',
+        'forms.confirmDeleteDoc': 'هل أنت متأكد من أنك تريد حذف هذا المستند؟',
+        'forms.toast.deleting': 'جارٍ حذف المستند...',
+        'forms.toast.deleted': 'تم حذف المستند من التخزين السحابي.',
+        'forms.toast.deletedPending': 'تم حذف المستند (المزامنة السحابية معلقة).',
+        'forms.toast.conflict': 'تم تغيير حقل على جهاز آخر. اختر القيمة التي تريد الاحتفاظ بها.',
+        'forms.timeline.step1.title': 'الدخول إلى الولايات المتحدة',
+        'forms.timeline.step1.date': 'يناير 2015',
+        'forms.timeline.step1.desc': 'الدخول الأول بتأشيرة الطالب F-1',
+        'forms.timeline.step2.title': 'التحويل إلى وضع H-1B',
+        'forms.timeline.step2.date': 'أكتوبر 2019',
+        'forms.timeline.step2.desc': 'الموافقة على طلب H-1B برعاية صاحب العمل',
+        'forms.timeline.step3.title': 'شهادة العمل PERM',
+        'forms.timeline.step3.date': 'قيد التنفيذ - المتوقع: مارس 2025',
+        'forms.timeline.step3.desc': 'الخطوة الحالية: اختبار سوق العمل للبطاقة الخضراء EB-3',
+        'forms.timeline.step4.title': 'تقديم طلب I-140',
+        'forms.timeline.step4.date': 'التقدير: أبريل 2025',
+        'forms.timeline.step4.desc': 'يقدم صاحب العمل طلب الهجرة للعامل الأجنبي',
+        'forms.timeline.step5.title': 'الموافقة على I-140',
+        'forms.timeline.step5.date': 'التقدير: أغسطس 2025',
+        'forms.timeline.step5.desc': 'استلام إشعار الموافقة على طلب الهجرة',
+        'forms.timeline.step6.title': 'انتظار تاريخ الأولوية',
+        'forms.timeline.step6.date': '2025 - 2028 (يختلف حسب الدولة)',
+        'forms.timeline.step6.desc': 'EB-3 للهند: تاريخ الأولوية الحالي ~2012',
+        'forms.timeline.step7.title': 'تقديم تعديل الوضع I-485',
+        'forms.timeline.step7.date': 'عندما يصبح تاريخ الأولوية ساريًا',
+        'forms.timeline.step7.desc': 'قدّم طلب تعديل الوضع إلى مقيم دائم',
+        'forms.timeline.step8.title': 'استلام البطاقة الخضراء',
+        'forms.timeline.step8.date': 'بعد الموافقة على I-485',
+        'forms.timeline.step8.desc': 'تهانينا! أنت الآن مقيم دائم',
+
+        // ============ FORM SCHEMAS ============
+        // form-registry.js text by form and field id (FormRegistry.text) - English is the schema itself
+        'schema.option.India': 'الهند',
+        'schema.option.China': 'الصين',
+        'schema.option.Mexico': 'المكسيك',
+        'schema.option.Philippines': 'الفلبين',
+        'schema.option.Vietnam': 'فيتنام',
+        'schema.option.Other': 'أخرى',
+        'schema.option.no': 'لا',
+        'schema.option.yes': 'نعم',
+        'schema.option.single': 'أعزب (لم يتزوج قط)',
+        'schema.option.married': 'متزوج',
+        'schema.option.divorced': 'مطلق',
+        'schema.option.widowed': 'أرمل',
+        'schema.option.separated': 'منفصل قانونيًا',
+        'schema.n400.step1.title': 'معلومات أساسية',
+        'schema.n400.step1.heading': 'الجزء 1 - معلومات أساسية',
+        'schema.n400.lastName.label': 'الاسم القانوني - اسم العائلة',
+        'schema.n400.lastName.review': 'اسم العائلة',
+        'schema.n400.lastName.placeholder': 'أدخل اسم عائلتك',
+        'schema.n400.firstName.label': 'الاسم الأول',
+        'schema.n400.firstName.review': 'الاسم الأول',
+        'schema.n400.firstName.placeholder': 'أدخل اسمك الأول',
+        'schema.n400.middleName.label': 'الاسم الأوسط (إن وجد)',
+        'schema.n400.middleName.review': 'الاسم الأوسط',
+        'schema.n400.middleName.placeholder': 'أدخل الاسم الأوسط',
+        'schema.n400.dob.label': 'تاريخ الميلاد',
+        'schema.n400.birthCountry.label': 'بلد الميلاد',
+        'schema.n400.nationality.label': 'بلد الجنسية',
+        'schema.n400.aNumber.label': 'رقم تسجيل الأجنبي (A-Number) إن وجد',
+        'schema.n400.lprDate.label': 'تاريخ حصولك على الإقامة الدائمة القانونية',
+        'schema.n400.lprDate.review': 'مقيم دائم منذ',
+        'schema.n400.step2.title': 'الأهلية',
+        'schema.n400.step2.heading': 'الجزء 2 - الأهلية',
+        'schema.n400.eligibilityBasis.label': 'أتقدم بطلب التجنس لأنني (اختر واحدًا):',
+        'schema.n400.eligibilityBasis.review': 'أساس الطلب',
+        'schema.n400.eligibilityBasis.5years': 'أنا مقيم دائم قانوني منذ 5 سنوات على الأقل',
+        'schema.n400.eligibilityBasis.3years': 'أنا مقيم دائم قانوني منذ 3 سنوات على الأقل ومتزوج من مواطن أمريكي',
+        'schema.n400.eligibilityBasis.uscis': 'أنا مواطن أمريكي عن طريق والديّ وأتقدم بطلب التجنس',
+        'schema.n400.eligibilityBasis.military': 'أتقدم بموجب الأحكام العسكرية',
+        'schema.n400.communistParty.label': 'هل كنت في أي وقت عضوًا في أي حزب شيوعي أو حزب شمولي آخر، أو مرتبطًا به بأي شكل من الأشكال؟',
+        'schema.n400.communistParty.review': 'الانتماء إلى حزب شيوعي',
+        'schema.n400.criminalCharges.label': 'هل سبق أن وُجهت إليك تهمة جنائية؟',
+        'schema.n400.criminalCharges.review': 'تهم جنائية',
+        'schema.n400.criminalDetails.label': 'قدّم تفاصيل أي اعتقال أو تهمة',
+        'schema.n400.criminalDetails.review': 'تفاصيل جنائية',
+        'schema.n400.criminalDetails.placeholder': 'قدّم تفاصيل أي اعتقال أو تهمة',
+        'schema.n400.step3.title': 'الإقامة',
+        'schema.n400.step3.heading': 'الجزء 3 - الإقامة',
+        'schema.n400.currentAddress.label': 'العنوان الفعلي الحالي - رقم الشارع واسمه',
+        'schema.n400.currentAddress.review': 'العنوان الحالي',
+        'schema.n400.currentAddress.placeholder': 'أدخل عنوان الشارع',
+        'schema.n400.currentCity.label': 'المدينة',
+        'schema.n400.currentCity.placeholder': 'المدينة',
+        'schema.n400.currentState.label': 'الولاية',
+        'schema.n400.currentZip.label': 'الرمز البريدي (ZIP)',
+        'schema.n400.currentCounty.label': 'المقاطعة',
+        'schema.n400.currentCounty.placeholder': 'المقاطعة',
+        'schema.n400.arrivalDate.label': 'تاريخ الوصول إلى الولايات المتحدة',
+        'schema.n400.tripsAbroad.label': 'خلال السنوات الخمس الماضية، هل قمت بأي رحلة خارج الولايات المتحدة استمرت 24 ساعة أو أكثر؟',
+        'schema.n400.tripsAbroad.review': 'رحلات خارج الولايات المتحدة',
+        'schema.n400.trips.label': 'الرحلات خارج الولايات المتحدة خلال السنوات الخمس الماضية',
+        'schema.n400.trips.review': 'الرحلات',
+        'schema.n400.countriesLived.label': 'اذكر جميع البلدان التي عشت فيها خلال السنوات الخمس الماضية:',
+        'schema.n400.countriesLived.review': 'بلدان الإقامة (آخر 5 سنوات)',
+        'schema.n400.countriesLived.placeholder': 'اذكر البلدان والمدن والتواريخ',
+        'schema.n400.step4.title': 'العمل',
+        'schema.n400.step4.heading': 'الجزء 4 - العمل',
+        'schema.n400.employer.label': 'صاحب العمل الحالي (أو "None" إذا كنت عاطلًا عن العمل)',
+        'schema.n400.employer.review': 'صاحب العمل الحالي',
+        'schema.n400.employer.placeholder': 'اسم صاحب العمل',
+        'schema.n400.occupation.label': 'المهنة/المسمى الوظيفي',
+        'schema.n400.occupation.review': 'المهنة',
+        'schema.n400.occupation.placeholder': 'مسماك الوظيفي',
+        'schema.n400.employerAddress.label': 'عنوان صاحب العمل',
+        'schema.n400.employerAddress.placeholder': 'عنوان الشارع',
+        'schema.n400.employerStartDate.label': 'تاريخ البدء',
+        'schema.n400.employerEndDate.label': 'تاريخ الانتهاء (أو "Present")',
+        'schema.n400.employerEndDate.review': 'تاريخ الانتهاء',
+        'schema.n400.employmentHistory.label': 'اذكر عملك خلال السنوات الخمس الماضية (بما في ذلك العمل الحر):',
+        'schema.n400.employmentHistory.review': 'سجل العمل',
+        'schema.n400.employmentHistory.placeholder': 'اذكر صاحب العمل والعنوان والمنصب والتواريخ',
+        'schema.n400.step5.title': 'العائلة',
+        'schema.n400.step5.heading': 'الجزء 5 - معلومات العائلة',
+        'schema.n400.maritalStatus.label': 'الحالة الاجتماعية',
+        'schema.n400.spouseName.label': 'الاسم الكامل للزوج/الزوجة',
+        'schema.n400.spouseName.placeholder': 'الاسم القانوني للزوج/الزوجة',
+        'schema.n400.spouseDob.label': 'تاريخ ميلاد الزوج/الزوجة',
+        'schema.n400.spouseBirthCountry.label': 'بلد ميلاد الزوج/الزوجة',
+        'schema.n400.spouseBirthCountry.USA': 'الولايات المتحدة',
+        'schema.n400.marriageDate.label': 'تاريخ الزواج',
+        'schema.n400.marriagePlace.label': 'مكان الزواج (المدينة والبلد)',
+        'schema.n400.marriagePlace.placeholder': 'المدينة، البلد',
+        'schema.n400.previousSpouses.label': 'إذا كنت متزوجًا سابقًا، فقدّم معلومات عن الزوج/الزوجة السابقين:',
+        'schema.n400.previousSpouses.review': 'الأزواج السابقون',
+        'schema.n400.previousSpouses.placeholder': 'الاسم، تاريخ الميلاد، تاريخ ومكان الزواج، تاريخ وطريقة انتهائه',
+        'schema.n400.childrenInfo.label': 'معلومات الأبناء (إن وجدوا):',
+        'schema.n400.childrenInfo.review': 'الأبناء',
+        'schema.n400.childrenInfo.placeholder': 'اذكر جميع الأبناء مع الاسم وتاريخ الميلاد وبلد الميلاد',
+        'schema.n400.check.lprDate.earliestFilingDate': 'لا يمكنك التقديم على هذا الأساس بعد - راجع ملخص الأهلية في صفحة المراجعة لمعرفة أقرب تاريخ للتقديم.',
+        'schema.n400.check.dob.yearsSince': 'يجب أن يكون عمرك 18 عامًا على الأقل لتقديم طلب التجنس.',
+        'schema.n400.check.marriageDate.dateAfter': 'يجب أن يكون تاريخ الزواج بعد تاريخ ميلادك.',
+        'schema.n400.check.arrivalDate.dateAfter': 'يجب أن يكون تاريخ الوصول بعد تاريخ ميلادك.',
+        'schema.n400.check.lprDate.dateAfter': 'يجب أن يكون تاريخ الإقامة الدائمة بعد تاريخ ميلادك.',
+        'schema.n400.check.maritalStatus.equals': 'يتطلب أساس السنوات الثلاث أن تكون متزوجًا من مواطن أمريكي.',
+        'schema.n400.reason.marriage_certificate.maritalStatus': 'أنت متزوج',
+        'schema.n400.reason.marriage_certificate.eligibilityBasis': 'أنت تتقدم بصفتك زوجًا/زوجة لمواطن أمريكي',
+        'schema.n400.reason.court_records.criminalCharges': 'سبق أن وُجهت إليك تهمة جنائية',
+        'schema.i485.step1.title': 'معلومات عنك',
+        'schema.i485.step1.heading': 'الجزء 1 - معلومات عنك',
+        'schema.i485.lastName.label': 'اسم العائلة',
+        'schema.i485.firstName.label': 'الاسم الأول',
+        'schema.i485.middleName.label': 'الاسم الأوسط',
+        'schema.i485.dob.label': 'تاريخ الميلاد',
+        'schema.i485.birthCountry.label': 'بلد الميلاد',
+        'schema.i485.nationality.label': 'بلد الجنسية',
+        'schema.i485.i94Number.label': 'رقم سجل I-94',
+        'schema.i485.lastArrivalDate.label': 'تاريخ آخر وصول',
+        'schema.i485.step2.title': 'نوع الطلب',
+        'schema.i485.step2.heading': 'الجزء 2 - نوع الطلب',
+        'schema.i485.applicationCategory.label': 'فئة الهجرة',
+        'schema.i485.applicationCategory.family': 'على أساس العائلة',
+        'schema.i485.applicationCategory.employment': 'على أساس العمل',
+        'schema.i485.applicationCategory.asylum': 'لاجئ أو حاصل على اللجوء',
+        'schema.i485.applicationCategory.other': 'أخرى',
+        'schema.i485.underlyingReceiptNumber.label': 'رقم إيصال العريضة الأساسية',
+        'schema.i485.priorityDate.label': 'تاريخ الأولوية',
+        'schema.i485.step3.title': 'العنوان',
+        'schema.i485.step3.heading': 'الجزء 3 - العنوان',
+        'schema.i485.currentAddress.label': 'عنوان الشارع',
+        'schema.i485.currentCity.label': 'المدينة',
+        'schema.i485.currentState.label': 'الولاية',
+        'schema.i485.currentZip.label': 'الرمز البريدي (ZIP)',
+        'schema.i485.step4.title': 'العائلة',
+        'schema.i485.step4.heading': 'الجزء 4 - معلومات العائلة',
+        'schema.i485.maritalStatus.label': 'الحالة الاجتماعية',
+        'schema.i485.spouseName.label': 'اسم الزوج/الزوجة',
+        'schema.i485.childrenInfo.label': 'الأبناء',
+        'schema.i485.step5.title': 'المقبولية',
+        'schema.i485.step5.heading': 'الجزء 5 - المقبولية',
+        'schema.i485.criminalCharges.label': 'هل سبق أن وُجهت إليك تهمة جنائية؟',
+        'schema.i485.criminalCharges.review': 'تهم جنائية',
+        'schema.i485.criminalDetails.label': 'قدّم تفاصيل أي اعتقال أو تهمة',
+        'schema.i485.criminalDetails.review': 'تفاصيل جنائية',
+        'schema.i485.immigrationViolations.label': 'هل سبق أن انتهكت شروط وضعك كمهاجر؟',
+        'schema.i485.immigrationViolations.review': 'مخالفات الهجرة',
+        'schema.i485.check.lastArrivalDate.dateAfter': 'يجب أن يكون تاريخ آخر وصول بعد تاريخ ميلادك.',
+        'schema.i485.reason.marriage_certificate.maritalStatus': 'أنت متزوج',
+        'schema.i485.reason.court_records.criminalCharges': 'سبق أن وُجهت إليك تهمة جنائية',
+        'schema.i130.step1.title': 'صلة القرابة',
+        'schema.i130.step1.heading': 'الجزء 1 - صلة القرابة',
+        'schema.i130.relationship.label': 'صلة القرابة بالمستفيد',
+        'schema.i130.relationship.spouse': 'الزوج/الزوجة',
+        'schema.i130.relationship.parent': 'الوالد/الوالدة',
+        'schema.i130.relationship.child': 'الابن/الابنة',
+        'schema.i130.relationship.sibling': 'أخ / أخت',
+        'schema.i130.petitionerStatus.label': 'وضع مقدم العريضة',
+        'schema.i130.petitionerStatus.citizen': 'مواطن أمريكي',
+        'schema.i130.petitionerStatus.lpr': 'مقيم دائم قانوني',
+        'schema.i130.step2.title': 'مقدم العريضة',
+        'schema.i130.step2.heading': 'الجزء 2 - معلومات عنك (مقدم العريضة)',
+        'schema.i130.petitionerLastName.label': 'اسم عائلة مقدم العريضة',
+        'schema.i130.petitionerFirstName.label': 'الاسم الأول لمقدم العريضة',
+        'schema.i130.petitionerDob.label': 'تاريخ ميلاد مقدم العريضة',
+        'schema.i130.petitionerAddress.label': 'عنوان مقدم العريضة',
+        'schema.i130.step3.title': 'المستفيد',
+        'schema.i130.step3.heading': 'الجزء 3 - معلومات عن المستفيد',
+        'schema.i130.beneficiaryLastName.label': 'اسم عائلة المستفيد',
+        'schema.i130.beneficiaryFirstName.label': 'الاسم الأول للمستفيد',
+        'schema.i130.beneficiaryDob.label': 'تاريخ ميلاد المستفيد',
+        'schema.i130.beneficiaryBirthCountry.label': 'بلد ميلاد المستفيد',
+        'schema.i130.beneficiaryANumber.label': 'رقم A-Number للمستفيد',
+        'schema.i130.step4.title': 'الزواج',
+        'schema.i130.step4.heading': 'الجزء 4 - الزواج',
+        'schema.i130.marriageDate.label': 'تاريخ الزواج',
+        'schema.i130.marriagePlace.label': 'مكان الزواج',
+        'schema.i130.check.petitionerStatus.equals': 'لا يمكن إلا للمواطنين الأمريكيين تقديم عريضة لأحد الوالدين أو لأخ أو أخت.',
+        'schema.i130.reason.marriage_certificate.relationship': 'أنت تقدم العريضة لزوجك/زوجتك',
+        'schema.i140.step1.title': 'صاحب العمل',
+        'schema.i140.step1.heading': 'الجزء 1 - معلومات عن صاحب العمل',
+        'schema.i140.employerName.label': 'اسم صاحب العمل',
+        'schema.i140.employerEin.label': 'رقم FEIN لصاحب العمل',
+        'schema.i140.employerEin.pattern': 'أدخل رقم FEIN مكونًا من 9 أرقام (XX-XXXXXXX).',
+        'schema.i140.employerAddress.label': 'عنوان صاحب العمل',
+        'schema.i140.step2.title': 'التصنيف',
+        'schema.i140.step2.heading': 'الجزء 2 - نوع العريضة',
+        'schema.i140.classification.label': 'تصنيف العريضة',
+        'schema.i140.permCaseNumber.label': 'رقم قضية PERM',
+        'schema.i140.step3.title': 'المستفيد',
+        'schema.i140.step3.heading': 'الجزء 3 - معلومات عن المستفيد',
+        'schema.i140.lastName.label': 'اسم العائلة',
+        'schema.i140.firstName.label': 'الاسم الأول',
+        'schema.i140.dob.label': 'تاريخ الميلاد',
+        'schema.i140.birthCountry.label': 'بلد الميلاد',
+        'schema.i140.step4.title': 'عرض العمل',
+        'schema.i140.step4.heading': 'الجزء 4 - عرض العمل',
+        'schema.i140.jobTitle.label': 'المسمى الوظيفي',
+        'schema.i140.socCode.label': 'رمز SOC',
+        'schema.i140.offeredWage.label': 'الأجر المعروض (سنويًا)',
+        'schema.i765.step1.title': 'السبب',
+        'schema.i765.step1.heading': 'الجزء 1 - سبب التقديم',
+        'schema.i765.eadReason.label': 'أتقدم بطلب',
+        'schema.i765.eadReason.initial': 'إذن أولي بقبول العمل',
+        'schema.i765.eadReason.replacement': 'استبدال بطاقة مفقودة أو مسروقة أو تالفة',
+        'schema.i765.eadReason.renewal': 'تجديد إذني بقبول العمل',
+        'schema.i765.eligibilityCategory.label': 'فئة الأهلية',
+        'schema.i765.eligibilityCategory.pattern': 'أدخل فئة مثل (c)(9).',
+        'schema.i765.step2.title': 'معلومات عنك',
+        'schema.i765.step2.heading': 'الجزء 2 - معلومات عنك',
+        'schema.i765.lastName.label': 'اسم العائلة',
+        'schema.i765.firstName.label': 'الاسم الأول',
+        'schema.i765.dob.label': 'تاريخ الميلاد',
+        'schema.i765.birthCountry.label': 'بلد الميلاد',
+        'schema.i765.i94Number.label': 'رقم سجل I-94',
+        'schema.i765.step3.title': 'العنوان',
+        'schema.i765.step3.heading': 'الجزء 3 - العنوان البريدي',
+        'schema.i765.currentAddress.label': 'عنوان الشارع',
+        'schema.i765.currentCity.label': 'المدينة',
+        'schema.i765.currentState.label': 'الولاية',
+        'schema.i765.currentZip.label': 'الرمز البريدي (ZIP)',
+        'schema.i131.step1.title': 'نوع الوثيقة',
+        'schema.i131.step1.heading': 'الجزء 1 - نوع الطلب',
+        'schema.i131.travelDocumentType.label': 'وثيقة السفر المطلوبة',
+        'schema.i131.travelDocumentType.reentry': 'تصريح إعادة الدخول',
+        'schema.i131.travelDocumentType.refugee': 'وثيقة سفر اللاجئ',
+        'schema.i131.travelDocumentType.advanceParole': 'وثيقة الإفراج المسبق (Advance Parole)',
+        'schema.i131.step2.title': 'معلومات عنك',
+        'schema.i131.step2.heading': 'الجزء 2 - معلومات عنك',
+        'schema.i131.lastName.label': 'اسم العائلة',
+        'schema.i131.firstName.label': 'الاسم الأول',
+        'schema.i131.dob.label': 'تاريخ الميلاد',
+        'schema.i131.birthCountry.label': 'بلد الميلاد',
+        'schema.i131.step3.title': 'الرحلة',
+        'schema.i131.step3.heading': 'الجزء 3 - السفر المقترح',
+        'schema.i131.intendedDepartureDate.label': 'تاريخ المغادرة المقصود',
+        'schema.i131.expectedTripLength.label': 'المدة المتوقعة للرحلة (بالأيام)',
+        'schema.i131.countriesToVisit.label': 'البلدان المراد زيارتها',
+        'schema.i131.tripPurpose.label': 'الغرض من الرحلة',
+        'schema.i131.check.intendedDepartureDate.futureDate': 'يجب أن يكون تاريخ المغادرة المقصود في المستقبل.'
+    },
+
+    fa: {
+        // ============ COMMON ============
+        'common.language': 'زبان',
+        'common.toggleTheme': 'تغییر حالت تاریک',
+        'common.logout': 'خروج',
+        'common.settings': 'تنظیمات',
+        'common.profile': 'پروفایل من',
+        'common.billing': 'صورتحساب',
+        'common.account': 'حساب کاربری',
+        'common.backendLocal': 'فقط روی این دستگاه ذخیره می‌شود - تغییرات با فضای ابری همگام نمی‌شوند',
+        'common.backendOther': 'در حال ذخیره در سرور آزمایشی - تغییرات به فضای ابری نمی‌رسند',
+        'common.upgradeNow': 'همین حالا ارتقا دهید',
+        'common.maybeLater': 'شاید بعداً',
+        'common.continue': 'ادامه',
+        'common.yourProgress': 'پیشرفت شما',
+        'common.upcomingDeadlines': 'مهلت‌های پیش رو',
+        'common.notifications': 'اعلان‌ها',
+        'common.clearAll': 'پاک کردن همه',
+        'common.markAllRead': 'علامت‌گذاری همه به‌عنوان خوانده‌شده',
+        'common.noNotifications': 'اعلانی وجود ندارد',
+        'nav.dashboard': 'داشبورد',
+        'nav.roadmap': 'نقشه راه',
+        'nav.myRoadmap': 'نقشه راه من',
+        'nav.forms': 'فرم‌ها',
+        'nav.chat': 'گفتگو',
+        'nav.interview': 'مصاحبه',
+        'nav.resources': 'منابع',
+        'nav.civics': 'مدنی',
+        'nav.assistant': 'دستیار هوشمند',
+        'nav.formsCenter': 'مرکز فرم‌ها',
+        'nav.civicsPrep': 'آمادگی آزمون مدنی',
+        'nav.taskList': 'فهرست کارها',
+        'nav.myDocuments': 'مدارک من',
+        'nav.calendar': 'تقویم',
+
+        // ============ AUTH ============
+        'auth.tagline': 'مسیر هوشمند شما برای مهاجرت به آمریکا',
+        'auth.intro': 'به هزاران نفری بپیوندید که در مسیر مهاجرت به Visa Guide AI اعتماد می‌کنند. راهنمایی شخصی دریافت کنید، پیشرفت خود را دنبال کنید و هیچ مهلتی را از دست ندهید.',
+        'auth.feature.eligibility': 'بررسی واجد شرایط بودن با هوش مصنوعی',
+        'auth.feature.checklists': 'فهرست مدارک شخصی‌سازی‌شده',
+        'auth.feature.interview': 'آمادگی با مصاحبه آزمایشی',
+        'auth.feature.deadlines': 'پیگیری مهلت‌ها و هشدارها',
+        'auth.feature.civics': 'تمرین آزمون مدنی',
+        'auth.feature.priority': 'پیش‌بینی تاریخ اولویت',
+        'auth.signIn': 'ورود',
+        'auth.createAccount': 'ایجاد حساب',
+        'auth.email': 'آدرس ایمیل',
+        'auth.emailPlaceholder': 'ایمیل خود را وارد کنید',
+        'auth.password': 'رمز عبور',
+        'auth.passwordPlaceholder': 'رمز عبور خود را وارد کنید',
+        'auth.rememberMe': 'مرا به خاطر بسپار',
+        'auth.forgotPassword': 'رمز عبور را فراموش کرده‌اید؟',
+        'auth.orContinue': 'یا ادامه با',
+        'auth.noAccount': 'حساب کاربری ندارید؟',
+        'auth.signUpFree': 'رایگان ثبت‌نام کنید',
+        'auth.firstName': 'نام',
+        'auth.lastName': 'نام خانوادگی',
+        'auth.phone': 'شماره تلفن (اختیاری)',
+        'auth.createPassword': 'یک رمز عبور قوی بسازید',
+        'auth.passwordHint': 'حداقل ۸ نویسه شامل عدد و نویسه‌های ویژه',
+        'auth.confirmPassword': 'تکرار رمز عبور',
+        'auth.confirmPlaceholder': 'رمز عبور را تکرار کنید',
+        'auth.interest': 'علاقه‌مندی من:',
+        'auth.interestPlaceholder': 'علاقه‌مندی خود را انتخاب کنید...',
+        'auth.newsletter': 'اخبار و نکات مهاجرتی را برایم بفرست (لغو اشتراک در هر زمان)',
+        'auth.createFree': 'ساخت حساب رایگان من',
+        'auth.haveAccount': 'قبلاً حساب ساخته‌اید؟',
+        'auth.signInLink': 'وارد شوید',
+        'auth.welcome': 'خوش آمدید!',
+        'auth.accountCreated': 'حساب شما با موفقیت ساخته شد.',
+        'auth.pleaseWait': 'لطفاً صبر کنید...',
+        'auth.signingIn': 'در حال ورود...',
+        'auth.creatingAccount': 'در حال ساخت حساب...',
+        'auth.connecting': 'در حال اتصال...',
+        'auth.loginSuccess': 'ورود موفق! در حال انتقال به داشبورد...',
+        'auth.error.loginFailed': 'ورود ناموفق بود. دوباره تلاش کنید.',
+        'auth.error.wrongPassword': 'رمز عبور نادرست است. آن را بررسی کنید و دوباره تلاش کنید.',
+        'auth.error.userNotFound': 'حسابی با این ایمیل پیدا نشد. لطفاً حساب جدیدی بسازید.',
+        'auth.error.tooManyRequests': 'تلاش‌های ناموفق زیادی انجام شده است. چند دقیقه صبر کنید و دوباره تلاش کنید.',
+        'auth.error.network': 'خطای شبکه. اتصال اینترنت خود را بررسی کنید و دوباره تلاش کنید.',
+        'auth.error.occurred': 'خطایی رخ داد: {message}',
+        'auth.error.tryAgain': 'خطایی رخ داد. دوباره تلاش کنید.',
+        'auth.error.passwordMismatch': 'رمزهای عبور یکسان نیستند. دوباره تلاش کنید.',
+        'auth.error.passwordShort': 'رمز عبور باید حداقل ۸ نویسه باشد.',
+        'auth.error.registration': 'ثبت‌نام ناموفق بود. دوباره تلاش کنید.',
+        'auth.created.loggingIn': 'حساب ساخته شد! در حال ورود...',
+        'auth.created.canLogIn': 'حساب ساخته شد! اکنون می‌توانید وارد شوید.',
+        'auth.created.pleaseLogIn': 'حساب ساخته شد! لطفاً با اطلاعات خود وارد شوید.',
+        'auth.enterEmailFirst': 'لطفاً ابتدا ایمیل خود را وارد کنید.',
+        'auth.resetSent': 'ایمیل بازیابی رمز عبور ارسال شد! صندوق ورودی خود را بررسی کنید.',
+        'auth.error.resetFailed': 'ارسال ایمیل بازیابی ناموفق بود.',
+
+        // ============ DASHBOARD ============
+        'dashboard.welcomeBack': '{name}، خوش برگشتید!',
+        'dashboard.subtitle': 'این نمای کلی از مسیر مهاجرت شماست',
+        'dashboard.overallProgress': 'پیشرفت کلی',
+        'dashboard.toolsResources': 'ابزارها و منابع',
+        'dashboard.myVisaType': 'نوع ویزای من',
+        'dashboard.upgradeTitle': 'برای رسیدگی اولویت‌دار به نسخه Pro ارتقا دهید',
+        'dashboard.upgradeText': 'بررسی مدارک با هوش مصنوعی، مصاحبه آزمایشی نامحدود و هشدار مهلت‌ها',
+        'dashboard.viewRoadmap': 'مشاهده نقشه راه',
+        'dashboard.checkDocuments': 'بررسی مدارک',
+        'dashboard.stepsCompleted': 'مراحل انجام‌شده',
+        'dashboard.nextDeadline': 'مهلت بعدی',
+        'dashboard.documentsReady': 'مدارک آماده',
+        'dashboard.sincePriorityDate': 'از تاریخ اولویت',
+        'dashboard.eligibilityCheck': 'بررسی واجد شرایط بودن',
+        'dashboard.uploadDocuments': 'بارگذاری مدارک',
+        'dashboard.mockInterview': 'مصاحبه آزمایشی',
+        'dashboard.civicsPractice': 'تمرین مدنی',
+        'dashboard.yourEligibility': 'شرایط شما',
+        'dashboard.updateAnswers': 'به‌روزرسانی پاسخ‌ها ←',
+        'dashboard.civicsReadiness': 'آمادگی برای آزمون مدنی',
+        'dashboard.practiceCivics': 'همین حالا تمرین کنید ←',
+        'dashboard.civicsEmpty': 'چند سؤال مدنی تمرین کنید تا ببینید چقدر برای آزمون آماده‌اید.',
+        'dashboard.passChance': 'احتمال قبولی امروز',
+        'dashboard.civicsRules': '{name} · {passAt} از {asked} برای قبولی',
+        'dashboard.civicsStreak': '{count} روز پیاپی',
+        'dashboard.civicsStudied': '{studied} از {total} سؤال مطالعه شده',
+        'dashboard.civicsFocus': 'تمرکز روی',
+        'dashboard.civicsAccuracy': '{percent}٪ درست',
+        'dashboard.civicsNotStudied': 'هنوز مطالعه نشده',
+        'dashboard.documentChecklist': 'فهرست مدارک',
+        'dashboard.manageDocuments': 'مدیریت مدارک ←',
+        'dashboard.documentsEmpty': 'یک فرم را در مرکز فرم‌ها شروع کنید تا ببینید چه مدارکی لازم دارد.',
+        'dashboard.documentsFormReady': '{ready} از {total} آماده',
+        'dashboard.documentsAllReady': 'همه مدارک لازم این فرم بارگذاری شده است.',
+        'dashboard.docExpired': 'منقضی‌شده',
+        'dashboard.docPartial': '{uploaded} از {needed} فایل',
+        'dashboard.deadline.expired': '{document} منقضی شده است',
+        'dashboard.deadline.renew': '{document} خود را تمدید کنید',
+        'dashboard.deadline.expiring': '{document} به‌زودی منقضی می‌شود',
+        'dashboard.deadline.expiredOn': 'منقضی شده: {date}',
+        'dashboard.deadline.actBy': 'مهلت اقدام: {date} ({days} روز)',
+        'dashboard.deadline.overdue': 'مهلت: {date} ({days} روز پیش)',
+        'dashboard.deadline.urgent': 'فوری',
+        'dashboard.deadline.soon': 'به‌زودی',
+        'dashboard.deadline.update': 'به‌روزرسانی مدرک',
+        'dashboard.alert.title': 'انقضای مدرک:',
+        'dashboard.alert.inDays': '{days} روز دیگر',
+        'dashboard.alert.today': 'امروز',
+        'dashboard.alert.overdue': '{days} روز گذشته',
+        'dashboard.yourRoadmap': 'نقشه راه مهاجرت شما',
+        'dashboard.viewTimeline': 'مشاهده کامل زمان‌بندی ←',
+        'dashboard.recentActivity': 'فعالیت‌های اخیر',
+        'eligibility.status.eligible': 'واجد شرایط ثبت درخواست',
+        'eligibility.status.review': 'واجد شرایط - نیاز به بررسی',
+        'eligibility.status.not-yet': 'هنوز واجد شرایط نیستید',
+        'eligibility.status.ineligible': 'واجد شرایط نیستید',
+        'eligibility.status.incomplete': 'اطلاعات بیشتری لازم است',
+
+        // ============ CIVICS ============
+        'civics.mastered': 'تسلط‌یافته',
+        'civics.learned': 'یادگرفته',
+        'civics.remaining': 'باقی‌مانده',
+        'civics.focusAreas': 'حوزه‌های تمرکز',
+        'civics.focusEmpty': 'به چند پرسش پاسخ دهید تا ببینید کدام دسته‌ها بیشتر به تمرین نیاز دارند.',
+        'civics.categoryProgress': '{percent}% تا تسلط - {studied} از {total} مطالعه شده',
+        'civics.studyModes': 'حالت‌های مطالعه',
+        'civics.dueToday': 'مرور امروز',
+        'civics.dueCount': '{count} سؤال',
+        'civics.practiceMode': 'حالت تمرین',
+        'civics.learnAsYouGo': 'در حین کار یاد بگیرید',
+        'civics.quizMode': 'حالت آزمونک',
+        'civics.tenQuestions': '۱۰ سؤال',
+        'civics.quickReview': 'مرور سریع',
+        'civics.fiveRandom': '۵ سؤال تصادفی',
+        'civics.fullTest': 'آزمون کامل',
+        'civics.todaysProgress': 'پیشرفت امروز',
+        'civics.questions': 'سؤال‌ها',
+        'civics.accuracy': 'دقت',
+        'civics.dayStreak': 'روزهای پیاپی',
+        'civics.timeSpent': 'زمان صرف‌شده',
+        'civics.title': 'آمادگی برای آزمون مدنی آمریکا',
+        'civics.subtitle': 'با ۱۰۰ سؤال رسمی مدنی آزمون تابعیت تمرین کنید',
+        'civics.questionsLearned': 'سؤال‌های یادگرفته',
+        'civics.needsReview': 'نیاز به مرور',
+        'civics.notLearned': 'یادنگرفته',
+        'civics.answeredToday': 'پاسخ‌داده‌شده امروز',
+        'civics.welcome': 'به تمرین مدنی خوش آمدید!',
+        'civics.choose': 'انتخاب کنید امروز چگونه تمرین کنید',
+        'civics.practice': 'تمرین',
+        'civics.learnAtYourPace': 'با سرعت خودتان یاد بگیرید',
+        'civics.takeQuiz': 'شرکت در آزمونک',
+        'civics.tenRandom': '۱۰ سؤال تصادفی',
+        'civics.fiveRandomQuestions': '۵ سؤال تصادفی',
+        'civics.allCount': 'همه {count} سؤال',
+        'civics.audio': 'صوت سؤال',
+        'civics.markForReview': 'علامت‌گذاری برای مرور',
+        'civics.playAudio': 'پخش صوت',
+        'civics.questionOf': 'سؤال {number} از {total}',
+        'civics.previous': 'قبلی',
+        'civics.next': 'بعدی',
+        'civics.finish': 'پایان',
+        'civics.correct': 'درست است! آفرین.',
+        'civics.incorrect': 'نادرست است. پاسخ درست {answer} است.',
+        'civics.explanation': 'توضیح:',
+        'civics.explanationText': 'این سؤال درباره {category} است. پاسخ درست {answer} است.',
+        'civics.markedForReview': 'سؤال برای مرور علامت‌گذاری شد',
+        'civics.nextReview': 'مرور بعدی: {date}',
+        'civics.nothingDue': 'امروز پرسشی برای مرور ندارید - فردا برگردید یا به تمرین ادامه دهید.',
+        'civics.interview': 'مصاحبه',
+        'civics.interviewInfo': 'مانند آزمون واقعی پاسخ دهید',
+        'civics.interview.title': 'مصاحبه مدنی',
+        'civics.interview.intro': 'افسر هر سؤال را با صدای بلند می‌پرسد و شما با کلمات خودتان پاسخ می‌دهید. پاسخ را تایپ کنید یا از میکروفون استفاده کنید.',
+        'civics.interview.version': 'نسخه آزمون',
+        'civics.settings.category': 'دسته',
+        'civics.settings.allCategories': 'همه دسته‌ها',
+        'civics.settings.senior': 'فقط سؤال‌های ۶۵/۲۰',
+        'civics.settings.seniorNote': 'برای متقاضیان ۶۵ سال به بالا با ۲۰ سال اقامت دائم: {asked} سؤال از این فهرست، با {passAt} پاسخ درست قبول می‌شوید.',
+        'civics.settings.seniorUnavailable': 'سؤال‌های ۶۵/۲۰ این نسخه هنوز در دسترس نیست.',
+        'civics.english.reading': 'آزمون خواندن',
+        'civics.english.writing': 'آزمون نوشتن',
+        'civics.english.readingInfo': 'یک جمله را با صدای بلند بخوانید',
+        'civics.english.writingInfo': 'جمله‌ای را که می‌شنوید بنویسید',
+        'civics.english.readingTitle': 'آزمون خواندن انگلیسی',
+        'civics.english.writingTitle': 'آزمون نوشتن انگلیسی',
+        'civics.english.readingIntro': 'افسر یک جمله به شما نشان می‌دهد و شما آن را با صدای بلند می‌خوانید. از میکروفون استفاده کنید و کل جمله را بخوانید. می‌توانید یک کلمه کوتاه را جا بیندازید یا اشتباه تلفظ کنید، اما همه کلمات دیگر باید خوانده شوند.',
+        'civics.english.writingIntro': 'افسر یک جمله را با صدای بلند می‌خواند و شما آن را می‌نویسید. اشتباهات کوچک املایی، حروف بزرگ و نقطه‌گذاری تا وقتی معنی تغییر نکند پذیرفته می‌شوند، اما هیچ کلمه‌ای نباید جا بیفتد یا تغییر کند.',
+        'civics.english.rules': 'حداکثر {asked} جمله. به محض درست بودن {passAt} جمله قبول می‌شوید.',
+        'civics.english.start': 'شروع آزمون',
+        'civics.english.end': 'پایان آزمون',
+        'civics.english.next': 'جمله بعدی',
+        'civics.english.sentenceOf': 'جمله {number} از حداکثر {total}',
+        'civics.english.listen': 'شنیدن دوباره جمله',
+        'civics.english.read': 'با صدای بلند بخوانید',
+        'civics.english.readPlaceholder': 'روی میکروفون بزنید و جمله را بخوانید',
+        'civics.english.writePlaceholder': 'جمله را به انگلیسی بنویسید',
+        'civics.english.listenPrompt': 'به جمله گوش دهید و آن را در زیر بنویسید.',
+        'civics.english.noSpeech': 'خواندن با صدای بلند به تشخیص گفتار نیاز دارد که این مرورگر از آن پشتیبانی نمی‌کند. به جای آن می‌توانید جمله را هنگام خواندن تایپ کنید.',
+        'civics.english.youRead': 'شما خواندید:',
+        'civics.english.youWrote': 'شما نوشتید:',
+        'civics.english.minorCase': 'حروف بزرگ - پذیرفته',
+        'civics.english.minorSpelling': 'اشتباه املایی کوچک - پذیرفته',
+        'civics.english.minorSound': 'کمی متفاوت شنیده شد - پذیرفته',
+        'civics.english.optionalWord': 'کلمه کوتاه جا افتاده - پذیرفته',
+        'civics.english.missedWord': 'کلمه جا افتاده یا متفاوت',
+        'civics.english.changedMeaning': '"{words}" معنی را تغییر می‌دهد',
+        'civics.english.passedReading': 'در آزمون خواندن قبول شدید',
+        'civics.english.failedReading': 'در آزمون خواندن قبول نشدید',
+        'civics.english.passedWriting': 'در آزمون نوشتن قبول شدید',
+        'civics.english.failedWriting': 'در آزمون نوشتن قبول نشدید',
+        'civics.english.resultText': '{correct} از {asked} جمله درست.',
+        'civics.english.failedNote': '۶۰ تا ۹۰ روز پس از مصاحبه دوباره در این بخش آزمون می‌دهید.',
+        'civics.english.history': 'آزمون‌های قبلی',
+        'civics.english.noHistory': 'هنوز آزمونی نیست',
+        'civics.interview.filedBefore': '{name} - درخواست‌های ثبت‌شده پیش از {date}',
+        'civics.interview.filedFrom': '{name} - درخواست‌های ثبت‌شده از {date} به بعد',
+        'civics.interview.rules': 'حداکثر {asked} سؤال. با {passAt} پاسخ درست قبول می‌شوید؛ افسر به محض قبولی یا وقتی دیگر امکان قبولی نباشد، متوقف می‌شود.',
+        'civics.interview.englishNote': 'آزمون مدنی به زبان انگلیسی برگزار می‌شود، بنابراین سؤال‌ها و پاسخ‌های شما به انگلیسی است.',
+        'civics.interview.start': 'شروع مصاحبه',
+        'civics.interview.back': 'بازگشت',
+        'civics.interview.end': 'پایان مصاحبه',
+        'civics.interview.history': 'مصاحبه‌های قبلی',
+        'civics.interview.noHistory': 'هنوز مصاحبه‌ای انجام نشده',
+        'civics.interview.historyScore': '{correct} از {asked} درست',
+        'civics.interview.pass': 'قبول',
+        'civics.interview.fail': 'مردود',
+        'civics.interview.questionOf': 'سؤال {number} از حداکثر {total}',
+        'civics.interview.score': '{correct} درست · {incorrect} نادرست',
+        'civics.interview.listen': 'شنیدن دوباره سؤال',
+        'civics.interview.placeholder': 'پاسخ خود را به انگلیسی بنویسید',
+        'civics.interview.speak': 'پاسخ صوتی',
+        'civics.interview.listening': 'در حال شنیدن...',
+        'civics.interview.noSpeech': 'این مرورگر از پاسخ صوتی پشتیبانی نمی‌کند. لطفاً پاسخ خود را تایپ کنید.',
+        'civics.interview.submit': 'پاسخ',
+        'civics.interview.next': 'سؤال بعدی',
+        'civics.interview.finish': 'دیدن نتیجه',
+        'civics.interview.correct': 'درست',
+        'civics.interview.incorrect': 'نادرست',
+        'civics.interview.needed': '{matched} از {count} پاسخ لازم',
+        'civics.interview.yourAnswer': 'پاسخ شما:',
+        'civics.interview.acceptable': 'پاسخ‌های قابل قبول:',
+        'civics.interview.passed': 'شما در آزمون مدنی قبول شدید',
+        'civics.interview.failed': 'شما در آزمون مدنی قبول نشدید',
+        'civics.interview.passedText': 'شما به {correct} از {asked} سؤال پاسخ درست دادید. افسر اکنون به بقیه مصاحبه شما می‌پردازد.',
+        'civics.interview.failedText': 'شما به {correct} از {asked} سؤال پاسخ درست دادید و به {passAt} پاسخ درست نیاز داشتید. آزمون مدنی شما ۶۰ تا ۹۰ روز پس از این مصاحبه تکرار می‌شود.',
+        'civics.interview.localAnswers': 'سؤال‌های مربوط به سناتورها، نماینده، فرماندار و مرکز ایالت برای {state} پاسخ داده می‌شوند.',
+        'civics.interview.localHint': 'ایالت خود را در بخش ایالت شما انتخاب کنید تا درباره سناتورها، نماینده، فرماندار و مرکز ایالت هم از شما سؤال شود.',
+        'civics.location.title': 'ایالت شما',
+        'civics.location.choose': 'ایالت خود را انتخاب کنید',
+        'civics.location.fromN400': 'از نشانی منزل در فرم N-400 شما',
+        'civics.location.chosen': 'در اینجا انتخاب شده',
+        'civics.location.none': 'ایالت خود را انتخاب کنید تا سؤال‌های مربوط به سناتورها، فرماندار و مرکز ایالت را تمرین کنید.',
+        'civics.location.representative': 'نماینده شما در مجلس نمایندگان آمریکا به حوزه انتخابیه کنگره شما بستگی دارد.',
+        'civics.location.lookup': 'جستجو با کد پستی',
+        'civics.location.representativePlaceholder': 'نام نماینده شما',
+        'civics.location.asOf': 'مقامات تا تاریخ {date}',
+        'civics.location.outOfDate': 'پاسخ‌های مربوط به مقامات آخرین بار در {date} بررسی شده‌اند و ممکن است قدیمی باشند. پیش از مصاحبه، مقامات فعلی را بررسی کنید.',
+        'civics.location.check': 'بررسی در USA.gov',
+        'civics.excellent': 'عالی!',
+        'civics.goodJob': 'آفرین!',
+        'civics.keepPracticing': 'به تمرین ادامه دهید!',
+        'civics.resultStats': 'به {correct} سؤال از {total} سؤال پاسخ درست دادید',
+        'civics.reviewAnswers': 'مرور پاسخ‌ها',
+        'civics.tryAgain': 'دوباره امتحان کنید',
+
+        // ============ CHATBOT ============
+        'chat.topics': 'موضوعات گفتگو',
+        'chat.topic.general': 'پرسش‌های عمومی',
+        'chat.topic.eligibility': 'بررسی واجد شرایط بودن',
+        'chat.topic.documents': 'راهنمای مدارک',
+        'chat.topic.interview': 'آمادگی مصاحبه',
+        'chat.topic.forms': 'راهنمای فرم‌ها',
+        'chat.topic.deadlines': 'مهلت‌ها',
+        'chat.conversations': 'گفتگوها',
+        'chat.newConversation': 'گفتگوی جدید',
+        'chat.searchHistory': 'جستجو در پیام‌های قبلی...',
+        'chat.noThreads': 'هنوز گفتگوی ذخیره‌شده‌ای وجود ندارد',
+        'chat.noTopicThreads': 'هنوز گفتگوی ذخیره‌شده‌ای در {topic} وجود ندارد',
+        'chat.noMatches': 'هیچ پیامی با «{query}» مطابقت ندارد',
+        'chat.threadMeta': '{count} پیام - {time}',
+        'chat.quickPrompts': 'پرسش‌های سریع',
+        'chat.prompt.renewH1b': 'چگونه H-1B خود را تمدید کنم؟',
+        'chat.prompt.i485Docs': 'مدارک فرم I-485؟',
+        'chat.prompt.eb3India': 'پیش‌بینی EB-3 هند',
+        'chat.prompt.h1bTransfer': 'روند انتقال H-1B',
+        'chat.yourProfile': 'پروفایل شما',
+        'chat.visaType': 'نوع ویزا',
+        'chat.country': 'کشور',
+        'chat.priorityDate': 'تاریخ اولویت',
+        'chat.currentStatus': 'وضعیت فعلی',
+        'chat.unlockVoice': 'حالت صوتی را فعال کنید',
+        'chat.unlockVoiceText': 'برای گفتگوی صوتی به نسخه Pro ارتقا دهید',
+        'chat.online': 'آنلاین',
+        'chat.modelInfo': 'مدل هوش مصنوعی: Immigration Expert v2.0',
+        'chat.exportMarkdown': 'خروجی گرفتن از گفتگو به صورت Markdown',
+        'chat.exportPdf': 'خروجی گرفتن از گفتگو به صورت PDF',
+        'chat.deleteConversation': 'حذف گفتگو',
+        'chat.viewTranscript': 'مشاهده متن گفتگو',
+        'chat.voiceMode': 'حالت گفتگوی صوتی',
+        'chat.voice': 'صدا',
+        'chat.toggleSpeech': 'روشن/خاموش کردن خواندن با صدا',
+        'chat.welcome': 'سلام! من دستیار Visa Guide AI شما هستم. امروز چگونه می‌توانم در مسیر مهاجرت به شما کمک کنم؟',
+        'chat.welcomeName': 'سلام {name}! من دستیار Visa Guide AI شما هستم. امروز چگونه می‌توانم در مسیر مهاجرت به شما کمک کنم؟',
+        'chat.quick.eligibility': 'بررسی واجد شرایط بودن گرین کارت',
+        'chat.quick.h1bStamping': 'مدارک مهر ویزای H-1B',
+        'chat.quick.eb3Timeline': 'زمان‌بندی EB-3 هند',
+        'chat.quick.n400Docs': 'مدارک فرم N-400',
+        'chat.justNow': 'همین حالا',
+        'chat.you': 'شما',
+        'chat.attachFile': 'پیوست فایل',
+        'chat.voiceInput': 'ورودی صوتی',
+        'chat.inputPlaceholder': 'سؤال خود را اینجا بنویسید...',
+        'chat.encrypted': 'گفتگوهای شما رمزگذاری‌شده و خصوصی هستند',
+        'chat.relatedResources': 'منابع مرتبط',
+        'chat.resource.h1bTransfer.title': 'زمان‌بندی انتقال H-1B',
+        'chat.resource.h1bTransfer.text': 'روند گام‌به‌گام همراه با مهلت‌ها',
+        'chat.resource.premium.title': 'رسیدگی ویژه',
+        'chat.resource.premium.text': 'شرایط و هزینه‌های رسیدگی سریع',
+        'chat.resource.i485.title': 'چک‌لیست I-485',
+        'chat.resource.i485.text': 'فهرست کامل مدارک تغییر وضعیت',
+        'chat.resource.rfe.title': 'راهبردهای پاسخ به RFE',
+        'chat.resource.rfe.text': 'نحوه پاسخ به درخواست‌های مدرک',
+        'chat.noForms': 'هنوز هیچ فرمی را شروع نکرده‌اید',
+        'chat.averageCompletion': 'میانگین تکمیل فرم‌های {forms} شما',
+        'chat.noDeadlines': 'مهلت پیش رویی وجود ندارد',
+        'chat.daysRemaining': '{date} - {days} روز باقی مانده',
+        'chat.voiceModeTitle': 'حالت صوتی',
+        'chat.voiceModeText': 'برای گفتگوی صوتی بدون دست به نسخه Pro ارتقا دهید',
+        'chat.upgradePrice': 'ارتقا - ماهانه ۲۹ دلار',
+        'chat.liveTranscript': 'متن زنده',
+        'chat.transcriptEmpty': 'متن صوتی اینجا نمایش داده می‌شود',
+        'chat.youSaid': 'شما گفتید:',
+        'chat.aiResponded': 'پاسخ هوش مصنوعی:',
+        'chat.listening': 'در حال گوش دادن...',
+        'chat.speakNow': 'اکنون صحبت کنید',
+        'chat.processing': 'در حال پردازش...',
+        'chat.stopListening': 'توقف گوش دادن',
+        'chat.upgradeTitle': 'ارتقا به Pro',
+        'chat.upgradeText': 'گفتگوی صوتی و امکانات ویژه را فعال کنید',
+        'chat.feature.voice': 'گفتگوی صوتی نامحدود',
+        'chat.feature.review': 'بررسی مدارک با هوش مصنوعی (۵۰ در ماه)',
+        'chat.feature.interviews': 'مصاحبه‌های تمرینی نامحدود',
+        'chat.feature.predictions': 'پیش‌بینی تاریخ اولویت',
+        'chat.pricePerMonth': 'ماهانه ۲۹ دلار',
+        'chat.error': 'متأسفیم، مشکلی پیش آمد. لطفاً دوباره امتحان کنید.',
+        'chat.voiceError': 'خطای تشخیص گفتار: {error}',
+        'chat.voiceUnsupported': 'مرورگر شما از ورودی صوتی پشتیبانی نمی‌کند. لطفاً Chrome، Edge یا Safari را امتحان کنید.',
+        'chat.speechOn': 'پاسخ‌های صوتی فعال شد',
+        'chat.speechOff': 'پاسخ‌های صوتی غیرفعال شد',
+        'chat.switchedTopic': 'به حالت {topic} رفتید. چگونه می‌توانم کمکتان کنم؟',
+        'chat.cleared': 'گفتگو پاک شد! امروز چگونه می‌توانم کمکتان کنم؟',
+        'chat.howCanIHelp': 'امروز چگونه می‌توانم کمکتان کنم؟',
+        'chat.newTopicConversation': 'گفتگوی جدید در {topic}. چگونه می‌توانم کمکتان کنم؟',
+        'chat.confirmDelete': '«{title}» حذف شود؟ این کار قابل بازگشت نیست.',
+        'chat.adoptLocal': '{count} گفتگوی ذخیره‌شده در این دستگاه بدون ورود به حساب، به حساب شما افزوده شود؟ برای نگه داشتن آن‌ها فقط در این دستگاه، لغو را انتخاب کنید.',
+        'sync.adoptLocal': 'این دستگاه پاسخ‌هایی دارد که بدون ورود به حساب ذخیره شده‌اند. آن‌ها را به حساب خود اضافه می‌کنید؟ اگر متعلق به شخص دیگری است، لغو را انتخاب کنید - روی این دستگاه می‌مانند.',
+        'chat.exportEmpty': 'برای خروجی گرفتن ابتدا گفتگویی را شروع کنید.',
+        'chat.exportPdfLost': 'PDF از قلمی فقط با حروف لاتین استفاده می‌کند، بنابراین برخی نویسه‌ها به‌صورت "?" نمایش داده می‌شوند. برای حفظ متن کامل، گفتگو را با قالب Markdown صادر کنید.',
+        'chat.sources': 'منابع',
+        'chat.lastReviewed': 'آخرین بازبینی در {date}',
+        'chat.unknownDate': 'نامشخص',
+        'chat.mayBeOutdated': '(ممکن است قدیمی باشد - منبع را بررسی کنید)',
+        'chat.englishOnly': 'این پاسخ فقط به زبان انگلیسی موجود است.',
+        'chat.link.forms': 'رفتن به مرکز فرم‌ها',
+        'chat.link.dashboard': 'مشاهده داشبورد من',
+        'chat.link.civics': 'شروع تمرین آزمون مدنی',
+        'chat.reply.greeting': 'سلام {name}! از دیدنتان خوشحالیم!\n\nمن دستیار Visa Guide AI شما هستم و می‌توانم در این موارد کمکتان کنم:\n\n* پرسش‌های مربوط به واجد شرایط بودن\n* مدارک لازم\n* راهنمای تکمیل فرم‌ها\n* آمادگی مصاحبه\n* وضعیت پرونده\n* مهلت‌ها\n\nپاسخ‌های تفصیلی من مانند فرم‌های USCIS به زبان انگلیسی است. امروز در چه زمینه‌ای کمک می‌خواهید؟',
+        'chat.reply.greetingGuest': 'سلام! از دیدنتان خوشحالیم!\n\nمن دستیار Visa Guide AI شما هستم و می‌توانم در این موارد کمکتان کنم:\n\n* پرسش‌های مربوط به واجد شرایط بودن\n* مدارک لازم\n* راهنمای تکمیل فرم‌ها\n* آمادگی مصاحبه\n* وضعیت پرونده\n* مهلت‌ها\n\nپاسخ‌های تفصیلی من مانند فرم‌های USCIS به زبان انگلیسی است. امروز در چه زمینه‌ای کمک می‌خواهید؟',
+        'chat.reply.navigateForms': 'شما را به مرکز فرم‌ها می‌برم؛ جایی که می‌توانید به همه فرم‌های مهاجرتی دسترسی داشته باشید و آن‌ها را تکمیل کنید.\n\nمرکز فرم‌ها شامل این موارد است:\n* همه فرم‌های USCIS (N-400، I-485، I-130، I-140 و غیره)\n* دستورالعمل گام‌به‌گام ارسال\n* فهرست مدارک هر فرم\n* اطلاعات هزینه‌ها\n\nآیا درباره فرم خاصی راهنمایی می‌خواهید؟',
+        'chat.reply.navigateDashboard': 'شما را به داشبوردتان می‌برم؛ جایی که می‌توانید پیشرفت کامل مهاجرت خود را ببینید.\n\nداشبورد شما نشان می‌دهد:\n* پیشرفت کلی مسیر مهاجرت\n* مهلت‌های پیش رو\n* فهرست مدارک\n* به‌روزرسانی‌های وضعیت پرونده\n\nاگر در مورد خاصی کمک می‌خواهید به من بگویید!',
+        'chat.reply.navigateCivics': 'شما را به بخش تمرین آزمون مدنی می‌برم؛ جایی که می‌توانید برای آزمون شهروندی مطالعه و آماده شوید.\n\nتمرین آزمون مدنی شامل این موارد است:\n* همه {questions} سؤال رسمی {name}\n* شبیه‌ساز مصاحبه که سؤال‌ها را مانند افسر با صدای بلند می‌پرسد\n* حالت مطالعه و آزمونک‌ها\n* پیگیری پیشرفت\n\nآزمون به زبان انگلیسی برگزار می‌شود، بنابراین سؤال‌ها انگلیسی هستند. در آمادگی‌تان موفق باشید!',
+        'chat.reply.civics': 'آمادگی برای آزمون مدنی:\n\nقالب آزمون ({name}، برای درخواست‌هایی که اکنون ثبت می‌شوند):\n* افسر حداکثر {asked} سؤال را از فهرستی {questions} سؤالی به‌صورت شفاهی می‌پرسد\n* با کلمات خودتان پاسخ می‌دهید و گزینه‌ای وجود ندارد\n* با {passAt} پاسخ درست قبول می‌شوید\n* اگر ۶۵ سال یا بیشتر دارید و ۲۰ سال مقیم دائم بوده‌اید، {seniorAsked} سؤال از {seniorQuestions} سؤال ویژه از شما پرسیده می‌شود و به {seniorPassAt} پاسخ درست نیاز دارید\n* زودتر درخواست داده‌اید؟ مصاحبهٔ شما از آزمون مربوط به تاریخ ثبت درخواستتان استفاده می‌کند\n\nموضوعات (به انگلیسی، مانند آزمون):\n{topics}\n\nمی‌خواهید همین حالا تمرین را شروع کنید؟',
+        'chat.reply.navigate': 'خوشحال می‌شوم شما را به جای درست راهنمایی کنم! به کدام بخش می‌خواهید بروید؟\n\n* **مرکز فرم‌ها** - برای فرم‌ها و درخواست‌های مهاجرتی\n* **داشبورد** - برای پیشرفت و مهلت‌های شما\n* **تمرین آزمون مدنی** - برای آمادگی آزمون شهروندی\n\nفقط بگویید چه نیازی دارید!',
+        'chat.reply.noCase': 'هنوز هیچ فرم ذخیره‌شده یا مدرک بارگذاری‌شده‌ای نمی‌بینم.\n\nیک فرم را در مرکز فرم‌ها شروع کنید تا بگویم کدام پاسخ‌ها جا مانده، چه مدارکی هنوز لازم دارید و تاریخ‌های پیش رویتان چیست.',
+        'chat.reply.fallback': 'متوجه شدم که درباره «{message}» می‌پرسید. این‌گونه می‌توانم کمکتان کنم:\n\nموضوعاتی که می‌توانم در آن‌ها کمک کنم:\n\n📋 **پرسش‌های ویزا**\n* H-1B، L-1، O-1، F-1 و غیره\n\n💳 **گرین کارت**\n* از طریق کار (EB-1، EB-2، EB-3)\n* از طریق خانواده\n\n📄 **فرم‌ها**\n* N-400، I-485، I-130، I-140 و غیره\n\n📋 **مدارک**\n* مدارک لازم\n* چک‌لیست‌ها\n\n📅 **زمان‌بندی‌ها**\n* زمان رسیدگی\n* مهلت‌ها\n\n🎓 **شهروندی**\n* آمادگی آزمون مدنی\n* نکات مصاحبه\n\nپاسخ‌های تفصیلی من به زبان انگلیسی است. می‌توانید جزئیات بیشتری درباره پرسش خود بدهید؟ برای مثال:\n- برای چه نوع ویزایی درخواست می‌دهید؟\n- در کدام مرحله از روند هستید؟\n- دقیقاً به چه کمکی نیاز دارید؟\n\nمن اینجا هستم تا کمک کنم!',
+        'chat.reply.sorry': 'متأسفم، الان نتوانستم پاسخ دهم. لطفاً دوباره امتحان کنید.',
+
+        // ============ FORMS ============
+        'forms.title': 'مرکز فرم‌ها',
+        'forms.subtitle': 'فرم‌های مهاجرتی خود را تکمیل کنید، مدارک را مدیریت کنید و پیشرفت خود را دنبال کنید',
+        'forms.tab.forms': 'فرم‌های من',
+        'forms.tab.interactive': 'تکمیل فرم',
+        'forms.tab.documents': 'مدارک',
+        'forms.tab.calculator': 'محاسبه‌گر هزینه',
+        'forms.tab.timeline': 'جدول زمانی',
+        'forms.status.not-started': 'شروع‌نشده',
+        'forms.status.in-progress': 'در حال انجام',
+        'forms.status.completed': 'تکمیل‌شده',
+        'forms.months': '{range} ماه',
+        'forms.description.n400': 'درخواست تابعیت آمریکا از طریق اخذ تابعیت',
+        'forms.description.i485': 'درخواست تغییر وضعیت به اقامت دائم',
+        'forms.description.i130': 'اثبات رابطه خانوادگی برای گرین کارت',
+        'forms.description.i140': 'گرین کارت کاری با حمایت کارفرما',
+        'forms.description.i765': 'دریافت مجوز کار در زمان انتظار برای گرین کارت',
+        'forms.description.i131': 'درخواست مجوز سفر پیشاپیش برای سفر به خارج',
+        'forms.progress': 'پیشرفت: {percent}%',
+        'forms.previous': 'قبلی',
+        'forms.next': 'بعدی',
+        'forms.review': 'بازبینی',
+        'forms.reviewHeading': 'بخش {step} - اطلاعات خود را بازبینی کنید',
+        'forms.readyToSubmit': 'آماده ارسال هستید؟',
+        'forms.readyToSubmitText': 'لطفاً همه اطلاعات بالا را با دقت بازبینی کنید. پس از ارسال نمی‌توانید تغییرات را آنلاین انجام دهید و ممکن است برای اصلاح لازم باشد با USCIS تماس بگیرید.',
+        'forms.saveDraft': 'ذخیره پیش‌نویس',
+        'forms.downloadPdf': 'دانلود PDF',
+        'forms.submitApplication': 'ارسال درخواست',
+        'forms.select': 'انتخاب کنید',
+        'forms.validation.required': 'این فیلد الزامی است.',
+        'forms.validation.option': 'یکی از گزینه‌های فهرست را انتخاب کنید.',
+        'forms.validation.date': 'یک تاریخ معتبر وارد کنید.',
+        'forms.validation.future': 'تاریخ نمی‌تواند در آینده باشد.',
+        'forms.validation.anumber': 'یک A-Number هفت تا نه‌رقمی وارد کنید (مثلاً A123-456-789).',
+        'forms.validation.zip': 'یک کد پستی پنج‌رقمی (یا ZIP+4) وارد کنید.',
+        'forms.validation.receipt': 'یک شماره رسید ۱۳ نویسه‌ای وارد کنید (مثلاً IOE0123456789).',
+        'forms.validation.number': 'یک عدد معتبر وارد کنید.',
+        'forms.validation.format': 'قالب این فیلد را بررسی کنید.',
+        'forms.officialLabel': 'در فرم: {label}',
+        'forms.edit': 'ویرایش',
+        'forms.notProvided': 'ارائه نشده',
+        'forms.needAttention': '{count} مورد پیش از ارسال نیاز به بررسی دارد',
+        'forms.pdfMissing': '{count} فیلد الزامی در PDF خالی مانده است',
+        'forms.pdfContinued': '{count} پاسخ در برگه ادامه قرار گرفت',
+        'forms.tooLong': '(برای فیلد فرم بیش از حد طولانی است)',
+        'forms.confirmPdfSummary': 'به جای آن، PDF خلاصه پاسخ‌های {form} را دانلود می‌کنید؟ خلاصه را نمی‌توان به USCIS ارائه کرد.',
+        'forms.pdfTransliterated': '{count} پاسخ حروفی داشت که قلم PDF نمی‌تواند نمایش دهد و با حروف لاتین نوشته شد - آن‌ها را بررسی کنید',
+        'forms.pdfNotLatin': '(برخی از نویسه‌ها قابل تبدیل نبودند - این پاسخ را به انگلیسی وارد کنید)',
+        'forms.conflict': 'در دستگاه دیگری تغییر کرد به:',
+        'forms.keepMine': 'نگه داشتن مقدار من',
+        'forms.useOther': 'استفاده از مقدار دستگاه دیگر',
+        'forms.empty': '(خالی)',
+        'forms.prefill.button': 'پر کردن از روی مدرک',
+        'forms.prefill.title': 'اطلاعات از {document} شما',
+        'forms.prefill.hint': 'روی همین دستگاه خوانده شد - پیش از پذیرفتن، هر مقدار را با مدرک خود مقایسه کنید.',
+        'forms.prefill.field': 'فیلد',
+        'forms.prefill.current': 'در فرم',
+        'forms.prefill.proposed': 'از مدرک',
+        'forms.prefill.accept': 'پذیرفتن',
+        'forms.prefill.ignore': 'نادیده گرفتن',
+        'forms.prefill.acceptAll': 'پذیرفتن همه',
+        'forms.prefill.dismiss': 'بستن',
+        'forms.prefill.verified': 'ارقام کنترلی مطابقت دارند',
+        'forms.prefill.unverified': 'تأیید نشد - با دقت بررسی کنید',
+        'forms.prefill.reading': 'در حال خواندن {name}...',
+        'forms.prefill.found': '{count} مقدار برای {form} پیدا شد - آن‌ها را در فرم بررسی کنید',
+        'forms.prefill.nothing': 'چیز تازه‌ای برای پر کردن از این مدرک نیست',
+        'forms.prefill.failed': 'این مدرک خوانده نشد',
+        'forms.vault.off': 'گاوصندوق مدارک خاموش است',
+        'forms.vault.offHint': 'فایل‌ها همان‌طور که بارگذاری می‌کنید ذخیره می‌شوند. گاوصندوق را روشن کنید تا گذرنامه، گواهی‌ها و اظهارنامه‌های مالیاتی پیش از بارگذاری روی همین دستگاه رمزگذاری شوند.',
+        'forms.vault.locked': 'گاوصندوق مدارک قفل است',
+        'forms.vault.lockedHint': 'مدارک شما رمزگذاری شده‌اند. برای بارگذاری یا باز کردن آن‌ها، گاوصندوق را با عبارت عبور باز کنید.',
+        'forms.vault.unlocked': 'گاوصندوق مدارک باز است',
+        'forms.vault.unlockedHint': 'فایل‌ها پیش از بارگذاری روی همین دستگاه رمزگذاری می‌شوند. گاوصندوق پس از {minutes} دقیقه بی‌استفاده بودن خودبه‌خود قفل می‌شود.',
+        'forms.vault.enable': 'روشن کردن رمزگذاری',
+        'forms.vault.unlock': 'باز کردن',
+        'forms.vault.recover': 'عبارت عبور را فراموش کرده‌ام',
+        'forms.vault.lock': 'قفل کردن',
+        'forms.vault.change': 'تغییر عبارت عبور',
+        'forms.vault.rotate': 'چرخش کلید',
+        'forms.vault.recoveryCode': 'کد بازیابی جدید',
+        'forms.vault.cancel': 'لغو',
+        'forms.vault.passphrase': 'عبارت عبور',
+        'forms.vault.currentPassphrase': 'عبارت عبور فعلی',
+        'forms.vault.newPassphrase': 'عبارت عبور جدید',
+        'forms.vault.confirmPassphrase': 'تکرار عبارت عبور',
+        'forms.vault.recoveryCodeLabel': 'کد بازیابی',
+        'forms.vault.enableHelp': 'عبارت عبوری با دست‌کم {length} نویسه انتخاب کنید. بدون آن، یا کد بازیابی‌ای که در ادامه نشان داده می‌شود، هیچ‌کس - حتی ما - نمی‌تواند مدارک شما را باز کند. فایل‌هایی که قبلاً بارگذاری کرده‌اید هم رمزگذاری می‌شوند.',
+        'forms.vault.unlockHelp': 'عبارت عبور گاوصندوق را وارد کنید.',
+        'forms.vault.recoverHelp': 'کد بازیابی‌ای را که ذخیره کرده‌اید وارد کنید و عبارت عبور جدیدی با دست‌کم {length} نویسه انتخاب کنید.',
+        'forms.vault.changeHelp': 'فایل‌های شما تغییری نمی‌کنند - فقط عبارت عبوری که آن‌ها را باز می‌کند عوض می‌شود. دست‌کم {length} نویسه به کار ببرید.',
+        'forms.vault.rotateHelp': 'همه مدارک دوباره با کلیدی جدید رمزگذاری می‌شوند و کد بازیابی جدیدی دریافت می‌کنید. اگر ممکن است کسی عبارت عبور یا کد بازیابی شما را دیده باشد، این کار را انجام دهید.',
+        'forms.vault.recoveryCodeHelp': 'با ساخته شدن کد جدید، کد بازیابی قبلی دیگر کار نمی‌کند.',
+        'forms.vault.recoveryHint': 'این کد بازیابی را جایی امن و دور از این دستگاه نگه دارید. اگر عبارت عبور را فراموش کنید، تنها راه دسترسی به مدارک شماست و دوباره نشان داده نمی‌شود.',
+        'forms.vault.recoverySaved': 'ذخیره‌اش کردم',
+        'forms.vault.mismatch': 'عبارت‌های عبور یکسان نیستند',
+        'forms.vault.working': 'در حال انجام...',
+        'forms.vault.resealFailed': 'برخی مدارک رمزگذاری نشدند - بعداً دوباره امتحان کنید',
+        'forms.vault.error': 'گاوصندوق مدارک: {error}',
+        'forms.vault.done.enable': 'گاوصندوق مدارک روشن شد',
+        'forms.vault.done.unlock': 'گاوصندوق مدارک باز شد',
+        'forms.vault.done.recover': 'عبارت عبور جدید تنظیم شد - گاوصندوق باز است',
+        'forms.vault.done.change': 'عبارت عبور تغییر کرد',
+        'forms.vault.done.rotate': 'مدارک با کلید جدید رمزگذاری شدند',
+        'forms.vault.done.recoveryCode': 'کد بازیابی جدید ساخته شد',
+        'forms.doc.totalRequired': 'کل موارد لازم',
+        'forms.doc.uploaded': 'بارگذاری‌شده',
+        'forms.doc.pending': 'در انتظار',
+        'forms.doc.expired': 'منقضی‌شده',
+        'forms.doc.missing': 'موجود نیست',
+        'forms.doc.uploadedStatus': 'بارگذاری‌شده',
+        'forms.doc.expiredStatus': 'منقضی‌شده',
+        'forms.doc.notUploaded': 'بارگذاری نشده',
+        'forms.doc.editDates': 'تاریخ صدور و انقضا',
+        'forms.doc.issuedOn': 'تاریخ صدور',
+        'forms.doc.expiresOn': 'تاریخ انقضا',
+        'forms.doc.saveDates': 'ذخیره تاریخ‌ها',
+        'forms.doc.addDates': 'تاریخ انقضا را وارد کنید تا یادآور تمدید دریافت کنید',
+        'forms.doc.expiresLine': 'انقضا: {date}',
+        'forms.doc.expiringLine': 'انقضا: {date} - تا {by} تمدید کنید',
+        'forms.doc.renewLine': 'اکنون تمدید کنید - انقضا: {date}',
+        'forms.doc.expiredLine': 'منقضی شده در {date}',
+        'forms.doc.view': 'مشاهده',
+        'forms.doc.download': 'دانلود',
+        'forms.doc.delete': 'حذف',
+        'forms.doc.upload': 'بارگذاری',
+        'forms.doc.uploadTitle': 'بارگذاری مدرک',
+        'forms.doc.uploadHint': 'فایل‌ها را اینجا بکشید و رها کنید یا برای انتخاب کلیک کنید',
+        'forms.doc.uploadFormats': 'قالب‌های پشتیبانی‌شده: PDF، JPG، PNG (حداکثر ۱۰ مگابایت)',
+        'forms.doc.requiredFor': 'مدارک لازم برای {form}',
+        'forms.doc.checklistFor': 'نمایش فهرست برای',
+        'forms.doc.otherUploads': 'سایر مدارک بارگذاری‌شده',
+        'forms.doc.cardCount': 'مدارک {ready} از {total}',
+        'forms.calc.title': 'هزینه‌های خود را محاسبه کنید',
+        'forms.calc.whichForm': 'کدام فرم را ارسال می‌کنید؟ *',
+        'forms.calc.selectForm': 'انتخاب فرم',
+        'forms.calc.whoFiling': 'چه کسی درخواست می‌دهد؟ *',
+        'forms.calc.selectApplicant': 'انتخاب متقاضی',
+        'forms.calc.adult': 'بزرگسال (۱۴ سال به بالا)',
+        'forms.calc.child': 'کودک (زیر ۱۴ سال)',
+        'forms.calc.premiumQuestion': 'آیا به رسیدگی ویژه نیاز دارید؟ (در صورت امکان)',
+        'forms.calc.no': 'خیر',
+        'forms.calc.premiumYes': 'بله (+۲٬۵۰۰ دلار)',
+        'forms.calc.waiverQuestion': 'آیا واجد شرایط معافیت از هزینه هستید؟',
+        'forms.calc.waiverNo': 'خیر، کل هزینه را می‌پردازم',
+        'forms.calc.waiverYes': 'بله، درخواست معافیت می‌دهم',
+        'forms.calc.additional': 'خدمات اضافی (اختیاری):',
+        'forms.calc.biometricsService': 'خدمات بیومتریک (در صورتی که شامل نشده باشد)',
+        'forms.calc.translation': 'خدمات ترجمه مدارک (+۱۰۰ دلار)',
+        'forms.calc.notary': 'خدمات دفتر اسناد رسمی (+۵۰ دلار)',
+        'forms.calc.summary': 'خلاصه هزینه‌ها',
+        'forms.calc.total': 'هزینه کل تخمینی',
+        'forms.calc.filingFee': 'هزینه ثبت',
+        'forms.calc.biometrics': 'بیومتریک',
+        'forms.calc.premium': 'رسیدگی ویژه',
+        'forms.calc.services': 'خدمات اضافی',
+        'forms.calc.waiver': 'معافیت اعمال‌شده',
+        'forms.calc.breakdown': 'جزئیات هزینه به تفکیک فرم:',
+        'forms.calc.n400Fee': '۶۴۰ دلار + ۸۵ دلار بیومتریک',
+        'forms.calc.i485Fee': '۱٬۲۲۵ دلار (یا ۷۵۰ دلار برای کودکان)',
+        'forms.calc.note': 'توجه: این‌ها فقط هزینه‌های تخمینی ثبت هستند. هزینه‌های دیگر ممکن است شامل حق‌الوکاله، معاینات پزشکی، ترجمه و تهیه مدارک باشد.',
+        'forms.timeline.title': 'جدول زمانی مهاجرت شما',
+        'forms.timeline.checkStatus': 'بررسی وضعیت',
+        'forms.timeline.checkBulletin': 'بررسی بولتن ویزا',
+        'forms.timeline.prepareI485': 'آماده‌سازی I-485',
+        'forms.toast.notInChecklist': 'این مدرک در فهرست شما نیست.',
+        'forms.toast.notAvailable': 'این فرم هنوز در دسترس نیست.',
+        'forms.toast.opening': 'در حال باز کردن فرم {form}...',
+        'forms.toast.fixFields': 'لطفاً پیش از ادامه، فیلدهای مشخص‌شده را اصلاح کنید.',
+        'forms.toast.saved': 'پیشرفت با موفقیت ذخیره شد!',
+        'forms.toast.resumed': 'ادامه از آخرین ذخیره: {date}',
+        'forms.toast.generatingPdf': 'در حال ساخت PDF...',
+        'forms.toast.pdfFilled': 'PDF رسمی تکمیل و دانلود شد!',
+        'forms.toast.pdfSummary': 'قالب رسمی فرم در دسترس نیست - به جای آن PDF خلاصه دانلود شد.',
+        'forms.toast.pdfError': 'خطا در ساخت PDF. لطفاً دوباره امتحان کنید.',
+        'forms.toast.pdfTemplateMissing': 'فایل PDF رسمی {form} روی این سایت نصب نشده است ({file}).',
+        'forms.toast.fixReview': 'لطفاً پیش از ارسال، موارد فهرست‌شده در صفحه بازبینی را اصلاح کنید.',
+        'forms.confirmSubmit': 'آیا مطمئن هستید که می‌خواهید درخواست {form} خود را ارسال کنید؟ این کار قابل بازگشت نیست.',
+        'forms.toast.submitted': 'تبریک! درخواست {form} شما با موفقیت ارسال شد!',
+        'forms.toast.uploading': 'در حال بارگذاری {name}...',
+        'forms.toast.uploaded': '{name} با موفقیت در فضای ابری بارگذاری شد!',
+        'forms.toast.uploadFailed': 'بارگذاری ناموفق بود. لطفاً دوباره امتحان کنید.',
+        'forms.toast.uploadError': 'بارگذاری ناموفق بود: {error}',
+        'forms.toast.datesSaved': 'تاریخ‌های {name} ذخیره شد',
+        'forms.toast.allUploaded': 'همه مدارک لازم قبلاً بارگذاری شده‌اند!',
+        'forms.toast.docNotFound': 'مدرک پیدا نشد.',
+        'forms.toast.docUnavailable': 'مدرک در دسترس نیست. لطفاً ابتدا آن را بارگذاری کنید.',
+        'forms.toast.openingDoc': 'در حال باز کردن مدرک...',
+        'forms.toast.allowPopups': 'لطفاً برای مشاهده مدارک اجازه باز شدن پنجره‌های بازشو را بدهید.',
+        'forms.toast.downloadStarted': 'دانلود آغاز شد...',
+        'forms.confirmDeleteDoc': 'آیا مطمئن هستید که می‌خواهید این مدرک را حذف کنید؟',
+        'forms.toast.deleting': 'در حال حذف مدرک...',
+        'forms.toast.deleted': 'مدرک از فضای ابری حذف شد.',
+        'forms.toast.deletedPending': 'مدرک حذف شد (همگام‌سازی ابری در انتظار است).',
+        'forms.toast.conflict': 'یک فیلد در دستگاه دیگری تغییر کرد. انتخاب کنید کدام مقدار حفظ شود.',
+        'forms.timeline.step1.title': 'ورود به ایالات متحده',
+        'forms.timeline.step1.date': 'ژانویه ۲۰۱۵',
+        'forms.timeline.step1.desc': 'ورود اولیه با ویزای دانشجویی F-1',
+        'forms.timeline.step2.title': 'تغییر به وضعیت H-1B',
+        'forms.timeline.step2.date': 'اکتبر ۲۰۱۹',
+        'forms.timeline.step2.desc': 'دادخواست H-1B با حمایت کارفرما تأیید شد',
+        'forms.timeline.step3.title': 'گواهی کار PERM',
+        'forms.timeline.step3.date': 'در حال انجام - پیش‌بینی: مارس ۲۰۲۵',
+        'forms.timeline.step3.desc': 'مرحله فعلی: آزمون بازار کار برای گرین کارت EB-3',
+        'forms.timeline.step4.title': 'ثبت دادخواست I-140',
+        'forms.timeline.step4.date': 'تخمین: آوریل ۲۰۲۵',
+        'forms.timeline.step4.desc': 'کارفرما دادخواست مهاجرتی کارگر خارجی را ثبت می‌کند',
+        'forms.timeline.step5.title': 'تأیید I-140',
+        'forms.timeline.step5.date': 'تخمین: اوت ۲۰۲۵',
+        'forms.timeline.step5.desc': 'اطلاعیه تأیید دادخواست مهاجرتی دریافت شد',
+        'forms.timeline.step6.title': 'انتظار برای تاریخ اولویت',
+        'forms.timeline.step6.date': '۲۰۲۵ - ۲۰۲۸ (بسته به کشور)',
+        'forms.timeline.step6.desc': 'EB-3 هند: تاریخ اولویت فعلی حدود ۲۰۱۲ است',
+        'forms.timeline.step7.title': 'ثبت تغییر وضعیت I-485',
+        'forms.timeline.step7.date': 'وقتی تاریخ اولویت جاری شود',
+        'forms.timeline.step7.desc': 'درخواست تغییر وضعیت به اقامت دائم را ارسال کنید',
+        'forms.timeline.step8.title': 'دریافت گرین کارت',
+        'forms.timeline.step8.date': 'پس از تأیید I-485',
+        'forms.timeline.step8.desc': 'تبریک! اکنون مقیم دائم هستید',
+
+        // ============ FORM SCHEMAS ============
+        // form-registry.js text by form and field id (FormRegistry.text) - English is the schema itself
+        'schema.option.India': 'هند',
+        'schema.option.China': 'چین',
+        'schema.option.Mexico': 'مکزیک',
+        'schema.option.Philippines': 'فیلیپین',
+        'schema.option.Vietnam': 'ویتنام',
+        'schema.option.Other': 'سایر',
+        'schema.option.no': 'خیر',
+        'schema.option.yes': 'بله',
+        'schema.option.single': 'مجرد (هرگز ازدواج نکرده)',
+        'schema.option.married': 'متأهل',
+        'schema.option.divorced': 'مطلقه / طلاق‌گرفته',
+        'schema.option.widowed': 'همسر فوت‌شده',
+        'schema.option.separated': 'جدایی قانونی',
+        'schema.n400.step1.title': 'اطلاعات پایه',
+        'schema.n400.step1.heading': 'بخش ۱ - اطلاعات پایه',
+        'schema.n400.lastName.label': 'نام قانونی - نام خانوادگی',
+        'schema.n400.lastName.review': 'نام خانوادگی',
+        'schema.n400.lastName.placeholder': 'نام خانوادگی خود را وارد کنید',
+        'schema.n400.firstName.label': 'نام',
+        'schema.n400.firstName.review': 'نام',
+        'schema.n400.firstName.placeholder': 'نام خود را وارد کنید',
+        'schema.n400.middleName.label': 'نام میانی (در صورت وجود)',
+        'schema.n400.middleName.review': 'نام میانی',
+        'schema.n400.middleName.placeholder': 'نام میانی را وارد کنید',
+        'schema.n400.dob.label': 'تاریخ تولد',
+        'schema.n400.birthCountry.label': 'کشور محل تولد',
+        'schema.n400.nationality.label': 'کشور تابعیت',
+        'schema.n400.aNumber.label': 'شماره ثبت بیگانه (A-Number) در صورت وجود',
+        'schema.n400.lprDate.label': 'تاریخی که مقیم دائم قانونی شدید',
+        'schema.n400.lprDate.review': 'مقیم دائم از',
+        'schema.n400.step2.title': 'صلاحیت',
+        'schema.n400.step2.heading': 'بخش ۲ - صلاحیت',
+        'schema.n400.eligibilityBasis.label': 'درخواست تابعیت می‌دهم زیرا (یکی را انتخاب کنید):',
+        'schema.n400.eligibilityBasis.review': 'مبنای درخواست',
+        'schema.n400.eligibilityBasis.5years': 'حداقل ۵ سال است که مقیم دائم قانونی هستم',
+        'schema.n400.eligibilityBasis.3years': 'حداقل ۳ سال است که مقیم دائم قانونی هستم و با یک شهروند آمریکا ازدواج کرده‌ام',
+        'schema.n400.eligibilityBasis.uscis': 'از طریق والدینم شهروند آمریکا هستم و درخواست تابعیت می‌دهم',
+        'schema.n400.eligibilityBasis.military': 'بر اساس مقررات نظامی درخواست می‌دهم',
+        'schema.n400.communistParty.label': 'آیا تاکنون عضو یا به هر شکلی مرتبط با حزب کمونیست یا هر حزب توتالیتر دیگری بوده‌اید؟',
+        'schema.n400.communistParty.review': 'وابستگی به حزب کمونیست',
+        'schema.n400.criminalCharges.label': 'آیا تاکنون به جرمی متهم شده‌اید؟',
+        'schema.n400.criminalCharges.review': 'اتهامات کیفری',
+        'schema.n400.criminalDetails.label': 'جزئیات هرگونه بازداشت یا اتهام را بنویسید',
+        'schema.n400.criminalDetails.review': 'جزئیات کیفری',
+        'schema.n400.criminalDetails.placeholder': 'جزئیات هرگونه بازداشت یا اتهام را بنویسید',
+        'schema.n400.step3.title': 'اقامت',
+        'schema.n400.step3.heading': 'بخش ۳ - اقامت',
+        'schema.n400.currentAddress.label': 'نشانی فعلی محل سکونت - پلاک و نام خیابان',
+        'schema.n400.currentAddress.review': 'نشانی فعلی',
+        'schema.n400.currentAddress.placeholder': 'نشانی خیابان را وارد کنید',
+        'schema.n400.currentCity.label': 'شهر',
+        'schema.n400.currentCity.placeholder': 'شهر',
+        'schema.n400.currentState.label': 'ایالت',
+        'schema.n400.currentZip.label': 'کد پستی (ZIP)',
+        'schema.n400.currentCounty.label': 'شهرستان (County)',
+        'schema.n400.currentCounty.placeholder': 'شهرستان',
+        'schema.n400.arrivalDate.label': 'تاریخ ورود به آمریکا',
+        'schema.n400.tripsAbroad.label': 'در ۵ سال گذشته، آیا سفری به خارج از ایالات متحده داشته‌اید که ۲۴ ساعت یا بیشتر طول کشیده باشد؟',
+        'schema.n400.tripsAbroad.review': 'سفرهای خارج از آمریکا',
+        'schema.n400.trips.label': 'سفرهای خارج از ایالات متحده در ۵ سال گذشته',
+        'schema.n400.trips.review': 'سفرها',
+        'schema.n400.countriesLived.label': 'همه کشورهایی را که در ۵ سال گذشته در آن‌ها زندگی کرده‌اید بنویسید:',
+        'schema.n400.countriesLived.review': 'کشورهای محل زندگی (۵ سال گذشته)',
+        'schema.n400.countriesLived.placeholder': 'کشورها، شهرها و تاریخ‌ها را بنویسید',
+        'schema.n400.step4.title': 'اشتغال',
+        'schema.n400.step4.heading': 'بخش ۴ - اشتغال',
+        'schema.n400.employer.label': 'کارفرمای فعلی (یا "None" اگر بیکار هستید)',
+        'schema.n400.employer.review': 'کارفرمای فعلی',
+        'schema.n400.employer.placeholder': 'نام کارفرما',
+        'schema.n400.occupation.label': 'شغل/عنوان شغلی',
+        'schema.n400.occupation.review': 'شغل',
+        'schema.n400.occupation.placeholder': 'عنوان شغلی شما',
+        'schema.n400.employerAddress.label': 'نشانی کارفرما',
+        'schema.n400.employerAddress.placeholder': 'نشانی خیابان',
+        'schema.n400.employerStartDate.label': 'تاریخ شروع',
+        'schema.n400.employerEndDate.label': 'تاریخ پایان (یا "Present")',
+        'schema.n400.employerEndDate.review': 'تاریخ پایان',
+        'schema.n400.employmentHistory.label': 'سوابق کاری ۵ سال گذشته خود را بنویسید (شامل خوداشتغالی):',
+        'schema.n400.employmentHistory.review': 'سوابق کاری',
+        'schema.n400.employmentHistory.placeholder': 'کارفرما، نشانی، سمت و تاریخ‌ها را بنویسید',
+        'schema.n400.step5.title': 'خانواده',
+        'schema.n400.step5.heading': 'بخش ۵ - اطلاعات خانواده',
+        'schema.n400.maritalStatus.label': 'وضعیت تأهل',
+        'schema.n400.spouseName.label': 'نام کامل همسر',
+        'schema.n400.spouseName.placeholder': 'نام قانونی همسر',
+        'schema.n400.spouseDob.label': 'تاریخ تولد همسر',
+        'schema.n400.spouseBirthCountry.label': 'کشور محل تولد همسر',
+        'schema.n400.spouseBirthCountry.USA': 'ایالات متحده',
+        'schema.n400.marriageDate.label': 'تاریخ ازدواج',
+        'schema.n400.marriagePlace.label': 'محل ازدواج (شهر و کشور)',
+        'schema.n400.marriagePlace.placeholder': 'شهر، کشور',
+        'schema.n400.previousSpouses.label': 'اگر قبلاً ازدواج کرده‌اید، اطلاعات همسر (همسران) قبلی را بنویسید:',
+        'schema.n400.previousSpouses.review': 'همسران قبلی',
+        'schema.n400.previousSpouses.placeholder': 'نام، تاریخ تولد، تاریخ و محل ازدواج، تاریخ و نحوه پایان آن',
+        'schema.n400.childrenInfo.label': 'اطلاعات فرزندان (در صورت وجود):',
+        'schema.n400.childrenInfo.review': 'فرزندان',
+        'schema.n400.childrenInfo.placeholder': 'همه فرزندان را با نام، تاریخ تولد و کشور محل تولد بنویسید',
+        'schema.n400.check.lprDate.earliestFilingDate': 'هنوز نمی‌توانید بر این مبنا درخواست دهید - برای دیدن زودترین تاریخ ثبت، خلاصه صلاحیت را در صفحه بازبینی ببینید.',
+        'schema.n400.check.dob.yearsSince': 'برای درخواست تابعیت باید حداقل ۱۸ سال داشته باشید.',
+        'schema.n400.check.marriageDate.dateAfter': 'تاریخ ازدواج باید بعد از تاریخ تولد شما باشد.',
+        'schema.n400.check.arrivalDate.dateAfter': 'تاریخ ورود باید بعد از تاریخ تولد شما باشد.',
+        'schema.n400.check.lprDate.dateAfter': 'تاریخ اقامت دائم باید بعد از تاریخ تولد شما باشد.',
+        'schema.n400.check.maritalStatus.equals': 'مبنای ۳ ساله مستلزم ازدواج با یک شهروند آمریکا است.',
+        'schema.n400.reason.marriage_certificate.maritalStatus': 'شما متأهل هستید',
+        'schema.n400.reason.marriage_certificate.eligibilityBasis': 'شما به‌عنوان همسر یک شهروند آمریکا درخواست می‌دهید',
+        'schema.n400.reason.court_records.criminalCharges': 'شما به جرمی متهم شده‌اید',
+        'schema.i485.step1.title': 'درباره شما',
+        'schema.i485.step1.heading': 'بخش ۱ - اطلاعات درباره شما',
+        'schema.i485.lastName.label': 'نام خانوادگی',
+        'schema.i485.firstName.label': 'نام',
+        'schema.i485.middleName.label': 'نام میانی',
+        'schema.i485.dob.label': 'تاریخ تولد',
+        'schema.i485.birthCountry.label': 'کشور محل تولد',
+        'schema.i485.nationality.label': 'کشور تابعیت',
+        'schema.i485.i94Number.label': 'شماره سابقه I-94',
+        'schema.i485.lastArrivalDate.label': 'تاریخ آخرین ورود',
+        'schema.i485.step2.title': 'نوع درخواست',
+        'schema.i485.step2.heading': 'بخش ۲ - نوع درخواست',
+        'schema.i485.applicationCategory.label': 'دسته مهاجرتی',
+        'schema.i485.applicationCategory.family': 'بر اساس خانواده',
+        'schema.i485.applicationCategory.employment': 'بر اساس اشتغال',
+        'schema.i485.applicationCategory.asylum': 'پناهنده یا پناهجوی پذیرفته‌شده',
+        'schema.i485.applicationCategory.other': 'سایر',
+        'schema.i485.underlyingReceiptNumber.label': 'شماره رسید دادخواست پایه',
+        'schema.i485.priorityDate.label': 'تاریخ اولویت',
+        'schema.i485.step3.title': 'نشانی',
+        'schema.i485.step3.heading': 'بخش ۳ - نشانی',
+        'schema.i485.currentAddress.label': 'نشانی خیابان',
+        'schema.i485.currentCity.label': 'شهر',
+        'schema.i485.currentState.label': 'ایالت',
+        'schema.i485.currentZip.label': 'کد پستی (ZIP)',
+        'schema.i485.step4.title': 'خانواده',
+        'schema.i485.step4.heading': 'بخش ۴ - اطلاعات خانواده',
+        'schema.i485.maritalStatus.label': 'وضعیت تأهل',
+        'schema.i485.spouseName.label': 'نام همسر',
+        'schema.i485.childrenInfo.label': 'فرزندان',
+        'schema.i485.step5.title': 'قابلیت پذیرش',
+        'schema.i485.step5.heading': 'بخش ۵ - قابلیت پذیرش',
+        'schema.i485.criminalCharges.label': 'آیا تاکنون به جرمی متهم شده‌اید؟',
+        'schema.i485.criminalCharges.review': 'اتهامات کیفری',
+        'schema.i485.criminalDetails.label': 'جزئیات هرگونه بازداشت یا اتهام را بنویسید',
+        'schema.i485.criminalDetails.review': 'جزئیات کیفری',
+        'schema.i485.immigrationViolations.label': 'آیا تاکنون شرایط وضعیت مهاجرتی خود را نقض کرده‌اید؟',
+        'schema.i485.immigrationViolations.review': 'تخلفات مهاجرتی',
+        'schema.i485.check.lastArrivalDate.dateAfter': 'تاریخ آخرین ورود باید بعد از تاریخ تولد شما باشد.',
+        'schema.i485.reason.marriage_certificate.maritalStatus': 'شما متأهل هستید',
+        'schema.i485.reason.court_records.criminalCharges': 'شما به جرمی متهم شده‌اید',
+        'schema.i130.step1.title': 'نسبت',
+        'schema.i130.step1.heading': 'بخش ۱ - نسبت',
+        'schema.i130.relationship.label': 'نسبت با ذی‌نفع',
+        'schema.i130.relationship.spouse': 'همسر',
+        'schema.i130.relationship.parent': 'پدر یا مادر',
+        'schema.i130.relationship.child': 'فرزند',
+        'schema.i130.relationship.sibling': 'برادر / خواهر',
+        'schema.i130.petitionerStatus.label': 'وضعیت درخواست‌دهنده',
+        'schema.i130.petitionerStatus.citizen': 'شهروند آمریکا',
+        'schema.i130.petitionerStatus.lpr': 'مقیم دائم قانونی',
+        'schema.i130.step2.title': 'درخواست‌دهنده',
+        'schema.i130.step2.heading': 'بخش ۲ - اطلاعات درباره شما (درخواست‌دهنده)',
+        'schema.i130.petitionerLastName.label': 'نام خانوادگی درخواست‌دهنده',
+        'schema.i130.petitionerFirstName.label': 'نام درخواست‌دهنده',
+        'schema.i130.petitionerDob.label': 'تاریخ تولد درخواست‌دهنده',
+        'schema.i130.petitionerAddress.label': 'نشانی درخواست‌دهنده',
+        'schema.i130.step3.title': 'ذی‌نفع',
+        'schema.i130.step3.heading': 'بخش ۳ - اطلاعات ذی‌نفع',
+        'schema.i130.beneficiaryLastName.label': 'نام خانوادگی ذی‌نفع',
+        'schema.i130.beneficiaryFirstName.label': 'نام ذی‌نفع',
+        'schema.i130.beneficiaryDob.label': 'تاریخ تولد ذی‌نفع',
+        'schema.i130.beneficiaryBirthCountry.label': 'کشور محل تولد ذی‌نفع',
+        'schema.i130.beneficiaryANumber.label': 'A-Number ذی‌نفع',
+        'schema.i130.step4.title': 'ازدواج',
+        'schema.i130.step4.heading': 'بخش ۴ - ازدواج',
+        'schema.i130.marriageDate.label': 'تاریخ ازدواج',
+        'schema.i130.marriagePlace.label': 'محل ازدواج',
+        'schema.i130.check.petitionerStatus.equals': 'فقط شهروندان آمریکا می‌توانند برای والدین یا خواهر و برادر درخواست دهند.',
+        'schema.i130.reason.marriage_certificate.relationship': 'شما برای همسرتان درخواست می‌دهید',
+        'schema.i140.step1.title': 'کارفرما',
+        'schema.i140.step1.heading': 'بخش ۱ - اطلاعات کارفرما',
+        'schema.i140.employerName.label': 'نام کارفرما',
+        'schema.i140.employerEin.label': 'FEIN کارفرما',
+        'schema.i140.employerEin.pattern': 'یک FEIN نه‌رقمی وارد کنید (XX-XXXXXXX).',
+        'schema.i140.employerAddress.label': 'نشانی کارفرما',
+        'schema.i140.step2.title': 'طبقه‌بندی',
+        'schema.i140.step2.heading': 'بخش ۲ - نوع دادخواست',
+        'schema.i140.classification.label': 'طبقه‌بندی دادخواست',
+        'schema.i140.permCaseNumber.label': 'شماره پرونده PERM',
+        'schema.i140.step3.title': 'ذی‌نفع',
+        'schema.i140.step3.heading': 'بخش ۳ - اطلاعات ذی‌نفع',
+        'schema.i140.lastName.label': 'نام خانوادگی',
+        'schema.i140.firstName.label': 'نام',
+        'schema.i140.dob.label': 'تاریخ تولد',
+        'schema.i140.birthCountry.label': 'کشور محل تولد',
+        'schema.i140.step4.title': 'پیشنهاد شغلی',
+        'schema.i140.step4.heading': 'بخش ۴ - پیشنهاد شغلی',
+        'schema.i140.jobTitle.label': 'عنوان شغلی',
+        'schema.i140.socCode.label': 'کد SOC',
+        'schema.i140.offeredWage.label': 'دستمزد پیشنهادی (سالانه)',
+        'schema.i765.step1.title': 'دلیل',
+        'schema.i765.step1.heading': 'بخش ۱ - دلیل درخواست',
+        'schema.i765.eadReason.label': 'درخواست من برای',
+        'schema.i765.eadReason.initial': 'اجازه اولیه برای پذیرفتن کار',
+        'schema.i765.eadReason.replacement': 'جایگزینی کارت گم‌شده، دزدیده‌شده یا آسیب‌دیده',
+        'schema.i765.eadReason.renewal': 'تمدید اجازه من برای پذیرفتن کار',
+        'schema.i765.eligibilityCategory.label': 'دسته صلاحیت',
+        'schema.i765.eligibilityCategory.pattern': 'دسته‌ای مانند (c)(9) وارد کنید.',
+        'schema.i765.step2.title': 'درباره شما',
+        'schema.i765.step2.heading': 'بخش ۲ - اطلاعات درباره شما',
+        'schema.i765.lastName.label': 'نام خانوادگی',
+        'schema.i765.firstName.label': 'نام',
+        'schema.i765.dob.label': 'تاریخ تولد',
+        'schema.i765.birthCountry.label': 'کشور محل تولد',
+        'schema.i765.i94Number.label': 'شماره سابقه I-94',
+        'schema.i765.step3.title': 'نشانی',
+        'schema.i765.step3.heading': 'بخش ۳ - نشانی پستی',
+        'schema.i765.currentAddress.label': 'نشانی خیابان',
+        'schema.i765.currentCity.label': 'شهر',
+        'schema.i765.currentState.label': 'ایالت',
+        'schema.i765.currentZip.label': 'کد پستی (ZIP)',
+        'schema.i131.step1.title': 'نوع سند',
+        'schema.i131.step1.heading': 'بخش ۱ - نوع درخواست',
+        'schema.i131.travelDocumentType.label': 'سند سفر درخواستی',
+        'schema.i131.travelDocumentType.reentry': 'مجوز ورود مجدد',
+        'schema.i131.travelDocumentType.refugee': 'سند سفر پناهندگی',
+        'schema.i131.travelDocumentType.advanceParole': 'سند اجازه سفر پیشاپیش (Advance Parole)',
+        'schema.i131.step2.title': 'درباره شما',
+        'schema.i131.step2.heading': 'بخش ۲ - اطلاعات درباره شما',
+        'schema.i131.lastName.label': 'نام خانوادگی',
+        'schema.i131.firstName.label': 'نام',
+        'schema.i131.dob.label': 'تاریخ تولد',
+        'schema.i131.birthCountry.label': 'کشور محل تولد',
+        'schema.i131.step3.title': 'سفر',
+        'schema.i131.step3.heading': 'بخش ۳ - سفر پیشنهادی',
+        'schema.i131.intendedDepartureDate.label': 'تاریخ حرکت مورد نظر',
+        'schema.i131.expectedTripLength.label': 'مدت پیش‌بینی‌شده سفر (روز)',
+        'schema.i131.countriesToVisit.label': 'کشورهای مقصد',
+        'schema.i131.tripPurpose.label': 'هدف سفر',
+        'schema.i131.check.intendedDepartureDate.futureDate': 'تاریخ حرکت مورد نظر باید در آینده باشد.'
+    }
+};
+
+// Export to global scope
+window.I18N_MESSAGES = I18N_MESSAGES;
@@ -0,0 +1,265 @@
+/**
+ * Visa Guide AI - Internationalization
+ * Locale switching for every page: message lookup from the catalogs in
+ * i18n-messages.js, translation of marked-up elements, locale-aware date and currency
+ * formatting, the speech recognition / synthesis language and right-to-left layout.
+ *
+ * Markup:
+ *   data-i18n="key"             - element text (the last text node beside any icons)
+ *   data-i18n-placeholder="key" - placeholder attribute
+ *   data-i18n-title="key"       - title attribute
+ *   data-language-select        - <select> filled with the locales and bound to setLocale
+ *
+ * The chosen locale is kept in localStorage ('language') and, when signed in, in the
+ * user's settings through DataSync so it follows them to other devices.
+ */
+
+const I18n = {
+    // Supported locales - tag is the BCP 47 tag used for Intl and speech
+    LOCALES: {
+        en: { name: 'English', tag: 'en-US', dir: 'ltr' },
+        es: { name: 'Español', tag: 'es-US', dir: 'ltr' },
+        zh: { name: '中文', tag: 'zh-CN', dir: 'ltr' },
+        ar: { name: 'العربية', tag: 'ar', dir: 'rtl' },
+        fa: { name: 'فارسی', tag: 'fa-IR', dir: 'rtl' }
+    },
+
+    DEFAULT_LOCALE: 'en',
+    STORAGE_KEY: 'language',
+
+    locale: 'en',
+    listeners: [],
+
+    /**
+     * Pick the saved locale (or the browser's) and apply it to the document
+     */
+    init: function() {
+        let saved = null;
+        try {
+            saved = localStorage.getItem(this.STORAGE_KEY);
+        } catch (error) {
+            console.warn('Could not read the saved language:', error);
+        }
+
+        const browser = typeof navigator !== 'undefined' && navigator.language ? navigator.language : '';
+        this.locale = this.resolve(saved) || this.resolve(browser) || this.DEFAULT_LOCALE;
+        this._applyDocument();
+    },
+
+    /**
+     * Supported locale for a language code or tag ('es-MX' -> 'es'), or null
+     */
+    resolve: function(language) {
+        if (!language) return null;
+        const code = String(language).toLowerCase().split(/[-_]/)[0];
+        return this.LOCALES[code] ? code : null;
+    },
+
+    /**
+     * Switch the locale, translate the page and notify listeners
+     * @param {string} locale - Locale code or tag
+     * @param {Object} options - { save: false } when applying a synced setting (nothing to write back)
+     * @returns {boolean} - false for an unsupported locale
+     */
+    setLocale: function(locale, options) {
+        const resolved = this.resolve(locale);
+        if (!resolved) {
+            console.warn('Unsupported language:', locale);
+            return false;
+        }
+
+        const changed = resolved !== this.locale;
+        this.locale = resolved;
+
+        if (!options || options.save !== false) {
+            this._save(resolved);
+        }
+
+        this._applyDocument();
+        if (changed) {
+            this.translate();
+            this.listeners.forEach(listener => {
+                try {
+                    listener(resolved);
+                } catch (error) {
+                    console.error('Language listener failed:', error);
+                }
+            });
+        }
+        return true;
+    },
+
+    /**
+     * Call a function whenever the locale changes (to re-render text built in script)
+     */
+    onChange: function(listener) {
+        if (typeof listener === 'function') {
+            this.listeners.push(listener);
+        }
+    },
+
+    /**
+     * Message for a key in the current locale, falling back to English and then the key
+     * @param {string} key - Catalog key, e.g. 'nav.dashboard'
+     * @param {Object} params - Values for {placeholders}
+     * @param {string} locale - Defaults to the current locale
+     */
+    t: function(key, params, locale) {
+        const catalogs = typeof I18N_MESSAGES !== 'undefined' ? I18N_MESSAGES : {};
+        const current = catalogs[this.resolve(locale) || this.locale] || {};
+        const fallback = catalogs[this.DEFAULT_LOCALE] || {};
+        const message = current[key] !== undefined ? current[key] : fallback[key];
+
+        if (message === undefined) {
+            console.warn('Missing translation:', key);
+            return key;
+        }
+        return params
+            ? message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match))
+            : message;
+    },
+
+    /**
+     * Whether a locale (default the current one) has its own message for a key, not the English fallback
+     */
+    has: function(key, locale) {
+        const catalogs = typeof I18N_MESSAGES !== 'undefined' ? I18N_MESSAGES : {};
+        const current = catalogs[this.resolve(locale) || this.locale];
+        return !!(current && current[key] !== undefined);
+    },
+
+    /**
+     * Translate marked-up elements and fill language selects
+     * @param {Element} root - Defaults to the whole document
+     */
+    translate: function(root) {
+        root = root || document;
+
+        root.querySelectorAll('[data-i18n]').forEach(el => this._setText(el, this.t(el.dataset.i18n)));
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+            el.setAttribute('placeholder', this.t(el.dataset.i18nPlaceholder));
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(el => {
+            el.setAttribute('title', this.t(el.dataset.i18nTitle));
+        });
+        root.querySelectorAll('select[data-language-select]').forEach(select => this._fillSelect(select));
+    },
+
+    isRtl: function() {
+        return this.LOCALES[this.locale].dir === 'rtl';
+    },
+
+    /**
+     * BCP 47 tag for speech recognition and synthesis
+     * @param {string} locale - Defaults to the current locale
+     */
+    speechLang: function(locale) {
+        return this.LOCALES[this.resolve(locale) || this.locale].tag;
+    },
+
+    /**
+     * Name of a locale in its own language
+     */
+    languageName: function(locale) {
+        return this.LOCALES[this.resolve(locale) || this.locale].name;
+    },
+
+    /**
+     * @param {Date|string} date - Date or ISO string (date-only strings are local dates)
+     * @param {Object} options - Intl.DateTimeFormat options, default long date
+     * @param {string} locale - Defaults to the current locale
+     */
+    formatDate: function(date, options, locale) {
+        if (typeof date === 'string') {
+            date = /^\d{4}-\d{2}-\d{2}$/.test(date) ? new Date(date + 'T00:00:00') : new Date(date);
+        }
+        if (!(date instanceof Date) || isNaN(date)) return '';
+
+        return date.toLocaleString(this._intlTag(locale), options || { month: 'long', day: 'numeric', year: 'numeric' });
+    },
+
+    formatNumber: function(value, options) {
+        return Number(value || 0).toLocaleString(this._intlTag(), options);
+    },
+
+    /**
+     * Fees are always in U.S. dollars - only the number format follows the locale
+     */
+    formatCurrency: function(amount, currency) {
+        return this.formatNumber(amount, {
+            style: 'currency',
+            currency: currency || 'USD',
+            maximumFractionDigits: Number.isInteger(Number(amount)) ? 0 : 2
+        });
+    },
+
+    // ============ PRIVATE ============
+
+    /**
+     * Locale tag for Intl - always the Gregorian calendar, since USCIS dates are
+     * Gregorian and fa-IR would otherwise format them in the Persian calendar
+     */
+    _intlTag: function(locale) {
+        return this.LOCALES[this.resolve(locale) || this.locale].tag + '-u-ca-gregory';
+    },
+
+    _applyDocument: function() {
+        const root = document.documentElement;
+        root.setAttribute('lang', this.LOCALES[this.locale].tag);
+        root.setAttribute('dir', this.LOCALES[this.locale].dir);
+    },
+
+    /**
+     * Replace an element's text without removing its icons: the last non-blank text
+     * node is rewritten, or the whole text when the element has no child elements
+     */
+    _setText: function(el, text) {
+        const nodes = Array.from(el.childNodes).filter(node => node.nodeType === 3 && node.nodeValue.trim());
+
+        if (nodes.length > 0) {
+            const node = nodes[nodes.length - 1];
+            node.nodeValue = node.nodeValue.replace(/^(\s*)[\s\S]*?(\s*)$/, (match, before, after) => before + text + after);
+        } else if (el.children.length === 0) {
+            el.textContent = text;
+        } else {
+            el.appendChild(document.createTextNode(' ' + text));
+        }
+    },
+
+    _fillSelect: function(select) {
+        if (!select.options.length) {
+            Object.keys(this.LOCALES).forEach(code => {
+                const option = document.createElement('option');
+                option.value = code;
+                option.textContent = this.LOCALES[code].name;
+                select.appendChild(option);
+            });
+            select.addEventListener('change', () => this.setLocale(select.value));
+        }
+        select.value = this.locale;
+        select.setAttribute('title', this.t('common.language'));
+    },
+
+    _save: function(locale) {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, locale);
+        } catch (error) {
+            console.warn('Could not save the language:', error);
+        }
+
+        // Keep the other settings - saveSettings writes the settings map as a whole
+        const sync = window.dataSync;
+        if (sync && sync.userId && typeof sync.saveSettings === 'function') {
+            const settings = Object.assign({}, sync.serverData && sync.serverData.settings, { language: locale });
+            if (settings.language !== (sync.serverData && sync.serverData.settings && sync.serverData.settings.language)) {
+                sync.saveSettings(settings).catch(error => console.error('Error saving language:', error));
+            }
+        }
+    }
+};
+
+I18n.init();
+document.addEventListener('DOMContentLoaded', () => I18n.translate());
+
+// Export to global scope
+window.I18n = I18n;
@@ -0,0 +1,221 @@
+/**
+ * Visa Guide AI - Knowledge Base Content
+ * Bundled immigration passages the chatbot searches (see knowledge-base.js).
+ * Bump `version` whenever passages change and set `reviewed` on every passage you
+ * check against its source - answers show that date next to the citation.
+ *
+ * Passage: { id, title, topic, keywords, text, source: { name, url }, reviewed, link }
+ *   topic    - fees | documents | processing | forms | policy | civics | visas
+ *   keywords - extra search terms that do not appear in the text
+ *   link     - optional in-app page for the topic ({ label, href })
+ */
+
+const KNOWLEDGE_BASE_DATA = {
+    version: '2025.03',
+    passages: [
+        // ============ FEES ============
+        {
+            id: 'fees-common',
+            title: 'USCIS filing fees for common forms',
+            topic: 'fees',
+            keywords: 'cost price how much pay filing fee schedule',
+            text: 'Filing fees under the USCIS fee schedule effective April 1, 2024:\n* N-400 Naturalization: $760 on paper, $710 online ($380 reduced fee for eligible households)\n* I-485 Adjustment of Status: $1,440 ($950 for a child under 14 filing with a parent)\n* I-130 Petition for Alien Relative: $675 on paper, $625 online\n* I-140 Immigrant Worker: $715 plus a $600 Asylum Program Fee ($300 for small employers)\n* I-765 Work Permit: $520 on paper, $470 online ($260 with a pending I-485 filed on or after April 1, 2024)\n* I-131 Advance Parole: $630\n* I-90 Green Card Renewal: $465 on paper, $415 online\n* I-751 Remove Conditions: $750\nBiometrics are included in these fees. Fees change - confirm on the fee schedule (G-1055) before you pay.',
+            source: { name: 'USCIS Fee Schedule (G-1055)', url: 'https://www.uscis.gov/g-1055' },
+            reviewed: '2025-03-01',
+            link: { label: 'Fee Calculator', href: 'visa-guide-forms.html' }
+        },
+        {
+            id: 'fees-payment',
+            title: 'Paying USCIS fees',
+            topic: 'fees',
+            keywords: 'payment method check money order credit card g-1450 g-1650',
+            text: 'How to pay USCIS fees:\n* Online filings are paid in your USCIS account by card or bank account\n* Paper filings can be paid by check, money order, cashier\'s check, or by card or bank withdrawal using Form G-1450 or G-1650\n* Pay each form separately - one payment per form\n* A payment that is rejected makes the filing rejected, so check the amount and signature',
+            source: { name: 'USCIS - Paying USCIS Fees', url: 'https://www.uscis.gov/forms/filing-fees' },
+            reviewed: '2025-03-01'
+        },
+        {
+            id: 'fees-waiver',
+            title: 'Fee waivers and reduced fees (Form I-912)',
+            topic: 'fees',
+            keywords: 'waiver waive reduced fee low income poverty i-912 afford',
+            text: 'Form I-912 requests a fee waiver for certain forms, including N-400, I-90, I-765 and N-600. You may qualify if:\n* You or your household receive a means-tested benefit, or\n* Household income is at or below 150% of the Federal Poverty Guidelines, or\n* You have a financial hardship such as unexpected medical bills\nFor N-400, households between 150% and 400% of the poverty guidelines can pay the reduced fee instead.',
+            source: { name: 'USCIS - Form I-912', url: 'https://www.uscis.gov/i-912' },
+            reviewed: '2025-03-01'
+        },
+        {
+            id: 'fees-premium',
+            title: 'Premium processing',
+            topic: 'fees',
+            keywords: 'premium processing faster expedite i-907 15 days',
+            text: 'Premium processing (Form I-907) guarantees action within a set number of business days for eligible I-129 and I-140 petitions - 15 business days for most categories. The fee for most I-129 and I-140 categories is $2,805. USCIS refunds the fee if it does not act within the premium processing period.',
+            source: { name: 'USCIS - How Do I Request Premium Processing?', url: 'https://www.uscis.gov/forms/all-forms/how-do-i-request-premium-processing' },
+            reviewed: '2025-03-01'
+        },
+
+        // ============ DOCUMENTS ============
+        {
+            id: 'documents-n400',
+            title: 'Documents for the N-400 naturalization application',
+            topic: 'documents',
+            keywords: 'citizenship naturalization checklist evidence what do i need',
+            text: 'Send with your N-400:\n* A copy of both sides of your green card\n* The filing fee (or Form I-912 fee waiver request)\n* If you apply on the 3-year marriage basis: proof your spouse has been a U.S. citizen for the last 3 years and your marriage certificate\n* If you serve or served in the military: Form N-426\nBring to the interview: your green card, passport and travel documents, state ID, and records for any arrests, tax issues or child support.',
+            source: { name: 'USCIS - Form N-400', url: 'https://www.uscis.gov/n-400' },
+            reviewed: '2025-03-01',
+            link: { label: 'Start N-400 Application', href: 'visa-guide-forms.html' }
+        },
+        {
+            id: 'documents-i485',
+            title: 'Documents for the I-485 adjustment of status application',
+            topic: 'documents',
+            keywords: 'green card adjustment checklist evidence what do i need medical',
+            text: 'Typical I-485 initial evidence:\n* Two passport-style photos\n* Government-issued photo ID and birth certificate\n* Passport page with your nonimmigrant visa and your I-94 record\n* Form I-693 medical examination signed by a civil surgeon\n* Approval or receipt notice of the underlying petition (I-130 or I-140), or the petition itself if filing together\n* Form I-864 Affidavit of Support for most family-based cases\n* Certified court records for any arrests or convictions',
+            source: { name: 'USCIS - Form I-485 and Checklist of Required Initial Evidence', url: 'https://www.uscis.gov/i-485' },
+            reviewed: '2025-03-01',
+            link: { label: 'Start I-485 Application', href: 'visa-guide-forms.html' }
+        },
+        {
+            id: 'documents-i130',
+            title: 'Documents for the I-130 petition for a relative',
+            topic: 'documents',
+            keywords: 'family petition relative spouse checklist evidence',
+            text: 'With an I-130 send:\n* Proof of your status - U.S. passport, birth certificate, naturalization certificate, or green card\n* Proof of the relationship - marriage certificate, or birth certificates showing the parent-child or sibling relationship\n* For a spouse: evidence the marriage is genuine (joint lease or mortgage, joint bank accounts, photos) and passport photos of both spouses (I-130A for the spouse)\n* Proof any prior marriages ended (divorce decree or death certificate)',
+            source: { name: 'USCIS - Form I-130', url: 'https://www.uscis.gov/i-130' },
+            reviewed: '2025-03-01',
+            link: { label: 'File I-130 Petition', href: 'visa-guide-forms.html' }
+        },
+        {
+            id: 'documents-h1b-stamping',
+            title: 'Documents for an H-1B visa stamping interview',
+            topic: 'documents',
+            keywords: 'h1b h-1b stamping consulate embassy visa interview ds-160',
+            text: 'Bring to the consular interview:\n* Passport valid for at least 6 months beyond your stay\n* DS-160 confirmation page and the visa fee receipt\n* I-797 approval notice for the H-1B petition\n* A photo meeting the visa photo requirements\n* Commonly requested: employment verification letter, recent pay stubs, the Labor Condition Application, and your degree and transcripts\nThe consulate may ask for more - check its instructions before the appointment.',
+            source: { name: 'U.S. Department of State - Temporary Worker Visas', url: 'https://travel.state.gov/content/travel/en/us-visas/employment/temporary-worker-visas.html' },
+            reviewed: '2025-03-01'
+        },
+        {
+            id: 'documents-medical',
+            title: 'Medical examination (Form I-693)',
+            topic: 'documents',
+            keywords: 'medical exam civil surgeon vaccination i-693',
+            text: 'Most adjustment applicants need Form I-693, completed by a USCIS-designated civil surgeon. Submit the sealed I-693 with your I-485. The civil surgeon must have signed it no more than 60 days before you file, and USCIS may reject an I-485 filed without it. Vaccination records are reviewed during the exam.',
+            source: { name: 'USCIS - Form I-693', url: 'https://www.uscis.gov/i-693' },
+            reviewed: '2025-03-01'
+        },
+
+        // ============ PROCESSING ============
+        {
+            id: 'processing-times',
+            title: 'Processing times',
+            topic: 'processing',
+            keywords: 'how long timeline wait time deadline when processing',
+            text: 'Processing times vary by form, category and USCIS office and change every month, so check the official processing times tool for your form and office instead of relying on averages. If your case is outside the posted time, you can submit a case inquiry online. Respond to a Request for Evidence by the date on the notice - usually within 87 days (84 days plus 3 for mailing).',
+            source: { name: 'USCIS Case Processing Times', url: 'https://egov.uscis.gov/processing-times/' },
+            reviewed: '2025-03-01',
+            link: { label: 'View Your Deadlines', href: 'visa-guide-dashboard.html' }
+        },
+        {
+            id: 'processing-case-status',
+            title: 'Checking your case status',
+            topic: 'processing',
+            keywords: 'case status receipt number track check',
+            text: 'Check your case with the 13-character receipt number from your receipt notice (3 letters such as IOE, EAC, WAC, SRC or NBC followed by 10 digits) in Case Status Online or your USCIS account. Common statuses: Case Was Received, Case Is Being Actively Reviewed, Request for Evidence Was Sent, Interview Was Scheduled, Case Was Approved.',
+            source: { name: 'USCIS Case Status Online', url: 'https://egov.uscis.gov/' },
+            reviewed: '2025-03-01'
+        },
+
+        // ============ FORMS ============
+        {
+            id: 'forms-n400',
+            title: 'Form N-400, Application for Naturalization',
+            topic: 'forms',
+            keywords: 'citizenship naturalization apply citizen',
+            text: 'N-400 is the application to become a U.S. citizen. Steps:\n1. Check eligibility and gather documents\n2. File online or by mail with the fee\n3. Attend the biometrics appointment\n4. Interview - N-400 questions plus the English and civics tests\n5. Take the Oath of Allegiance\nYou can file up to 90 days before you meet the continuous residence requirement.',
+            source: { name: 'USCIS - Form N-400', url: 'https://www.uscis.gov/n-400' },
+            reviewed: '2025-03-01',
+            link: { label: 'Start N-400 Application', href: 'visa-guide-forms.html' }
+        },
+        {
+            id: 'forms-i485',
+            title: 'Form I-485, Application to Register Permanent Residence or Adjust Status',
+            topic: 'forms',
+            keywords: 'green card adjustment of status permanent resident',
+            text: 'I-485 lets someone in the United States apply for a green card without leaving. You need an immigrant category (usually an approved or concurrently filed I-130 or I-140) and, for preference categories, a priority date that is current in the Visa Bulletin. Steps: file with the fee and I-693, attend biometrics, respond to any request for evidence, attend an interview if scheduled.',
+            source: { name: 'USCIS - Form I-485', url: 'https://www.uscis.gov/i-485' },
+            reviewed: '2025-03-01',
+            link: { label: 'Start I-485 Application', href: 'visa-guide-forms.html' }
+        },
+        {
+            id: 'forms-i130',
+            title: 'Form I-130, Petition for Alien Relative',
+            topic: 'forms',
+            keywords: 'family petition relative spouse parent sibling child',
+            text: 'I-130 establishes the family relationship for a family-based green card.\n* U.S. citizens can petition for a spouse, children, parents (if the citizen is 21 or older) and siblings (if 21 or older)\n* Permanent residents can petition for a spouse and unmarried children\nAn approved I-130 does not by itself give status - the relative then applies through I-485 or a consulate.',
+            source: { name: 'USCIS - Form I-130', url: 'https://www.uscis.gov/i-130' },
+            reviewed: '2025-03-01',
+            link: { label: 'File I-130 Petition', href: 'visa-guide-forms.html' }
+        },
+        {
+            id: 'forms-i140',
+            title: 'Form I-140, Immigrant Petition for Alien Worker',
+            topic: 'forms',
+            keywords: 'employment based eb-1 eb-2 eb-3 perm worker employer niw',
+            text: 'I-140 is the employment-based immigrant petition.\n* EB-1: extraordinary ability, outstanding professors and researchers, multinational managers\n* EB-2: advanced degree or exceptional ability (National Interest Waiver can self-petition)\n* EB-3: skilled workers, professionals and other workers\nEB-2 and EB-3 usually need an approved PERM labor certification first. Premium processing is available for most categories.',
+            source: { name: 'USCIS - Form I-140', url: 'https://www.uscis.gov/i-140' },
+            reviewed: '2025-03-01',
+            link: { label: 'File I-140 Petition', href: 'visa-guide-forms.html' }
+        },
+        {
+            id: 'forms-i129-h1b',
+            title: 'H-1B petitions (Form I-129)',
+            topic: 'visas',
+            keywords: 'h1b h-1b i-129 cap lottery registration specialty occupation transfer',
+            text: 'The employer files Form I-129 for H-1B specialty occupation workers.\n* Annual cap: 65,000 regular plus 20,000 for U.S. master\'s degree holders\n* Cap cases need an electronic registration in March and selection in the lottery before filing (from April 1)\n* Requires a certified Labor Condition Application and at least a bachelor\'s degree or equivalent\n* Transfers and extensions for workers already counted against the cap are not subject to the lottery',
+            source: { name: 'USCIS - H-1B Specialty Occupations', url: 'https://www.uscis.gov/working-in-the-united-states/h-1b-specialty-occupations' },
+            reviewed: '2025-03-01'
+        },
+
+        // ============ POLICY ============
+        {
+            id: 'policy-continuous-residence',
+            title: 'Continuous residence for naturalization',
+            topic: 'policy',
+            keywords: 'continuous residence trip abroad absence break six months one year',
+            text: 'Naturalization requires 5 years of continuous residence as a permanent resident (3 years if married to and living with a U.S. citizen).\n* An absence of more than 6 months but less than 1 year is presumed to break continuous residence unless you show otherwise (for example, you kept your job and home in the U.S.)\n* An absence of 1 year or more breaks continuous residence unless you had an approved Form N-470',
+            source: { name: 'USCIS Policy Manual, Vol. 12, Part D, Chapter 3', url: 'https://www.uscis.gov/policy-manual/volume-12-part-d-chapter-3' },
+            reviewed: '2025-03-01'
+        },
+        {
+            id: 'policy-physical-presence',
+            title: 'Physical presence for naturalization',
+            topic: 'policy',
+            keywords: 'physical presence days in the us 30 months 18 months half',
+            text: 'You must have been physically present in the United States for at least half of the statutory period: 30 months (913 days) of the 5 years, or 18 months (548 days) of the 3 years on the marriage basis. Any day you spend part of in the U.S. counts as a day present. You must also have lived for 3 months in the state or USCIS district where you apply.',
+            source: { name: 'USCIS Policy Manual, Vol. 12, Part D, Chapter 4', url: 'https://www.uscis.gov/policy-manual/volume-12-part-d-chapter-4' },
+            reviewed: '2025-03-01'
+        },
+        {
+            id: 'policy-priority-dates',
+            title: 'Priority dates and the Visa Bulletin',
+            topic: 'policy',
+            keywords: 'priority date visa bulletin current backlog eb-2 eb-3 india china final action dates for filing',
+            text: 'Preference-category green cards are limited per year and per country, so applicants wait until their priority date (usually the date the PERM or petition was filed) is current. The State Department publishes Final Action Dates and Dates for Filing each month in the Visa Bulletin, and USCIS says each month which chart it accepts for I-485 filings. Cut-off dates move every month - check the current bulletin for your category and country.',
+            source: { name: 'U.S. Department of State - Visa Bulletin', url: 'https://travel.state.gov/content/travel/en/legal/visa-law0/visa-bulletin.html' },
+            reviewed: '2025-03-01'
+        },
+
+        // ============ CIVICS ============
+        {
+            id: 'civics-test',
+            title: 'The naturalization civics and English tests',
+            topic: 'civics',
+            keywords: 'civics test questions english reading writing speaking interview study',
+            text: 'At the naturalization interview an officer tests your English (speaking, reading one of three sentences, writing one of three sentences) and civics. For the 2008 civics test the officer asks up to 10 of 100 questions and you pass with 6 correct. Applicants who file on or after October 20, 2025 take the 2025 test: up to 20 of 128 questions, and you pass with 12 correct. You get a second chance to retake any part you fail within 60 to 90 days.',
+            source: { name: 'USCIS - Study for the Test', url: 'https://www.uscis.gov/citizenship/find-study-materials-and-resources/study-for-the-test' },
+            reviewed: '2025-11-01',
+            link: { label: 'Start Practice Quiz', href: 'visa-guide-civics.html' }
+        }
+    ]
+};
+
+// Export to global scope
+window.KNOWLEDGE_BASE_DATA = KNOWLEDGE_BASE_DATA;
@@ -0,0 +1,151 @@
+/**
+ * Visa Guide AI - Knowledge Base
+ * Full-text (BM25) search over the bundled passages in knowledge-base-data.js so chat
+ * answers can quote sourced passages and show when each was last reviewed.
+ */
+
+const KnowledgeBase = {
+    // BM25 parameters
+    K1: 1.2,
+    B: 0.75,
+
+    // Title and keyword terms count this many times as much as body terms
+    TITLE_WEIGHT: 3,
+
+    // Passages not reviewed for this long are marked as possibly out of date
+    STALE_AFTER_DAYS: 365,
+
+    STOP_WORDS: new Set(('a an and are as at be but by can do does for from have how i if in into is it me my ' +
+        'of on or our so that the their there this to was we what when where which who will with you your about need').split(' ')),
+
+    version: null,
+    passages: [],
+    index: null,
+
+    /**
+     * Load passages and build the index
+     * @param {Object} data - { version, passages } (defaults to KNOWLEDGE_BASE_DATA)
+     */
+    load: function(data) {
+        data = data || (typeof KNOWLEDGE_BASE_DATA !== 'undefined' ? KNOWLEDGE_BASE_DATA : { passages: [] });
+        this.version = data.version || null;
+        this.passages = data.passages || [];
+        this.index = this._buildIndex(this.passages);
+        return this;
+    },
+
+    /**
+     * Search passages
+     * @param {string} query - Free text
+     * @param {Object} options - { limit (default 3), topic, minScore }
+     * @returns {Array} - [{ passage, score, matched }] best first; matched is the number of query terms found
+     */
+    search: function(query, options) {
+        options = options || {};
+        if (!this.index) this.load();
+
+        const terms = Array.from(new Set(this.tokenize(query)));
+        if (terms.length === 0) return [];
+
+        const { docs, df, avgLength } = this.index;
+        const total = docs.length;
+
+        const results = docs.map(doc => {
+            if (options.topic && doc.passage.topic !== options.topic) return null;
+
+            let score = 0;
+            let matched = 0;
+            terms.forEach(term => {
+                const tf = doc.tf[term];
+                if (!tf) return;
+
+                matched++;
+                const idf = Math.log(1 + (total - df[term] + 0.5) / (df[term] + 0.5));
+                score += idf * (tf * (this.K1 + 1)) / (tf + this.K1 * (1 - this.B + this.B * doc.length / avgLength));
+            });
+            return score > 0 ? { passage: doc.passage, score: score, matched: matched } : null;
+        }).filter(Boolean);
+
+        return results
+            .filter(result => !options.minScore || result.score >= options.minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, options.limit || 3);
+    },
+
+    /**
+     * Citation for a passage
+     * @returns {Object} - { id, title, source, url, reviewed, stale }
+     */
+    cite: function(passage, today) {
+        return {
+            id: passage.id,
+            title: passage.title,
+            source: passage.source ? passage.source.name : '',
+            url: passage.source ? passage.source.url : '',
+            reviewed: passage.reviewed || null,
+            stale: this.isStale(passage, today)
+        };
+    },
+
+    /**
+     * Whether a passage has gone unreviewed for longer than STALE_AFTER_DAYS
+     */
+    isStale: function(passage, today) {
+        if (!passage.reviewed) return true;
+
+        const reviewed = new Date(passage.reviewed + 'T00:00:00');
+        const now = today || new Date();
+        return (now - reviewed) / (24 * 60 * 60 * 1000) > this.STALE_AFTER_DAYS;
+    },
+
+    /**
+     * Lowercase terms without stop words. Form numbers are joined ("I-485" -> "i485")
+     * and simple plurals are folded ("documents" -> "document").
+     */
+    tokenize: function(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/\b([a-z]{1,2})-(\d{2,4}[a-z]?)\b/g, '$1$2')
+            .replace(/\bh-?1b\b/g, 'h1b')
+            .split(/[^a-z0-9]+/)
+            .filter(term => term && !this.STOP_WORDS.has(term))
+            .map(term => this._stem(term));
+    },
+
+    // ============ PRIVATE ============
+
+    _buildIndex: function(passages) {
+        const df = {};
+        let totalLength = 0;
+
+        const docs = passages.map(passage => {
+            const weighted = [passage.title, passage.keywords].join(' ');
+            const terms = this.tokenize(passage.text);
+            for (let i = 0; i < this.TITLE_WEIGHT; i++) {
+                terms.push(...this.tokenize(weighted));
+            }
+
+            const tf = {};
+            terms.forEach(term => {
+                tf[term] = (tf[term] || 0) + 1;
+            });
+            Object.keys(tf).forEach(term => {
+                df[term] = (df[term] || 0) + 1;
+            });
+
+            totalLength += terms.length;
+            return { passage: passage, tf: tf, length: terms.length };
+        });
+
+        return { docs: docs, df: df, avgLength: docs.length ? totalLength / docs.length : 0 };
+    },
+
+    _stem: function(term) {
+        if (term.length > 4 && term.endsWith('ies')) return term.slice(0, -3) + 'y';
+        if (term.length > 3 && term.endsWith('s') && !term.endsWith('ss') && !/\d/.test(term)) return term.slice(0, -1);
+        return term;
+    }
+};
+
+// Export to global scope
+window.KnowledgeBase = KnowledgeBase;
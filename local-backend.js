@@ -0,0 +1,612 @@
+/**
+ * Visa Guide AI - Local Storage Backend
+ * In-browser implementation of the Firebase compat surface used by FirebaseCore
+ * (auth, Firestore documents/collections and Storage uploads), so the app can run
+ * offline, in tests and in on-prem demos without touching the production project.
+ *
+ * Documents and accounts persist in localStorage, uploaded files in IndexedDB
+ * (in memory when IndexedDB is unavailable). Select it with ?backend=local.
+ */
+
+const LOCAL_DB_KEY = 'localBackend_db';
+const LOCAL_USERS_KEY = 'localBackend_users';
+const LOCAL_SESSION_KEY = 'localBackend_session';
+const LOCAL_FILES_DB = 'visa-guide-local-files';
+
+// ============ HELPERS ============
+
+function localReadJSON(key, fallback) {
+    try {
+        const raw = localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : fallback;
+    } catch (e) {
+        console.warn('Local backend: could not read ' + key, e);
+        return fallback;
+    }
+}
+
+function localWriteJSON(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+        console.warn('Local backend: could not persist ' + key, e);
+    }
+}
+
+function localClone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function localGenerateId() {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    let id = '';
+    for (let i = 0; i < 20; i++) {
+        id += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return id;
+}
+
+function localError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function localIsPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Read a (possibly dotted) field path from an object
+ */
+function localGetField(data, fieldPath) {
+    return fieldPath.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), data);
+}
+
+/**
+ * Write a dotted field path into an object, creating intermediate maps
+ */
+function localSetField(data, fieldPath, value) {
+    const keys = fieldPath.split('.');
+    let target = data;
+    keys.slice(0, -1).forEach(key => {
+        if (!localIsPlainObject(target[key])) {
+            target[key] = {};
+        }
+        target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Deep-merge source into target the way Firestore set(..., { merge: true }) does
+ */
+function localDeepMerge(target, source) {
+    Object.entries(source).forEach(([key, value]) => {
+        if (localIsPlainObject(value) && localIsPlainObject(target[key])) {
+            localDeepMerge(target[key], value);
+        } else {
+            target[key] = localClone(value);
+        }
+    });
+    return target;
+}
+
+function localDefer(fn) {
+    return new Promise((resolve, reject) => {
+        setTimeout(() => {
+            try {
+                resolve(fn());
+            } catch (error) {
+                reject(error);
+            }
+        }, 0);
+    });
+}
+
+// ============ FIRESTORE ============
+
+class LocalFirestore {
+    constructor() {
+        this.store = localReadJSON(LOCAL_DB_KEY, {});
+        this.listeners = new Set();
+
+        // Keep other tabs in sync, like Firestore's realtime listeners would
+        window.addEventListener('storage', (event) => {
+            if (event.key === LOCAL_DB_KEY) {
+                this.store = localReadJSON(LOCAL_DB_KEY, {});
+                this._notify(null);
+            }
+        });
+    }
+
+    collection(path) {
+        return new LocalCollectionRef(this, path);
+    }
+
+    doc(path) {
+        return new LocalDocRef(this, path);
+    }
+
+    _read(path) {
+        return localClone(this.store[path]);
+    }
+
+    _write(path, data) {
+        if (data === undefined) {
+            delete this.store[path];
+        } else {
+            this.store[path] = localClone(data);
+        }
+        localWriteJSON(LOCAL_DB_KEY, this.store);
+        this._notify(path);
+    }
+
+    _listDocuments(collectionPath) {
+        const depth = collectionPath.split('/').length + 1;
+        return Object.keys(this.store)
+            .filter(path => path.startsWith(collectionPath + '/') && path.split('/').length === depth)
+            .map(path => new LocalDocSnapshot(this, path, this._read(path)));
+    }
+
+    _subscribe(listener) {
+        this.listeners.add(listener);
+        setTimeout(() => listener.fire(), 0);
+        return () => this.listeners.delete(listener);
+    }
+
+    _notify(changedPath) {
+        this.listeners.forEach(listener => {
+            if (!changedPath || listener.matches(changedPath)) {
+                setTimeout(() => listener.fire(), 0);
+            }
+        });
+    }
+}
+
+class LocalDocSnapshot {
+    constructor(db, path, data) {
+        this.ref = new LocalDocRef(db, path);
+        this.id = this.ref.id;
+        this.exists = data !== undefined;
+        this._data = data;
+    }
+
+    data() {
+        return localClone(this._data);
+    }
+
+    get(fieldPath) {
+        return localGetField(this._data, fieldPath);
+    }
+}
+
+class LocalQuerySnapshot {
+    constructor(docs) {
+        this.docs = docs;
+        this.size = docs.length;
+        this.empty = docs.length === 0;
+    }
+
+    forEach(callback) {
+        this.docs.forEach(callback);
+    }
+}
+
+class LocalDocRef {
+    constructor(db, path) {
+        if (path.split('/').length % 2 !== 0) {
+            throw localError('invalid-argument', 'Invalid document path: ' + path);
+        }
+        this.db = db;
+        this.path = path;
+        this.id = path.split('/').pop();
+    }
+
+    collection(name) {
+        return new LocalCollectionRef(this.db, this.path + '/' + name);
+    }
+
+    get() {
+        return localDefer(() => new LocalDocSnapshot(this.db, this.path, this.db._read(this.path)));
+    }
+
+    set(data, options = {}) {
+        return localDefer(() => {
+            const existing = this.db._read(this.path);
+            const next = options.merge && existing ? localDeepMerge(existing, data) : localClone(data);
+            this.db._write(this.path, next);
+        });
+    }
+
+    update(data) {
+        return localDefer(() => {
+            const existing = this.db._read(this.path);
+            if (existing === undefined) {
+                throw localError('not-found', 'No document to update: ' + this.path);
+            }
+            // update() treats dotted keys as field paths, like Firestore
+            Object.entries(data).forEach(([fieldPath, value]) => {
+                localSetField(existing, fieldPath, localClone(value));
+            });
+            this.db._write(this.path, existing);
+        });
+    }
+
+    delete() {
+        return localDefer(() => this.db._write(this.path, undefined));
+    }
+
+    onSnapshot(onNext, onError) {
+        return this.db._subscribe({
+            matches: (changedPath) => changedPath === this.path,
+            fire: () => {
+                try {
+                    onNext(new LocalDocSnapshot(this.db, this.path, this.db._read(this.path)));
+                } catch (error) {
+                    if (onError) onError(error);
+                }
+            }
+        });
+    }
+}
+
+class LocalCollectionRef {
+    constructor(db, path, constraints = {}) {
+        if (path.split('/').length % 2 !== 1) {
+            throw localError('invalid-argument', 'Invalid collection path: ' + path);
+        }
+        this.db = db;
+        this.path = path;
+        this.id = path.split('/').pop();
+        this.constraints = {
+            filters: constraints.filters || [],
+            order: constraints.order || null,
+            limit: constraints.limit || null
+        };
+    }
+
+    doc(id) {
+        return new LocalDocRef(this.db, this.path + '/' + (id || localGenerateId()));
+    }
+
+    add(data) {
+        const docRef = this.doc();
+        return docRef.set(data).then(() => docRef);
+    }
+
+    where(field, operator, value) {
+        return new LocalCollectionRef(this.db, this.path, {
+            ...this.constraints,
+            filters: this.constraints.filters.concat([{ field, operator, value }])
+        });
+    }
+
+    orderBy(field, direction = 'asc') {
+        return new LocalCollectionRef(this.db, this.path, {
+            ...this.constraints,
+            order: { field, direction }
+        });
+    }
+
+    limit(count) {
+        return new LocalCollectionRef(this.db, this.path, {
+            ...this.constraints,
+            limit: count
+        });
+    }
+
+    get() {
+        return localDefer(() => this._run());
+    }
+
+    onSnapshot(onNext, onError) {
+        return this.db._subscribe({
+            matches: (changedPath) => changedPath.startsWith(this.path + '/'),
+            fire: () => {
+                try {
+                    onNext(this._run());
+                } catch (error) {
+                    if (onError) onError(error);
+                }
+            }
+        });
+    }
+
+    _run() {
+        let docs = this.db._listDocuments(this.path).filter(snapshot => {
+            const data = snapshot.data();
+            return this.constraints.filters.every(filter => this._matches(localGetField(data, filter.field), filter));
+        });
+
+        if (this.constraints.order) {
+            const { field, direction } = this.constraints.order;
+            const sign = direction === 'desc' ? -1 : 1;
+            docs.sort((a, b) => {
+                const av = a.get(field);
+                const bv = b.get(field);
+                if (av === bv) return 0;
+                return (av > bv ? 1 : -1) * sign;
+            });
+        }
+
+        if (this.constraints.limit) {
+            docs = docs.slice(0, this.constraints.limit);
+        }
+
+        return new LocalQuerySnapshot(docs);
+    }
+
+    _matches(actual, filter) {
+        const expected = filter.value;
+        switch (filter.operator) {
+            case '==': return actual === expected;
+            case '!=': return actual !== expected;
+            case '<': return actual < expected;
+            case '<=': return actual <= expected;
+            case '>': return actual > expected;
+            case '>=': return actual >= expected;
+            case 'in': return Array.isArray(expected) && expected.includes(actual);
+            case 'not-in': return Array.isArray(expected) && !expected.includes(actual);
+            case 'array-contains': return Array.isArray(actual) && actual.includes(expected);
+            case 'array-contains-any':
+                return Array.isArray(actual) && Array.isArray(expected) && expected.some(v => actual.includes(v));
+            default:
+                throw localError('invalid-argument', 'Unsupported query operator: ' + filter.operator);
+        }
+    }
+}
+
+// ============ AUTH ============
+
+class LocalAuth {
+    constructor() {
+        this.users = localReadJSON(LOCAL_USERS_KEY, {});
+        this.currentUser = localReadJSON(LOCAL_SESSION_KEY, null);
+        this.listeners = [];
+    }
+
+    onAuthStateChanged(callback) {
+        this.listeners.push(callback);
+        setTimeout(() => callback(this.currentUser), 0);
+        return () => {
+            this.listeners = this.listeners.filter(l => l !== callback);
+        };
+    }
+
+    async signInWithEmailAndPassword(email, password) {
+        const account = this.users[(email || '').toLowerCase()];
+        if (!account) {
+            throw localError('auth/user-not-found', 'No account found with this email');
+        }
+        if (account.passwordHash !== await this._hashPassword(email, password)) {
+            throw localError('auth/wrong-password', 'Incorrect password');
+        }
+        this._setCurrentUser(account.user);
+        return { user: this.currentUser };
+    }
+
+    async createUserWithEmailAndPassword(email, password) {
+        const key = (email || '').toLowerCase();
+        if (this.users[key]) {
+            throw localError('auth/email-already-in-use', 'An account with this email already exists');
+        }
+        if (!password || password.length < 6) {
+            throw localError('auth/weak-password', 'Password should be at least 6 characters');
+        }
+
+        const user = {
+            uid: localGenerateId(),
+            email: email,
+            displayName: null,
+            photoURL: null
+        };
+        this.users[key] = { user: user, passwordHash: await this._hashPassword(email, password) };
+        localWriteJSON(LOCAL_USERS_KEY, this.users);
+
+        this._setCurrentUser(user);
+        return { user: this.currentUser };
+    }
+
+    async signOut() {
+        this._setCurrentUser(null);
+    }
+
+    async sendPasswordResetEmail(email) {
+        if (!this.users[(email || '').toLowerCase()]) {
+            throw localError('auth/user-not-found', 'No account found with this email');
+        }
+        // No mail server in local mode - nothing to send
+        console.info('Local backend: password reset requested for', email);
+    }
+
+    _setCurrentUser(user) {
+        this.currentUser = user ? { ...user } : null;
+        if (user) {
+            localWriteJSON(LOCAL_SESSION_KEY, user);
+        } else {
+            localStorage.removeItem(LOCAL_SESSION_KEY);
+        }
+        this.listeners.forEach(listener => setTimeout(() => listener(this.currentUser), 0));
+    }
+
+    async _hashPassword(email, password) {
+        const input = (email || '').toLowerCase() + ':' + password;
+        if (window.crypto && window.crypto.subtle && window.TextEncoder) {
+            const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(input));
+            return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+        }
+        return input;
+    }
+}
+
+// ============ STORAGE ============
+
+/**
+ * Blob store for uploaded files - IndexedDB when available, memory otherwise
+ */
+const LocalFileStore = {
+    memory: new Map(),
+    dbPromise: null,
+
+    _open: function() {
+        if (!window.indexedDB) {
+            return Promise.resolve(null);
+        }
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                const request = indexedDB.open(LOCAL_FILES_DB, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore('files');
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('Local backend: IndexedDB unavailable, keeping files in memory');
+                    resolve(null);
+                };
+            });
+        }
+        return this.dbPromise;
+    },
+
+    _request: async function(mode, action) {
+        const idb = await this._open();
+        if (!idb) return undefined;
+        return new Promise((resolve, reject) => {
+            const store = idb.transaction('files', mode).objectStore('files');
+            const request = action(store);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    put: async function(path, record) {
+        this.memory.set(path, record);
+        await this._request('readwrite', store => store.put(record, path));
+    },
+
+    get: async function(path) {
+        if (this.memory.has(path)) {
+            return this.memory.get(path);
+        }
+        const record = await this._request('readonly', store => store.get(path));
+        if (record) {
+            this.memory.set(path, record);
+        }
+        return record;
+    },
+
+    delete: async function(path) {
+        this.memory.delete(path);
+        await this._request('readwrite', store => store.delete(path));
+    }
+};
+
+class LocalUploadTask {
+    constructor(ref, file) {
+        this.snapshot = {
+            ref: ref,
+            bytesTransferred: 0,
+            totalBytes: file.size || 0,
+            state: 'running'
+        };
+        this._promise = LocalFileStore.put(ref.fullPath, {
+            blob: file,
+            name: file.name,
+            contentType: file.type,
+            size: file.size
+        }).then(() => {
+            this.snapshot.bytesTransferred = this.snapshot.totalBytes;
+            this.snapshot.state = 'success';
+            return this.snapshot;
+        });
+    }
+
+    on(event, onNext, onError, onComplete) {
+        this._promise.then((snapshot) => {
+            if (onNext) onNext(snapshot);
+            if (onComplete) onComplete();
+        }, (error) => {
+            if (onError) onError(error);
+        });
+        return () => {};
+    }
+
+    then(onFulfilled, onRejected) {
+        return this._promise.then(onFulfilled, onRejected);
+    }
+
+    catch(onRejected) {
+        return this._promise.catch(onRejected);
+    }
+}
+
+class LocalStorageRef {
+    constructor(fullPath) {
+        this.fullPath = fullPath;
+        this.name = fullPath.split('/').pop();
+    }
+
+    child(path) {
+        return new LocalStorageRef(this.fullPath + '/' + path);
+    }
+
+    put(file) {
+        return new LocalUploadTask(this, file);
+    }
+
+    async getDownloadURL() {
+        const record = await LocalFileStore.get(this.fullPath);
+        if (!record) {
+            throw localError('storage/object-not-found', 'No file at ' + this.fullPath);
+        }
+        // Object URLs only live for this page - callers should re-resolve after reload
+        return URL.createObjectURL(record.blob);
+    }
+
+    async delete() {
+        const record = await LocalFileStore.get(this.fullPath);
+        if (!record) {
+            throw localError('storage/object-not-found', 'No file at ' + this.fullPath);
+        }
+        await LocalFileStore.delete(this.fullPath);
+    }
+}
+
+class LocalStorageBucket {
+    ref(path = '') {
+        return new LocalStorageRef(path);
+    }
+}
+
+// ============ BACKEND ADAPTER ============
+
+const LocalBackend = {
+    name: 'local',
+
+    initialize: function(config) {
+        return {
+            app: { name: '[local]', options: config || {} },
+            auth: new LocalAuth(),
+            db: new LocalFirestore(),
+            storage: new LocalStorageBucket()
+        };
+    },
+
+    serverTimestamp: function() {
+        return new Date().toISOString();
+    },
+
+    /**
+     * Wipe all local accounts, documents and files
+     */
+    reset: async function() {
+        [LOCAL_DB_KEY, LOCAL_USERS_KEY, LOCAL_SESSION_KEY].forEach(key => localStorage.removeItem(key));
+        LocalFileStore.memory.clear();
+        await LocalFileStore._request('readwrite', store => store.clear());
+    }
+};
+
+// Export to global scope and register with FirebaseCore
+window.LocalBackend = LocalBackend;
+if (window.FirebaseCore) {
+    window.FirebaseCore.registerBackend('local', LocalBackend);
+}
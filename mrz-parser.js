@@ -0,0 +1,254 @@
+/**
+ * Visa Guide AI - MRZ Parser
+ * Reads the machine readable zone of travel and identity documents (ICAO 9303) and checks
+ * its check digits:
+ *   TD3 - passports, 2 lines of 44
+ *   TD2 - older ID cards and visas, 2 lines of 36
+ *   TD1 - ID cards and the Permanent Resident Card (back), 3 lines of 30
+ * Text from OCR is cleaned first: spaces dropped, look-alike characters fixed in number fields.
+ *
+ * Result: { format, documentCode, issuingCountry, lastName, givenNames, documentNumber,
+ *           nationality, dob, sex, expiry, optional, checks, valid }
+ *   dob, expiry - 'YYYY-MM-DD'
+ *   checks      - { documentNumber, dob, expiry, composite } true when the check digit matches
+ *   valid       - every check digit matches
+ */
+
+const MrzParser = {
+    FORMATS: {
+        TD1: { lines: 3, length: 30 },
+        TD2: { lines: 2, length: 36 },
+        TD3: { lines: 2, length: 44 }
+    },
+
+    // Check digit weights, repeated over the field
+    WEIGHTS: [7, 3, 1],
+
+    // OCR confusions in fields that only hold digits
+    DIGIT_FIXES: { O: '0', Q: '0', D: '0', I: '1', L: '1', Z: '2', S: '5', G: '6', B: '8' },
+
+    // ICAO country codes of the countries users come from most - others keep their code
+    COUNTRIES: {
+        AFG: 'Afghanistan', ARG: 'Argentina', AUS: 'Australia', BGD: 'Bangladesh', BRA: 'Brazil',
+        CAN: 'Canada', CHN: 'China', COL: 'Colombia', CUB: 'Cuba', DEU: 'Germany', DOM: 'Dominican Republic',
+        ECU: 'Ecuador', EGY: 'Egypt', ESP: 'Spain', ETH: 'Ethiopia', FRA: 'France', GBR: 'United Kingdom',
+        GHA: 'Ghana', GTM: 'Guatemala', HND: 'Honduras', HTI: 'Haiti', IND: 'India', IRN: 'Iran', IRQ: 'Iraq',
+        ITA: 'Italy', JAM: 'Jamaica', JPN: 'Japan', KEN: 'Kenya', KOR: 'South Korea', LBN: 'Lebanon',
+        MEX: 'Mexico', NGA: 'Nigeria', NPL: 'Nepal', PAK: 'Pakistan', PER: 'Peru', PHL: 'Philippines',
+        POL: 'Poland', RUS: 'Russia', SLV: 'El Salvador', SYR: 'Syria', TUR: 'Turkey', TWN: 'Taiwan',
+        UKR: 'Ukraine', USA: 'United States', VEN: 'Venezuela', VNM: 'Vietnam'
+    },
+
+    /**
+     * Find and parse an MRZ in a block of text (OCR output)
+     * @param {string} text - Text that may contain MRZ lines among others
+     * @returns {Object|null} - The best parse (most check digits matching), or null when no MRZ is found
+     */
+    find: function(text) {
+        const lines = String(text || '')
+            .split(/\r?\n/)
+            .map(line => this._clean(line))
+            .filter(line => line.length >= 26 && line.indexOf('<') !== -1 && /^[A-Z0-9<]+$/.test(line));
+
+        let best = null;
+        Object.keys(this.FORMATS).forEach(format => {
+            const size = this.FORMATS[format];
+            for (let i = 0; i + size.lines <= lines.length; i++) {
+                const group = lines.slice(i, i + size.lines);
+                if (!group.every(line => Math.abs(line.length - size.length) <= 2)) continue;
+
+                const result = this.parse(group, format);
+                if (result && (!best || this._score(result) > this._score(best))) {
+                    best = result;
+                }
+            }
+        });
+        return best;
+    },
+
+    /**
+     * Parse MRZ lines
+     * @param {Array|string} lines - The MRZ lines (or the text of them, one per line)
+     * @param {string} format - 'TD1' | 'TD2' | 'TD3'; guessed from the lines when left out
+     * @returns {Object|null} - Result, or null when the lines are not an MRZ of the format
+     */
+    parse: function(lines, format) {
+        lines = (Array.isArray(lines) ? lines : String(lines || '').split(/\r?\n/))
+            .map(line => this._clean(line))
+            .filter(Boolean);
+        format = format || this._format(lines);
+        const size = this.FORMATS[format];
+        if (!size || lines.length !== size.lines) return null;
+
+        lines = lines.map(line => (line + '<'.repeat(size.length)).slice(0, size.length));
+        return format === 'TD1' ? this._parseTD1(lines) : this._parseTwoLine(lines, format);
+    },
+
+    /**
+     * ICAO 9303 check digit of a field
+     * @param {string} value - Field characters (0-9, A-Z, <)
+     * @returns {number}
+     */
+    checkDigit: function(value) {
+        let sum = 0;
+        String(value).split('').forEach((char, i) => {
+            let digit = 0;
+            if (/[0-9]/.test(char)) {
+                digit = Number(char);
+            } else if (/[A-Z]/.test(char)) {
+                digit = char.charCodeAt(0) - 55;
+            }
+            sum += digit * this.WEIGHTS[i % 3];
+        });
+        return sum % 10;
+    },
+
+    /**
+     * Country name of an ICAO code ('IND' -> 'India'); unknown codes are returned as they are
+     */
+    countryName: function(code) {
+        return this.COUNTRIES[code] || code;
+    },
+
+    // ============ PRIVATE ============
+
+    // TD2 and TD3 share a layout: names on line 1, numbers on line 2
+    _parseTwoLine: function(lines, format) {
+        const line1 = lines[0];
+        const last = lines[1].length - 1;
+        const line2 = this._fixDigits(lines[1], [[9, 10], [13, 20], [21, 28], [last, last + 1]]);
+        const names = this._names(line1.slice(5));
+
+        const number = this._documentNumber(line2.slice(0, 9), line2[9], '');
+        const checks = {
+            documentNumber: number.valid,
+            dob: this._check(line2.slice(13, 19), line2[19]),
+            expiry: this._check(line2.slice(21, 27), line2[27]),
+            composite: this._check(line2.slice(0, 10) + line2.slice(13, 20) + line2.slice(21, last), line2[last])
+        };
+        // The personal number of a passport has its own check digit ('<' when there is none)
+        if (format === 'TD3' && line2[42] !== '<') {
+            checks.optional = this._check(line2.slice(28, 42), line2[42]);
+        }
+
+        return this._result(format, {
+            documentCode: this._trim(line1.slice(0, 2)),
+            issuingCountry: this._trim(line1.slice(2, 5)),
+            lastName: names.lastName,
+            givenNames: names.givenNames,
+            documentNumber: number.value,
+            nationality: this._trim(line2.slice(10, 13)),
+            dob: this._date(line2.slice(13, 19), 'past'),
+            sex: line2[20] === '<' ? '' : line2[20],
+            expiry: this._date(line2.slice(21, 27), 'future'),
+            optional: this._trim(line2.slice(28, format === 'TD3' ? 42 : last))
+        }, checks);
+    },
+
+    _parseTD1: function(lines) {
+        const line1 = this._fixDigits(lines[0], [[14, 15]]);
+        const line2 = this._fixDigits(lines[1], [[0, 7], [8, 15], [29, 30]]);
+        const names = this._names(lines[2]);
+
+        const number = this._documentNumber(line1.slice(5, 14), line1[14], line1.slice(15, 30));
+        return this._result('TD1', {
+            documentCode: this._trim(line1.slice(0, 2)),
+            issuingCountry: this._trim(line1.slice(2, 5)),
+            lastName: names.lastName,
+            givenNames: names.givenNames,
+            documentNumber: number.value,
+            nationality: this._trim(line2.slice(15, 18)),
+            dob: this._date(line2.slice(0, 6), 'past'),
+            sex: line2[7] === '<' ? '' : line2[7],
+            expiry: this._date(line2.slice(8, 14), 'future'),
+            optional: this._trim(number.long ? line1.slice(15 + number.used, 30) : line1.slice(15, 30))
+        }, {
+            documentNumber: number.valid,
+            dob: this._check(line2.slice(0, 6), line2[6]),
+            expiry: this._check(line2.slice(8, 14), line2[14]),
+            composite: this._check(line1.slice(5, 30) + line2.slice(0, 7) + line2.slice(8, 15) + line2.slice(18, 29), line2[29])
+        });
+    },
+
+    _result: function(format, fields, checks) {
+        return Object.assign({ format: format }, fields, {
+            checks: checks,
+            valid: Object.keys(checks).every(key => checks[key])
+        });
+    },
+
+    // A number longer than 9 characters continues in the optional data, with its check digit
+    // at the end of it - the check digit position then holds '<'
+    _documentNumber: function(field, check, optional) {
+        if (check === '<' && optional) {
+            const rest = optional.split('<')[0];
+            const value = field + rest.slice(0, -1);
+            return { value: this._trim(value), valid: this._check(value, rest.slice(-1)), long: true, used: rest.length };
+        }
+        return { value: this._trim(field), valid: this._check(field, check), long: false, used: 0 };
+    },
+
+    // Dates and check digits only hold digits ('<' stays)
+    _fixDigits: function(line, ranges) {
+        let fixed = line;
+        ranges.forEach(([start, end]) => {
+            fixed = fixed.slice(0, start) + this._digits(fixed.slice(start, end)) + fixed.slice(end);
+        });
+        return fixed;
+    },
+
+    // 'SMITH<<JOHN<PAUL' -> { lastName: 'SMITH', givenNames: 'JOHN PAUL' }
+    _names: function(field) {
+        const parts = field.replace(/0/g, 'O').split('<<');
+        const clean = part => (part || '').split('<').filter(Boolean).join(' ').trim();
+        return { lastName: clean(parts[0]), givenNames: clean(parts.slice(1).join('<')) };
+    },
+
+    _check: function(value, check) {
+        return /^[0-9]$/.test(check || '') && this.checkDigit(value) === Number(check);
+    },
+
+    _digits: function(value) {
+        return String(value).split('').map(char => this.DIGIT_FIXES[char] || char).join('');
+    },
+
+    // YYMMDD -> YYYY-MM-DD; birth dates are in the past, expiry dates in this century
+    _date: function(value, when) {
+        if (!/^\d{6}$/.test(value)) return '';
+
+        const yy = Number(value.slice(0, 2));
+        const month = value.slice(2, 4);
+        const day = value.slice(4, 6);
+        if (Number(month) < 1 || Number(month) > 12 || Number(day) < 1 || Number(day) > 31) return '';
+
+        const currentYear = new Date().getFullYear() % 100;
+        const century = when === 'past' && yy > currentYear ? 1900 : 2000;
+        return (century + yy) + '-' + month + '-' + day;
+    },
+
+    _trim: function(value) {
+        return String(value).replace(/<+$/, '').replace(/</g, ' ').trim();
+    },
+
+    _clean: function(line) {
+        return String(line || '')
+            .toUpperCase()
+            .replace(/[«‹]/g, '<')
+            .replace(/\s+/g, '');
+    },
+
+    _format: function(lines) {
+        return Object.keys(this.FORMATS).find(format => {
+            const size = this.FORMATS[format];
+            return lines.length === size.lines && lines.every(line => Math.abs(line.length - size.length) <= 2);
+        }) || null;
+    },
+
+    _score: function(result) {
+        const checks = Object.keys(result.checks).map(key => result.checks[key]);
+        return checks.filter(Boolean).length / checks.length;
+    }
+};
+
+// Export to global scope
+window.MrzParser = MrzParser;
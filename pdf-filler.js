@@ -0,0 +1,662 @@
+/**
+ * Visa Guide AI - PDF Filler
+ * Maps saved form data (see FormRegistry) onto the AcroForm fields of the official
+ * USCIS PDFs and produces a filled, flattened copy. Values with no matching field,
+ * or too long for their field, go to an "Additional Information" continuation sheet.
+ *
+ * Official PDFs are not bundled: they are downloaded from uscis.gov into pdf-templates/
+ * (same origin - uscis.gov does not allow cross-origin downloads), see
+ * pdf-templates/README.md. A missing template is an error (pdf/template-missing), not a
+ * silent fallback - a summary PDF is only made when asked for or for forms without a map.
+ * Answers go in with the standard Helvetica font, which only has Latin (WinAnsi)
+ * characters: other letters are transliterated or replaced and the answer is reported.
+ * Requires pdf-lib (window.PDFLib) for filling and jsPDF + autoTable for summaries.
+ */
+
+const PdfFiller = {
+    /**
+     * AcroForm mappings per form id.
+     * Entry: { pdf: '<AcroForm field name>', from: '<schema field id>', checked?: '<value>', maxLength? }
+     *   checked   - tick the checkbox when the saved value equals this
+     *   maxLength - overrides the PDF field's own max length
+     * Field names must match the template exactly - a name that is not found is reported in
+     * report.unmatched and its answer goes on the continuation sheet. Run verifyTemplate()
+     * after installing a new edition. Select answers go into dropdowns by option value or label.
+     *
+     * trips: { from, covers, total, rows, columns } - the N-400 time-outside-the-U.S. table
+     *   covers  - schema fields answered by the table (no continuation entry of their own)
+     *   total   - field for the total days abroad in the last 5 years
+     *   columns - per-row field names, '{row}' is replaced by the row index
+     */
+    mappings: {
+        n400: {
+            template: 'pdf-templates/n-400.pdf',
+            fields: [
+                { pdf: 'form1[0].#subform[0].Part1_Eligibility[0]', from: 'eligibilityBasis', checked: '5years' },
+                { pdf: 'form1[0].#subform[0].Part1_Eligibility[1]', from: 'eligibilityBasis', checked: '3years' },
+                { pdf: 'form1[0].#subform[0].Part1_Eligibility[3]', from: 'eligibilityBasis', checked: 'military' },
+                { pdf: 'form1[0].#subform[0].Part1_Eligibility[4]', from: 'eligibilityBasis', checked: 'uscis' },
+                { pdf: 'form1[0].#subform[1].P2_Line1_FamilyName[0]', from: 'lastName' },
+                { pdf: 'form1[0].#subform[1].P2_Line1_GivenName[0]', from: 'firstName' },
+                { pdf: 'form1[0].#subform[1].P2_Line1_MiddleName[0]', from: 'middleName' },
+                { pdf: 'form1[0].#subform[1].P2_Line1_AlienNumber[0]', from: 'aNumber', maxLength: 9 },
+                { pdf: 'form1[0].#subform[1].P2_Line8_DateOfBirth[0]', from: 'dob' },
+                { pdf: 'form1[0].#subform[1].P2_Line10_CountryOfBirth[0]', from: 'birthCountry' },
+                { pdf: 'form1[0].#subform[1].P2_Line11_CountryOfNationality[0]', from: 'nationality' },
+                { pdf: 'form1[0].#subform[1].P2_Line9_DateBecamePermanentResident[0]', from: 'lprDate' },
+                { pdf: 'form1[0].#subform[2].P4_Line1_StreetName[0]', from: 'currentAddress' },
+                { pdf: 'form1[0].#subform[2].P4_Line1_City[0]', from: 'currentCity' },
+                { pdf: 'form1[0].#subform[2].P4_Line1_State[0]', from: 'currentState' },
+                { pdf: 'form1[0].#subform[2].P4_Line1_ZipCode[0]', from: 'currentZip' },
+                { pdf: 'form1[0].#subform[2].P4_Line1_County[0]', from: 'currentCounty' },
+                { pdf: 'form1[0].#subform[3].P5_Line1_MaritalStatus[0]', from: 'maritalStatus', checked: 'single' },
+                { pdf: 'form1[0].#subform[3].P5_Line1_MaritalStatus[1]', from: 'maritalStatus', checked: 'married' },
+                { pdf: 'form1[0].#subform[3].P5_Line1_MaritalStatus[2]', from: 'maritalStatus', checked: 'divorced' },
+                { pdf: 'form1[0].#subform[3].P5_Line1_MaritalStatus[3]', from: 'maritalStatus', checked: 'widowed' },
+                { pdf: 'form1[0].#subform[3].P5_Line1_MaritalStatus[4]', from: 'maritalStatus', checked: 'separated' },
+                { pdf: 'form1[0].#subform[3].P5_Line4_SpouseFullName[0]', from: 'spouseName' },
+                { pdf: 'form1[0].#subform[3].P5_Line4_SpouseDateOfBirth[0]', from: 'spouseDob' },
+                { pdf: 'form1[0].#subform[3].P5_Line4_DateOfMarriage[0]', from: 'marriageDate' },
+                { pdf: 'form1[0].#subform[4].P7_Line1_EmployerName[0]', from: 'employer' },
+                { pdf: 'form1[0].#subform[4].P7_Line1_Occupation[0]', from: 'occupation' },
+                { pdf: 'form1[0].#subform[4].P7_Line1_EmployerAddress[0]', from: 'employerAddress' },
+                { pdf: 'form1[0].#subform[4].P7_Line1_DateFrom[0]', from: 'employerStartDate' },
+                { pdf: 'form1[0].#subform[4].P7_Line1_DateTo[0]', from: 'employerEndDate' },
+                { pdf: 'form1[0].#subform[6].P9_Line1_Communist[0]', from: 'communistParty', checked: 'yes' },
+                { pdf: 'form1[0].#subform[6].P9_Line1_Communist[1]', from: 'communistParty', checked: 'no' },
+                { pdf: 'form1[0].#subform[7].P9_Line15_Charged[0]', from: 'criminalCharges', checked: 'yes' },
+                { pdf: 'form1[0].#subform[7].P9_Line15_Charged[1]', from: 'criminalCharges', checked: 'no' }
+            ],
+            trips: {
+                from: 'trips',
+                covers: ['tripsAbroad'],
+                total: 'form1[0].#subform[5].P8_Line1_TotalDaysOutside[0]',
+                rows: 6,
+                columns: {
+                    departureDate: 'form1[0].#subform[5].P8_Line2_DateLeft[{row}]',
+                    returnDate: 'form1[0].#subform[5].P8_Line2_DateReturned[{row}]',
+                    destination: 'form1[0].#subform[5].P8_Line2_Countries[{row}]',
+                    days: 'form1[0].#subform[5].P8_Line2_TotalDays[{row}]'
+                }
+            }
+        },
+        i485: {
+            template: 'pdf-templates/i-485.pdf',
+            fields: [
+                { pdf: 'form1[0].#subform[0].Pt1Line1_FamilyName[0]', from: 'lastName' },
+                { pdf: 'form1[0].#subform[0].Pt1Line1_GivenName[0]', from: 'firstName' },
+                { pdf: 'form1[0].#subform[0].Pt1Line1_MiddleName[0]', from: 'middleName' },
+                { pdf: 'form1[0].#subform[0].Pt1Line3_DOB[0]', from: 'dob' },
+                { pdf: 'form1[0].#subform[0].Pt1Line7_CountryOfBirth[0]', from: 'birthCountry' },
+                { pdf: 'form1[0].#subform[0].Pt1Line8_CountryOfCitizenship[0]', from: 'nationality' },
+                { pdf: 'form1[0].#subform[0].Pt1Line4_AlienNumber[0]', from: 'aNumber', maxLength: 9 },
+                { pdf: 'form1[0].#subform[1].Pt1Line10_I94Number[0]', from: 'i94Number' },
+                { pdf: 'form1[0].#subform[1].Pt1Line10_DateOfArrival[0]', from: 'lastArrivalDate' },
+                { pdf: 'form1[0].#subform[1].Pt1Line18_StreetNumberName[0]', from: 'currentAddress' },
+                { pdf: 'form1[0].#subform[1].Pt1Line18_CityOrTown[0]', from: 'currentCity' },
+                { pdf: 'form1[0].#subform[1].Pt1Line18_State[0]', from: 'currentState' },
+                { pdf: 'form1[0].#subform[1].Pt1Line18_ZipCode[0]', from: 'currentZip' },
+                { pdf: 'form1[0].#subform[3].Pt2Line1_ReceiptNumber[0]', from: 'underlyingReceiptNumber' },
+                { pdf: 'form1[0].#subform[3].Pt2Line1_PriorityDate[0]', from: 'priorityDate' },
+                { pdf: 'form1[0].#subform[6].Pt6Line1_MaritalStatus[0]', from: 'maritalStatus', checked: 'single' },
+                { pdf: 'form1[0].#subform[6].Pt6Line1_MaritalStatus[1]', from: 'maritalStatus', checked: 'married' },
+                { pdf: 'form1[0].#subform[6].Pt6Line1_MaritalStatus[2]', from: 'maritalStatus', checked: 'divorced' },
+                { pdf: 'form1[0].#subform[6].Pt6Line1_MaritalStatus[3]', from: 'maritalStatus', checked: 'widowed' },
+                { pdf: 'form1[0].#subform[6].Pt6Line1_MaritalStatus[4]', from: 'maritalStatus', checked: 'separated' },
+                { pdf: 'form1[0].#subform[6].Pt6Line4_SpouseFullName[0]', from: 'spouseName' },
+                { pdf: 'form1[0].#subform[9].Pt8Line25_Charged[0]', from: 'criminalCharges', checked: 'yes' },
+                { pdf: 'form1[0].#subform[9].Pt8Line25_Charged[1]', from: 'criminalCharges', checked: 'no' },
+                { pdf: 'form1[0].#subform[10].Pt8Line50_Violations[0]', from: 'immigrationViolations', checked: 'yes' },
+                { pdf: 'form1[0].#subform[10].Pt8Line50_Violations[1]', from: 'immigrationViolations', checked: 'no' }
+            ]
+        },
+        i130: {
+            template: 'pdf-templates/i-130.pdf',
+            fields: [
+                { pdf: 'form1[0].#subform[0].Pt1Line1_Spouse[0]', from: 'relationship', checked: 'spouse' },
+                { pdf: 'form1[0].#subform[0].Pt1Line1_Parent[0]', from: 'relationship', checked: 'parent' },
+                { pdf: 'form1[0].#subform[0].Pt1Line1_Child[0]', from: 'relationship', checked: 'child' },
+                { pdf: 'form1[0].#subform[0].Pt1Line1_Siblings[0]', from: 'relationship', checked: 'sibling' },
+                { pdf: 'form1[0].#subform[0].Pt2Line4a_FamilyName[0]', from: 'petitionerLastName' },
+                { pdf: 'form1[0].#subform[0].Pt2Line4b_GivenName[0]', from: 'petitionerFirstName' },
+                { pdf: 'form1[0].#subform[1].Pt2Line8_DateofBirth[0]', from: 'petitionerDob' },
+                { pdf: 'form1[0].#subform[1].Pt2Line10_StreetNumberName[0]', from: 'petitionerAddress' },
+                { pdf: 'form1[0].#subform[2].Pt2Line36_USCitizen[0]', from: 'petitionerStatus', checked: 'citizen' },
+                { pdf: 'form1[0].#subform[2].Pt2Line36_LPR[0]', from: 'petitionerStatus', checked: 'lpr' },
+                { pdf: 'form1[0].#subform[4].Pt4Line4a_FamilyName[0]', from: 'beneficiaryLastName' },
+                { pdf: 'form1[0].#subform[4].Pt4Line4b_GivenName[0]', from: 'beneficiaryFirstName' },
+                { pdf: 'form1[0].#subform[4].Pt4Line9_DateOfBirth[0]', from: 'beneficiaryDob' },
+                { pdf: 'form1[0].#subform[4].Pt4Line8_CountryOfBirth[0]', from: 'beneficiaryBirthCountry' },
+                { pdf: 'form1[0].#subform[4].Pt4Line1_AlienNumber[0]', from: 'beneficiaryANumber', maxLength: 9 },
+                { pdf: 'form1[0].#subform[5].Pt4Line18_DateOfMarriage[0]', from: 'marriageDate' }
+            ]
+        }
+    },
+
+    // Characters of the standard PDF fonts' WinAnsi encoding outside Latin-1
+    WIN_ANSI_EXTRA: '\u20ac\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0160\u2039\u0152\u017d' +
+        '\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u02dc\u2122\u0161\u203a\u0153\u017e\u0178',
+
+    // Letters with no decomposition to a base Latin letter, and the Arabic comma
+    LATIN_SUBSTITUTES: {
+        '\u0110': 'D', '\u0111': 'd', '\u0141': 'L', '\u0142': 'l', '\u0126': 'H', '\u0127': 'h',
+        '\u0131': 'i', '\u0138': 'k', '\u2010': '-', '\u2011': '-', '\u2212': '-', '\u2032': "'", '\u2033': '"',
+        '\u060c': ','
+    },
+
+    // Direction marks Intl adds around Arabic and Persian dates - invisible, so just dropped
+    BIDI_MARKS: /[\u200e\u200f\u061c]/g,
+
+    /**
+     * Generate the PDF for a form - the filled official PDF for forms with a field map,
+     * otherwise a summary
+     * @param {string} formId - Registered form id
+     * @param {Object} data - Form data by step, as from FormRegistry.collectData
+     * @param {Object} options - { summary } - make the summary even when the form has a field map
+     * @returns {Promise<Object>} - { blob, fileName, filled, report: { missingRequired, continued, transliterated, unmatched } }
+     * @throws {Error} - code 'pdf/template-missing' (error.template is the path) or 'pdf/library-missing'
+     */
+    generate: async function(formId, data, options = {}) {
+        const schema = FormRegistry.get(formId);
+        if (!schema) {
+            throw new Error('Unknown form: ' + formId);
+        }
+
+        const values = FormValidator.flatten(data);
+        const report = { missingRequired: this.getMissingRequired(formId, values), continued: [], transliterated: [], unmatched: [] };
+
+        let blob = null;
+        const mapping = this.mappings[formId];
+        if (mapping && !options.summary) {
+            if (!window.PDFLib) {
+                throw this._error('pdf/library-missing', 'pdf-lib did not load - cannot fill the official ' + schema.name);
+            }
+            const template = await this._loadTemplate(mapping.template);
+            const bytes = await this.fill(formId, values, template, report);
+            blob = new Blob([bytes], { type: 'application/pdf' });
+        }
+
+        const filled = !!blob;
+        if (!filled) {
+            blob = this.summary(formId, values).output('blob');
+        }
+
+        return {
+            blob: blob,
+            fileName: this._fileName(schema, values, filled),
+            filled: filled,
+            report: report
+        };
+    },
+
+    /**
+     * Fill an official PDF template and flatten it
+     * @param {string} formId - Registered form id
+     * @param {Object} values - Form values by field id
+     * @param {ArrayBuffer} template - Official PDF bytes
+     * @param {Object} report - Receives the continued and transliterated fields and the
+     *   unmatched AcroForm names
+     * @returns {Promise<Uint8Array>}
+     */
+    fill: async function(formId, values, template, report) {
+        const { PDFDocument, PDFCheckBox, PDFDropdown, PDFOptionList, PDFTextField } = window.PDFLib;
+        const schema = FormRegistry.get(formId);
+        const mapping = this.mappings[formId];
+
+        const pdfDoc = await PDFDocument.load(template, { ignoreEncryption: true });
+        const form = pdfDoc.getForm();
+
+        // USCIS forms are hybrid XFA forms; viewers prefer XFA unless it is removed
+        if (typeof form.deleteXFA === 'function') {
+            form.deleteXFA();
+        }
+
+        const continued = [];
+        const transliterated = [];
+        const unmatched = [];
+        const mapped = new Set();
+        const pdfText = (field, text) => this._pdfText(field, text, transliterated);
+        const findField = name => {
+            const pdfField = this._findField(form, name);
+            if (!pdfField && !unmatched.includes(name)) unmatched.push(name);
+            return pdfField;
+        };
+
+        mapping.fields.forEach(entry => {
+            const field = FormRegistry.getField(formId, entry.from);
+            const raw = values[entry.from];
+            mapped.add(entry.from);
+            if (!field || FormValidator.isEmpty(raw) || !FormValidator.isVisible(field, values)) return;
+
+            const pdfField = findField(entry.pdf);
+            const text = pdfText(field, this.formatValue(field, raw));
+
+            if (entry.checked !== undefined) {
+                if (raw !== entry.checked) return;
+                if (pdfField instanceof PDFCheckBox) {
+                    pdfField.check();
+                } else {
+                    this._addContinued(continued, field, text, 'unmapped');
+                }
+                return;
+            }
+
+            if (pdfField instanceof PDFDropdown || pdfField instanceof PDFOptionList) {
+                const option = this._matchOption(pdfField.getOptions(), field, raw);
+                if (option) {
+                    pdfField.select(option);
+                } else {
+                    this._addContinued(continued, field, text, 'unmapped');
+                }
+                return;
+            }
+
+            if (!(pdfField instanceof PDFTextField)) {
+                this._addContinued(continued, field, text, 'unmapped');
+                return;
+            }
+
+            const maxLength = entry.maxLength || pdfField.getMaxLength();
+            if (maxLength && text.length > maxLength) {
+                pdfField.setText(text.slice(0, maxLength));
+                this._addContinued(continued, field, text, 'overflow');
+                return;
+            }
+
+            pdfField.setText(text);
+        });
+
+        if (mapping.trips) {
+            this._fillTrips(findField, formId, mapping.trips, values, continued, pdfText);
+            [mapping.trips.from].concat(mapping.trips.covers || []).forEach(id => mapped.add(id));
+        }
+
+        // Answers the official form has no field for
+        FormRegistry.getFields(formId).forEach(field => {
+            if (mapped.has(field.id) || FormValidator.isEmpty(values[field.id])) return;
+            if (!FormValidator.isVisible(field, values)) return;
+
+            this._addContinued(continued, field, pdfText(field, this.formatValue(field, values[field.id])), 'unmapped');
+        });
+
+        try {
+            form.flatten();
+        } catch (error) {
+            console.warn('Could not flatten PDF form fields:', error);
+        }
+
+        if (continued.length > 0) {
+            await this._addContinuationSheet(pdfDoc, schema, values, continued);
+        }
+
+        report.continued = continued.map(item => ({ field: item.field.id, label: item.field.reviewLabel || item.field.label, reason: item.reason }));
+        report.transliterated = transliterated;
+        report.unmatched = unmatched;
+        if (unmatched.length > 0) {
+            console.error('PDF template ' + mapping.template + ' has no field(s):', unmatched.join(', '));
+        }
+        return await pdfDoc.save();
+    },
+
+    /**
+     * Check a form's field map against its installed template - run after putting a new
+     * edition in pdf-templates/
+     * @param {string} formId - Registered form id
+     * @returns {Promise<Object>} - { template, fields, missing: [<AcroForm names not found>] }
+     */
+    verifyTemplate: async function(formId) {
+        const mapping = this.mappings[formId];
+        if (!mapping) throw new Error('No field map for ' + formId);
+        if (!window.PDFLib) throw this._error('pdf/library-missing', 'pdf-lib did not load');
+
+        const pdfDoc = await window.PDFLib.PDFDocument.load(await this._loadTemplate(mapping.template), { ignoreEncryption: true });
+        const form = pdfDoc.getForm();
+
+        const names = mapping.fields.map(entry => entry.pdf);
+        if (mapping.trips) {
+            names.push(mapping.trips.total);
+            for (let row = 0; row < mapping.trips.rows; row++) {
+                Object.values(mapping.trips.columns).forEach(name => names.push(name.replace('{row}', row)));
+            }
+        }
+
+        return {
+            template: mapping.template,
+            fields: form.getFields().length,
+            missing: names.filter(name => !this._findField(form, name))
+        };
+    },
+
+    /**
+     * Summary PDF built from the schema (used when no official template is available)
+     * @param {string} formId - Registered form id
+     * @param {Object} values - Form values by field id
+     * @returns {Object} - jsPDF document
+     */
+    summary: function(formId, values) {
+        const { jsPDF } = window.jspdf;
+        const doc = new jsPDF();
+        const schema = FormRegistry.get(formId);
+
+        // Header
+        doc.setFontSize(20);
+        doc.setTextColor(30, 64, 175);
+        doc.text(schema.name + ' ' + schema.fullName, 105, 20, { align: 'center' });
+
+        doc.setFontSize(12);
+        doc.setTextColor(100);
+        doc.text('Application Summary - Generated by Visa Guide AI', 105, 28, { align: 'center' });
+
+        doc.setLineWidth(0.5);
+        doc.line(20, 35, 190, 35);
+
+        let y = 48;
+        schema.steps.forEach(step => {
+            const rows = step.fields
+                .filter(field => FormValidator.isVisible(field, values))
+                .map(field => [field.reviewLabel || field.label, FormRegistry.formatValue(field, values[field.id], 'en') || 'Not provided']);
+
+            doc.setFontSize(14);
+            doc.setTextColor(30, 64, 175);
+            doc.text(step.heading || step.title, 20, y);
+
+            doc.autoTable({
+                startY: y + 4,
+                head: [],
+                body: rows,
+                theme: 'striped',
+                styles: { fontSize: 10 },
+                columnStyles: {
+                    0: { fontStyle: 'bold', cellWidth: 50 },
+                    1: { cellWidth: 130 }
+                }
+            });
+
+            y = doc.lastAutoTable.finalY + 15;
+            if (y > 270) {
+                doc.addPage();
+                y = 20;
+            }
+        });
+
+        // Footer
+        const pageCount = doc.internal.getNumberOfPages();
+        for (let i = 1; i <= pageCount; i++) {
+            doc.setPage(i);
+            doc.setFontSize(8);
+            doc.setTextColor(150);
+            doc.text('Generated by Visa Guide AI - ' + schema.name + ' Application Form', 105, 290, { align: 'center' });
+            doc.text('Page ' + i + ' of ' + pageCount, 105, 295, { align: 'center' });
+        }
+
+        return doc;
+    },
+
+    /**
+     * Required fields (including conditionally required ones) that are blank
+     * @param {string} formId - Registered form id
+     * @param {Object} values - Form values by field id
+     * @returns {Array} - [{ field, label, step }]
+     */
+    getMissingRequired: function(formId, values) {
+        return FormRegistry.getFields(formId)
+            .filter(field => FormValidator.isVisible(field, values) &&
+                FormValidator.isRequired(field, values) &&
+                FormValidator.isEmpty(values[field.id]))
+            .map(field => ({ field: field.id, label: field.reviewLabel || field.label, step: field.step }));
+    },
+
+    /**
+     * Text written into a PDF field: dates as MM/DD/YYYY, A-Numbers as digits only, the
+     * rest in English like the official form
+     */
+    formatValue: function(field, value) {
+        if (field.type === 'date') {
+            const date = FormValidator.parseDate(value);
+            if (date) {
+                const pad = n => String(n).padStart(2, '0');
+                return pad(date.getMonth() + 1) + '/' + pad(date.getDate()) + '/' + date.getFullYear();
+            }
+        }
+
+        if (field.type === 'anumber') {
+            return String(value).replace(/[^0-9]/g, '');
+        }
+
+        return FormRegistry.formatValue(field, value, 'en');
+    },
+
+    /**
+     * Trigger a browser download of a generated PDF
+     * @param {Object} result - Result of generate()
+     */
+    download: function(result) {
+        const url = URL.createObjectURL(result.blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = result.fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
+    // ============ PRIVATE ============
+
+    _loadTemplate: async function(url) {
+        let response = null;
+        try {
+            response = await fetch(url);
+        } catch (error) {
+            console.error('PDF template could not be loaded:', url, error.message);
+        }
+
+        if (!response || !response.ok) {
+            const error = this._error('pdf/template-missing', 'Official PDF not found at ' + url + ' - see pdf-templates/README.md');
+            error.template = url;
+            throw error;
+        }
+        return await response.arrayBuffer();
+    },
+
+    /**
+     * Text the standard PDF fonts (Helvetica, WinAnsi) can encode. Other letters are
+     * decomposed to their Latin base letter (or substituted), Arabic and Persian digits
+     * become 0-9 and anything left becomes '?'. Also used for chat exports (ChatHistory).
+     * @param {string} text
+     * @returns {Object} - { text, changed, lost } - lost when a character had to be dropped
+     */
+    latinText: function(text) {
+        let changed = false;
+        let lost = false;
+        const result = Array.from(String(text).replace(this.BIDI_MARKS, '')).map(char => {
+            if (this._encodable(char)) return char;
+            changed = true;
+
+            const digit = this._digit(char);
+            if (digit !== null) return digit;
+
+            const latin = this.LATIN_SUBSTITUTES[char] || char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+            if (latin && Array.from(latin).every(c => this._encodable(c))) return latin;
+            lost = true;
+            return '?';
+        }).join('');
+
+        return { text: result, changed: changed, lost: lost };
+    },
+
+    /**
+     * latinText() for an answer; changed answers are recorded once per field as
+     * { field, label, lost }
+     */
+    _pdfText: function(field, text, transliterated) {
+        const latin = this.latinText(text);
+
+        if (latin.changed) {
+            const entry = transliterated.find(item => item.field === field.id);
+            if (entry) {
+                entry.lost = entry.lost || latin.lost;
+            } else {
+                transliterated.push({ field: field.id, label: field.reviewLabel || field.label, lost: latin.lost });
+            }
+        }
+        return latin.text;
+    },
+
+    _encodable: function(char) {
+        const code = char.charCodeAt(0);
+        return char === '\n' || char === '\r' || char === '\t' ||
+            (code >= 0x20 && code <= 0x7e) || (code >= 0xa0 && code <= 0xff) || this.WIN_ANSI_EXTRA.includes(char);
+    },
+
+    // Arabic-Indic (U+0660) and extended Persian (U+06F0) digits as 0-9
+    _digit: function(char) {
+        const code = char.charCodeAt(0);
+        if (code >= 0x0660 && code <= 0x0669) return String(code - 0x0660);
+        if (code >= 0x06f0 && code <= 0x06f9) return String(code - 0x06f0);
+        return null;
+    },
+
+    /**
+     * Find an AcroForm field by its exact full name
+     */
+    _findField: function(form, name) {
+        return form.getFieldMaybe(name) || null;
+    },
+
+    /**
+     * Dropdown option for a select answer - the option whose text is the saved value
+     * (e.g. 'CA') or its label (e.g. 'California'), ignoring case
+     */
+    _matchOption: function(options, field, value) {
+        const wanted = [value, FormRegistry.formatValue(field, value, 'en')]
+            .map(text => String(text).trim().toLowerCase());
+        return options.find(option => wanted.includes(String(option).trim().toLowerCase())) || null;
+    },
+
+    /**
+     * Fill the trips table one row per trip, plus the total days abroad. Trips beyond the
+     * table's rows - or all of them if the template has no table - are continued.
+     */
+    _fillTrips: function(findField, formId, entry, values, continued, pdfText) {
+        const { PDFTextField } = window.PDFLib;
+        const field = FormRegistry.getField(formId, entry.from);
+        const trips = values[entry.from];
+        if (!field || !Array.isArray(trips) || trips.length === 0 || !FormValidator.isVisible(field, values)) return;
+
+        const setText = (name, text) => {
+            const pdfField = findField(name);
+            if (!(pdfField instanceof PDFTextField)) return false;
+            pdfField.setText(text);
+            return true;
+        };
+
+        const travel = TravelHistory.calculate(trips);
+        setText(entry.total, String(travel.daysAbroad));
+
+        const dateField = { type: 'date' };
+        const rowsFilled = [];
+        travel.trips.slice(0, entry.rows).forEach((trip, row) => {
+            const cell = name => name.replace('{row}', row);
+            if (!setText(cell(entry.columns.departureDate), this.formatValue(dateField, trip.departureDate))) return;
+
+            setText(cell(entry.columns.returnDate), trip.ongoing ? '' : this.formatValue(dateField, trip.returnDate));
+            setText(cell(entry.columns.destination), pdfText(field, trip.destination));
+            setText(cell(entry.columns.days), String(trip.daysAbroad));
+            rowsFilled.push(trip);
+        });
+
+        const rest = travel.trips.filter(trip => !rowsFilled.includes(trip));
+        if (rest.length > 0) {
+            this._addContinued(continued, field, pdfText(field, TravelHistory.describe(rest)), rowsFilled.length > 0 ? 'overflow' : 'unmapped');
+        }
+    },
+
+    _addContinued: function(continued, field, text, reason) {
+        if (!continued.some(item => item.field.id === field.id)) {
+            continued.push({ field: field, text: text, reason: reason });
+        }
+    },
+
+    /**
+     * Append "Additional Information" pages listing continued answers
+     */
+    _addContinuationSheet: async function(pdfDoc, schema, values, continued) {
+        const { StandardFonts, rgb } = window.PDFLib;
+        const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+        const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+
+        const pageWidth = 612;
+        const pageHeight = 792;
+        const margin = 54;
+        const maxWidth = pageWidth - margin * 2;
+        let page = null;
+        let y = 0;
+
+        const newPage = () => {
+            page = pdfDoc.addPage([pageWidth, pageHeight]);
+            y = pageHeight - margin;
+            page.drawText('Additional Information - ' + schema.name + ' ' + schema.fullName, { x: margin, y: y, size: 14, font: bold });
+            y -= 20;
+
+            // Already reported with their fields
+            const name = this._pdfText({}, [values.firstName, values.lastName].filter(Boolean).join(' '), []);
+            const aNumber = this._pdfText({}, values.aNumber || '', []);
+            const header = [name ? 'Name: ' + name : '', aNumber ? 'A-Number: ' + aNumber : ''].filter(Boolean).join('    ');
+            if (header) {
+                page.drawText(header, { x: margin, y: y, size: 10, font: font });
+                y -= 20;
+            }
+        };
+
+        const writeLine = (text, lineFont, size) => {
+            if (!page || y < margin) newPage();
+            page.drawText(text, { x: margin, y: y, size: size, font: lineFont, color: rgb(0, 0, 0) });
+            y -= size + 4;
+        };
+
+        newPage();
+        continued.forEach(item => {
+            const step = schema.steps.find(s => s.id === item.field.step);
+            writeLine((step ? step.title + ' - ' : '') + item.field.label, bold, 10);
+            this._wrap(item.text, font, 10, maxWidth).forEach(line => writeLine(line, font, 10));
+            y -= 8;
+        });
+    },
+
+    _wrap: function(text, font, size, maxWidth) {
+        const lines = [];
+        String(text).split(/\r?\n/).forEach(paragraph => {
+            let line = '';
+            paragraph.split(/\s+/).forEach(word => {
+                const candidate = line ? line + ' ' + word : word;
+                if (line && font.widthOfTextAtSize(candidate, size) > maxWidth) {
+                    lines.push(line);
+                    line = word;
+                } else {
+                    line = candidate;
+                }
+            });
+            lines.push(line);
+        });
+        return lines;
+    },
+
+    _fileName: function(schema, values, filled) {
+        const parts = [schema.name];
+        if (values.lastName) parts.push(values.lastName);
+        if (values.firstName) parts.push(values.firstName);
+        if (!filled) parts.push('Summary');
+        parts.push(new Date().toISOString().split('T')[0]);
+        return parts.join('_').replace(/[^A-Za-z0-9_-]/g, '') + '.pdf';
+    },
+
+    _error: function(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+};
+
+// Export to global scope
+window.PdfFiller = PdfFiller;
@@ -0,0 +1,221 @@
+/**
+ * Visa Guide AI - Travel History
+ * Trips outside the U.S. ({ departureDate, returnDate, destination, purpose }) and the
+ * calculations N-400 eligibility depends on: trips over 6 months or a year, days abroad
+ * in the statutory window and physical presence. Trips are saved with the N-400 form
+ * data (step3.trips), so they sync like any other field.
+ */
+
+const TravelHistory = {
+    // Absences that affect continuous residence
+    SIX_MONTHS_DAYS: 180,
+    ONE_YEAR_DAYS: 365,
+
+    /**
+     * Parse, sort and annotate trips
+     * @param {Array} trips - [{ departureDate, returnDate, destination, purpose }]
+     * @param {Object} options - { today }
+     * @returns {Array} - Trips with departure/return as Date, days (length of the trip), daysAbroad (excluding the
+     *                    departure and return days), ongoing and flag ('over-6-months' | 'over-1-year' | null)
+     */
+    normalize: function(trips, options) {
+        const today = this._today(options);
+
+        return (Array.isArray(trips) ? trips : [])
+            .map(trip => {
+                const departure = this._parseDate(trip.departureDate);
+                if (!departure) return null;
+
+                const ret = this._parseDate(trip.returnDate);
+                const end = ret || today;
+                const days = this._daysBetween(departure, end);
+
+                return {
+                    departureDate: trip.departureDate,
+                    returnDate: trip.returnDate || '',
+                    destination: trip.destination || '',
+                    purpose: trip.purpose || '',
+                    departure: departure,
+                    return: end,
+                    ongoing: !ret,
+                    days: days,
+                    daysAbroad: Math.max(0, days - 1),
+                    flag: days >= this.ONE_YEAR_DAYS ? 'over-1-year' : days > this.SIX_MONTHS_DAYS ? 'over-6-months' : null
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.departure - b.departure);
+    },
+
+    /**
+     * Residence and presence figures for the statutory window ending on `windowEnd`
+     * @param {Array} trips - Saved trips
+     * @param {Object} options - { years (default 5), windowEnd, lprDate, today }
+     * @returns {Object} - { trips, windowStart, windowEnd, daysAbroad, daysInWindow, daysPresent, requiredDays,
+     *                      meetsPhysicalPresence, over6Months, over1Year, residenceStart }
+     */
+    calculate: function(trips, options) {
+        options = options || {};
+        const years = options.years || 5;
+        const normalized = this.normalize(trips, options);
+        const windowEnd = this._parseDate(options.windowEnd) || this._today(options);
+        const windowStart = this._addYears(windowEnd, -years);
+
+        const daysInWindow = this._daysBetween(windowStart, windowEnd);
+        const daysAbroad = this.daysAbroadBetween(normalized, windowStart, windowEnd);
+        const requiredDays = Math.ceil(years * 365 / 2);
+
+        // A trip of a year or more breaks continuous residence - the clock restarts on return
+        let residenceStart = this._parseDate(options.lprDate);
+        normalized.forEach(trip => {
+            if (trip.flag === 'over-1-year' && (!residenceStart || trip.return > residenceStart)) {
+                residenceStart = trip.return;
+            }
+        });
+
+        return {
+            trips: normalized,
+            windowStart: windowStart,
+            windowEnd: windowEnd,
+            daysAbroad: daysAbroad,
+            daysInWindow: daysInWindow,
+            daysPresent: daysInWindow - daysAbroad,
+            requiredDays: requiredDays,
+            meetsPhysicalPresence: daysInWindow - daysAbroad >= requiredDays,
+            over6Months: normalized.filter(trip => trip.flag === 'over-6-months'),
+            over1Year: normalized.filter(trip => trip.flag === 'over-1-year'),
+            residenceStart: residenceStart
+        };
+    },
+
+    /**
+     * Whole days spent outside the U.S. between two dates.
+     * Departure and return days count as days in the U.S.
+     * @param {Array} normalized - Trips from normalize()
+     */
+    daysAbroadBetween: function(normalized, start, end) {
+        let abroad = 0;
+        normalized.forEach(trip => {
+            const overlapStart = trip.departure > start ? trip.departure : start;
+            const overlapEnd = trip.return < end ? trip.return : end;
+            abroad += Math.max(0, this._daysBetween(overlapStart, overlapEnd) - 1);
+        });
+        return abroad;
+    },
+
+    /**
+     * Earliest date on or after `from` when days in the U.S. over the last `years` reach `requiredDays`
+     * @param {Object} options - { today } - trips without a return date are counted up to today
+     * @returns {Date|null} - null if not met within 10 years
+     */
+    physicalPresenceDate: function(trips, years, requiredDays, from, options) {
+        const normalized = this.normalize(trips, options);
+
+        for (let offset = 0; offset <= 3650; offset++) {
+            const end = this._addDays(from, offset);
+            const start = this._addYears(end, -years);
+            if (this._daysBetween(start, end) - this.daysAbroadBetween(normalized, start, end) >= requiredDays) {
+                return end;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Check a single trip
+     * @returns {string|null} - Error message or null
+     */
+    validateTrip: function(trip) {
+        const departure = this._parseDate(trip.departureDate);
+        if (!departure) {
+            return 'Enter the date you left the U.S.';
+        }
+        if (departure > this._today({})) {
+            return 'Departure date cannot be in the future.';
+        }
+
+        const ret = this._parseDate(trip.returnDate);
+        if (trip.returnDate && !ret) {
+            return 'Enter a valid return date.';
+        }
+        if (ret && ret < departure) {
+            return 'Return date must be after the departure date.';
+        }
+        if (!trip.destination || !String(trip.destination).trim()) {
+            return 'Enter the country you traveled to.';
+        }
+        return null;
+    },
+
+    /**
+     * Check a list of trips, including overlaps
+     * @returns {string|null} - Error message or null
+     */
+    validate: function(trips) {
+        if (!Array.isArray(trips)) return null;
+
+        for (let i = 0; i < trips.length; i++) {
+            const message = this.validateTrip(trips[i]);
+            if (message) return 'Trip ' + (i + 1) + ': ' + message;
+        }
+
+        const normalized = this.normalize(trips);
+        for (let i = 1; i < normalized.length; i++) {
+            if (normalized[i].departure < normalized[i - 1].return) {
+                return 'Trips to ' + normalized[i - 1].destination + ' and ' + normalized[i].destination + ' overlap.';
+            }
+        }
+        return null;
+    },
+
+    /**
+     * One-line description of each trip, for the review page and PDF continuation sheet
+     */
+    describe: function(trips) {
+        return this.normalize(trips)
+            .map(trip => trip.departureDate + ' to ' + (trip.ongoing ? 'present' : trip.returnDate) + ' - ' +
+                trip.destination + (trip.purpose ? ' (' + trip.purpose + ')' : '') + ', ' + trip.daysAbroad + ' days abroad')
+            .join('\n');
+    },
+
+    // ============ PRIVATE ============
+
+    _parseDate: function(value) {
+        if (!value) return null;
+        if (value instanceof Date) return value;
+
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(value + 'T00:00:00') : new Date(value);
+        return isNaN(date.getTime()) ? null : date;
+    },
+
+    _today: function(options) {
+        const now = options && options.today ? this._parseDate(options.today) : new Date();
+        return new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    },
+
+    _addYears: function(date, years) {
+        const result = new Date(date);
+        result.setFullYear(result.getFullYear() + years);
+        return result;
+    },
+
+    _addDays: function(date, days) {
+        const result = new Date(date);
+        result.setDate(result.getDate() + days);
+        return result;
+    },
+
+    _daysBetween: function(start, end) {
+        return Math.round((end - start) / (24 * 60 * 60 * 1000));
+    }
+};
+
+// Validate trip lists in form schemas (type: 'trips')
+if (typeof FormValidator !== 'undefined') {
+    FormValidator.addType('trips', function(value) {
+        return TravelHistory.validate(value);
+    });
+}
+
+// Export to global scope
+window.TravelHistory = TravelHistory;